@@ -7,6 +7,14 @@ import Login from './pages/Login/Login';
 import Signup from './pages/Signup/Signup';
 import Watchlist from './pages/Watchlist/Watchlist';
 import Ratings from './pages/Ratings/Ratings';
+import Diary from './pages/Diary/Diary';
+import Import from './pages/Import/Import';
+import Lists from './pages/Lists/Lists';
+import ListDetail from './pages/Lists/ListDetail';
+import Collection from './pages/Collection/Collection';
+import Calendar from './pages/Calendar/Calendar';
+import Services from './pages/Services/Services';
+import Person from './pages/Person/Person';
 import ErrorPage from './pages/ErrorPage/ErrorPage';
 import Navbar from './components/Navbar';
 import Footer from './components/Footer';
@@ -15,6 +23,16 @@ import ScrollToTop from './components/ScrollToTop';
 // Watchlist Context - shares watchlist data across all components
 import { WatchlistProvider } from './contexts/WatchlistContext';
 import { RatingProvider } from './contexts/RatingContext';
+// Title Context - shares movie/TV detail data so it's only fetched once
+import { TitleProvider } from './contexts/TitleContext';
+// Watch Progress Context - episode-level progress for TV shows / anime
+import { WatchProgressProvider } from './contexts/WatchProgressContext';
+// Lists Context - the user's custom lists (for /lists and "Add to list")
+import { ListsProvider } from './contexts/ListsContext';
+// Streaming Services Context - the user's services + region ("Watchable now" badges and filters)
+import { StreamingServicesProvider } from './contexts/StreamingServicesContext';
+// Locale Context - the region picked in the navbar (region-dependent data fetches again when it changes)
+import { LocaleProvider } from './contexts/LocaleContext';
 
 function App() {
   const location = useLocation();
@@ -26,9 +44,14 @@ function App() {
   const isHomePage = location.pathname === '/';
   
   return (
-    // Wrap with both providers
+    // Wrap with all providers
+    <LocaleProvider>
     <WatchlistProvider>
       <RatingProvider>
+        <TitleProvider>
+        <WatchProgressProvider>
+        <ListsProvider>
+        <StreamingServicesProvider>
         <div className={`${isDetailPage ? 'bg-[#1f1f22]' : 'bg-black'} min-h-screen text-white flex flex-col`}>
           <ScrollToTop />
           <Navbar />
@@ -47,12 +70,20 @@ function App() {
               <Routes>
                 <Route path="/movie/:id" element={<MovieTvDetail />} />
                 <Route path="/tv/:id" element={<MovieTvDetail />} />
+                <Route path="/person/:id" element={<Person />} />
+                <Route path="/collection/:id" element={<Collection />} />
                 <Route path="/search/:query" element={<SearchResults />} />
                 <Route path="/filter" element={<Filter />} />
                 <Route path="/login" element={<Login />} />
                 <Route path="/signup" element={<Signup />} />
                 <Route path="/watchlist" element={<Watchlist />} />
                 <Route path="/ratings" element={<Ratings />} />
+                <Route path="/diary" element={<Diary />} />
+                <Route path="/calendar" element={<Calendar />} />
+                <Route path="/services" element={<Services />} />
+                <Route path="/lists" element={<Lists />} />
+                <Route path="/lists/:id" element={<ListDetail />} />
+                <Route path="/import" element={<Import />} />
                 <Route path="*" element={<ErrorPage />} />
               </Routes>
             </div>
@@ -60,8 +91,13 @@ function App() {
           
           <Footer />
         </div>
+        </StreamingServicesProvider>
+        </ListsProvider>
+        </WatchProgressProvider>
+        </TitleProvider>
       </RatingProvider>
     </WatchlistProvider>
+    </LocaleProvider>
   );
 }
 
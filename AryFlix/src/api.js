@@ -1,4 +1,124 @@
 // API URL configuration for AryFlix backend
 // Uses environment variable VITE_API_URL or defaults to localhost
+import { supabase } from './supabaseClient';
 
 export const API_URL = import.meta.env.VITE_API_URL || 'http://localhost:5000';
+
+// Region picked in the navbar (set by LocaleContext) - sent with every request as X-Region
+// so providers, age ratings and release dates come back for that country
+// (the language comes from the browser's own Accept-Language header)
+let currentRegion = null;
+
+export const setApiRegion = (region) => {
+  currentRegion = region;
+};
+
+const getLocaleHeaders = () => (currentRegion ? { 'X-Region': currentRegion } : {});
+
+// fetch() for a backend route - adds the region header, returns the Response like fetch does
+export const apiFetch = (path, options = {}) => fetch(`${API_URL}${path}`, {
+  ...options,
+  headers: {
+    ...getLocaleHeaders(),
+    ...options.headers
+  }
+});
+
+// Call a protected backend route with the logged-in user's token
+// Returns the parsed JSON response, throws if not logged in or the request failed
+export const authFetch = async (path, options = {}) => {
+  const session = await supabase.auth.getSession();
+  const token = session.data.session?.access_token;
+
+  if (!token) {
+    throw new Error('No access token found');
+  }
+
+  const response = await apiFetch(path, {
+    ...options,
+    headers: {
+      ...(options.body ? { 'Content-Type': 'application/json' } : {}),
+      ...options.headers,
+      'Authorization': `Bearer ${token}`
+    }
+  });
+
+  const data = await response.json();
+
+  if (!response.ok || !data.success) {
+    const error = new Error(data.error || `Request failed with status ${response.status}`);
+    error.status = response.status;
+    throw error;
+  }
+
+  return data;
+};
+
+// Download a file from a protected backend route (e.g. the account export zip)
+// Saves it under the name the backend sends, throws like authFetch on failure
+export const authDownload = async (path, fallbackName) => {
+  const session = await supabase.auth.getSession();
+  const token = session.data.session?.access_token;
+
+  if (!token) {
+    throw new Error('No access token found');
+  }
+
+  const response = await apiFetch(path, {
+    headers: { 'Authorization': `Bearer ${token}` }
+  });
+
+  if (!response.ok) {
+    const data = await response.json().catch(() => ({}));
+    const error = new Error(data.error || `Request failed with status ${response.status}`);
+    error.status = response.status;
+    throw error;
+  }
+
+  const disposition = response.headers.get('Content-Disposition') || '';
+  const filename = disposition.match(/filename="?([^";]+)"?/)?.[1] || fallbackName;
+
+  const url = URL.createObjectURL(await response.blob());
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+};
+
+// Most titles the backend takes per /api/titles/batch request (same limit as the backend)
+const MAX_BATCH_TITLES = 100;
+
+// Get lightweight card data (title, poster, years, runtime, genres, status, rating...)
+// for many titles with a few batch requests instead of one detail request per title
+// titles: [{ media_type, id }] - returns a card (or null if that title failed) per title, in order
+export const fetchTitleCards = async (titles) => {
+  const chunks = [];
+  for (let start = 0; start < titles.length; start += MAX_BATCH_TITLES) {
+    chunks.push(titles.slice(start, start + MAX_BATCH_TITLES));
+  }
+
+  const results = await Promise.all(chunks.map(async (chunk) => {
+    const response = await apiFetch('/api/titles/batch', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ titles: chunk })
+    });
+    const data = await response.json();
+
+    if (!response.ok || !data.success) {
+      throw new Error(data.error || `Request failed with status ${response.status}`);
+    }
+
+    return data.data.map(result => {
+      if (!result.success) {
+        console.warn(`No card for ${result.media_type} ${result.id}: ${result.error}`);
+      }
+      return result.success ? result.data : null;
+    });
+  }));
+
+  return results.flat();
+};
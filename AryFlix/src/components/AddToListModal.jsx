@@ -0,0 +1,198 @@
+/**
+ * AddToListModal.jsx - "Add to list" Popup Window
+ *
+ * Shows the user's custom lists with a tick on the ones that already have this title:
+ * 1. Click a list to add the title (with the optional note) or remove it again
+ * 2. Create a new list right here - the title goes straight into it
+ */
+
+import React, { useState, useEffect } from 'react';
+import { createPortal } from 'react-dom';
+import { Link } from 'react-router-dom';
+import { useLists } from '../contexts/ListsContext';
+
+const MAX_NOTE_LENGTH = 500; // Same limit as the backend
+
+const AddToListModal = ({ isOpen, onClose, mediaId, mediaType, mediaTitle }) => {
+  const { getListsForTitle, addToList, removeFromList, createList } = useLists();
+  const [titleLists, setTitleLists] = useState([]);  // The user's lists with title_item_id for this title
+  const [loading, setLoading] = useState(true);
+  const [savingListId, setSavingListId] = useState(null);
+  const [note, setNote] = useState('');
+  const [newListName, setNewListName] = useState('');
+  const [error, setError] = useState('');
+
+  // Load the user's lists every time the modal opens
+  useEffect(() => {
+    if (!isOpen) return;
+
+    let cancelled = false;
+    const loadLists = async () => {
+      setLoading(true);
+      setNote('');
+      setNewListName('');
+      setError('');
+      const lists = await getListsForTitle(mediaId, mediaType);
+      if (!cancelled) {
+        setTitleLists(lists);
+        setLoading(false);
+      }
+    };
+    loadLists();
+
+    return () => { cancelled = true; };
+  }, [isOpen, mediaId, mediaType, getListsForTitle]);
+
+  // Remember which item this title is in each list (needed to remove it again)
+  const setTitleItem = (listId, itemId) => {
+    setTitleLists(prev => prev.map(list => (list.id === listId
+      ? { ...list, title_item_id: itemId, item_count: list.item_count + (itemId ? 1 : -1) }
+      : list)));
+  };
+
+  // Add to / remove from one list
+  const handleToggleList = async (list) => {
+    if (savingListId) return;
+
+    setSavingListId(list.id);
+    setError('');
+
+    try {
+      if (list.title_item_id) {
+        const removed = await removeFromList(list.id, list.title_item_id);
+        if (removed) setTitleItem(list.id, null);
+      } else {
+        const item = await addToList(list.id, mediaId, mediaType, note);
+        setTitleItem(list.id, item.id);
+      }
+    } catch (error) {
+      console.error('Error updating list:', error);
+      setError(error.status === 400 || error.status === 409 ? error.message : 'Failed to update the list. Please try again.');
+    } finally {
+      setSavingListId(null);
+    }
+  };
+
+  // Create a list and put the title in it
+  const handleCreateList = async (e) => {
+    e.preventDefault();
+    if (!newListName.trim() || savingListId) return;
+
+    setSavingListId('new');
+    setError('');
+
+    try {
+      const list = await createList({ name: newListName });
+      const item = await addToList(list.id, mediaId, mediaType, note);
+      setTitleLists(prev => [{ ...list, title_item_id: item.id, item_count: 1 }, ...prev]);
+      setNewListName('');
+    } catch (error) {
+      console.error('Error creating list:', error);
+      setError(error.status === 400 ? error.message : 'Failed to create the list. Please try again.');
+    } finally {
+      setSavingListId(null);
+    }
+  };
+
+  if (!isOpen) return null;
+
+  return createPortal(
+    <div className="fixed inset-0 bg-black/60 flex items-center justify-center z-50">
+      <div className="bg-[#1f1f22] rounded-lg p-8 max-w-lg w-full mx-4 shadow-2xl border border-gray-600 max-h-[90vh] overflow-y-auto">
+
+        {/* Header - Centered with X button */}
+        <div className="flex justify-between items-center mb-6">
+          <div></div> {/* Empty div for spacing */}
+          <div className="text-sm font-bold text-white ml-4">Add to list</div>
+          <button onClick={onClose} className="cursor-pointer hover:scale-130 transition-all duration-200">
+            <img src="/redX_icon.png" alt="Close" className="w-4 h-4" />
+          </button>
+        </div>
+
+        {/* Title */}
+        <p className="text-white mb-6 text-center text-xl font-semibold">{mediaTitle}</p>
+
+        {/* Note for new additions */}
+        <input
+          type="text"
+          value={note}
+          onChange={(e) => setNote(e.target.value.slice(0, MAX_NOTE_LENGTH))}
+          placeholder="Add a note (optional)"
+          className="w-full bg-[#393841] text-white rounded-lg px-3 py-2 text-sm placeholder-gray-400 mb-4 focus:outline-none focus:ring-2 focus:ring-[#E91E63]"
+        />
+
+        {/* The user's lists */}
+        {loading ? (
+          <div className="flex justify-center py-6">
+            <div className="w-6 h-6 border-2 border-white border-t-transparent rounded-full animate-spin"></div>
+          </div>
+        ) : titleLists.length === 0 ? (
+          <p className="text-gray-400 text-sm text-center py-4">You don't have any lists yet - create one below.</p>
+        ) : (
+          <div className="bg-[#1c1c1f] rounded-lg divide-y divide-[#393841] mb-4 max-h-64 overflow-y-auto">
+            {titleLists.map(list => (
+              <button
+                key={list.id}
+                onClick={() => handleToggleList(list)}
+                disabled={!!savingListId}
+                className="w-full flex items-center justify-between gap-3 px-4 py-3 text-left hover:bg-[#393841] transition-colors cursor-pointer"
+              >
+                <span className="min-w-0">
+                  <span className="block text-white font-semibold truncate">{list.name}</span>
+                  <span className="block text-gray-500 text-xs">
+                    {list.item_count} {list.item_count === 1 ? 'title' : 'titles'} · {list.is_public ? 'Public' : 'Private'}
+                  </span>
+                </span>
+                {savingListId === list.id ? (
+                  <div className="w-4 h-4 border-2 border-white border-t-transparent rounded-full animate-spin flex-shrink-0"></div>
+                ) : (
+                  <span className={`text-sm font-bold flex-shrink-0 ${list.title_item_id ? 'text-[#E91E63]' : 'text-gray-400'}`}>
+                    {list.title_item_id ? '✓ Added' : '+ Add'}
+                  </span>
+                )}
+              </button>
+            ))}
+          </div>
+        )}
+
+        {/* New list */}
+        <form onSubmit={handleCreateList} className="flex gap-2 mb-4">
+          <input
+            type="text"
+            value={newListName}
+            onChange={(e) => setNewListName(e.target.value.slice(0, 100))}
+            placeholder="New list name"
+            className="flex-1 bg-[#393841] text-white rounded-lg px-3 py-2 text-sm placeholder-gray-400 focus:outline-none focus:ring-2 focus:ring-[#E91E63]"
+          />
+          <button
+            type="submit"
+            disabled={!newListName.trim() || !!savingListId}
+            className={`px-4 py-2 rounded-lg font-bold text-sm transition-colors cursor-pointer ${
+              !newListName.trim() || savingListId
+                ? 'bg-gray-500 cursor-not-allowed'
+                : 'bg-[#E91E63] hover:bg-[#F06292] text-white'
+            }`}
+          >
+            {savingListId === 'new' ? 'Creating...' : 'Create + Add'}
+          </button>
+        </form>
+
+        {/* Error */}
+        {error && (
+          <div className="bg-red-600 text-white p-3 rounded-lg mb-4 text-center">{error}</div>
+        )}
+
+        <Link
+          to="/lists"
+          onClick={onClose}
+          className="block text-center text-sm text-[#E91E63] hover:text-[#F06292] font-semibold"
+        >
+          Manage my lists
+        </Link>
+      </div>
+    </div>,
+    document.body
+  );
+};
+
+export default AddToListModal;
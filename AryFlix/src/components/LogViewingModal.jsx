@@ -0,0 +1,199 @@
+/**
+ * LogViewingModal.jsx - Diary Popup Window
+ *
+ * Logs a viewing of a movie/TV show to the user's watch diary:
+ * 1. Date watched (defaults to today)
+ * 2. Optional rating (click the same star again to clear it)
+ * 3. Rewatch checkbox
+ * 4. Optional short review + tags
+ *
+ * Pass an existing diary `entry` to edit it instead of logging a new one.
+ */
+
+import React, { useState, useEffect } from 'react';
+import { createPortal } from 'react-dom';
+import { authFetch } from '../api';
+import { normalizeMediaType } from '../mediaIdentity';
+
+const MAX_REVIEW_LENGTH = 500; // Same limit as the backend
+
+// Today as YYYY-MM-DD in the user's own timezone (for the date input)
+const getLocalDateString = () => {
+  const now = new Date();
+  now.setMinutes(now.getMinutes() - now.getTimezoneOffset());
+  return now.toISOString().split('T')[0];
+};
+
+const LogViewingModal = ({ isOpen, onClose, mediaId, mediaType, mediaTitle, entry = null, onSaved }) => {
+  const [watchedOn, setWatchedOn] = useState(getLocalDateString());
+  const [selectedRating, setSelectedRating] = useState(0);
+  const [hoveredRating, setHoveredRating] = useState(0);
+  const [rewatch, setRewatch] = useState(false);
+  const [review, setReview] = useState('');
+  const [tagsText, setTagsText] = useState('');
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [error, setError] = useState('');
+
+  // Fill the form when the modal opens - empty for a new log, the entry's values when editing
+  useEffect(() => {
+    if (!isOpen) return;
+
+    setWatchedOn(entry?.watched_on || getLocalDateString());
+    setSelectedRating(entry?.rating || 0);
+    setRewatch(entry?.rewatch || false);
+    setReview(entry?.review || '');
+    setTagsText(entry?.tags?.join(', ') || '');
+    setHoveredRating(0);
+    setError('');
+  }, [isOpen, entry]);
+
+  const handleSubmit = async () => {
+    if (!watchedOn || isSubmitting) return;
+
+    setIsSubmitting(true);
+    setError('');
+
+    const fields = {
+      watched_on: watchedOn,
+      rating: selectedRating || null,
+      rewatch: rewatch,
+      review: review,
+      tags: tagsText
+    };
+
+    try {
+      const data = entry
+        ? await authFetch(`/api/diary/${entry.id}`, {
+            method: 'PATCH',
+            body: JSON.stringify(fields)
+          })
+        : await authFetch('/api/diary', {
+            method: 'POST',
+            body: JSON.stringify({
+              ...fields,
+              media_id: mediaId,
+              media_type: normalizeMediaType(mediaType)
+            })
+          });
+
+      onSaved?.(data.data);
+      onClose();
+    } catch (error) {
+      console.error('Error saving diary entry:', error);
+      setError(error.status === 400 ? error.message : 'Failed to save to your diary. Please try again.');
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  if (!isOpen) return null;
+
+  return createPortal(
+    <div className="fixed inset-0 bg-black/60 flex items-center justify-center z-50">
+      <div className="bg-[#1f1f22] rounded-lg p-8 max-w-lg w-full mx-4 shadow-2xl border border-gray-600 max-h-[90vh] overflow-y-auto">
+
+        {/* Header - Centered with X button */}
+        <div className="flex justify-between items-center mb-6">
+          <div></div> {/* Empty div for spacing */}
+          <div className="text-sm font-bold text-white ml-4">
+            {entry ? 'Edit diary entry' : 'Log to diary'}
+          </div>
+          <button onClick={onClose} className="cursor-pointer hover:scale-130 transition-all duration-200">
+            <img src="/redX_icon.png" alt="Close" className="w-4 h-4" />
+          </button>
+        </div>
+
+        {/* Title */}
+        <p className="text-white mb-6 text-center text-xl font-semibold">{mediaTitle}</p>
+
+        {/* Date + rewatch */}
+        <div className="flex items-center justify-between gap-4 mb-6">
+          <label className="flex items-center gap-3 text-sm text-white font-bold">
+            Watched on
+            <input
+              type="date"
+              value={watchedOn}
+              max={getLocalDateString()}
+              onChange={(e) => setWatchedOn(e.target.value)}
+              className="bg-[#393841] text-white rounded-lg px-3 py-2 text-sm font-normal [color-scheme:dark]"
+            />
+          </label>
+          <label className="flex items-center gap-2 text-sm text-white font-bold cursor-pointer">
+            <input
+              type="checkbox"
+              checked={rewatch}
+              onChange={(e) => setRewatch(e.target.checked)}
+              className="w-4 h-4 accent-[#E91E63] cursor-pointer"
+            />
+            Rewatch
+          </label>
+        </div>
+
+        {/* Stars - optional, click the selected star again to clear */}
+        <div className="flex justify-center mb-2">
+          {[1, 2, 3, 4, 5, 6, 7, 8, 9, 10].map(star => (
+            <button
+              key={star}
+              onClick={() => setSelectedRating(star === selectedRating ? 0 : star)}
+              onMouseEnter={() => setHoveredRating(star)}
+              onMouseLeave={() => setHoveredRating(0)}
+              className="mx-1 transition-transform duration-200 hover:scale-110 relative cursor-pointer"
+            >
+              <img src="/white_star.png" alt="star" className="w-7 h-7" />
+              <img
+                src="/star.png"
+                alt="star"
+                className={`w-7 h-7 absolute top-0 left-0 transition-opacity duration-150 ${
+                  star <= (hoveredRating || selectedRating) ? 'opacity-100' : 'opacity-0'
+                }`}
+              />
+            </button>
+          ))}
+        </div>
+        <p className="text-center text-white text-sm mb-6">
+          {selectedRating > 0 ? `${selectedRating}/10` : 'No rating (optional)'}
+        </p>
+
+        {/* Review */}
+        <textarea
+          value={review}
+          onChange={(e) => setReview(e.target.value.slice(0, MAX_REVIEW_LENGTH))}
+          placeholder="Add a short review... (optional)"
+          rows={3}
+          className="w-full bg-[#393841] text-white rounded-lg px-3 py-2 text-sm placeholder-gray-400 resize-none focus:outline-none focus:ring-2 focus:ring-[#E91E63]"
+        />
+        <p className="text-right text-xs text-gray-500 mb-4">{review.length}/{MAX_REVIEW_LENGTH}</p>
+
+        {/* Tags */}
+        <input
+          type="text"
+          value={tagsText}
+          onChange={(e) => setTagsText(e.target.value)}
+          placeholder="Tags, separated by commas (optional)"
+          className="w-full bg-[#393841] text-white rounded-lg px-3 py-2 text-sm placeholder-gray-400 mb-6 focus:outline-none focus:ring-2 focus:ring-[#E91E63]"
+        />
+
+        {/* Error */}
+        {error && (
+          <div className="bg-red-600 text-white p-3 rounded-lg mb-4 text-center">{error}</div>
+        )}
+
+        {/* Submit */}
+        <button
+          onClick={handleSubmit}
+          disabled={!watchedOn || isSubmitting}
+          className={`w-full py-3 rounded-lg transition-colors cursor-pointer font-bold text-sm ${
+            !watchedOn || isSubmitting
+              ? 'bg-gray-500 cursor-not-allowed'
+              : 'bg-[#E91E63] hover:bg-[#F06292] text-white'
+          }`}
+        >
+          {isSubmitting ? 'Saving...' : entry ? 'Save Changes' : 'Log Viewing'}
+        </button>
+      </div>
+    </div>,
+    document.body
+  );
+};
+
+export default LogViewingModal;
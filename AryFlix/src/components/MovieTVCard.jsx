@@ -1,8 +1,14 @@
 // MovieTVCard.jsx - Reusable card component for movies and TV shows
 // Can display regular movie cards or theatre movie cards with "Get Tickets" button
-import React, { useState } from 'react';
+import React, { useState, useRef, useCallback, useEffect } from 'react';
 import { useNavigate } from 'react-router-dom';
 import { useWatchlist } from '../contexts/WatchlistContext';
+import { useWatchProgress } from '../contexts/WatchProgressContext';
+import { useStreamingServices } from '../contexts/StreamingServicesContext';
+import AddToListModal from './AddToListModal';
+import WatchlistStatusPicker from './WatchlistStatusPicker';
+import { getTitlePath, normalizeMediaType } from '../mediaIdentity';
+import { getStatusName } from '../watchlistOptions';
 
 function MovieTVCard({ 
   id,                    // Movie/TV ID from TMDB - required for navigation
@@ -12,21 +18,38 @@ function MovieTVCard({
   posterUrl,             // Full poster image URL from TMDB - required
   showGetTickets = false, // New prop to control whether to show "Get Tickets" button
   mediaType = 'movie',    // NEW: Default to 'movie' for backwards compatibility
-  showBookmark = true    
+  showBookmark = true,
+  caption = null         // Optional text shown instead of the year (e.g. "Next: S2 E5")
 }) {
   const navigate = useNavigate();
   // Use watchlist context instead of individual API calls
-  const { user, isInWatchlist, addToWatchlist, removeFromWatchlist } = useWatchlist();
-  const [bookmarkLoading, setBookmarkLoading] = useState(false);
+  const { user, getWatchlistItem } = useWatchlist();
+  const [isStatusPickerOpen, setIsStatusPickerOpen] = useState(false);
+  const bookmarkRef = useRef(null);
+  const [isListModalOpen, setIsListModalOpen] = useState(false);
+
+  // Episode progress for shows the user has started (progress bar on the poster)
+  const { getShowProgress } = useWatchProgress();
+  const progress = normalizeMediaType(mediaType) === 'tv' ? getShowProgress(id) : null;
+  const showProgressBar = progress && progress.percent > 0 && progress.percent < 100;
+
+  // "Watchable now" - streaming on one of the user's services (asked for in batches with other cards)
+  const { requestAvailability, getAvailability } = useStreamingServices();
+  useEffect(() => {
+    requestAvailability(id, mediaType);
+  }, [requestAvailability, id, mediaType]);
+  const watchableOn = getAvailability(id, mediaType) || [];
 
   // Check if this item is in watchlist (instant, no API call needed!)
-  const inWatchlist = isInWatchlist(id);
+  // Movie and TV ids overlap, so match on both id and type
+  const watchlistItem = getWatchlistItem(id, mediaType);
+  const inWatchlist = !!watchlistItem;
 
   // Function to handle card click - navigates to correct detail page
   const handleCardClick = () => {
     // Navigate to correct route based on content type with poster data
     // Treat anime as TV shows since they are TV series in TMDB
-    const route = (mediaType === 'tv' || mediaType === 'anime') ? `/tv/${id}` : `/movie/${id}`;
+    const route = getTitlePath(id, mediaType);
     navigate(route, { 
       state: { 
         posterUrl: posterUrl,
@@ -36,21 +59,21 @@ function MovieTVCard({
   };
 
   // Function to handle "Get Tickets" button click
-  // Opens Fandango search for the movie in a new tab
+  // Opens the movie's detail page at its showtimes panel (#showtimes)
   const handleGetTickets = (e) => {
     // Prevent the card click event from firing when clicking the tickets button
     e.stopPropagation();
     
-    // Create Fandango search URL with the movie title
-    // encodeURIComponent ensures special characters in movie titles are properly encoded for URLs
-    const fandangoUrl = `https://www.fandango.com/search/?q=${encodeURIComponent(title)}`;
-    
-    // Open Fandango in a new tab so user doesn't leave AryFlix
-    window.open(fandangoUrl, '_blank', 'noopener,noreferrer');
+    navigate(`${getTitlePath(id, mediaType)}#showtimes`, { 
+      state: { 
+        posterUrl: posterUrl,
+        fromHomePage: true 
+      } 
+    });
   };
 
-  // Handle bookmark toggle
-  const handleBookmarkToggle = async (e) => {
+  // Bookmark opens the quick status picker (add as / change status / remove)
+  const handleBookmarkClick = (e) => {
     // Stop the card click event from happening when clicking bookmark
     e.stopPropagation();
     
@@ -60,25 +83,15 @@ function MovieTVCard({
       return;
     }
 
-    // Show loading spinner on bookmark button
-    setBookmarkLoading(true);
-    
-    try {
-      // Check if movie is already in watchlist
-      if (inWatchlist) {
-        // Remove from watchlist (pink bookmark → gone)
-        await removeFromWatchlist(id);
-      } else {
-        // Add to watchlist (white bookmark → pink bookmark)
-        await addToWatchlist(id, mediaType);
-      }
-    } catch (error) {
-      // If something goes wrong, log the error
-      console.error('Error toggling watchlist:', error);
-    } finally {
-      // Always hide loading spinner when done (success or error)
-      setBookmarkLoading(false);
-    }
+    setIsStatusPickerOpen(open => !open);
+  };
+
+  const closeStatusPicker = useCallback(() => setIsStatusPickerOpen(false), []);
+
+  // Open the "Add to list" modal without opening the title
+  const handleAddToListClick = (e) => {
+    e.stopPropagation();
+    setIsListModalOpen(true);
   };
 
   return (
@@ -111,8 +124,28 @@ function MovieTVCard({
           onError={(e) => { e.target.src = '/movie_placeholder.png'; }}
         />
         
+        {/* Watchable now badge - on one of the user's streaming services */}
+        {watchableOn.length > 0 && (
+          <span
+            className="absolute top-2 left-2 z-10 bg-green-600 text-white text-[10px] font-bold px-2 py-0.5 rounded-full shadow"
+            title={`On ${watchableOn.map(provider => provider.provider_name).join(', ')}`}
+          >
+            ▶ Watchable now
+          </span>
+        )}
+
         {/* Dark overlay on hover for visual feedback */}
         <div className="absolute inset-0 bg-black opacity-0 group-hover:opacity-40 transition-opacity duration-200"></div>
+
+        {/* Watch progress bar - only for shows that are started but not finished */}
+        {showProgressBar && (
+          <div
+            className="absolute bottom-0 left-0 right-0 h-1 bg-black/60"
+            title={`${progress.watched_count} of ${progress.total_count} episodes watched`}
+          >
+            <div className="h-full bg-[#E91E63]" style={{ width: `${progress.percent}%` }}></div>
+          </div>
+        )}
       </div>
 
       {/* Movie Information Section - COMPACT like IMDb */}
@@ -134,7 +167,12 @@ function MovieTVCard({
           
           {/* Year and Rating Row */}
           <div className="flex justify-between items-center mb-2">
-            <span className="text-gray-400 text-xs font-bold">{year}</span>
+            <span
+              className={`text-xs font-bold truncate min-w-0 mr-2 ${caption ? 'text-[#F06292]' : 'text-gray-400'}`}
+              title={caption || undefined}
+            >
+              {caption || year}
+            </span>
             
             {/* Rating display with star icon */}
             <div className="flex items-center">
@@ -149,23 +187,28 @@ function MovieTVCard({
         </div>
 
         {/* Bookmark section - BOTTOM RIGHT, below rating */}
-        <div className="flex justify-end mb-3 mt-1">
+        <div className="flex justify-end gap-1 mb-3 mt-1">
+          {user && showBookmark && (
+            <button
+              onClick={handleAddToListClick}
+              className="p-1 hover:bg-gray-700 rounded transition-all duration-200 cursor-pointer"
+              title="Add to list"
+            >
+              <span className="w-4 h-4 flex items-center justify-center text-white text-base font-bold leading-none transition-all duration-200 hover:scale-110">+</span>
+            </button>
+          )}
           {user && showBookmark && (
             <button
-              onClick={handleBookmarkToggle}
-              disabled={bookmarkLoading}
+              ref={bookmarkRef}
+              onClick={handleBookmarkClick}
               className="p-1 hover:bg-gray-700 rounded transition-all duration-200"
-              title={inWatchlist ? 'Remove from watchlist' : 'Add to watchlist'}
+              title={inWatchlist ? `Watchlist: ${getStatusName(watchlistItem.status)}` : 'Add to watchlist'}
             >
-              {bookmarkLoading ? (
-                <div className="w-3 h-3 border border-white border-t-transparent rounded-full animate-spin"></div>
-              ) : (
-                <img
-                  src={inWatchlist ? "/bookmark_pink.png" : "/bookmark_white.png"}
-                  alt="Bookmark"
-                  className="w-4 h-4 transition-all duration-200 hover:scale-110 cursor-pointer"
-                />
-              )}
+              <img
+                src={inWatchlist ? "/bookmark_pink.png" : "/bookmark_white.png"}
+                alt="Bookmark"
+                className="w-4 h-4 transition-all duration-200 hover:scale-110 cursor-pointer"
+              />
             </button>
           )}
         </div>
@@ -180,6 +223,31 @@ function MovieTVCard({
           </button>
         )}
       </div>
+
+      {/* Watchlist status picker - clicks inside it must not open the title */}
+      {isStatusPickerOpen && (
+        <div onClick={(e) => e.stopPropagation()}>
+          <WatchlistStatusPicker
+            anchorEl={bookmarkRef.current}
+            mediaId={id}
+            mediaType={mediaType}
+            onClose={closeStatusPicker}
+          />
+        </div>
+      )}
+
+      {/* Add to list modal - clicks inside it must not open the title */}
+      {isListModalOpen && (
+        <div onClick={(e) => e.stopPropagation()}>
+          <AddToListModal
+            isOpen={isListModalOpen}
+            onClose={() => setIsListModalOpen(false)}
+            mediaId={id}
+            mediaType={mediaType}
+            mediaTitle={title}
+          />
+        </div>
+      )}
     </div>
   );
 }
@@ -1,6 +1,8 @@
 import { useState, useEffect } from "react";
 import { Link, useNavigate } from "react-router-dom";
 import SearchBar from "./SearchBar";
+import NotificationBell from "./NotificationBell";
+import RegionSelector from "./RegionSelector";
 import { authFunctions } from "../supabaseClient";
 
 const Navbar = () => {
@@ -121,6 +123,11 @@ const Navbar = () => {
                   />
                 </button>
 
+                {/* Region picker - HIDDEN on mobile, VISIBLE on larger screens */}
+                <div className="hidden sm:block">
+                  <RegionSelector />
+                </div>
+
                 {/* Filter Link - VISIBLE for all users */}
                 <Link 
                   to="/filter" 
@@ -163,6 +170,9 @@ const Navbar = () => {
                     <span className="hidden sm:inline text-sm font-bold">Ratings</span>
                   </Link>
                 )}
+
+                {/* Notifications - only show if user is logged in */}
+                {user && <NotificationBell />}
                 
                 {/* Show different content based on login status */}
                 {isLoading ? (
@@ -237,6 +247,71 @@ const Navbar = () => {
                           />
                           My Ratings
                         </Link>
+
+                        <Link
+                          to="/diary"
+                          onClick={() => setShowDropdown(false)}
+                          className="flex items-center px-4 py-3 text-sm text-gray-300 hover:bg-gray-700 hover:text-white transition-colors font-bold"
+                        >
+                          <img
+                            src="/popcorn.png"
+                            className="h-4 w-4 mr-3"
+                            alt="Diary"
+                          />
+                          My Diary
+                        </Link>
+
+                        <Link
+                          to="/lists"
+                          onClick={() => setShowDropdown(false)}
+                          className="flex items-center px-4 py-3 text-sm text-gray-300 hover:bg-gray-700 hover:text-white transition-colors font-bold"
+                        >
+                          <img
+                            src="/bookmark_white.png"
+                            className="h-4 w-4 mr-3"
+                            alt="Lists"
+                          />
+                          My Lists
+                        </Link>
+
+                        <Link
+                          to="/calendar"
+                          onClick={() => setShowDropdown(false)}
+                          className="flex items-center px-4 py-3 text-sm text-gray-300 hover:bg-gray-700 hover:text-white transition-colors font-bold"
+                        >
+                          <img
+                            src="/info_icon.png"
+                            className="h-4 w-4 mr-3"
+                            alt="Calendar"
+                          />
+                          Release Calendar
+                        </Link>
+
+                        <Link
+                          to="/services"
+                          onClick={() => setShowDropdown(false)}
+                          className="flex items-center px-4 py-3 text-sm text-gray-300 hover:bg-gray-700 hover:text-white transition-colors font-bold"
+                        >
+                          <img
+                            src="/filter.png"
+                            className="h-4 w-4 mr-3"
+                            alt="Services"
+                          />
+                          My Services
+                        </Link>
+
+                        <Link
+                          to="/import"
+                          onClick={() => setShowDropdown(false)}
+                          className="flex items-center px-4 py-3 text-sm text-gray-300 hover:bg-gray-700 hover:text-white transition-colors font-bold"
+                        >
+                          <img
+                            src="/down_arrow.png"
+                            className="h-4 w-4 mr-3"
+                            alt="Import"
+                          />
+                          Import / Export
+                        </Link>
                         
                         <button
                           onClick={handleLogout}
@@ -0,0 +1,197 @@
+import { useState, useEffect } from "react";
+import { Link } from "react-router-dom";
+import { authFetch } from "../api";
+import { getTitlePath } from "../mediaIdentity";
+
+// How often the bell checks for new notifications
+const POLL_INTERVAL_MS = 2 * 60 * 1000;
+
+// '3h ago' style time for a notification
+const formatTimeAgo = (timestamp) => {
+  const minutes = Math.floor((Date.now() - new Date(timestamp).getTime()) / 60000);
+  if (minutes < 1) return 'just now';
+  if (minutes < 60) return `${minutes}m ago`;
+  const hours = Math.floor(minutes / 60);
+  if (hours < 24) return `${hours}h ago`;
+  const days = Math.floor(hours / 24);
+  if (days < 7) return `${days}d ago`;
+  return new Date(timestamp).toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
+};
+
+// Bell in the navbar (logged-in users only) - "X is now on Max" style alerts for watchlisted
+// titles, with the unread count as a badge and a toggle for the email digest
+const NotificationBell = () => {
+  const [notifications, setNotifications] = useState([]);
+  const [unreadCount, setUnreadCount] = useState(0);
+  const [showMenu, setShowMenu] = useState(false);
+  const [emailDigest, setEmailDigest] = useState(null);
+
+  // ==========================================
+  // DATA FETCHING - on mount, then every few minutes
+  // ==========================================
+  const fetchNotifications = async () => {
+    try {
+      const data = await authFetch('/api/notifications');
+      setNotifications(data.data.notifications);
+      setUnreadCount(data.data.unread_count);
+    } catch (error) {
+      console.error('Error fetching notifications:', error);
+    }
+  };
+
+  useEffect(() => {
+    fetchNotifications();
+    const interval = setInterval(fetchNotifications, POLL_INTERVAL_MS);
+    return () => clearInterval(interval);
+  }, []);
+
+  // Settings are only needed once the menu is opened
+  const toggleMenu = async () => {
+    const opening = !showMenu;
+    setShowMenu(opening);
+
+    if (opening) {
+      fetchNotifications();
+      if (emailDigest === null) {
+        try {
+          const data = await authFetch('/api/notifications/settings');
+          setEmailDigest(data.data.email_digest);
+        } catch (error) {
+          console.error('Error fetching notification settings:', error);
+        }
+      }
+    }
+  };
+
+  // ==========================================
+  // ACTIONS
+  // ==========================================
+  const markRead = async (ids) => {
+    const now = new Date().toISOString();
+    const previous = { notifications, unreadCount };
+
+    // Optimistic update
+    setNotifications(current => current.map(notification =>
+      !notification.read_at && (!ids || ids.includes(notification.id))
+        ? { ...notification, read_at: now }
+        : notification
+    ));
+    setUnreadCount(count => ids ? Math.max(0, count - ids.length) : 0);
+
+    try {
+      await authFetch('/api/notifications/read', {
+        method: 'POST',
+        body: JSON.stringify(ids ? { ids } : {})
+      });
+    } catch (error) {
+      console.error('Error marking notifications read:', error);
+      setNotifications(previous.notifications);
+      setUnreadCount(previous.unreadCount);
+    }
+  };
+
+  const handleOpenNotification = (notification) => {
+    setShowMenu(false);
+    if (!notification.read_at) markRead([notification.id]);
+  };
+
+  const toggleEmailDigest = async () => {
+    const next = !emailDigest;
+    setEmailDigest(next);
+    try {
+      await authFetch('/api/notifications/settings', {
+        method: 'PATCH',
+        body: JSON.stringify({ email_digest: next })
+      });
+    } catch (error) {
+      console.error('Error updating notification settings:', error);
+      setEmailDigest(!next);
+    }
+  };
+
+  return (
+    <div className="relative">
+      <button
+        onClick={toggleMenu}
+        className="relative text-white flex items-center px-2.5 py-2.5 rounded hover:bg-gray-700 cursor-pointer"
+        aria-label={unreadCount > 0 ? `Notifications (${unreadCount} unread)` : 'Notifications'}
+      >
+        <svg className="h-5 w-5" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round">
+          <path d="M18 8a6 6 0 0 0-12 0c0 7-3 9-3 9h18s-3-2-3-9" />
+          <path d="M13.73 21a2 2 0 0 1-3.46 0" />
+        </svg>
+        {unreadCount > 0 && (
+          <span className="absolute top-1 right-1 min-w-4 h-4 px-1 rounded-full bg-[#E91E63] text-white text-[10px] font-bold flex items-center justify-center">
+            {unreadCount > 9 ? '9+' : unreadCount}
+          </span>
+        )}
+      </button>
+
+      {/* Dropdown */}
+      {showMenu && (
+        <>
+          {/* Click outside to close */}
+          <div className="fixed inset-0 z-40" onClick={() => setShowMenu(false)} />
+
+          <div className="absolute right-0 mt-2 w-80 bg-[#303035] rounded-lg shadow-lg border border-gray-700 z-50">
+            <div className="flex items-center justify-between px-4 py-3 border-b border-gray-700">
+              <span className="text-white font-bold text-sm">Notifications</span>
+              {unreadCount > 0 && (
+                <button
+                  onClick={() => markRead()}
+                  className="text-xs font-bold text-[#F06292] hover:text-white transition-colors cursor-pointer"
+                >
+                  Mark all read
+                </button>
+              )}
+            </div>
+
+            <div className="max-h-96 overflow-y-auto">
+              {notifications.length === 0 ? (
+                <p className="px-4 py-8 text-center text-sm text-gray-400">
+                  Nothing yet. We'll let you know when something on your watchlist starts streaming.
+                </p>
+              ) : (
+                notifications.map(notification => (
+                  <Link
+                    key={notification.id}
+                    to={getTitlePath(notification.media_id, notification.media_type)}
+                    onClick={() => handleOpenNotification(notification)}
+                    className={`flex items-center gap-3 px-4 py-3 hover:bg-gray-700 transition-colors ${notification.read_at ? '' : 'bg-[#393841]'}`}
+                  >
+                    <img
+                      src={notification.data?.poster_path ? `https://image.tmdb.org/t/p/w92${notification.data.poster_path}` : '/movie_placeholder.png'}
+                      alt=""
+                      className="w-8 h-12 object-cover rounded flex-shrink-0"
+                    />
+                    <div className="flex-1 min-w-0">
+                      <p className="text-sm text-white">{notification.message}</p>
+                      <p className="text-xs text-gray-400 mt-0.5">{formatTimeAgo(notification.created_at)}</p>
+                    </div>
+                    {!notification.read_at && (
+                      <span className="w-2 h-2 rounded-full bg-[#E91E63] flex-shrink-0" />
+                    )}
+                  </Link>
+                ))
+              )}
+            </div>
+
+            {/* Email digest opt-in */}
+            <label className="flex items-center justify-between gap-3 px-4 py-3 border-t border-gray-700 text-sm text-gray-300 cursor-pointer">
+              <span>Also send me these by email</span>
+              <input
+                type="checkbox"
+                checked={!!emailDigest}
+                disabled={emailDigest === null}
+                onChange={toggleEmailDigest}
+                className="accent-[#E91E63] w-4 h-4 cursor-pointer"
+              />
+            </label>
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default NotificationBell;
@@ -6,9 +6,10 @@
  * When user clicks "Rate this Movie" button:
  * 1. Popup opens with 10 stars ⭐
  * 2. User clicks stars to rate
- * 3. User clicks "Submit" 
- * 4. Rating saves to database
- * 5. Popup closes
+ * 3. Optionally writes a review (with a spoiler toggle)
+ * 4. User clicks "Submit" 
+ * 5. Rating (and review) saves to database
+ * 6. Popup closes
  * 
  * Can be used anywhere in the app for rating stuff!
  */
@@ -17,10 +18,15 @@ import React, { useState, useEffect } from 'react';
 import { createPortal } from 'react-dom';
 import { useRating } from '../contexts/RatingContext';
 
+const MAX_REVIEW_LENGTH = 5000; // Same limit as the backend
+
 const RatingModal = ({ isOpen, onClose, mediaId, mediaType, mediaTitle }) => {
-  const { user, getUserRating, submitRating } = useRating();
+  const { user, getUserRating, submitRating, saveReview, deleteReview } = useRating();
   const [selectedRating, setSelectedRating] = useState(0);
   const [hoveredRating, setHoveredRating] = useState(0);
+  const [reviewText, setReviewText] = useState('');
+  const [containsSpoilers, setContainsSpoilers] = useState(false);
+  const [hadReview, setHadReview] = useState(false); // So clearing the text deletes the old review
   const [isSubmitting, setIsSubmitting] = useState(false);
   const [error, setError] = useState('');
 
@@ -32,11 +38,16 @@ const RatingModal = ({ isOpen, onClose, mediaId, mediaType, mediaTitle }) => {
     new Image().src = '/white_star.png';
     new Image().src = '/star.png';
     
-    // Get existing rating
-    getUserRating(mediaId)
-      .then(rating => setSelectedRating(rating?.rating || 0))
+    // Get existing rating (and review)
+    getUserRating(mediaId, mediaType)
+      .then(rating => {
+        setSelectedRating(rating?.rating || 0);
+        setReviewText(rating?.review?.body || '');
+        setContainsSpoilers(rating?.review?.contains_spoilers || false);
+        setHadReview(!!rating?.review);
+      })
       .catch(err => console.error('Error loading rating:', err));
-  }, [isOpen, user, mediaId]);
+  }, [isOpen, user, mediaId, mediaType]);
 
   const handleSubmit = async () => {
     if (selectedRating === 0 || isSubmitting) return;
@@ -46,15 +57,21 @@ const RatingModal = ({ isOpen, onClose, mediaId, mediaType, mediaTitle }) => {
     
     try {
       const success = await submitRating(mediaId, mediaType, selectedRating);
-      if (success) {
-        onClose();
-        setSelectedRating(0);
-        setHoveredRating(0);
-      } else {
+      if (!success) {
         setError('Failed to submit rating. Please try again.');
+        return;
+      }
+
+      // Review goes on top of the rating - empty text removes an old review
+      if (reviewText.trim()) {
+        await saveReview(mediaId, mediaType, reviewText, containsSpoilers);
+      } else if (hadReview) {
+        await deleteReview(mediaId, mediaType);
       }
+
+      handleClose();
     } catch (error) {
-      setError('An error occurred. Please try again.');
+      setError(error.status === 400 ? error.message : 'An error occurred. Please try again.');
     } finally {
       setIsSubmitting(false);
     }
@@ -64,6 +81,9 @@ const RatingModal = ({ isOpen, onClose, mediaId, mediaType, mediaTitle }) => {
     onClose();
     setSelectedRating(0);
     setHoveredRating(0);
+    setReviewText('');
+    setContainsSpoilers(false);
+    setHadReview(false);
     setError('');
   };
 
@@ -71,7 +91,7 @@ const RatingModal = ({ isOpen, onClose, mediaId, mediaType, mediaTitle }) => {
 
   return createPortal(
     <div className="fixed inset-0 bg-black/60 flex items-center justify-center">
-      <div className="bg-[#1f1f22] rounded-lg p-8 max-w-lg w-full mx-4 shadow-2xl border border-gray-600">
+      <div className="bg-[#1f1f22] rounded-lg p-8 max-w-lg w-full mx-4 shadow-2xl border border-gray-600 max-h-[90vh] overflow-y-auto">
         
         {/* Header - Centered with X button */}
         <div className="flex justify-between items-center mb-6">
@@ -114,6 +134,27 @@ const RatingModal = ({ isOpen, onClose, mediaId, mediaType, mediaTitle }) => {
           {selectedRating > 0 ? `${selectedRating}/10` : 'Select a rating'}
         </p>
 
+        {/* Review - optional */}
+        <textarea
+          value={reviewText}
+          onChange={(e) => setReviewText(e.target.value.slice(0, MAX_REVIEW_LENGTH))}
+          placeholder="Write a review... (optional)"
+          rows={4}
+          className="w-full bg-[#393841] text-white rounded-lg px-3 py-2 text-sm placeholder-gray-400 resize-none focus:outline-none focus:ring-2 focus:ring-[#E91E63]"
+        />
+        <div className="flex items-center justify-between mb-6">
+          <label className="flex items-center gap-2 text-sm text-white cursor-pointer">
+            <input
+              type="checkbox"
+              checked={containsSpoilers}
+              onChange={(e) => setContainsSpoilers(e.target.checked)}
+              className="w-4 h-4 accent-[#E91E63] cursor-pointer"
+            />
+            Contains spoilers
+          </label>
+          <span className="text-xs text-gray-500">{reviewText.length}/{MAX_REVIEW_LENGTH}</span>
+        </div>
+
         {/* Error */}
         {error && (
           <div className="bg-red-600 text-white p-3 rounded-lg mb-4 text-center">{error}</div>
@@ -0,0 +1,29 @@
+import React from 'react';
+import { useLocale } from '../contexts/LocaleContext';
+
+// Navbar country picker - streaming providers, age ratings and release dates follow it
+const RegionSelector = () => {
+  const { region, regions, setRegion } = useLocale();
+
+  return (
+    <select
+      value={region}
+      onChange={(e) => setRegion(e.target.value)}
+      title="Country for streaming services, age ratings and release dates"
+      aria-label="Country"
+      className="bg-transparent text-white text-sm font-bold rounded px-1.5 py-2 cursor-pointer hover:bg-gray-700 focus:outline-none focus:ring-2 focus:ring-[#E91E63]"
+    >
+      {/* Until the list loads (or if it fails) keep the current region selectable */}
+      {!regions.some(option => option.code === region) && (
+        <option value={region} className="bg-[#1c1c1f]">{region}</option>
+      )}
+      {regions.map(option => (
+        <option key={option.code} value={option.code} className="bg-[#1c1c1f]">
+          {option.code} - {option.name}
+        </option>
+      ))}
+    </select>
+  );
+};
+
+export default RegionSelector;
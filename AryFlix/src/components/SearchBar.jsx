@@ -1,6 +1,6 @@
 import { useState, useRef, useEffect } from "react";
 import { useNavigate } from "react-router-dom";
-import { API_URL } from "../api";
+import { apiFetch } from "../api";
 
 const SearchBar = ({ isMobile = false }) => {
   const [searchQuery, setSearchQuery] = useState("");
@@ -23,7 +23,7 @@ const SearchBar = ({ isMobile = false }) => {
 
     setLoading(true);
     try {
-      const response = await fetch(`${API_URL}/api/search/${encodeURIComponent(query)}`);
+      const response = await apiFetch(`/api/search/${encodeURIComponent(query)}`);
       const apiResponse = await response.json();
       const data = apiResponse.data || [];
       
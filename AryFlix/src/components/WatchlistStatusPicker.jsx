@@ -0,0 +1,114 @@
+/**
+ * WatchlistStatusPicker.jsx - Quick watchlist menu for the bookmark on MovieTVCard
+ *
+ * Picking a status adds the title to the watchlist (or changes its status if
+ * it's already there). "Remove from watchlist" takes it off again.
+ * Rendered in a portal next to the bookmark, since cards clip their overflow.
+ */
+
+import React, { useState, useEffect, useRef } from 'react';
+import { createPortal } from 'react-dom';
+import { useWatchlist } from '../contexts/WatchlistContext';
+import { WATCHLIST_STATUSES } from '../watchlistOptions';
+
+const MENU_WIDTH = 192; // w-48
+
+const WatchlistStatusPicker = ({ anchorEl, mediaId, mediaType, onClose }) => {
+  const { getWatchlistItem, addToWatchlist, updateWatchlistItem, removeFromWatchlist } = useWatchlist();
+  const [savingId, setSavingId] = useState(null);
+  const menuRef = useRef(null);
+
+  const item = getWatchlistItem(mediaId, mediaType);
+
+  // Close on a click anywhere else (the bookmark toggles it itself), on scroll, or on Escape
+  useEffect(() => {
+    const handlePointerDown = (e) => {
+      if (menuRef.current?.contains(e.target) || anchorEl?.contains(e.target)) return;
+      onClose();
+    };
+    const handleKeyDown = (e) => {
+      if (e.key === 'Escape') onClose();
+    };
+
+    document.addEventListener('mousedown', handlePointerDown);
+    document.addEventListener('keydown', handleKeyDown);
+    window.addEventListener('scroll', onClose, true);
+    return () => {
+      document.removeEventListener('mousedown', handlePointerDown);
+      document.removeEventListener('keydown', handleKeyDown);
+      window.removeEventListener('scroll', onClose, true);
+    };
+  }, [anchorEl, onClose]);
+
+  const handlePickStatus = async (statusId) => {
+    if (savingId) return;
+    setSavingId(statusId);
+
+    const saved = item
+      ? await updateWatchlistItem(mediaId, mediaType, { status: statusId })
+      : await addToWatchlist(mediaId, mediaType, { status: statusId });
+
+    setSavingId(null);
+    if (saved) onClose();
+  };
+
+  const handleRemove = async () => {
+    if (savingId) return;
+    setSavingId('remove');
+
+    const removed = await removeFromWatchlist(mediaId, mediaType);
+
+    setSavingId(null);
+    if (removed) onClose();
+  };
+
+  // Open below the bookmark, right-aligned with it, kept inside the window
+  const anchorRect = anchorEl.getBoundingClientRect();
+  const left = Math.max(8, Math.min(anchorRect.right - MENU_WIDTH, window.innerWidth - MENU_WIDTH - 8));
+  const top = anchorRect.bottom + 4;
+
+  return createPortal(
+    <div
+      ref={menuRef}
+      style={{ top, left, width: MENU_WIDTH }}
+      className="fixed z-50 bg-[#1f1f22] border border-gray-600 rounded-lg shadow-2xl py-1"
+    >
+      <div className="px-3 py-2 text-xs text-gray-400 font-bold uppercase tracking-wide">
+        {item ? 'Watchlist status' : 'Add to watchlist as'}
+      </div>
+      {WATCHLIST_STATUSES.map(status => {
+        const selected = item?.status === status.id;
+
+        return (
+          <button
+            key={status.id}
+            onClick={() => handlePickStatus(status.id)}
+            disabled={!!savingId}
+            className={`w-full flex items-center justify-between px-3 py-2 text-sm font-semibold text-left transition-colors cursor-pointer ${
+              selected ? 'text-[#E91E63]' : 'text-gray-300 hover:bg-[#393841] hover:text-white'
+            }`}
+          >
+            {status.name}
+            {savingId === status.id ? (
+              <div className="w-3 h-3 border border-white border-t-transparent rounded-full animate-spin"></div>
+            ) : (
+              selected && <span>✓</span>
+            )}
+          </button>
+        );
+      })}
+      {item && (
+        <button
+          onClick={handleRemove}
+          disabled={!!savingId}
+          className="w-full px-3 py-2 mt-1 border-t border-[#393841] text-sm font-semibold text-left text-red-400 hover:bg-[#393841] transition-colors cursor-pointer"
+        >
+          {savingId === 'remove' ? 'Removing...' : 'Remove from watchlist'}
+        </button>
+      )}
+    </div>,
+    document.body
+  );
+};
+
+export default WatchlistStatusPicker;
@@ -0,0 +1,197 @@
+import React, { createContext, useContext, useState, useEffect, useCallback } from 'react';
+import { supabase } from '../supabaseClient';
+import { API_URL, authFetch } from '../api';
+import { normalizeMediaType } from '../mediaIdentity';
+
+// Lists context - the user's custom lists ("Halloween marathon", "Best of A24"...)
+// Keeps a summary of every list (name, item count, cover posters) for /lists and "Add to list"
+const ListsContext = createContext();
+
+// Custom hook to use lists context
+export const useLists = () => {
+  const context = useContext(ListsContext);
+  if (!context) {
+    throw new Error('useLists must be used within a ListsProvider');
+  }
+  return context;
+};
+
+// Lists Provider component
+export const ListsProvider = ({ children }) => {
+  const [user, setUser] = useState(null);
+  const [lists, setLists] = useState([]);       // The user's lists, most recently changed first
+  const [loading, setLoading] = useState(true);
+
+  // Get current user
+  useEffect(() => {
+    const getCurrentUser = async () => {
+      const { data: { user } } = await supabase.auth.getUser();
+      setUser(user);
+    };
+    getCurrentUser();
+  }, []);
+
+  // Get the user's lists
+  const fetchLists = useCallback(async () => {
+    try {
+      const data = await authFetch('/api/lists');
+      setLists(data.data);
+    } catch (error) {
+      console.error('Error fetching lists:', error);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  // Load lists when the user logs in, clear them when they log out
+  useEffect(() => {
+    if (user) {
+      setLoading(true);
+      fetchLists();
+    } else {
+      setLists([]);
+      setLoading(false);
+    }
+  }, [user, fetchLists]);
+
+  // The user's lists with title_item_id for one title (for the "Add to list" modal)
+  const getListsForTitle = useCallback(async (mediaId, mediaType) => {
+    if (!user) return [];
+
+    try {
+      const data = await authFetch(`/api/lists?media_type=${normalizeMediaType(mediaType)}&media_id=${mediaId}`);
+      return data.data;
+    } catch (error) {
+      console.error('Error fetching lists for title:', error);
+      return [];
+    }
+  }, [user]);
+
+  // Get one list with its items - public, but sends the token when logged in
+  // so the owner can open their private lists. Returns null if it's missing / private
+  const getList = useCallback(async (listId) => {
+    try {
+      const session = await supabase.auth.getSession();
+      const token = session.data.session?.access_token;
+
+      const response = await fetch(`${API_URL}/api/lists/${listId}`, {
+        headers: token ? { 'Authorization': `Bearer ${token}` } : {}
+      });
+
+      const data = await response.json();
+      return data.success ? data.data : null;
+    } catch (error) {
+      console.error('Error getting list:', error);
+      return null;
+    }
+  }, []);
+
+  // Create a list - throws with the backend's message if it failed
+  const createList = async ({ name, description = '', isPublic = false }) => {
+    const data = await authFetch('/api/lists', {
+      method: 'POST',
+      body: JSON.stringify({ name, description, is_public: isPublic })
+    });
+    setLists(prev => [data.data, ...prev]);
+    return data.data;
+  };
+
+  // Edit a list's name / description / public flag - throws if it failed
+  const updateList = async (listId, fields) => {
+    const data = await authFetch(`/api/lists/${listId}`, {
+      method: 'PATCH',
+      body: JSON.stringify(fields)
+    });
+    setLists(prev => prev.map(list => (list.id === listId ? { ...list, ...data.data } : list)));
+    return data.data;
+  };
+
+  // Delete a list and everything in it
+  const deleteList = async (listId) => {
+    try {
+      await authFetch(`/api/lists/${listId}`, { method: 'DELETE' });
+      setLists(prev => prev.filter(list => list.id !== listId));
+      return true;
+    } catch (error) {
+      console.error('Error deleting list:', error);
+      return false;
+    }
+  };
+
+  // Add a title to the end of a list - returns the new item (throws if it failed)
+  const addToList = async (listId, mediaId, mediaType, note = '') => {
+    const data = await authFetch(`/api/lists/${listId}/items`, {
+      method: 'POST',
+      body: JSON.stringify({
+        media_id: mediaId.toString(),
+        media_type: normalizeMediaType(mediaType),
+        note
+      })
+    });
+    fetchLists(); // Item counts + cover posters changed
+    return data.data;
+  };
+
+  // Remove an item from a list
+  const removeFromList = async (listId, itemId) => {
+    try {
+      await authFetch(`/api/lists/${listId}/items/${itemId}`, { method: 'DELETE' });
+      fetchLists();
+      return true;
+    } catch (error) {
+      console.error('Error removing from list:', error);
+      return false;
+    }
+  };
+
+  // Edit an item's note (empty clears it) - returns the updated item or null if it failed
+  const updateListItem = async (listId, itemId, note) => {
+    try {
+      const data = await authFetch(`/api/lists/${listId}/items/${itemId}`, {
+        method: 'PATCH',
+        body: JSON.stringify({ note })
+      });
+      return data.data;
+    } catch (error) {
+      console.error('Error updating list item:', error);
+      return null;
+    }
+  };
+
+  // Save a new order after drag-to-reorder - itemIds is every item id in the new order
+  const reorderList = async (listId, itemIds) => {
+    try {
+      await authFetch(`/api/lists/${listId}/order`, {
+        method: 'PUT',
+        body: JSON.stringify({ item_ids: itemIds })
+      });
+      fetchLists();
+      return true;
+    } catch (error) {
+      console.error('Error reordering list:', error);
+      return false;
+    }
+  };
+
+  const value = {
+    user,
+    lists,
+    loading,
+    fetchLists,
+    getListsForTitle,
+    getList,
+    createList,
+    updateList,
+    deleteList,
+    addToList,
+    removeFromList,
+    updateListItem,
+    reorderList
+  };
+
+  return (
+    <ListsContext.Provider value={value}>
+      {children}
+    </ListsContext.Provider>
+  );
+};
@@ -0,0 +1,90 @@
+import React, { createContext, useContext, useState, useEffect, useCallback } from 'react';
+import { apiFetch, setApiRegion } from '../api';
+
+// Where the region picked in the navbar is remembered
+const REGION_STORAGE_KEY = 'aryflix.region';
+
+// Where the region from the user's profile is remembered - so the next visit starts
+// there instead of loading the page for the browser's region first
+const PROFILE_REGION_STORAGE_KEY = 'aryflix.profileRegion';
+
+const DEFAULT_REGION = 'US';
+
+const isRegionCode = (value) => typeof value === 'string' && /^[A-Z]{2}$/.test(value);
+
+// Region to start from: the one picked before, else the profile's, else the browser's ('en-GB' → 'GB'), else US
+const getInitialRegion = () => {
+  const stored = localStorage.getItem(REGION_STORAGE_KEY) || localStorage.getItem(PROFILE_REGION_STORAGE_KEY);
+  if (isRegionCode(stored)) return stored;
+
+  const browserRegion = navigator.language?.split('-')[1]?.toUpperCase();
+  return isRegionCode(browserRegion) ? browserRegion : DEFAULT_REGION;
+};
+
+// Locale context - the country TMDB data is shown for (providers, age ratings, release dates)
+// Every backend request sends it as X-Region (see api.js); titles come back in the browser's language
+// Components whose data depends on the region read it from here and fetch again when it changes
+const LocaleContext = createContext();
+
+// Custom hook to use locale context
+export const useLocale = () => {
+  const context = useContext(LocaleContext);
+  if (!context) {
+    throw new Error('useLocale must be used within a LocaleProvider');
+  }
+  return context;
+};
+
+// Locale Provider component
+export const LocaleProvider = ({ children }) => {
+  const [region, setRegionState] = useState(() => {
+    const initial = getInitialRegion();
+    setApiRegion(initial); // Before any child fetches
+    return initial;
+  });
+  const [regions, setRegions] = useState([]);
+
+  // Countries TMDB has data for (the navbar picker)
+  useEffect(() => {
+    const fetchRegions = async () => {
+      try {
+        const response = await apiFetch('/api/services/regions');
+        const data = await response.json();
+        if (data.success) setRegions(data.data);
+      } catch (error) {
+        console.error('Error fetching regions:', error);
+      }
+    };
+    fetchRegions();
+  }, []);
+
+  // Switch region from the navbar picker - remembered for next time
+  const setRegion = useCallback((newRegion) => {
+    if (!isRegionCode(newRegion)) return;
+    localStorage.setItem(REGION_STORAGE_KEY, newRegion);
+    setApiRegion(newRegion);
+    setRegionState(newRegion);
+  }, []);
+
+  // Use the region from the user's profile (their saved streaming services)
+  // unless they already picked one in the navbar
+  const adoptProfileRegion = useCallback((profileRegion) => {
+    if (!isRegionCode(profileRegion) || localStorage.getItem(REGION_STORAGE_KEY)) return;
+    localStorage.setItem(PROFILE_REGION_STORAGE_KEY, profileRegion);
+    setApiRegion(profileRegion);
+    setRegionState(profileRegion);
+  }, []);
+
+  const value = {
+    region,
+    regions,
+    setRegion,
+    adoptProfileRegion
+  };
+
+  return (
+    <LocaleContext.Provider value={value}>
+      {children}
+    </LocaleContext.Provider>
+  );
+};
@@ -1,6 +1,7 @@
 import React, { createContext, useContext, useState, useEffect } from 'react';
 import { supabase } from '../supabaseClient';
-import { API_URL } from '../api';
+import { API_URL, authFetch } from '../api';
+import { normalizeMediaType } from '../mediaIdentity';
 
 // Create the rating context
 const RatingContext = createContext();
@@ -18,6 +19,7 @@ export const useRating = () => {
 export const RatingProvider = ({ children }) => {
   const [user, setUser] = useState(null);
   const [loading, setLoading] = useState(true);
+  const [reviewsVersion, setReviewsVersion] = useState(0); // Bumped when the user's review changes so review feeds reload
 
   // Get current user
   useEffect(() => {
@@ -30,7 +32,8 @@ export const RatingProvider = ({ children }) => {
   }, []);
 
   // Get user's rating for a specific movie/TV show
-  const getUserRating = async (mediaId) => {
+  // Movie and TV ids overlap on TMDB, so every call takes the media type too
+  const getUserRating = async (mediaId, mediaType) => {
     if (!user) return null;
     
     try {
@@ -42,7 +45,7 @@ export const RatingProvider = ({ children }) => {
         return null;
       }
 
-      const response = await fetch(`${API_URL}/api/ratings/${mediaId}`, {
+      const response = await fetch(`${API_URL}/api/ratings/${normalizeMediaType(mediaType)}/${mediaId}`, {
         headers: {
           'Authorization': `Bearer ${token}`
         }
@@ -85,7 +88,7 @@ export const RatingProvider = ({ children }) => {
         },
         body: JSON.stringify({
           media_id: mediaId,
-          media_type: mediaType,
+          media_type: normalizeMediaType(mediaType),
           rating: rating
         })
       });
@@ -100,6 +103,8 @@ export const RatingProvider = ({ children }) => {
         return false;
       }
       
+      // Review feeds show the reviewer's rating - reload them
+      if (data.success) setReviewsVersion(version => version + 1);
       return data.success;
     } catch (error) {
       console.error('Error submitting rating:', error);
@@ -108,9 +113,9 @@ export const RatingProvider = ({ children }) => {
   };
 
   // Get average rating for a movie/TV show
-  const getAverageRating = async (mediaId) => {
+  const getAverageRating = async (mediaId, mediaType) => {
     try {
-      const response = await fetch(`${API_URL}/api/ratings/${mediaId}/average`);
+      const response = await fetch(`${API_URL}/api/ratings/${normalizeMediaType(mediaType)}/${mediaId}/average`);
       const data = await response.json();
       return data.success ? data.data : null;
     } catch (error) {
@@ -153,7 +158,7 @@ export const RatingProvider = ({ children }) => {
   };
 
   // Delete a user's rating for a specific movie/TV show - NEW FUNCTION
-  const deleteRating = async (mediaId) => {
+  const deleteRating = async (mediaId, mediaType) => {
     // If no user is logged in, return false
     if (!user) return false;
     
@@ -168,7 +173,7 @@ export const RatingProvider = ({ children }) => {
       }
 
       // Call our new DELETE endpoint
-      const response = await fetch(`${API_URL}/api/ratings/${mediaId}`, {
+      const response = await fetch(`${API_URL}/api/ratings/${normalizeMediaType(mediaType)}/${mediaId}`, {
         method: 'DELETE',                     // DELETE HTTP method
         headers: {
           'Authorization': `Bearer ${token}`  // Send token for authentication
@@ -178,6 +183,9 @@ export const RatingProvider = ({ children }) => {
       const data = await response.json();
       console.log('Delete rating response:', data);
       
+      // Deleting a rating deletes its review too - reload review feeds
+      if (data.success) setReviewsVersion(version => version + 1);
+      
       // Return true if successful, false if failed
       return data.success;
     } catch (error) {
@@ -186,6 +194,76 @@ export const RatingProvider = ({ children }) => {
     }
   };
 
+  // Get every rating the user has given a title, oldest first (rating modal + diary)
+  const getRatingHistory = async (mediaId, mediaType) => {
+    if (!user) return [];
+
+    try {
+      const data = await authFetch(`/api/ratings/${normalizeMediaType(mediaType)}/${mediaId}/history`);
+      return data.data;
+    } catch (error) {
+      console.error('Error getting rating history:', error);
+      return [];
+    }
+  };
+
+  // Write or edit the user's review of a title (they must have rated it first)
+  // Returns the saved review, throws with the backend's message if it failed
+  const saveReview = async (mediaId, mediaType, review, containsSpoilers) => {
+    const data = await authFetch(`/api/ratings/${normalizeMediaType(mediaType)}/${mediaId}/review`, {
+      method: 'PUT',
+      body: JSON.stringify({ review, contains_spoilers: containsSpoilers })
+    });
+    setReviewsVersion(version => version + 1);
+    return data.data;
+  };
+
+  // Delete the user's review of a title - the rating stays
+  const deleteReview = async (mediaId, mediaType) => {
+    if (!user) return false;
+
+    try {
+      await authFetch(`/api/ratings/${normalizeMediaType(mediaType)}/${mediaId}/review`, { method: 'DELETE' });
+      setReviewsVersion(version => version + 1);
+      return true;
+    } catch (error) {
+      console.error('Error deleting review:', error);
+      return false;
+    }
+  };
+
+  // Get every review of a title - public, but sends the token when logged in
+  // so the backend can say which reviews the user liked / wrote
+  const getReviews = async (mediaId, mediaType, sort = 'recent') => {
+    try {
+      const session = await supabase.auth.getSession();
+      const token = session.data.session?.access_token;
+
+      const response = await fetch(`${API_URL}/api/ratings/${normalizeMediaType(mediaType)}/${mediaId}/reviews?sort=${sort}`, {
+        headers: token ? { 'Authorization': `Bearer ${token}` } : {}
+      });
+
+      const data = await response.json();
+      return data.success ? data.data : [];
+    } catch (error) {
+      console.error('Error getting reviews:', error);
+      return [];
+    }
+  };
+
+  // Like / unlike someone's review - returns { liked, like_count } or null if it failed
+  const setReviewLiked = async (reviewId, liked) => {
+    if (!user) return null;
+
+    try {
+      const data = await authFetch(`/api/reviews/${reviewId}/like`, { method: liked ? 'POST' : 'DELETE' });
+      return data.data;
+    } catch (error) {
+      console.error('Error updating review like:', error);
+      return null;
+    }
+  };
+
   const value = {
     user,
     loading,
@@ -193,7 +271,13 @@ export const RatingProvider = ({ children }) => {
     submitRating,
     getAverageRating,
     getAllUserRatings,
-    deleteRating             // Add new delete function to context
+    deleteRating,            // Add new delete function to context
+    getRatingHistory,
+    reviewsVersion,
+    saveReview,
+    deleteReview,
+    getReviews,
+    setReviewLiked
   };
 
   return (
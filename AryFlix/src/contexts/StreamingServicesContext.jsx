@@ -0,0 +1,167 @@
+import React, { createContext, useContext, useState, useEffect, useCallback, useRef } from 'react';
+import { supabase } from '../supabaseClient';
+import { authFetch } from '../api';
+import { normalizeMediaType } from '../mediaIdentity';
+import { useLocale } from './LocaleContext';
+
+// Most titles the backend checks per /api/services/availability request (same limit as the backend)
+const MAX_AVAILABILITY_TITLES = 100;
+
+// Cards ask for their availability as they render - wait this long and ask for all of them at once
+const AVAILABILITY_BATCH_DELAY_MS = 50;
+
+const DEFAULT_SERVICES = { region: 'US', provider_ids: [] };
+
+// Key for a title (movie and TV ids overlap)
+const getTitleKey = (mediaId, mediaType) => `${normalizeMediaType(mediaType)}-${mediaId}`;
+
+// Streaming services context - which services the user subscribes to (and their region),
+// plus which titles are watchable now on them (the "Watchable now" badge and filters)
+const StreamingServicesContext = createContext();
+
+// Custom hook to use streaming services context
+export const useStreamingServices = () => {
+  const context = useContext(StreamingServicesContext);
+  if (!context) {
+    throw new Error('useStreamingServices must be used within a StreamingServicesProvider');
+  }
+  return context;
+};
+
+// Streaming Services Provider component
+export const StreamingServicesProvider = ({ children }) => {
+  const [user, setUser] = useState(null);
+  const [services, setServices] = useState(DEFAULT_SERVICES);
+  const [availability, setAvailability] = useState({}); // title key → providers on the user's services
+  const { adoptProfileRegion } = useLocale();
+
+  const requestedKeys = useRef(new Set()); // Titles already checked / being checked
+  const queuedTitles = useRef([]);         // Titles waiting for the next batch
+  const batchTimer = useRef(null);
+  const generation = useRef(0);            // Bumped on reset so answers for old services are ignored
+
+  // Get current user
+  useEffect(() => {
+    const getCurrentUser = async () => {
+      const { data: { user } } = await supabase.auth.getUser();
+      setUser(user);
+    };
+    getCurrentUser();
+  }, []);
+
+  // Forget every availability answer (after logout or a change of services)
+  const resetAvailability = useCallback(() => {
+    generation.current += 1;
+    requestedKeys.current = new Set();
+    queuedTitles.current = [];
+    setAvailability({});
+  }, []);
+
+  // Load the user's services when they log in, clear them when they log out
+  useEffect(() => {
+    resetAvailability();
+
+    if (!user) {
+      setServices(DEFAULT_SERVICES);
+      return;
+    }
+
+    const fetchServices = async () => {
+      try {
+        const data = await authFetch('/api/services');
+        setServices(data.data);
+        // Users who saved their services see the site for that country by default
+        if (data.data.provider_ids.length > 0) adoptProfileRegion(data.data.region);
+      } catch (error) {
+        console.error('Error fetching streaming services:', error);
+      }
+    };
+    fetchServices();
+  }, [user, resetAvailability, adoptProfileRegion]);
+
+  const hasServices = services.provider_ids.length > 0;
+
+  // Check every queued title in as few requests as possible
+  const flushAvailabilityQueue = useCallback(async () => {
+    batchTimer.current = null;
+    const batchGeneration = generation.current;
+    const titles = queuedTitles.current;
+    queuedTitles.current = [];
+
+    for (let start = 0; start < titles.length; start += MAX_AVAILABILITY_TITLES) {
+      const chunk = titles.slice(start, start + MAX_AVAILABILITY_TITLES);
+      try {
+        const data = await authFetch('/api/services/availability', {
+          method: 'POST',
+          body: JSON.stringify({ titles: chunk })
+        });
+        if (batchGeneration !== generation.current) return;
+        setAvailability(prev => ({
+          ...prev,
+          ...Object.fromEntries(data.data.map(result => [getTitleKey(result.id, result.media_type), result.providers]))
+        }));
+      } catch (error) {
+        console.error('Error checking availability:', error);
+        if (batchGeneration !== generation.current) return;
+        // Let these titles be asked for again later
+        chunk.forEach(title => requestedKeys.current.delete(getTitleKey(title.id, title.media_type)));
+      }
+    }
+  }, []);
+
+  // Ask for a title's availability - cheap to call from every card, answers arrive in batches
+  // (a new function after every change of services, so cards ask again)
+  const requestAvailability = useCallback((mediaId, mediaType) => {
+    if (!user || services.provider_ids.length === 0 || !mediaId) return;
+
+    const key = getTitleKey(mediaId, mediaType);
+    if (requestedKeys.current.has(key)) return;
+
+    requestedKeys.current.add(key);
+    queuedTitles.current.push({ media_type: normalizeMediaType(mediaType), id: String(mediaId) });
+
+    if (!batchTimer.current) {
+      batchTimer.current = setTimeout(flushAvailabilityQueue, AVAILABILITY_BATCH_DELAY_MS);
+    }
+  }, [user, services, flushAvailabilityQueue]);
+
+  // Providers on the user's services carrying a title - undefined while unknown, [] if none
+  const getAvailability = (mediaId, mediaType) => availability[getTitleKey(mediaId, mediaType)];
+
+  // Watchable now on one of the user's services?
+  const isWatchableNow = (mediaId, mediaType) => (getAvailability(mediaId, mediaType) || []).length > 0;
+
+  // Replace the user's services - returns true if saved
+  const saveServices = async (region, providerIds) => {
+    if (!user) return false;
+
+    try {
+      const data = await authFetch('/api/services', {
+        method: 'PUT',
+        body: JSON.stringify({ region: region, provider_ids: providerIds })
+      });
+      resetAvailability();
+      setServices(data.data);
+      return true;
+    } catch (error) {
+      console.error('Error saving streaming services:', error);
+      return false;
+    }
+  };
+
+  const value = {
+    user,
+    services,
+    hasServices,
+    requestAvailability,
+    getAvailability,
+    isWatchableNow,
+    saveServices
+  };
+
+  return (
+    <StreamingServicesContext.Provider value={value}>
+      {children}
+    </StreamingServicesContext.Provider>
+  );
+};
@@ -0,0 +1,136 @@
+import React, { createContext, useContext, useState, useEffect, useRef, useCallback, useMemo } from 'react';
+import { apiFetch } from '../api';
+import { useLocale } from './LocaleContext';
+
+// Shared store for movie/TV detail data
+// Every section of the detail page asks for the same title - this makes sure
+// it's only fetched once and concurrent callers share the same request
+const TitleContext = createContext();
+
+// Keep the most recently viewed titles around (oldest dropped first)
+const MAX_CACHED_TITLES = 50;
+
+// Cache key for a title - movies and TV shows can share the same TMDB id,
+// and providers / age ratings / release dates differ per region
+const getTitleKey = (mediaType, id, region) => `${mediaType}:${id}:${region}`;
+
+// Custom hook to access the store directly
+export const useTitleStore = () => {
+  const context = useContext(TitleContext);
+  if (!context) {
+    throw new Error('useTitleStore must be used within a TitleProvider');
+  }
+  return context;
+};
+
+// Custom hook to get one title's data - returns { data, loading, error }
+export const useTitle = (mediaType, id) => {
+  const { fetchTitle, getCachedTitle } = useTitleStore();
+
+  const [state, setState] = useState(() => {
+    const cached = id ? getCachedTitle(mediaType, id) : null;
+    return { data: cached, loading: !cached, error: null };
+  });
+
+  useEffect(() => {
+    if (!id) return;
+
+    // Already loaded by another section - use it straight away
+    const cached = getCachedTitle(mediaType, id);
+    if (cached) {
+      setState({ data: cached, loading: false, error: null });
+      return;
+    }
+
+    let cancelled = false; // Ignore results if the page changed meanwhile
+    setState({ data: null, loading: true, error: null });
+
+    fetchTitle(mediaType, id)
+      .then(data => {
+        if (!cancelled) setState({ data, loading: false, error: null });
+      })
+      .catch(err => {
+        console.error(`Error fetching ${mediaType} ${id}:`, err);
+        if (!cancelled) setState({ data: null, loading: false, error: err.message });
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [mediaType, id, fetchTitle, getCachedTitle]);
+
+  return state;
+};
+
+// Title Provider component
+export const TitleProvider = ({ children }) => {
+  const { region } = useLocale();
+  // Finished titles: key → data
+  const cacheRef = useRef(new Map());
+  // Requests still on their way: key → promise
+  const inFlightRef = useRef(new Map());
+
+  // Get a title from the cache (or null if we don't have it yet)
+  // Both callbacks change with the region, so useTitle fetches again when it's switched
+  const getCachedTitle = useCallback((mediaType, id) => {
+    return cacheRef.current.get(getTitleKey(mediaType, id, region)) || null;
+  }, [region]);
+
+  // Fetch a title from the aggregated backend endpoint
+  // Returns the same promise to everyone asking for the same title at the same time
+  const fetchTitle = useCallback((mediaType, id) => {
+    const key = getTitleKey(mediaType, id, region);
+
+    if (cacheRef.current.has(key)) {
+      return Promise.resolve(cacheRef.current.get(key));
+    }
+
+    if (inFlightRef.current.has(key)) {
+      return inFlightRef.current.get(key);
+    }
+
+    const request = apiFetch(`/api/titles/${mediaType}/${id}`)
+      .then(async (response) => {
+        const data = await response.json();
+
+        if (!response.ok || !data.success) {
+          throw new Error(data.error || 'Failed to fetch details');
+        }
+
+        // Save it and drop the oldest title if we're over the limit
+        cacheRef.current.set(key, data.data);
+        if (cacheRef.current.size > MAX_CACHED_TITLES) {
+          const oldestKey = cacheRef.current.keys().next().value;
+          cacheRef.current.delete(oldestKey);
+        }
+
+        return data.data;
+      })
+      .finally(() => {
+        inFlightRef.current.delete(key);
+      });
+
+    inFlightRef.current.set(key, request);
+    return request;
+  }, [region]);
+
+  // Forget a title (in every region) so the next request fetches it again
+  const invalidateTitle = useCallback((mediaType, id) => {
+    const prefix = getTitleKey(mediaType, id, '');
+    for (const key of [...cacheRef.current.keys()]) {
+      if (key.startsWith(prefix)) cacheRef.current.delete(key);
+    }
+  }, []);
+
+  const value = useMemo(() => ({
+    fetchTitle,
+    getCachedTitle,
+    invalidateTitle
+  }), [fetchTitle, getCachedTitle, invalidateTitle]);
+
+  return (
+    <TitleContext.Provider value={value}>
+      {children}
+    </TitleContext.Provider>
+  );
+};
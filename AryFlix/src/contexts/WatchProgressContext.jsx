@@ -0,0 +1,146 @@
+import React, { createContext, useContext, useState, useEffect, useCallback, useMemo } from 'react';
+import { supabase } from '../supabaseClient';
+import { authFetch } from '../api';
+
+// Watch progress context - which episodes of which shows the user has watched
+// Keeps a summary per show (watched/total, percent, next episode) for progress bars
+const WatchProgressContext = createContext();
+
+// Custom hook to use watch progress context
+export const useWatchProgress = () => {
+  const context = useContext(WatchProgressContext);
+  if (!context) {
+    throw new Error('useWatchProgress must be used within a WatchProgressProvider');
+  }
+  return context;
+};
+
+// Watch Progress Provider component
+export const WatchProgressProvider = ({ children }) => {
+  const [user, setUser] = useState(null);
+  const [progressByShow, setProgressByShow] = useState({}); // show id → progress summary
+
+  // Get current user
+  useEffect(() => {
+    const getCurrentUser = async () => {
+      const { data: { user } } = await supabase.auth.getUser();
+      setUser(user);
+    };
+    getCurrentUser();
+  }, []);
+
+  // Get progress summaries for every show the user has started
+  const fetchAllProgress = useCallback(async () => {
+    try {
+      const data = await authFetch('/api/progress');
+      const summaries = {};
+      data.data.forEach(summary => {
+        summaries[summary.show_id] = summary;
+      });
+      setProgressByShow(summaries);
+    } catch (error) {
+      console.error('Error fetching watch progress:', error);
+    }
+  }, []);
+
+  // Load progress when the user logs in, clear it when they log out
+  useEffect(() => {
+    if (user) {
+      fetchAllProgress();
+    } else {
+      setProgressByShow({});
+    }
+  }, [user, fetchAllProgress]);
+
+  // Save the summary the backend sent back after a change
+  const updateShowProgress = useCallback((progress) => {
+    setProgressByShow(prev => ({ ...prev, [progress.show_id]: progress }));
+    return progress;
+  }, []);
+
+  // Progress summary for one show (null if the user hasn't started it)
+  const getShowProgress = (showId) => progressByShow[showId?.toString()] || null;
+
+  // Full progress for one show, including every watched episode
+  const fetchShowProgress = useCallback(async (showId) => {
+    if (!user) return null;
+
+    try {
+      const data = await authFetch(`/api/progress/${showId}`);
+      return updateShowProgress(data.data);
+    } catch (error) {
+      console.error('Error fetching show progress:', error);
+      return null;
+    }
+  }, [user, updateShowProgress]);
+
+  // Mark one episode watched / unwatched - returns the updated show progress (null if it failed)
+  const setEpisodeWatched = async (showId, seasonNumber, episodeNumber, watched) => {
+    if (!user) return null;
+
+    try {
+      const data = await authFetch(`/api/progress/${showId}/season/${seasonNumber}/episode/${episodeNumber}`, {
+        method: watched ? 'POST' : 'DELETE'
+      });
+      return updateShowProgress(data.data);
+    } catch (error) {
+      console.error('Error updating episode progress:', error);
+      return null;
+    }
+  };
+
+  // Mark every aired episode of a season watched / unwatched
+  const setSeasonWatched = async (showId, seasonNumber, watched) => {
+    if (!user) return null;
+
+    try {
+      const data = await authFetch(`/api/progress/${showId}/season/${seasonNumber}`, {
+        method: watched ? 'POST' : 'DELETE'
+      });
+      return updateShowProgress(data.data);
+    } catch (error) {
+      console.error('Error updating season progress:', error);
+      return null;
+    }
+  };
+
+  // Mark everything up to (and including) an episode watched
+  const markWatchedUpTo = async (showId, seasonNumber, episodeNumber) => {
+    if (!user) return null;
+
+    try {
+      const data = await authFetch(`/api/progress/${showId}/up-to/season/${seasonNumber}/episode/${episodeNumber}`, {
+        method: 'POST'
+      });
+      return updateShowProgress(data.data);
+    } catch (error) {
+      console.error('Error marking episodes watched:', error);
+      return null;
+    }
+  };
+
+  // Shows with a next episode ready, most recently watched first (for the Continue Watching row)
+  const continueWatching = useMemo(() => (
+    Object.values(progressByShow)
+      .filter(summary => summary.status === 'in_progress' && summary.next_episode)
+      .sort((a, b) => new Date(b.last_watched_at) - new Date(a.last_watched_at))
+  ), [progressByShow]);
+
+  const value = {
+    user,
+    progressByShow,
+    getShowProgress,
+    fetchShowProgress,
+    fetchAllProgress,
+    setEpisodeWatched,
+    setSeasonWatched,
+    markWatchedUpTo,
+    continueWatching
+  };
+
+  return (
+    <WatchProgressContext.Provider value={value}>
+      {children}
+    </WatchProgressContext.Provider>
+  );
+};
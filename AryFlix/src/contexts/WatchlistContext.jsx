@@ -1,5 +1,7 @@
 import React, { createContext, useContext, useState, useEffect } from 'react';
 import { supabase } from '../supabaseClient';
+import { authFetch } from '../api';
+import { normalizeMediaType, isSameTitle } from '../mediaIdentity';
 
 // Step 1: Create the "shared data container" - like creating an empty box
 const WatchlistContext = createContext();
@@ -48,81 +50,126 @@ export const WatchlistProvider = ({ children }) => {
     }
   }, [user]); // Run this whenever 'user' changes
 
-  // Function to get user's watchlist from the database
+  // Function to get user's watchlist from the backend
   const fetchWatchlist = async () => {
     if (!user) return; // Don't run if no user is logged in
     
     try {
-      // Ask Supabase: "Get all watchlist items for this user"
-      const { data, error } = await supabase
-        .from('watchlist')                    // From the watchlist table
-        .select('*')                          // Get all columns
-        .eq('user_id', user.id)              // Where user_id matches current user
-        .order('created_at', { ascending: true }); // Oldest items first
-        
-      if (error) throw error;
+      // Ask the backend: "Get all watchlist items for this user" (oldest first)
+      const data = await authFetch('/api/watchlist');
       
       // Save the watchlist items to our state
-      setWatchlistItems(data || []);
+      setWatchlistItems(data.data || []);
     } catch (error) {
       console.error('Error fetching watchlist:', error);
     }
   };
 
+  // All writes go through the backend (it checks the title exists, rejects duplicates
+  // and caps the watchlist size). The UI updates straight away and rolls back on failure.
+
   // Function to add a movie/show to the watchlist
-  const addToWatchlist = async (mediaId, mediaType = 'movie') => {
+  // Movie and TV ids overlap on TMDB, so mediaType is part of the item's identity
+  // details (optional): status, priority, note, recommended_by - the backend fills in the rest
+  const addToWatchlist = async (mediaId, mediaType, details = {}) => {
     if (!user) return false; // Can't add if not logged in
+    if (isInWatchlist(mediaId, mediaType)) return true; // Already saved
+    
+    const type = normalizeMediaType(mediaType); // Anime counts as TV
+    
+    // Show it as saved right away - swapped for the real row once the backend answers
+    const pendingItem = {
+      media_id: mediaId.toString(),
+      media_type: type,
+      created_at: new Date().toISOString(),
+      ...details,
+      pending: true
+    };
+    setWatchlistItems(prev => [...prev, pendingItem]);
     
     try {
-      // Tell Supabase: "Add this item to the user's watchlist"
-      const { error } = await supabase
-        .from('watchlist')
-        .insert([{
-          user_id: user.id,                   // Who owns this item
-          media_id: mediaId.toString(),       // What movie/show (convert to string)
-          media_type: mediaType               // Is it a movie or TV show?
-        }]);
-        
-      if (error) throw error;
+      const data = await authFetch('/api/watchlist', {
+        method: 'POST',
+        body: JSON.stringify({ media_id: mediaId.toString(), media_type: type, ...details })
+      });
       
-      // Refresh the watchlist to show the new item
-      await fetchWatchlist();
+      setWatchlistItems(prev => prev.map(item => (item === pendingItem ? data.data : item)));
       return true; // Success!
     } catch (error) {
+      // 409 = it was already saved (e.g. from another tab) - load the real row instead
+      if (error.status === 409) {
+        await fetchWatchlist();
+        return true;
+      }
+      
       console.error('Error adding to watchlist:', error);
+      setWatchlistItems(prev => prev.filter(item => item !== pendingItem));
       return false; // Failed
     }
   };
 
   // Function to remove a movie/show from the watchlist
-  const removeFromWatchlist = async (mediaId) => {
+  const removeFromWatchlist = async (mediaId, mediaType) => {
     if (!user) return false; // Can't remove if not logged in
     
+    const removedItem = getWatchlistItem(mediaId, mediaType);
+    setWatchlistItems(prev => prev.filter(item => !isSameTitle(item, mediaId, mediaType)));
+    
     try {
-      // Tell Supabase: "Delete this item from the user's watchlist"
-      const { error } = await supabase
-        .from('watchlist')
-        .delete()                             // Delete operation
-        .eq('user_id', user.id)              // Where user_id matches current user
-        .eq('media_id', mediaId.toString()); // And media_id matches the item
-        
-      if (error) throw error;
-      
-      // Refresh the watchlist to remove the item from our state
-      await fetchWatchlist();
+      await authFetch(`/api/watchlist/${normalizeMediaType(mediaType)}/${mediaId}`, {
+        method: 'DELETE'
+      });
       return true; // Success!
     } catch (error) {
+      // 404 = it was already gone, which is what we wanted
+      if (error.status === 404) return true;
+      
       console.error('Error removing from watchlist:', error);
+      // Put it back
+      if (removedItem) {
+        setWatchlistItems(prev => [...prev, removedItem]);
+      }
       return false; // Failed
     }
   };
 
+  // Function to change an item's status, priority, note or "recommended by"
+  // Updates the item in place so the Watchlist page doesn't reload every poster
+  const updateWatchlistItem = async (mediaId, mediaType, fields) => {
+    if (!user) return false;
+    
+    const previousItem = getWatchlistItem(mediaId, mediaType);
+    if (!previousItem) return false;
+    
+    setWatchlistItems(prev => prev.map(item => (
+      isSameTitle(item, mediaId, mediaType) ? { ...item, ...fields } : item
+    )));
+    
+    try {
+      const data = await authFetch(`/api/watchlist/${normalizeMediaType(mediaType)}/${mediaId}`, {
+        method: 'PATCH',
+        body: JSON.stringify(fields)
+      });
+      
+      setWatchlistItems(prev => prev.map(item => (isSameTitle(item, mediaId, mediaType) ? data.data : item)));
+      return true;
+    } catch (error) {
+      console.error('Error updating watchlist item:', error);
+      setWatchlistItems(prev => prev.map(item => (isSameTitle(item, mediaId, mediaType) ? previousItem : item)));
+      return false;
+    }
+  };
+
   // Function to check if a movie/show is already in the watchlist
-  const isInWatchlist = (mediaId) => {
-    // Look through all watchlist items and see if any match this mediaId
-    return watchlistItems.some(item => item.media_id === mediaId.toString());
+  const isInWatchlist = (mediaId, mediaType) => {
+    // Look through all watchlist items and see if any match this title (id + type)
+    return watchlistItems.some(item => isSameTitle(item, mediaId, mediaType));
   };
 
+  // The saved watchlist row for a title (status, priority, note...) - null if it isn't saved
+  const getWatchlistItem = (mediaId, mediaType) =>
+    watchlistItems.find(item => isSameTitle(item, mediaId, mediaType)) || null;
+
   // Step 4: Package all the data and functions we want to share
   const value = {
     watchlistItems,      // The list of saved items
@@ -130,7 +177,9 @@ export const WatchlistProvider = ({ children }) => {
     loading,            // Loading state
     addToWatchlist,     // Function to add items
     removeFromWatchlist, // Function to remove items
+    updateWatchlistItem, // Function to change status / priority / note / recommended by
     isInWatchlist,      // Function to check if item is saved
+    getWatchlistItem,   // Function to get an item's saved details
     fetchWatchlist      // Function to refresh the list
   };
 
@@ -0,0 +1,16 @@
+// Media identity helpers
+// TMDB movie ids and TV ids overlap, so a title is identified by
+// BOTH its media type ('movie' or 'tv') and its id - never the id alone
+
+// Anime is just TV on TMDB - anything that isn't a TV show is a movie
+export const normalizeMediaType = (mediaType) =>
+  (mediaType === 'tv' || mediaType === 'anime') ? 'tv' : 'movie';
+
+// Does a saved row (watchlist item, rating, ...) point at this title?
+export const isSameTitle = (item, mediaId, mediaType) =>
+  item.media_id?.toString() === mediaId?.toString() &&
+  normalizeMediaType(item.media_type) === normalizeMediaType(mediaType);
+
+// Detail page route for a title
+export const getTitlePath = (mediaId, mediaType) =>
+  normalizeMediaType(mediaType) === 'tv' ? `/tv/${mediaId}` : `/movie/${mediaId}`;
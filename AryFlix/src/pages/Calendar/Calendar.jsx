@@ -0,0 +1,286 @@
+import React, { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import LoadingSpinner from '../../components/LoadingSpinner';
+import { useWatchlist } from '../../contexts/WatchlistContext';
+import { useLocale } from '../../contexts/LocaleContext';
+import usePageTitle from '../../hooks/usePageTitle';
+import { authFetch } from '../../api';
+import { getTitlePath } from '../../mediaIdentity';
+
+// Badge colour per kind of release
+const KIND_STYLES = {
+  theatrical: 'bg-[#E91E63] text-white',
+  digital: 'bg-blue-600 text-white',
+  release: 'bg-[#393841] text-white',
+  premiere: 'bg-green-600 text-white',
+  episode: 'bg-[#393841] text-white'
+};
+
+// '2026-10' for a Date
+const toMonthKey = (date) => `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`;
+
+// '2026-10' → '2026-11' (offset = 1) / '2026-09' (offset = -1)
+const shiftMonth = (month, offset) => {
+  const [year, monthNumber] = month.split('-').map(Number);
+  return toMonthKey(new Date(year, monthNumber - 1 + offset, 1));
+};
+
+// '2026-10' → 'October 2026'
+const formatMonth = (month) => {
+  const [year, monthNumber] = month.split('-').map(Number);
+  return new Date(year, monthNumber - 1, 1).toLocaleDateString('en-US', { month: 'long', year: 'numeric' });
+};
+
+// '2026-10-19' → 'Monday, Oct 19' (parsed as a local date so it doesn't shift a day)
+const formatDay = (date) => {
+  const [year, month, day] = date.split('-').map(Number);
+  return new Date(year, month - 1, day).toLocaleDateString('en-US', { weekday: 'long', month: 'short', day: 'numeric' });
+};
+
+// Release calendar at /calendar - when watchlisted movies and shows land, month by month,
+// plus a private iCal link so the same dates show up in the user's calendar app
+function Calendar() {
+  const { user } = useWatchlist();
+  const { region } = useLocale(); // Release dates are the selected region's
+  const [month, setMonth] = useState(() => toMonthKey(new Date()));
+  const [events, setEvents] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  // Calendar app subscription
+  const [feedUrl, setFeedUrl] = useState(null);
+  const [feedLoading, setFeedLoading] = useState(false);
+  const [copied, setCopied] = useState(false);
+
+  usePageTitle('Release Calendar');
+
+  // ==========================================
+  // DATA FETCHING - one month at a time
+  // ==========================================
+  useEffect(() => {
+    if (!user) {
+      setLoading(false);
+      return;
+    }
+
+    let cancelled = false;
+
+    const fetchMonth = async () => {
+      setLoading(true);
+      setError(null);
+      try {
+        const data = await authFetch(`/api/calendar?month=${month}`);
+        if (!cancelled) setEvents(data.data.events);
+      } catch (err) {
+        console.error('Error fetching release calendar:', err);
+        if (!cancelled) setError('Failed to load the release calendar. Please try again.');
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    };
+
+    fetchMonth();
+    return () => { cancelled = true; };
+  }, [month, user, region]);
+
+  // ==========================================
+  // ICAL FEED
+  // ==========================================
+  const loadFeed = async (reset = false) => {
+    if (feedLoading) return;
+    if (reset && !window.confirm('Make a new link? Calendars subscribed to the old one stop updating.')) return;
+
+    setFeedLoading(true);
+    setCopied(false);
+    try {
+      const data = reset
+        ? await authFetch('/api/calendar/feed/reset', { method: 'POST' })
+        : await authFetch('/api/calendar/feed');
+      setFeedUrl(data.data.url);
+    } catch (err) {
+      console.error('Error getting calendar feed:', err);
+      alert('Failed to get your calendar link. Please try again.');
+    } finally {
+      setFeedLoading(false);
+    }
+  };
+
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(feedUrl);
+      setCopied(true);
+      setTimeout(() => setCopied(false), 2000);
+    } catch (err) {
+      console.error('Error copying calendar link:', err);
+    }
+  };
+
+  // Show login prompt if not authenticated
+  if (!user) {
+    return (
+      <div className="flex flex-col items-center justify-center min-h-[70vh]">
+        <div className="w-full max-w-4xl p-6">
+          <h1 className="text-3xl font-bold mb-6 text-white">Release Calendar</h1>
+          <div className="text-center py-16 bg-gray-800 rounded-lg">
+            <h2 className="text-xl font-semibold mb-4 text-white">Sign in to see when your watchlist lands</h2>
+            <p className="text-gray-400 mb-6">
+              Theatrical, digital and new episode dates for everything you're waiting on.
+            </p>
+            <div className="flex gap-4 justify-center">
+              <Link
+                to="/login"
+                className="bg-[#E91E63] hover:bg-[#F06292] text-white px-6 py-2 rounded-lg transition-colors"
+              >
+                Sign In
+              </Link>
+              <Link
+                to="/signup"
+                className="border border-[#E91E63] text-[#E91E63] hover:bg-[#E91E63] hover:text-white px-6 py-2 rounded-lg transition-colors"
+              >
+                Sign Up
+              </Link>
+            </div>
+          </div>
+        </div>
+      </div>
+    );
+  }
+
+  // Group the month's events by day
+  const days = [];
+  events.forEach(event => {
+    const last = days[days.length - 1];
+    if (last && last.date === event.date) {
+      last.events.push(event);
+    } else {
+      days.push({ date: event.date, events: [event] });
+    }
+  });
+
+  const today = new Date().toLocaleDateString('en-CA'); // YYYY-MM-DD in local time
+
+  return (
+    <div className="min-h-screen bg-black pt-20 pb-8">
+      <div className="max-w-6xl mx-auto px-4">
+        <h1 className="text-4xl font-bold text-white mb-2">Release Calendar</h1>
+        <p className="text-gray-400 mb-8">
+          Theatrical and digital releases for movies on your watchlist, and the next episode of every show.
+        </p>
+
+        {/* Calendar app subscription */}
+        <div className="bg-[#1c1c1f] rounded-lg p-6 mb-8">
+          <h2 className="text-lg font-bold text-white mb-1">Add to your calendar app</h2>
+          <p className="text-gray-400 text-sm mb-4">
+            Subscribe to this private link in Google Calendar, Apple Calendar or Outlook. Anyone with the link can see these dates.
+          </p>
+          {feedUrl ? (
+            <div className="flex flex-col sm:flex-row gap-2">
+              <input
+                type="text"
+                readOnly
+                value={feedUrl}
+                onFocus={(e) => e.target.select()}
+                className="flex-1 bg-[#393841] text-white rounded-lg px-3 py-2 text-sm focus:outline-none focus:ring-2 focus:ring-[#E91E63]"
+              />
+              <button
+                onClick={handleCopy}
+                className="px-4 py-2 rounded-lg font-bold text-sm bg-[#E91E63] hover:bg-[#F06292] text-white transition-colors cursor-pointer"
+              >
+                {copied ? 'Copied!' : 'Copy'}
+              </button>
+              <a
+                href={feedUrl.replace(/^https?:/, 'webcal:')}
+                className="px-4 py-2 rounded-lg font-bold text-sm bg-[#393841] hover:bg-[#4a4a52] text-white transition-colors text-center"
+              >
+                Open in calendar app
+              </a>
+              <button
+                onClick={() => loadFeed(true)}
+                disabled={feedLoading}
+                className="px-4 py-2 rounded-lg font-bold text-sm text-gray-400 hover:text-white transition-colors cursor-pointer"
+              >
+                Reset link
+              </button>
+            </div>
+          ) : (
+            <button
+              onClick={() => loadFeed()}
+              disabled={feedLoading}
+              className="px-6 py-2 rounded-lg font-bold text-sm bg-[#E91E63] hover:bg-[#F06292] text-white transition-colors cursor-pointer"
+            >
+              {feedLoading ? 'Getting link...' : 'Get calendar link'}
+            </button>
+          )}
+        </div>
+
+        {/* Month navigation */}
+        <div className="flex items-center justify-between mb-6">
+          <button
+            onClick={() => setMonth(shiftMonth(month, -1))}
+            className="px-4 py-2 rounded-lg text-sm font-bold bg-[#1c1c1f] text-gray-300 hover:bg-[#393841] transition-colors cursor-pointer"
+          >
+            ← Previous
+          </button>
+          <h2 className="text-2xl font-bold text-white">{formatMonth(month)}</h2>
+          <button
+            onClick={() => setMonth(shiftMonth(month, 1))}
+            className="px-4 py-2 rounded-lg text-sm font-bold bg-[#1c1c1f] text-gray-300 hover:bg-[#393841] transition-colors cursor-pointer"
+          >
+            Next →
+          </button>
+        </div>
+
+        {loading ? (
+          <div className="flex flex-col items-center justify-center py-16">
+            <LoadingSpinner />
+            <p className="text-gray-400 mt-4">Loading release dates...</p>
+          </div>
+        ) : error ? (
+          <div className="bg-red-600 text-white p-3 rounded-lg text-center">{error}</div>
+        ) : days.length === 0 ? (
+          <div className="text-center py-16 text-gray-400">
+            Nothing from your watchlist lands in {formatMonth(month)}.
+          </div>
+        ) : (
+          <div className="space-y-6">
+            {days.map(day => (
+              <div key={day.date}>
+                <h3 className={`text-sm font-bold uppercase tracking-wide mb-2 ${day.date === today ? 'text-[#F06292]' : 'text-gray-400'}`}>
+                  {formatDay(day.date)}{day.date === today && ' · Today'}
+                </h3>
+                <div className="space-y-2">
+                  {day.events.map(event => (
+                    <Link
+                      key={`${event.media_type}-${event.media_id}-${event.kind}`}
+                      to={getTitlePath(event.media_id, event.media_type)}
+                      className="flex items-center gap-4 py-3 px-4 bg-[#1c1c1f] hover:bg-[#393841] rounded-lg transition-colors group"
+                    >
+                      <img
+                        src={event.poster_path ? `https://image.tmdb.org/t/p/w200${event.poster_path}` : '/movie_placeholder.png'}
+                        alt={`${event.title} poster`}
+                        className="w-10 h-15 object-cover rounded flex-shrink-0"
+                      />
+                      <div className="flex-1 min-w-0">
+                        <div className="text-white font-semibold truncate group-hover:text-[#F06292] transition-colors">
+                          {event.title}
+                        </div>
+                        <div className="text-gray-400 text-sm truncate">
+                          {event.media_type === 'tv' ? event.label : 'Movie'}
+                        </div>
+                      </div>
+                      <span className={`px-2 py-0.5 rounded-full text-xs font-bold flex-shrink-0 ${KIND_STYLES[event.kind] || KIND_STYLES.release}`}>
+                        {event.kind === 'episode' ? 'New episode' : event.kind === 'premiere' ? 'Season premiere' : event.label}
+                      </span>
+                    </Link>
+                  ))}
+                </div>
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default Calendar;
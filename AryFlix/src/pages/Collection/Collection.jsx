@@ -0,0 +1,185 @@
+import React, { useState, useEffect } from 'react';
+import { Link, useParams } from 'react-router-dom';
+import LoadingSpinner from '../../components/LoadingSpinner';
+import { useWatchlist } from '../../contexts/WatchlistContext';
+import usePageTitle from '../../hooks/usePageTitle';
+import { supabase } from '../../supabaseClient';
+import { apiFetch } from '../../api';
+import { getTitlePath } from '../../mediaIdentity';
+import { getStatusName } from '../../watchlistOptions';
+
+// A franchise at /collection/:id (every Harry Potter film, the Alien films...) in release order
+// Logged-in users see which parts they've watched, rated or saved, plus "X of Y watched"
+function Collection() {
+  const { id } = useParams();
+  const { user, getWatchlistItem } = useWatchlist();
+  const [collection, setCollection] = useState(null);
+  const [loading, setLoading] = useState(true);
+
+  usePageTitle(collection ? collection.name : 'Collection');
+
+  // ==========================================
+  // DATA FETCHING - sends the token when logged in so parts come with the user's state
+  // ==========================================
+  useEffect(() => {
+    let cancelled = false;
+
+    const fetchCollection = async () => {
+      setLoading(true);
+      try {
+        const session = await supabase.auth.getSession();
+        const token = session.data.session?.access_token;
+
+        const response = await apiFetch(`/api/collections/${id}`, {
+          headers: token ? { 'Authorization': `Bearer ${token}` } : {}
+        });
+        const data = await response.json();
+
+        if (!cancelled) setCollection(data.success ? data.data : null);
+      } catch (error) {
+        console.error('Error getting collection:', error);
+        if (!cancelled) setCollection(null);
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    };
+
+    fetchCollection();
+    return () => { cancelled = true; };
+  }, [id, user]);
+
+  // Loading state
+  if (loading) {
+    return (
+      <div className="flex flex-col items-center justify-center min-h-[70vh]">
+        <LoadingSpinner />
+        <p className="text-gray-400 mt-4">Loading collection...</p>
+      </div>
+    );
+  }
+
+  if (!collection) {
+    return (
+      <div className="min-h-screen bg-black pt-20 pb-8">
+        <div className="max-w-6xl mx-auto px-4 text-center py-16">
+          <h1 className="text-2xl font-bold text-white mb-4">Collection not found</h1>
+          <p className="text-gray-400 mb-6">We couldn't find this collection on TMDB.</p>
+          <Link
+            to="/"
+            className="bg-[#E91E63] hover:bg-[#F06292] text-white px-6 py-2 rounded-lg transition-colors inline-block"
+          >
+            Browse Movies & Shows
+          </Link>
+        </div>
+      </div>
+    );
+  }
+
+  const { progress } = collection;
+  const progressPercent = progress?.total ? Math.round((progress.watched / progress.total) * 100) : 0;
+
+  return (
+    <div className="min-h-screen bg-black pt-20 pb-8">
+      <div className="max-w-6xl mx-auto px-4">
+        {/* Header */}
+        <div className="flex flex-col sm:flex-row gap-6 mb-8">
+          {collection.poster_path && (
+            <img
+              src={`https://image.tmdb.org/t/p/w300${collection.poster_path}`}
+              alt={`${collection.name} poster`}
+              className="w-32 h-48 object-cover rounded-lg flex-shrink-0"
+            />
+          )}
+          <div className="min-w-0">
+            <h1 className="text-4xl font-bold text-white break-words">{collection.name}</h1>
+            <p className="text-gray-400 text-sm mt-2">
+              {collection.parts.length} {collection.parts.length === 1 ? 'movie' : 'movies'}
+            </p>
+            {collection.overview && (
+              <p className="text-gray-300 mt-4 max-w-3xl">{collection.overview}</p>
+            )}
+
+            {/* X of Y watched - only released parts count */}
+            {progress && progress.total > 0 && (
+              <div className="mt-4 max-w-sm">
+                <div className="flex justify-between text-sm mb-1">
+                  <span className="text-white font-bold">{progress.watched} of {progress.total} watched</span>
+                  <span className="text-gray-400">{progressPercent}%</span>
+                </div>
+                <div className="h-2 bg-[#393841] rounded-full overflow-hidden">
+                  <div className="h-full bg-[#E91E63]" style={{ width: `${progressPercent}%` }}></div>
+                </div>
+              </div>
+            )}
+          </div>
+        </div>
+
+        {/* Parts in release order */}
+        <div className="space-y-4">
+          {collection.parts.map((part, index) => {
+            const state = part.user_state;
+            // Watchlist status from the context so it follows changes made elsewhere in the app
+            const watchlistItem = user ? getWatchlistItem(part.id, 'movie') : null;
+
+            return (
+              <Link
+                key={part.id}
+                to={getTitlePath(part.id, 'movie')}
+                className="flex gap-4 py-4 px-4 bg-[#1c1c1f] hover:bg-[#393841] rounded-lg transition-colors group"
+              >
+                <div className="text-2xl font-bold text-gray-500 w-8 flex-shrink-0 text-center self-center">
+                  {index + 1}
+                </div>
+                <img
+                  src={part.poster_path ? `https://image.tmdb.org/t/p/w200${part.poster_path}` : '/movie_placeholder.png'}
+                  alt={`${part.title} poster`}
+                  className="w-16 h-24 object-cover rounded-lg flex-shrink-0"
+                />
+                <div className="flex-1 min-w-0">
+                  <h2 className="text-lg font-semibold text-white group-hover:text-[#F06292] transition-colors">
+                    {part.title}
+                  </h2>
+                  <div className="flex items-center gap-2 text-sm text-gray-400">
+                    <span>{part.year || 'Upcoming'}</span>
+                    {part.vote_average > 0 && (
+                      <>
+                        <span>•</span>
+                        <img src="/star.png" alt="Rating" className="w-3 h-3" />
+                        <span className="text-yellow-400 font-bold">{part.vote_average.toFixed(1)}</span>
+                      </>
+                    )}
+                  </div>
+
+                  {/* The user's state for this part */}
+                  {state && (
+                    <div className="flex flex-wrap gap-2 mt-2">
+                      {state.watched && (
+                        <span className="bg-[#E91E63] text-white px-2 py-0.5 rounded-full text-xs font-bold">✓ Watched</span>
+                      )}
+                      {state.rating !== null && (
+                        <span className="bg-[#393841] text-yellow-400 px-2 py-0.5 rounded-full text-xs font-bold">
+                          Your rating: {state.rating}/10
+                        </span>
+                      )}
+                      {watchlistItem && (
+                        <span className="bg-[#393841] text-white px-2 py-0.5 rounded-full text-xs font-bold">
+                          {getStatusName(watchlistItem.status)}
+                        </span>
+                      )}
+                    </div>
+                  )}
+
+                  {part.overview && (
+                    <p className="text-gray-400 text-sm mt-2 line-clamp-2">{part.overview}</p>
+                  )}
+                </div>
+              </Link>
+            );
+          })}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default Collection;
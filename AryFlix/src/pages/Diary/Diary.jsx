@@ -0,0 +1,331 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import { Link } from 'react-router-dom';
+import LoadingSpinner from '../../components/LoadingSpinner';
+import LogViewingModal from '../../components/LogViewingModal';
+import { useRating } from '../../contexts/RatingContext';
+import usePageTitle from '../../hooks/usePageTitle';
+import { authFetch } from '../../api';
+import { getTitlePath } from '../../mediaIdentity';
+
+// Diary dates are plain 'YYYY-MM-DD' - read them as local dates so they don't shift a day
+const parseDiaryDate = (dateString) => {
+  const [year, month, day] = dateString.split('-').map(Number);
+  return new Date(year, month - 1, day);
+};
+
+function Diary() {
+  const { user } = useRating();
+  const [entries, setEntries] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [activeTag, setActiveTag] = useState(null);
+  const [editingEntry, setEditingEntry] = useState(null);
+
+  usePageTitle('Diary');
+
+  // ==========================================
+  // DATA FETCHING
+  // ==========================================
+  useEffect(() => {
+    const fetchDiary = async () => {
+      if (!user) {
+        setEntries([]);
+        setLoading(false);
+        return;
+      }
+
+      try {
+        setLoading(true);
+        setError(null);
+        const data = await authFetch('/api/diary');
+        setEntries(data.data);
+      } catch (err) {
+        console.error('Error fetching diary:', err);
+        setError('Failed to load your diary');
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchDiary();
+  }, [user]);
+
+  // ==========================================
+  // GROUPING - one section per month, newest first
+  // ==========================================
+  const months = useMemo(() => {
+    const visible = activeTag
+      ? entries.filter(entry => entry.tags?.includes(activeTag))
+      : entries;
+
+    const groups = [];
+    visible.forEach(entry => {
+      const key = entry.watched_on.substring(0, 7); // 'YYYY-MM'
+      let group = groups[groups.length - 1];
+      if (!group || group.key !== key) {
+        group = {
+          key,
+          label: parseDiaryDate(entry.watched_on).toLocaleDateString('en-US', { month: 'long', year: 'numeric' }),
+          entries: []
+        };
+        groups.push(group);
+      }
+      group.entries.push(entry);
+    });
+
+    return groups;
+  }, [entries, activeTag]);
+
+  // ==========================================
+  // ACTIONS
+  // ==========================================
+
+  // Put the edited entry back in place (the date may have changed, so re-sort)
+  const handleEntrySaved = (savedEntry) => {
+    setEntries(prev => prev
+      .map(entry => (entry.id === savedEntry.id ? savedEntry : entry))
+      .sort((a, b) => b.watched_on.localeCompare(a.watched_on) || b.created_at.localeCompare(a.created_at))
+    );
+  };
+
+  const handleDeleteEntry = async (entryToDelete) => {
+    try {
+      await authFetch(`/api/diary/${entryToDelete.id}`, { method: 'DELETE' });
+      setEntries(prev => prev.filter(entry => entry.id !== entryToDelete.id));
+    } catch (err) {
+      console.error('Error deleting diary entry:', err);
+      alert('Failed to delete diary entry. Please try again.');
+    }
+  };
+
+  // Loading state
+  if (loading) {
+    return (
+      <div className="flex flex-col items-center justify-center min-h-[70vh]">
+        <LoadingSpinner />
+        <p className="text-gray-400 mt-4">Loading your diary...</p>
+      </div>
+    );
+  }
+
+  // Show login prompt if not authenticated
+  if (!user) {
+    return (
+      <div className="flex flex-col items-center justify-center min-h-[70vh]">
+        <div className="w-full max-w-4xl p-6">
+          <h1 className="text-3xl font-bold mb-6 text-white">My Diary</h1>
+          <div className="text-center py-16 bg-gray-800 rounded-lg">
+            <img
+              src="/popcorn.png"
+              alt="Diary"
+              className="w-16 h-16 mx-auto mb-4 opacity-50"
+            />
+            <h2 className="text-xl font-semibold mb-4 text-white">Sign in to keep a watch diary</h2>
+            <p className="text-gray-400 mb-6">
+              Log every movie and show you watch, with the date, your rating and a short review.
+            </p>
+            <div className="flex gap-4 justify-center">
+              <Link
+                to="/login"
+                className="bg-[#E91E63] hover:bg-[#F06292] text-white px-6 py-2 rounded-lg transition-colors"
+              >
+                Sign In
+              </Link>
+              <Link
+                to="/signup"
+                className="border border-[#E91E63] text-[#E91E63] hover:bg-[#E91E63] hover:text-white px-6 py-2 rounded-lg transition-colors"
+              >
+                Sign Up
+              </Link>
+            </div>
+          </div>
+        </div>
+      </div>
+    );
+  }
+
+  // Show error state
+  if (error) {
+    return (
+      <div className="min-h-screen bg-black pt-20 pb-8">
+        <div className="max-w-6xl mx-auto px-4">
+          <h1 className="text-4xl font-bold mb-8 text-white">My Diary</h1>
+          <div className="text-center py-16">
+            <h2 className="text-2xl font-bold text-red-500 mb-4">Error</h2>
+            <p className="text-gray-400 mb-4">{error}</p>
+            <button
+              onClick={() => window.location.reload()}
+              className="bg-[#E91E63] hover:bg-[#F06292] text-white px-6 py-2 rounded-lg transition-colors cursor-pointer"
+            >
+              Try Again
+            </button>
+          </div>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="min-h-screen bg-black pt-20 pb-8">
+      <div className="max-w-6xl mx-auto px-4">
+        <div className="flex flex-col sm:flex-row sm:items-end sm:justify-between gap-2 mb-8">
+          <h1 className="text-4xl font-bold text-white">My Diary</h1>
+          {entries.length > 0 && (
+            <p className="text-gray-400 text-sm">
+              {entries.length} {entries.length === 1 ? 'viewing' : 'viewings'} logged
+            </p>
+          )}
+        </div>
+
+        {/* Active tag filter */}
+        {activeTag && (
+          <div className="flex items-center gap-3 mb-6 text-sm text-gray-300">
+            Showing entries tagged
+            <span className="bg-[#E91E63] text-white px-3 py-1 rounded-full font-semibold">{activeTag}</span>
+            <button
+              onClick={() => setActiveTag(null)}
+              className="text-[#E91E63] hover:text-[#F06292] font-semibold cursor-pointer"
+            >
+              Clear
+            </button>
+          </div>
+        )}
+
+        {entries.length === 0 ? (
+          // Empty diary state
+          <div className="text-center py-16">
+            <img
+              src="/popcorn.png"
+              alt="Empty Diary"
+              className="w-16 h-16 mx-auto mb-4 opacity-50"
+            />
+            <h2 className="text-xl font-semibold mb-4 text-white">Your diary is empty</h2>
+            <p className="text-gray-400 mb-6">
+              Use "Log to Diary" on any movie or show to record when you watched it.
+            </p>
+            <Link
+              to="/"
+              className="bg-[#E91E63] hover:bg-[#F06292] text-white px-6 py-2 rounded-lg transition-colors inline-block"
+            >
+              Browse Movies & Shows
+            </Link>
+          </div>
+        ) : (
+          months.map(month => (
+            <div key={month.key} className="mb-10">
+              {/* Month header */}
+              <h2 className="text-2xl font-bold text-white mb-4">
+                {month.label}
+                <span className="text-gray-500 text-base font-normal ml-2">({month.entries.length})</span>
+              </h2>
+
+              <div className="bg-[#1c1c1f] rounded-lg divide-y divide-[#393841]">
+                {month.entries.map(entry => {
+                  const date = parseDiaryDate(entry.watched_on);
+                  const title = entry.title?.title || 'Unknown title';
+
+                  return (
+                    <div key={entry.id} className="flex gap-4 px-4 py-4">
+                      {/* Day */}
+                      <div className="w-12 flex-shrink-0 text-center">
+                        <div className="text-2xl font-bold text-white leading-none">{date.getDate()}</div>
+                        <div className="text-xs text-gray-400 uppercase mt-1">
+                          {date.toLocaleDateString('en-US', { weekday: 'short' })}
+                        </div>
+                      </div>
+
+                      {/* Poster */}
+                      <Link to={getTitlePath(entry.media_id, entry.media_type)} className="flex-shrink-0">
+                        <img
+                          src={entry.title?.poster_path
+                            ? `https://image.tmdb.org/t/p/w200${entry.title.poster_path}`
+                            : '/movie_placeholder.png'}
+                          alt={`${title} poster`}
+                          className="w-12 h-18 object-cover rounded"
+                        />
+                      </Link>
+
+                      {/* Title, rating, review, tags */}
+                      <div className="flex-1 min-w-0">
+                        <div className="flex flex-wrap items-center gap-x-3 gap-y-1">
+                          <Link
+                            to={getTitlePath(entry.media_id, entry.media_type)}
+                            className="text-white font-semibold hover:text-[#F06292] transition-colors"
+                          >
+                            {title}
+                          </Link>
+                          {entry.title?.year && (
+                            <span className="text-gray-500 text-sm">{entry.title.year}</span>
+                          )}
+                          {entry.rating && (
+                            <span className="flex items-center gap-1 text-sm">
+                              <img src="/star.png" alt="Rating" className="w-4 h-4" />
+                              <span className="text-yellow-400 font-semibold">{entry.rating}/10</span>
+                            </span>
+                          )}
+                          {entry.rewatch && (
+                            <span className="text-xs text-[#F06292] border border-[#F06292] px-2 py-0.5 rounded-full">
+                              Rewatch
+                            </span>
+                          )}
+                        </div>
+
+                        {entry.review && (
+                          <p className="text-gray-300 text-sm mt-2 whitespace-pre-line">{entry.review}</p>
+                        )}
+
+                        {entry.tags?.length > 0 && (
+                          <div className="flex flex-wrap gap-2 mt-2">
+                            {entry.tags.map(tag => (
+                              <button
+                                key={tag}
+                                onClick={() => setActiveTag(tag)}
+                                className="text-xs bg-[#393841] hover:bg-[#4a4a52] text-gray-300 px-2 py-0.5 rounded-full cursor-pointer transition-colors"
+                              >
+                                {tag}
+                              </button>
+                            ))}
+                          </div>
+                        )}
+                      </div>
+
+                      {/* Edit / delete */}
+                      <div className="flex items-start gap-2 flex-shrink-0">
+                        <button
+                          onClick={() => setEditingEntry(entry)}
+                          className="text-sm text-gray-400 hover:text-white font-semibold cursor-pointer transition-colors"
+                        >
+                          Edit
+                        </button>
+                        <button
+                          onClick={() => handleDeleteEntry(entry)}
+                          className="p-1 transition-all duration-200 transform hover:scale-105 active:scale-95 cursor-pointer"
+                          title="Delete Entry"
+                        >
+                          <img src="/redX_icon.png" alt="Delete" className="w-4 h-4" />
+                        </button>
+                      </div>
+                    </div>
+                  );
+                })}
+              </div>
+            </div>
+          ))
+        )}
+      </div>
+
+      {/* Edit modal */}
+      <LogViewingModal
+        isOpen={!!editingEntry}
+        onClose={() => setEditingEntry(null)}
+        mediaId={editingEntry?.media_id}
+        mediaType={editingEntry?.media_type}
+        mediaTitle={editingEntry?.title?.title}
+        entry={editingEntry}
+        onSaved={handleEntrySaved}
+      />
+    </div>
+  );
+}
+
+export default Diary;
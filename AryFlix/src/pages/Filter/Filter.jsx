@@ -1,8 +1,10 @@
 import React, { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
 import MovieTVCard from '../../components/MovieTVCard';
 import LoadingSpinner from '../../components/LoadingSpinner';
 import usePageTitle from '../../hooks/usePageTitle';
-import { API_URL } from '../../api';
+import { apiFetch } from '../../api';
+import { useStreamingServices } from '../../contexts/StreamingServicesContext';
 
 function Filter() {
   // State management
@@ -21,6 +23,10 @@ function Filter() {
   const [currentPage, setCurrentPage] = useState(1);
   const [hasMore, setHasMore] = useState(true);
   const [loadingMore, setLoadingMore] = useState(false);
+  const [onMyServices, setOnMyServices] = useState(false); // Only what's streaming on the user's services
+
+  // The user's streaming services (for "Only on my services")
+  const { user, services, hasServices } = useStreamingServices();
 
   // Set dynamic page title
   usePageTitle('Filter & Sort');
@@ -63,12 +69,16 @@ function Filter() {
       if (ratingMin) params.append('ratingMin', ratingMin);
       if (ratingMax) params.append('ratingMax', ratingMax);
       if (sortBy !== 'popularity') params.append('sortBy', sortBy);
+      if (onMyServices && hasServices) {
+        params.append('providers', services.provider_ids.join(','));
+        params.append('region', services.region);
+      }
       
       // Add pagination
       params.append('page', page.toString());
       params.append('limit', '50');
       
-      const response = await fetch(`${API_URL}/api/filter?${params.toString()}`);
+      const response = await apiFetch(`/api/filter?${params.toString()}`);
       
       if (!response.ok) {
         throw new Error(`HTTP error! status: ${response.status}`);
@@ -120,7 +130,7 @@ function Filter() {
   useEffect(() => {
     setCurrentPage(1);
     fetchFilteredResults(1, false);
-  }, [selectedGenres, mediaType, yearMin, yearMax, ratingMin, ratingMax, sortBy]);
+  }, [selectedGenres, mediaType, yearMin, yearMax, ratingMin, ratingMax, sortBy, onMyServices, services]);
 
   return (
     <div className="min-h-screen bg-black text-white pt-20 px-4">
@@ -237,6 +247,29 @@ function Filter() {
             </select>
           </div>
 
+          {/* Only on my services - logged-in users */}
+          {user && (
+            <div className="mb-4">
+              <label className="block text-sm font-medium mb-2">Streaming</label>
+              {hasServices ? (
+                <label className="inline-flex items-center gap-2 text-sm cursor-pointer">
+                  <input
+                    type="checkbox"
+                    checked={onMyServices}
+                    onChange={(e) => setOnMyServices(e.target.checked)}
+                    className="accent-[#E91E63] w-4 h-4 cursor-pointer"
+                  />
+                  Only what's on my services
+                </label>
+              ) : (
+                <p className="text-sm text-gray-400">
+                  <Link to="/services" className="text-[#F06292] hover:text-white font-semibold">Pick your streaming services</Link>
+                  {' '}to filter by what you can watch now.
+                </p>
+              )}
+            </div>
+          )}
+
           {/* Clear Filters */}
           <button
             onClick={() => {
@@ -247,6 +280,7 @@ function Filter() {
               setRatingMin('');
               setRatingMax('');
               setSortBy('popularity');
+              setOnMyServices(false);
             }}
             className="px-4 py-2 bg-blue-700 hover:bg-blue-600 text-white rounded-lg transition-colors cursor-pointer"
           >
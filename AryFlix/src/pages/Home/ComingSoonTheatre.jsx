@@ -2,12 +2,16 @@ import React, { useState, useEffect } from 'react';
 import MovieTVCard from '../../components/MovieTVCard';
 import ScrollableMovieSection from '../../components/ScrollableMovieSection';
 import LoadingSpinner from '../../components/LoadingSpinner';
-import { API_URL } from '../../api';
+import { API_URL, apiFetch } from '../../api';
+import { useLocale } from '../../contexts/LocaleContext';
+import { getReleaseCaption } from '../../releaseStatus';
 
 // Add this debug log
 console.log('ComingSoonTheatre - API_URL:', API_URL);
 
 const ComingSoonTheatre = () => {
+    // What's in theatres depends on the region picked in the navbar
+    const { region } = useLocale();
     // State to store the list of upcoming movies from TMDB API
     const [upcomingMovies, setUpcomingMovies] = useState([]);
     // State to track if data is still loading from the API
@@ -24,9 +28,9 @@ const ComingSoonTheatre = () => {
             setError(null);
             
             // Make API request to our backend endpoint for upcoming movies
-            const url = `${API_URL}/api/movies/upcoming`;
-            console.log('🎬 Frontend: About to fetch URL:', url); // Add this line
-            const response = await fetch(url);
+            const path = '/api/movies/upcoming';
+            console.log('🎬 Frontend: About to fetch URL:', `${API_URL}${path}`); // Add this line
+            const response = await apiFetch(path);
             
             console.log('🎬 Frontend: Got response:', response.status);
             
@@ -58,10 +62,10 @@ const ComingSoonTheatre = () => {
         }
     };
 
-    // useEffect hook to fetch data when component mounts
+    // useEffect hook to fetch data when component mounts (and again for a new region)
     useEffect(() => {
         fetchUpcomingMovies();
-    }, []);
+    }, [region]);
 
     // Loading state
     if (loading) {
@@ -124,6 +128,7 @@ const ComingSoonTheatre = () => {
                         id={movie.id}
                         title={movie.title}
                         year={releaseYear}
+                        caption={getReleaseCaption(movie.release_info)}
                         rating={movie.vote_average?.toFixed(1) || 'N/A'}
                         posterUrl={posterUrl}
                         mediaType="movie"
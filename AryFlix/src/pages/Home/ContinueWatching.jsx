@@ -0,0 +1,41 @@
+import React from 'react';
+import MovieTVCard from '../../components/MovieTVCard';
+import ScrollableMovieSection from '../../components/ScrollableMovieSection';
+import { useWatchProgress } from '../../contexts/WatchProgressContext';
+
+// "Continue Watching" row - shows the user is part way through, with the next episode to watch
+// Only shown to logged-in users who have started at least one show
+const ContinueWatching = () => {
+    const { user, continueWatching } = useWatchProgress();
+
+    if (!user || continueWatching.length === 0) {
+        return null;
+    }
+
+    return (
+        <ScrollableMovieSection title="Continue Watching">
+            {continueWatching.map((show) => {
+                const next = show.next_episode;
+
+                // Build full poster URL from TMDB image path
+                const posterUrl = show.poster_path
+                    ? `https://image.tmdb.org/t/p/w780${show.poster_path}`
+                    : '/movie_placeholder.png'; // Fallback if no poster
+
+                return (
+                    <MovieTVCard
+                        key={show.show_id}
+                        id={show.show_id}
+                        title={show.name}
+                        caption={`Next: S${next.season_number} E${next.episode_number}`}
+                        rating={show.vote_average?.toFixed(1) || 'N/A'}
+                        posterUrl={posterUrl}
+                        mediaType="tv"
+                    />
+                );
+            })}
+        </ScrollableMovieSection>
+    );
+};
+
+export default ContinueWatching;
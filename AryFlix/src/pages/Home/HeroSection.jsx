@@ -1,7 +1,7 @@
 // Import React hooks for state management and side effects
 import { useState, useEffect } from 'react';
 import { useNavigate } from 'react-router-dom';
-import { API_URL } from '../../api';
+import { apiFetch } from '../../api';
 import LoadingSpinner from '../../components/LoadingSpinner';
 
 // Hero Section Component
@@ -25,8 +25,8 @@ const HeroSection = () => {
       
       // Fetch trending movies and TV shows simultaneously
       const [moviesResponse, tvResponse] = await Promise.all([
-        fetch(`${API_URL}/api/movies/trending`),
-        fetch(`${API_URL}/api/tv/trending`)
+        apiFetch(`/api/movies/trending`),
+        apiFetch(`/api/tv/trending`)
       ]);
 
       if (!moviesResponse.ok || !tvResponse.ok) {
@@ -1,4 +1,7 @@
 import HeroSection from "./HeroSection";
+import ContinueWatching from "./ContinueWatching";
+import RecommendedForYou from "./RecommendedForYou";
+import OnYourServices from "./OnYourServices";
 import NowPlayingTheatre from "./NowPlayingTheatre";
 import WatchAtHome from "./WatchAtHome";
 import ComingSoonTheatre from "./ComingSoonTheatre";
@@ -14,6 +17,15 @@ function Home() {
     <div>
       {/* Hero Section - Trending movies and TV shows carousel */}
       <HeroSection />
+
+      {/* Continue Watching Section - Next episode of shows the user is part way through (logged in only) */}
+      <ContinueWatching />
+
+      {/* Recommended for You Section - Picks based on the user's ratings and watchlist (logged in only) */}
+      <RecommendedForYou />
+
+      {/* On Your Services Section - Watchlist titles streaming on the user's services (logged in only) */}
+      <OnYourServices />
       
       {/* Now Playing in Theatres Section - Movies currently in cinemas with ticket booking */}
       <NowPlayingTheatre />
@@ -2,9 +2,12 @@ import React, { useState, useEffect } from 'react';
 import MovieTVCard from '../../components/MovieTVCard';
 import ScrollableMovieSection from '../../components/ScrollableMovieSection';
 import LoadingSpinner from '../../components/LoadingSpinner';
-import { API_URL } from '../../api';
+import { apiFetch } from '../../api';
+import { useLocale } from '../../contexts/LocaleContext';
 
 const NowPlayingTheatre = () => {
+    // What's in theatres depends on the region picked in the navbar
+    const { region } = useLocale();
     // State to store the list of now playing movies from TMDB API
     const [nowPlayingMovies, setNowPlayingMovies] = useState([]);
     // State to track if data is still loading from the API
@@ -19,7 +22,7 @@ const NowPlayingTheatre = () => {
             setError(null);
             
             // Make API request to our backend endpoint for now playing movies
-            const response = await fetch(`${API_URL}/api/movies/now-playing`);
+            const response = await apiFetch(`/api/movies/now-playing`);
             
             // Check if the HTTP request was successful
             if (!response.ok) {
@@ -46,10 +49,10 @@ const NowPlayingTheatre = () => {
         }
     };
 
-    // useEffect hook to fetch data when component mounts
+    // useEffect hook to fetch data when component mounts (and again for a new region)
     useEffect(() => {
         fetchNowPlayingMovies();
-    }, []);
+    }, [region]);
 
     // Loading state
     if (loading) {
@@ -0,0 +1,54 @@
+import React, { useState, useEffect } from 'react';
+import MovieTVCard from '../../components/MovieTVCard';
+import ScrollableMovieSection from '../../components/ScrollableMovieSection';
+import { useStreamingServices } from '../../contexts/StreamingServicesContext';
+import { authFetch } from '../../api';
+
+// "On Your Services" row - watchlist titles the user can watch right now on the services they pay for
+// Only shown to logged-in users who picked their services and have something on them
+const OnYourServices = () => {
+    const { user, services, hasServices } = useStreamingServices();
+    const [titles, setTitles] = useState([]);
+
+    useEffect(() => {
+        if (!user || !hasServices) {
+            setTitles([]);
+            return;
+        }
+
+        const fetchTitles = async () => {
+            try {
+                const data = await authFetch('/api/services/watchlist');
+                setTitles(data.data);
+            } catch (err) {
+                // Not worth an error box on the home page - the row just stays hidden
+                console.error('Error fetching watchlist on services:', err);
+                setTitles([]);
+            }
+        };
+
+        fetchTitles();
+    }, [user, hasServices, services]);
+
+    if (!user || titles.length === 0) {
+        return null;
+    }
+
+    return (
+        <ScrollableMovieSection title="On Your Services">
+            {titles.map(item => (
+                <MovieTVCard
+                    key={item.media_type + '-' + item.id}
+                    id={item.id}
+                    title={item.title}
+                    caption={`On ${item.providers.map(provider => provider.provider_name).join(', ')}`}
+                    rating={item.vote_average?.toFixed(1) || 'N/A'}
+                    posterUrl={item.poster_path ? `https://image.tmdb.org/t/p/w780${item.poster_path}` : '/movie_placeholder.png'}
+                    mediaType={item.media_type}
+                />
+            ))}
+        </ScrollableMovieSection>
+    );
+};
+
+export default OnYourServices;
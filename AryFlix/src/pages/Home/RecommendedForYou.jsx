@@ -0,0 +1,62 @@
+import React, { useState, useEffect } from 'react';
+import MovieTVCard from '../../components/MovieTVCard';
+import ScrollableMovieSection from '../../components/ScrollableMovieSection';
+import { useWatchlist } from '../../contexts/WatchlistContext';
+import { authFetch } from '../../api';
+
+// Why a title was picked - "Because you rated Parasite" / "Because you saved Severance"
+const getReasonText = (because) => {
+    if (!because?.title) return 'Picked for you';
+    return because.reason === 'rated'
+        ? `Because you rated ${because.title}`
+        : `Because you saved ${because.title}`;
+};
+
+// "Recommended for You" row - titles picked from the user's ratings and watchlist
+// Only shown to logged-in users once there's something to recommend
+const RecommendedForYou = () => {
+    const { user } = useWatchlist();
+    const [recommendations, setRecommendations] = useState([]);
+
+    useEffect(() => {
+        if (!user) {
+            setRecommendations([]);
+            return;
+        }
+
+        const fetchRecommendations = async () => {
+            try {
+                const data = await authFetch('/api/recommendations');
+                setRecommendations(data.data);
+            } catch (err) {
+                // Not worth an error box on the home page - the row just stays hidden
+                console.error('Error fetching recommendations:', err);
+                setRecommendations([]);
+            }
+        };
+
+        fetchRecommendations();
+    }, [user]);
+
+    if (!user || recommendations.length === 0) {
+        return null;
+    }
+
+    return (
+        <ScrollableMovieSection title="Recommended for You">
+            {recommendations.map(item => (
+                <MovieTVCard
+                    key={item.media_type + '-' + item.id}
+                    id={item.id}
+                    title={item.title}
+                    caption={getReasonText(item.because)}
+                    rating={item.vote_average?.toFixed(1) || 'N/A'}
+                    posterUrl={item.poster_path ? `https://image.tmdb.org/t/p/w780${item.poster_path}` : '/movie_placeholder.png'}
+                    mediaType={item.media_type}
+                />
+            ))}
+        </ScrollableMovieSection>
+    );
+};
+
+export default RecommendedForYou;
@@ -1,31 +1,54 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useCallback } from 'react';
 import MovieTVCard from '../../components/MovieTVCard';
 import ScrollableMovieSection from '../../components/ScrollableMovieSection';
 import LoadingSpinner from '../../components/LoadingSpinner';
-import { API_URL } from '../../api';
+import { apiFetch } from '../../api';
+import { useLocale } from '../../contexts/LocaleContext';
+
+// Movies / TV toggle under the platform tabs - remembered per platform
+const MEDIA_TYPE_OPTIONS = [
+    { value: 'all', label: 'All' },
+    { value: 'movie', label: 'Movies' },
+    { value: 'tv', label: 'TV Shows' }
+];
+
+// Popular titles, or what changed on the platform lately (daily catalog snapshots on the backend)
+const VIEW_OPTIONS = [
+    { value: 'popular', label: 'Popular' },
+    { value: 'added', label: 'New This Week' },
+    { value: 'removed', label: 'Just Left' }
+];
+
+// '2026-10-17T06:00:00Z' → 'Oct 17'
+const formatChangeDate = (timestamp) => new Date(timestamp).toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
+
+// Content is stored per platform AND media type ("netflix:tv")
+const getContentKey = (platform, mediaType) => `${platform}:${mediaType}`;
 
 const StreamingPlatforms = () => {
+    // Which platforms there are (and what they carry) depends on the region picked in the navbar
+    const { region } = useLocale();
+    // Platforms streaming in the user's region - comes from the backend registry (streamingPlatforms.js)
+    // [{ key, name, color, logo_url }]
+    const [platforms, setPlatforms] = useState([]);
     // State for the currently active platform tab
-    const [activeTab, setActiveTab] = useState('netflix');
-    // State to store content for each platform
+    const [activeTab, setActiveTab] = useState(null);
+    // Movies / TV / All per platform - { netflix: 'tv' }
+    const [mediaTypes, setMediaTypes] = useState({});
+    // Popular / New This Week / Just Left (same for every platform)
+    const [view, setView] = useState('popular');
+    // State to store content for each platform + media type - { 'netflix:all': { items, page, hasMore } }
     const [platformContent, setPlatformContent] = useState({});
-    // State to track loading status for each platform
+    // State to track loading status for each platform + media type
     const [loading, setLoading] = useState({});
     // State to handle any errors that occur during data fetching
     const [errors, setErrors] = useState({});
-    // State to store streaming provider logos from TMDB
-    const [platformLogos, setPlatformLogos] = useState({});
-
-    // Platform configuration - UNIFORM COLORS
-    const platforms = {
-        netflix: { name: 'Netflix' },
-        prime: { name: 'Prime Video' },
-        disney: { name: 'Disney+' },
-        max: { name: 'Max' },
-        appletv: { name: 'Apple TV+' }
-    };
+    // Catalog changes per platform - { netflix: { tracked, added, removed, ... } } + their loading / errors
+    const [catalogChanges, setCatalogChanges] = useState({});
+    const [changesLoading, setChangesLoading] = useState({});
+    const [changesErrors, setChangesErrors] = useState({});
 
-    // Single color scheme for all platforms
+    // Single color scheme for all platforms (the brand color is the strip under each tab)
     const getButtonStyles = (isActive) => {
         if (isActive) {
             return 'bg-[#E91E63] hover:bg-[#F06292] shadow-lg ring-1 ring-white/25 transform translate-y-[-1px]';
@@ -33,207 +56,345 @@ const StreamingPlatforms = () => {
         return 'bg-gray-700 hover:bg-gray-600';
     };
 
-    // Function to fetch streaming provider logos from TMDB
-    const fetchProviderLogos = async () => {
+    // Fetch the platforms (names, logos, brand colors) when component mounts
+    // and start over whenever the region changes
+    useEffect(() => {
+        let cancelled = false;
+
+        setActiveTab(null);
+        setPlatformContent({});
+        setLoading({});
+        setErrors({});
+        setCatalogChanges({});
+        setChangesLoading({});
+        setChangesErrors({});
+
+        const fetchPlatforms = async () => {
+            try {
+                console.log('🎯 Fetching streaming platforms...');
+                const response = await apiFetch('/api/streaming/platforms');
+
+                if (!response.ok) {
+                    throw new Error(`HTTP error! status: ${response.status}`);
+                }
+
+                const data = await response.json();
+
+                if (cancelled) return;
+
+                if (data.success) {
+                    setPlatforms(data.data);
+                    setActiveTab(data.data[0]?.key || null);
+                    console.log('✅ Streaming platforms loaded:', data.data.map(platform => platform.key));
+                } else {
+                    console.error('❌ API returned success: false', data);
+                }
+            } catch (err) {
+                console.error('💥 Error fetching streaming platforms:', err);
+            }
+        };
+
+        fetchPlatforms();
+        return () => { cancelled = true; };
+    }, [region]);
+
+    const getPlatformName = useCallback((platform) => (
+        platforms.find(option => option.key === platform)?.name || platform
+    ), [platforms]);
+
+    // Function to fetch one page of content for a platform + media type
+    // Page 1 replaces what's there, later pages ("Load more") are appended
+    const fetchPlatformContent = useCallback(async (platform, mediaType, page = 1) => {
+        const contentKey = getContentKey(platform, mediaType);
+
         try {
-            console.log('🎯 Fetching provider logos...');
-            const response = await fetch('${API_URL}/api/streaming/logos');
-            
-            console.log('🔍 Response status:', response.status);
-            
+            setLoading(prev => ({ ...prev, [contentKey]: true }));
+            setErrors(prev => ({ ...prev, [contentKey]: null }));
+
+            console.log(`🎬 Fetching ${getPlatformName(platform)} content (${mediaType}, page ${page})...`);
+
+            // Make API request to our backend endpoint
+            const response = await apiFetch(`/api/streaming/${platform}?type=${mediaType}&page=${page}`);
+
             if (!response.ok) {
                 throw new Error(`HTTP error! status: ${response.status}`);
             }
-            
+
             const data = await response.json();
-            console.log('📦 Raw response:', data);
-            
-            if (data.success) {
-                setPlatformLogos(data.data);
-                console.log('✅ Provider logos loaded:', data.data);
-            } else {
-                console.error('❌ API returned success: false', data);
+
+            if (!data.success) {
+                throw new Error('API returned unsuccessful response');
             }
-        } catch (err) {
-            console.error('💥 Error fetching provider logos:', err);
-            // Continue without logos if fetch fails
-        }
-    };
 
-    // Fetch logos when component mounts
-    useEffect(() => {
-        fetchProviderLogos();
-    }, []);
+            // Store content in state - skip titles an earlier page already had
+            setPlatformContent(prev => {
+                const previousItems = page > 1 ? prev[contentKey]?.items || [] : [];
+                const seen = new Set(previousItems.map(item => `${item.media_type}-${item.id}`));
+                const newItems = data.data.filter(item => !seen.has(`${item.media_type}-${item.id}`));
+
+                return {
+                    ...prev,
+                    [contentKey]: { items: [...previousItems, ...newItems], page: data.page, hasMore: data.hasMore }
+                };
+            });
 
-    // Function to fetch content for a specific platform
-    const fetchPlatformContent = async (platform) => {
-        // Skip if we already have content for this platform
-        if (platformContent[platform]) return;
+            console.log(`✅ ${getPlatformName(platform)}: ${data.data.length} items loaded`);
+
+        } catch (err) {
+            console.error(`Error fetching ${platform} content:`, err);
+            setErrors(prev => ({
+                ...prev,
+                [contentKey]: `Failed to load ${getPlatformName(platform)} content: ${err.message}`
+            }));
+        } finally {
+            setLoading(prev => ({ ...prev, [contentKey]: false }));
+        }
+    }, [getPlatformName]);
 
+    // Function to fetch what arrived on / left a platform this week
+    const fetchCatalogChanges = useCallback(async (platform) => {
         try {
-            setLoading(prev => ({ ...prev, [platform]: true }));
-            setErrors(prev => ({ ...prev, [platform]: null }));
+            setChangesLoading(prev => ({ ...prev, [platform]: true }));
+            setChangesErrors(prev => ({ ...prev, [platform]: null }));
 
-            console.log(`🎬 Fetching ${platforms[platform].name} content...`);
+            const response = await apiFetch(`/api/streaming/${platform}/changes?days=7`);
 
-            // Make API request to our backend endpoint
-            const response = await fetch(`${API_URL}/api/streaming/${platform}`);
-            
             if (!response.ok) {
                 throw new Error(`HTTP error! status: ${response.status}`);
             }
-            
+
             const data = await response.json();
-            
+
             if (!data.success) {
                 throw new Error('API returned unsuccessful response');
             }
-            
-            // Store content in state
-            setPlatformContent(prev => ({
-                ...prev,
-                [platform]: data.data.slice(0, 30) // Limit to 20 items
-            }));
 
-            console.log(`✅ ${platforms[platform].name}: ${data.data.length} items loaded`);
-            
+            setCatalogChanges(prev => ({ ...prev, [platform]: data.data }));
+            console.log(`🗂️ ${getPlatformName(platform)}: ${data.data.added.length} new, ${data.data.removed.length} gone this week`);
+
         } catch (err) {
-            console.error(`Error fetching ${platform} content:`, err);
-            setErrors(prev => ({
+            console.error(`Error fetching ${platform} catalog changes:`, err);
+            setChangesErrors(prev => ({
                 ...prev,
-                [platform]: `Failed to load ${platforms[platform].name} content: ${err.message}`
+                [platform]: `Failed to load ${getPlatformName(platform)} changes: ${err.message}`
             }));
         } finally {
-            setLoading(prev => ({ ...prev, [platform]: false }));
+            setChangesLoading(prev => ({ ...prev, [platform]: false }));
         }
-    };
+    }, [getPlatformName]);
+
+    const activeMediaType = (activeTab && mediaTypes[activeTab]) || 'all';
+    const activeKey = activeTab ? getContentKey(activeTab, activeMediaType) : null;
 
-    // Fetch content for ALL platforms when component mounts
+    // Load the active tab the first time it's shown (each platform + media type once)
     useEffect(() => {
-        // Pre-load all platform content to avoid loading states
-        Object.keys(platforms).forEach(platform => {
-            fetchPlatformContent(platform);
-        });
-    }, []);
+        if (view !== 'popular' || !activeTab || platformContent[activeKey] || loading[activeKey] || errors[activeKey]) return;
+        fetchPlatformContent(activeTab, activeMediaType);
+    }, [view, activeTab, activeMediaType, activeKey, platformContent, loading, errors, fetchPlatformContent]);
+
+    // Same for the catalog changes (one request per platform covers both tabs and every media type)
+    useEffect(() => {
+        if (view === 'popular' || !activeTab || catalogChanges[activeTab] || changesLoading[activeTab] || changesErrors[activeTab]) return;
+        fetchCatalogChanges(activeTab);
+    }, [view, activeTab, catalogChanges, changesLoading, changesErrors, fetchCatalogChanges]);
 
     // Function to handle tab switching
     const handleTabChange = (platform) => {
         setActiveTab(platform);
     };
 
+    // Function to switch the active platform between All / Movies / TV Shows
+    const handleMediaTypeChange = (mediaType) => {
+        setMediaTypes(prev => ({ ...prev, [activeTab]: mediaType }));
+    };
+
+    // Function to load the next page for the active platform
+    const loadMore = () => {
+        fetchPlatformContent(activeTab, activeMediaType, (platformContent[activeKey]?.page || 0) + 1);
+    };
+
     // Function to retry loading content for a platform
-    const retryLoad = (platform) => {
+    const retryLoad = () => {
+        if (view !== 'popular') {
+            setChangesErrors(prev => ({ ...prev, [activeTab]: null }));
+            return;
+        }
+
         // Clear existing content and error, then fetch again
         setPlatformContent(prev => {
             const newContent = { ...prev };
-            delete newContent[platform];
+            delete newContent[activeKey];
             return newContent;
         });
-        setErrors(prev => ({ ...prev, [platform]: null }));
-        fetchPlatformContent(platform);
+        setErrors(prev => ({ ...prev, [activeKey]: null }));
     };
 
+    // Nothing to show until the platforms for the region are in
+    if (platforms.length === 0) {
+        return null;
+    }
+
     // Get current platform's content
-    const currentContent = platformContent[activeTab] || [];
-    const isLoading = loading[activeTab];
-    const error = errors[activeTab];
+    const activePlatform = platforms.find(platform => platform.key === activeTab);
+    const current = platformContent[activeKey];
+    const currentContent = current?.items || [];
+    const isLoading = loading[activeKey];
+    const error = view === 'popular' ? errors[activeKey] : changesErrors[activeTab];
+
+    // This week's arrivals / departures for the active platform, narrowed to the media type
+    const changes = catalogChanges[activeTab];
+    const changedItems = (changes?.[view] || [])
+        .filter(item => activeMediaType === 'all' || item.media_type === activeMediaType);
+    const platformName = activePlatform?.name || activeTab;
+
+    // One card - movies and TV shows both come through here
+    const renderCard = (item, caption = null) => {
+        const isMovie = item.media_type === 'movie';
+        const title = isMovie ? item.title : (item.name || item.title);
+        const releaseDate = isMovie ? item.release_date : (item.first_air_date || item.release_date);
+        const year = releaseDate ? new Date(releaseDate).getFullYear() : 'N/A';
+
+        // Build poster URL
+        const posterUrl = item.poster_path
+            ? `https://image.tmdb.org/t/p/w780${item.poster_path}`
+            : '/movie_placeholder.png';
 
-    // Loading state
-    if (isLoading) {
         return (
-            <div className="py-6">
-                <h2 className="text-2xl font-bold text-white mb-4">Explore What's Streaming</h2>
-                <div className="flex justify-center">
-                    <LoadingSpinner />
-                </div>
-            </div>
+            <MovieTVCard
+                key={`${item.media_type}-${item.id}`}
+                id={item.id}
+                title={title}
+                year={year}
+                rating={item.vote_average?.toFixed(1) || 'N/A'}
+                posterUrl={posterUrl}
+                showGetTickets={false}
+                mediaType={item.media_type}
+                caption={caption}
+            />
         );
-    }
+    };
 
-    // Error state
-    if (error) {
-        return (
-            <div className="py-6">
-                <h2 className="text-2xl font-bold text-white mb-4">Explore What's Streaming</h2>
-                <div className="text-center bg-gray-800 rounded-lg p-8">
+    return (
+        <div className="py-6">
+            {/* Section Title */}
+            <h2 className="text-2xl font-bold text-white mb-4">Explore What's Streaming</h2>
+
+            {/* Platform Tabs */}
+            <div className="flex flex-wrap gap-2 mb-3">
+                {platforms.map((platform) => (
+                    <button
+                        key={platform.key}
+                        onClick={() => handleTabChange(platform.key)}
+                        style={{ boxShadow: `inset 0 -3px 0 ${platform.color}` }}
+                        className={`
+                            px-4 py-2 rounded-lg font-medium text-white transition-all duration-200 cursor-pointer
+                            flex items-center gap-2
+                            ${getButtonStyles(activeTab === platform.key)}
+                        `}
+                    >
+                        {platform.logo_url ? (
+                            <img
+                                src={platform.logo_url}
+                                alt={`${platform.name} logo`}
+                                className="w-8 h-8 object-contain"
+                                onError={(e) => {
+                                    e.target.style.display = 'none';
+                                }}
+                            />
+                        ) : null}
+                        {platform.name}
+                    </button>
+                ))}
+            </div>
+
+            {/* Popular / New This Week / Just Left + Movies / TV toggle for the active platform */}
+            <div className="flex flex-wrap items-center gap-1 mb-2">
+                {VIEW_OPTIONS.map(option => (
+                    <button
+                        key={option.value}
+                        onClick={() => setView(option.value)}
+                        className={`px-3 py-1 rounded-full text-sm font-semibold transition-colors cursor-pointer ${
+                            view === option.value
+                                ? 'bg-[#E91E63] text-white'
+                                : 'text-gray-300 hover:text-white hover:bg-gray-700'
+                        }`}
+                    >
+                        {option.label}
+                    </button>
+                ))}
+                <span className="w-px h-5 bg-gray-600 mx-2" />
+                {MEDIA_TYPE_OPTIONS.map(option => (
+                    <button
+                        key={option.value}
+                        onClick={() => handleMediaTypeChange(option.value)}
+                        className={`px-3 py-1 rounded-full text-sm font-semibold transition-colors cursor-pointer ${
+                            activeMediaType === option.value
+                                ? 'bg-white text-black'
+                                : 'text-gray-300 hover:text-white hover:bg-gray-700'
+                        }`}
+                    >
+                        {option.label}
+                    </button>
+                ))}
+            </div>
+
+            {error ? (
+                // Error state
+                <div className="text-center bg-gray-800 rounded-lg p-8 mt-4">
                     <div className="text-red-500 text-lg mb-4">{error}</div>
-                    <button 
-                        onClick={() => retryLoad(activeTab)}
+                    <button
+                        onClick={retryLoad}
                         className="bg-blue-600 hover:bg-blue-700 text-white px-6 py-2 rounded-lg transition-colors"
                     >
                         Try Again
                     </button>
                 </div>
-            </div>
-        );
-    }
+            ) : view !== 'popular' ? (
+                // Catalog changes
+                !changes ? (
+                    <div className="flex justify-center py-8">
+                        <LoadingSpinner />
+                    </div>
+                ) : !changes.tracked ? (
+                    <div className="text-gray-400 text-sm py-8">
+                        {platformName}'s catalog isn't tracked for your region yet - check back after the next daily snapshot.
+                    </div>
+                ) : changedItems.length === 0 ? (
+                    <div className="text-gray-400 text-sm py-8">
+                        {view === 'added' ? `Nothing new on ${platformName} this week.` : `Nothing left ${platformName} this week.`}
+                    </div>
+                ) : (
+                    <ScrollableMovieSection title={view === 'added' ? `New on ${platformName} This Week` : `No Longer on ${platformName}`}>
+                        {changedItems.map(item => renderCard(
+                            item,
+                            `${view === 'added' ? 'Added' : 'Left'} ${formatChangeDate(item.detected_at)}`
+                        ))}
+                    </ScrollableMovieSection>
+                )
+            ) : !current ? (
+                // Loading state (first page)
+                <div className="flex justify-center py-8">
+                    <LoadingSpinner />
+                </div>
+            ) : (
+                /* Platform Content using ScrollableMovieSection */
+                <ScrollableMovieSection title={activePlatform?.name}>
+                    {currentContent.map(item => renderCard(item))}
 
-    return (
-        <div className="py-6">
-            {/* Section Title */}
-            <h2 className="text-2xl font-bold text-white mb-4">Explore What's Streaming</h2>
-            
-            {/* Platform Tabs */}
-            <div className="flex flex-wrap gap-2 mb-2">
-                {Object.entries(platforms).map(([key, platform]) => {
-                    const logoData = platformLogos[key];
-                    
-                    return (
+                    {/* Next page at the end of the row */}
+                    {current.hasMore && (
                         <button
-                            key={key}
-                            onClick={() => handleTabChange(key)}
-                            className={`
-                                px-4 py-2 rounded-lg font-medium text-white transition-all duration-200 cursor-pointer
-                                flex items-center gap-2 
-                                ${getButtonStyles(activeTab === key)}
-                            `}
+                            onClick={loadMore}
+                            disabled={isLoading}
+                            className="flex-shrink-0 self-center bg-gray-700 hover:bg-gray-600 text-white font-semibold px-5 py-3 rounded-lg transition-colors cursor-pointer disabled:opacity-50"
                         >
-                            {logoData && logoData.logo_url ? (
-                                <img 
-                                    src={logoData.logo_url} 
-                                    alt={`${platform.name} logo`}
-                                    className="w-8 h-8 object-contain"
-                                    onError={(e) => {
-                                        e.target.style.display = 'none';
-                                    }}
-                                />
-                            ) : null}
-                            {platform.name}
+                            {isLoading ? 'Loading...' : 'Load more'}
                         </button>
-                    );
-                })}
-            </div>
-
-            {/* Platform Content using ScrollableMovieSection */}
-            <ScrollableMovieSection title={platforms[activeTab].name}>
-                {currentContent.map((item) => {
-                    // Handle both movies and TV shows
-                    const isMovie = item.media_type === 'movie';
-                    const title = isMovie ? item.title : item.name;
-                    const releaseDate = isMovie ? item.release_date : item.first_air_date;
-                    const year = releaseDate ? new Date(releaseDate).getFullYear() : 'N/A';
-                    
-                    // Build poster URL
-                    const posterUrl = item.poster_path 
-                        ? `https://image.tmdb.org/t/p/w780${item.poster_path}`
-                        : '/movie_placeholder.png';
-
-                    return (
-                        <MovieTVCard
-                            key={`${item.media_type}-${item.id}`}
-                            id={item.id}
-                            title={title}
-                            year={year}
-                            rating={item.vote_average?.toFixed(1) || 'N/A'}
-                            posterUrl={posterUrl}
-                            showGetTickets={false}
-                            mediaType={item.media_type}
-                        />
-                    );
-                })}
-            </ScrollableMovieSection>
+                    )}
+                </ScrollableMovieSection>
+            )}
         </div>
     );
 };
 
-export default StreamingPlatforms; 
\ No newline at end of file
+export default StreamingPlatforms;
@@ -2,7 +2,7 @@ import React, { useState, useEffect } from 'react';
 import MovieTVCard from '../../components/MovieTVCard';
 import ScrollableMovieSection from '../../components/ScrollableMovieSection';
 import LoadingSpinner from '../../components/LoadingSpinner';
-import { API_URL } from '../../api';
+import { apiFetch } from '../../api';
 
 const UpcomingShows = () => {
     // State to store the list of upcoming TV shows from TMDB API
@@ -19,7 +19,7 @@ const UpcomingShows = () => {
             setError(null);
             
             // Make API request to our backend endpoint for upcoming TV shows
-            const response = await fetch(`${API_URL}/api/tv/upcoming`);
+            const response = await apiFetch(`/api/tv/upcoming`);
             
             // Check if the HTTP request was successful
             if (!response.ok) {
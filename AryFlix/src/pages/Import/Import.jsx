@@ -0,0 +1,378 @@
+import React, { useState } from 'react';
+import { Link } from 'react-router-dom';
+import LoadingSpinner from '../../components/LoadingSpinner';
+import { useRating } from '../../contexts/RatingContext';
+import usePageTitle from '../../hooks/usePageTitle';
+import { authFetch, authDownload } from '../../api';
+import { getTitlePath } from '../../mediaIdentity';
+
+// Report tabs - one per row status the backend sends back
+const STATUS_TABS = [
+  { id: 'ambiguous', name: 'Needs a pick' },
+  { id: 'unmatched', name: 'Not found' },
+  { id: 'matched', name: 'Matched' },
+  { id: 'invalid', name: "Can't import" }
+];
+
+// What a row turns into on AryFlix
+const KIND_LABELS = {
+  ratings: 'Rating',
+  watchlist: 'Watchlist',
+  diary: 'Diary'
+};
+
+function Import() {
+  const { user } = useRating();
+  const [files, setFiles] = useState([]);           // [{ name, content }]
+  const [report, setReport] = useState(null);       // Dry run report from the backend
+  const [resolutions, setResolutions] = useState({}); // row key → { media_type, media_id } or null (skip)
+  const [activeTab, setActiveTab] = useState('ambiguous');
+  const [working, setWorking] = useState(false);
+  const [error, setError] = useState(null);
+  const [imported, setImported] = useState(null);
+  const [exporting, setExporting] = useState(false);
+  const [exportError, setExportError] = useState(null);
+
+  usePageTitle('Import / Export');
+
+  // ==========================================
+  // FILES
+  // ==========================================
+  const handleFilesChosen = async (event) => {
+    const chosen = Array.from(event.target.files || []);
+    const read = await Promise.all(chosen.map(async (file) => ({
+      name: file.name,
+      content: await file.text()
+    })));
+
+    setFiles(read);
+    setReport(null);
+    setResolutions({});
+    setImported(null);
+    setError(null);
+  };
+
+  // ==========================================
+  // PREVIEW + IMPORT
+  // ==========================================
+  const sendImport = async (dryRun) => {
+    setWorking(true);
+    setError(null);
+
+    try {
+      const data = await authFetch('/api/import', {
+        method: 'POST',
+        body: JSON.stringify({ files, dry_run: dryRun, resolutions })
+      });
+
+      if (dryRun) {
+        setReport(data.data);
+        setResolutions({});
+        // Open the first tab that has something in it
+        const firstTab = STATUS_TABS.find(tab => data.data.summary[tab.id] > 0);
+        setActiveTab(firstTab ? firstTab.id : 'matched');
+      } else {
+        setImported(data.data.imported);
+        setReport(null);
+        setFiles([]);
+      }
+    } catch (err) {
+      console.error('Error importing files:', err);
+      setError(err.status === 400 ? err.message : 'Import failed. Please try again.');
+    } finally {
+      setWorking(false);
+    }
+  };
+
+  // ==========================================
+  // EXPORT
+  // ==========================================
+  const handleExport = async () => {
+    setExporting(true);
+    setExportError(null);
+
+    try {
+      await authDownload('/api/export', 'aryflix-export.zip');
+    } catch (err) {
+      console.error('Error exporting data:', err);
+      setExportError('Export failed. Please try again.');
+    } finally {
+      setExporting(false);
+    }
+  };
+
+  // Pick a title for a row, or skip it (null) - clicking the current choice undoes it
+  const chooseForRow = (rowKey, choice) => {
+    setResolutions(prev => {
+      const next = { ...prev };
+      const current = prev[rowKey];
+      const same = current === choice ||
+        (current && choice && current.media_type === choice.media_type && current.media_id === choice.media_id);
+
+      if (same) {
+        delete next[rowKey];
+      } else {
+        next[rowKey] = choice;
+      }
+      return next;
+    });
+  };
+
+  // How many rows will be saved: matched rows not skipped + rows given a title
+  const getImportCount = () => {
+    if (!report) return 0;
+    return report.rows.filter(row => {
+      const choice = resolutions[row.key];
+      if (row.status === 'matched') return choice !== null;
+      return !!choice && row.status !== 'invalid';
+    }).length;
+  };
+
+  // Show login prompt if not authenticated
+  if (!user) {
+    return (
+      <div className="flex flex-col items-center justify-center min-h-[70vh]">
+        <div className="w-full max-w-4xl p-6">
+          <h1 className="text-3xl font-bold mb-6 text-white">Import / Export</h1>
+          <div className="text-center py-16 bg-gray-800 rounded-lg">
+            <h2 className="text-xl font-semibold mb-4 text-white">Sign in to import or export your ratings</h2>
+            <p className="text-gray-400 mb-6">
+              Bring your ratings, watchlist and diary over from Letterboxd or IMDb.
+            </p>
+            <Link
+              to="/login"
+              className="bg-[#E91E63] hover:bg-[#F06292] text-white px-6 py-2 rounded-lg transition-colors"
+            >
+              Sign In
+            </Link>
+          </div>
+        </div>
+      </div>
+    );
+  }
+
+  const visibleRows = report ? report.rows.filter(row => row.status === activeTab) : [];
+  const importCount = getImportCount();
+
+  return (
+    <div className="min-h-screen bg-black pt-20 pb-8">
+      <div className="max-w-6xl mx-auto px-4">
+        <h1 className="text-4xl font-bold mb-2 text-white">Import from Letterboxd or IMDb</h1>
+        <p className="text-gray-400 mb-8">
+          Letterboxd: Settings → Import & Export → Export your data, then pick <span className="text-white">ratings.csv</span>,{' '}
+          <span className="text-white">watchlist.csv</span> and/or <span className="text-white">diary.csv</span> (keep
+          the file names - the watchlist is told apart from watched.csv by its name).
+          IMDb: export your Ratings or Watchlist list as CSV. Half stars become whole points (3.5 stars → 7/10).
+        </p>
+
+        {/* File picker + preview */}
+        <div className="bg-[#1c1c1f] rounded-lg p-6 mb-8">
+          <input
+            type="file"
+            accept=".csv,text/csv"
+            multiple
+            onChange={handleFilesChosen}
+            className="block w-full text-sm text-gray-300 file:mr-4 file:py-2 file:px-4 file:rounded-lg file:border-0 file:font-semibold file:bg-[#393841] file:text-white hover:file:bg-[#4a4a52] file:cursor-pointer"
+          />
+          {files.length > 0 && (
+            <button
+              onClick={() => sendImport(true)}
+              disabled={working}
+              className={`mt-4 px-6 py-2 rounded-lg font-bold text-sm transition-colors cursor-pointer ${
+                working ? 'bg-gray-500 cursor-not-allowed' : 'bg-[#E91E63] hover:bg-[#F06292] text-white'
+              }`}
+            >
+              {working && !report ? 'Matching titles...' : `Preview ${files.length} ${files.length === 1 ? 'file' : 'files'}`}
+            </button>
+          )}
+        </div>
+
+        {error && (
+          <div className="bg-red-600 text-white p-3 rounded-lg mb-6 text-center">{error}</div>
+        )}
+
+        {working && !report && (
+          <div className="flex flex-col items-center py-8">
+            <LoadingSpinner />
+            <p className="text-gray-400 mt-4">Matching every row to TMDB - big exports can take a minute...</p>
+          </div>
+        )}
+
+        {/* Done */}
+        {imported && (
+          <div className="bg-[#1c1c1f] rounded-lg p-6 mb-8">
+            <h2 className="text-xl font-bold text-white mb-2">Import complete</h2>
+            <p className="text-gray-300 mb-4">
+              {imported.ratings} ratings, {imported.watchlist} watchlist titles and {imported.diary} diary entries imported.
+            </p>
+            {imported.watchlist_skipped > 0 && (
+              <p className="text-yellow-400 mb-4">
+                {imported.watchlist_skipped} watchlist {imported.watchlist_skipped === 1 ? 'title was' : 'titles were'} skipped
+                - your watchlist is full. Remove some titles and import again to add the rest.
+              </p>
+            )}
+            <div className="flex gap-4">
+              <Link to="/ratings" className="text-[#E91E63] hover:text-[#F06292] font-semibold">My Ratings</Link>
+              <Link to="/watchlist" className="text-[#E91E63] hover:text-[#F06292] font-semibold">My Watchlist</Link>
+              <Link to="/diary" className="text-[#E91E63] hover:text-[#F06292] font-semibold">My Diary</Link>
+            </div>
+          </div>
+        )}
+
+        {/* Export */}
+        <div className="bg-[#1c1c1f] rounded-lg p-6 mb-8">
+          <h2 className="text-xl font-bold text-white mb-2">Export your data</h2>
+          <p className="text-gray-400 mb-4">
+            Download a zip with your watchlist, ratings, reviews, rating history, diary and watch progress as JSON,
+            plus your films as Letterboxd-compatible CSV files (with titles, years and IMDb ids).
+          </p>
+          <button
+            onClick={handleExport}
+            disabled={exporting}
+            className={`px-6 py-2 rounded-lg font-bold text-sm transition-colors cursor-pointer ${
+              exporting ? 'bg-gray-500 cursor-not-allowed' : 'bg-[#393841] hover:bg-[#4a4a52] text-white'
+            }`}
+          >
+            {exporting ? 'Preparing export...' : 'Download export (.zip)'}
+          </button>
+          {exportError && <p className="text-red-400 text-sm mt-3">{exportError}</p>}
+        </div>
+
+        {/* Dry run report */}
+        {report && (
+          <div>
+            {/* Files + summary */}
+            <div className="flex flex-wrap gap-3 mb-4 text-sm">
+              {report.files.map(file => (
+                <span key={file.name} className="bg-[#1c1c1f] text-gray-300 px-3 py-1.5 rounded-lg">
+                  <span className="text-white font-semibold">{file.name}</span> · {file.format} · {file.rows} rows
+                </span>
+              ))}
+            </div>
+
+            <div className="flex flex-wrap items-center justify-between gap-4 mb-6">
+              <div className="flex flex-wrap gap-2">
+                {STATUS_TABS.map(tab => (
+                  <button
+                    key={tab.id}
+                    onClick={() => setActiveTab(tab.id)}
+                    className={`px-4 py-1.5 rounded-lg text-sm font-semibold transition-colors cursor-pointer ${
+                      activeTab === tab.id
+                        ? 'bg-[#E91E63] text-white'
+                        : 'bg-[#1c1c1f] text-gray-300 hover:bg-[#393841]'
+                    }`}
+                  >
+                    {tab.name} ({report.summary[tab.id]})
+                  </button>
+                ))}
+              </div>
+              <button
+                onClick={() => sendImport(false)}
+                disabled={working || importCount === 0}
+                className={`px-6 py-2 rounded-lg font-bold text-sm transition-colors cursor-pointer ${
+                  working || importCount === 0
+                    ? 'bg-gray-500 cursor-not-allowed'
+                    : 'bg-[#E91E63] hover:bg-[#F06292] text-white'
+                }`}
+              >
+                {working ? 'Importing...' : `Import ${importCount} ${importCount === 1 ? 'row' : 'rows'}`}
+              </button>
+            </div>
+
+            {visibleRows.length === 0 ? (
+              <p className="text-gray-400">Nothing here.</p>
+            ) : (
+              <div className="bg-[#1c1c1f] rounded-lg divide-y divide-[#393841]">
+                {visibleRows.map(row => {
+                  const choice = resolutions[row.key];
+                  const skipped = choice === null;
+
+                  return (
+                    <div key={row.key} className={`px-4 py-3 ${skipped ? 'opacity-50' : ''}`}>
+                      {/* The row as it was in the CSV */}
+                      <div className="flex flex-wrap items-center gap-x-3 gap-y-1">
+                        <span className="text-white font-semibold">{row.title || 'Untitled'}</span>
+                        {row.year && <span className="text-gray-500 text-sm">{row.year}</span>}
+                        <span className="text-xs bg-[#393841] text-gray-300 px-2 py-0.5 rounded-full">
+                          {KIND_LABELS[row.kind]}
+                        </span>
+                        {row.rating && (
+                          <span className="flex items-center gap-1 text-sm">
+                            <img src="/star.png" alt="Rating" className="w-4 h-4" />
+                            <span className="text-yellow-400 font-semibold">{row.rating}/10</span>
+                          </span>
+                        )}
+                        <span className="text-gray-500 text-xs">{row.file}, row {row.key.split(':')[1]}</span>
+
+                        {/* Matched rows link to what they matched, and can be skipped */}
+                        {row.status === 'matched' && row.match && (
+                          <>
+                            <span className="text-gray-500">→</span>
+                            <Link
+                              to={getTitlePath(row.match.media_id, row.match.media_type)}
+                              className="text-[#F06292] hover:text-[#E91E63] text-sm font-semibold"
+                            >
+                              {row.match.title}{row.match.year ? ` (${row.match.year})` : ''}
+                            </Link>
+                          </>
+                        )}
+                        {row.status !== 'invalid' && (
+                          <button
+                            onClick={() => chooseForRow(row.key, null)}
+                            className="ml-auto text-sm text-gray-400 hover:text-white font-semibold cursor-pointer"
+                          >
+                            {skipped ? 'Undo skip' : 'Skip'}
+                          </button>
+                        )}
+                      </div>
+
+                      {row.reason && (
+                        <p className="text-gray-400 text-sm mt-1">{row.reason}</p>
+                      )}
+
+                      {/* Candidates to pick from */}
+                      {row.candidates.length > 0 && !skipped && (
+                        <div className="flex flex-wrap gap-2 mt-3">
+                          {row.candidates.map(candidate => {
+                            const picked = choice && choice.media_type === candidate.media_type && choice.media_id === candidate.media_id;
+
+                            return (
+                              <button
+                                key={`${candidate.media_type}-${candidate.media_id}`}
+                                onClick={() => chooseForRow(row.key, {
+                                  media_type: candidate.media_type,
+                                  media_id: candidate.media_id
+                                })}
+                                className={`flex items-center gap-2 pr-3 rounded-lg text-sm transition-colors cursor-pointer ${
+                                  picked ? 'bg-[#E91E63] text-white' : 'bg-[#393841] text-gray-300 hover:bg-[#4a4a52]'
+                                }`}
+                              >
+                                <img
+                                  src={candidate.poster_path
+                                    ? `https://image.tmdb.org/t/p/w92${candidate.poster_path}`
+                                    : '/movie_placeholder.png'}
+                                  alt=""
+                                  className="w-8 h-12 object-cover rounded-l-lg"
+                                />
+                                <span>
+                                  {candidate.title}{candidate.year ? ` (${candidate.year})` : ''}
+                                  <span className="text-xs opacity-70 ml-1">{candidate.media_type === 'tv' ? 'TV' : 'Movie'}</span>
+                                </span>
+                              </button>
+                            );
+                          })}
+                        </div>
+                      )}
+                    </div>
+                  );
+                })}
+              </div>
+            )}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default Import;
@@ -0,0 +1,404 @@
+import React, { useState, useEffect } from 'react';
+import { Link, useParams, useNavigate } from 'react-router-dom';
+import LoadingSpinner from '../../components/LoadingSpinner';
+import { useLists } from '../../contexts/ListsContext';
+import usePageTitle from '../../hooks/usePageTitle';
+import { getTitlePath } from '../../mediaIdentity';
+
+const MAX_DESCRIPTION_LENGTH = 1000; // Same limits as the backend
+const MAX_NAME_LENGTH = 100;
+const MAX_NOTE_LENGTH = 500;
+
+// One list at /lists/:id - read-only for visitors, editable + reorderable for the owner
+function ListDetail() {
+  const { id } = useParams();
+  const navigate = useNavigate();
+  const { getList, updateList, deleteList, removeFromList, updateListItem, reorderList } = useLists();
+  const [list, setList] = useState(null);
+  const [items, setItems] = useState([]);
+  const [loading, setLoading] = useState(true);
+
+  // Editing the list itself
+  const [isEditing, setIsEditing] = useState(false);
+  const [form, setForm] = useState({ name: '', description: '', is_public: false });
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  // Editing one item's note
+  const [editingNoteId, setEditingNoteId] = useState(null);
+  const [noteText, setNoteText] = useState('');
+
+  // Drag-to-reorder - the item being dragged + the order before the drag started
+  const [draggedId, setDraggedId] = useState(null);
+  const [orderBeforeDrag, setOrderBeforeDrag] = useState(null);
+
+  const [copied, setCopied] = useState(false);
+
+  usePageTitle(list ? list.name : 'List');
+
+  // ==========================================
+  // DATA FETCHING
+  // ==========================================
+  useEffect(() => {
+    const fetchList = async () => {
+      setLoading(true);
+      const data = await getList(id);
+      setList(data);
+      setItems(data ? data.items : []);
+      setLoading(false);
+    };
+    fetchList();
+  }, [id, getList]);
+
+  // ==========================================
+  // LIST ACTIONS (owner only)
+  // ==========================================
+  const startEditing = () => {
+    setForm({ name: list.name, description: list.description || '', is_public: list.is_public });
+    setError(null);
+    setIsEditing(true);
+  };
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+    if (!form.name.trim() || saving) return;
+
+    setSaving(true);
+    setError(null);
+
+    try {
+      const updated = await updateList(list.id, form);
+      setList(prev => ({ ...prev, ...updated }));
+      setIsEditing(false);
+    } catch (err) {
+      console.error('Error updating list:', err);
+      setError(err.status === 400 ? err.message : 'Failed to save the list. Please try again.');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDelete = async () => {
+    if (!window.confirm(`Delete "${list.name}"? This can't be undone.`)) return;
+
+    const deleted = await deleteList(list.id);
+    if (deleted) {
+      navigate('/lists');
+    } else {
+      setError('Failed to delete the list. Please try again.');
+    }
+  };
+
+  // Copy the link to this page
+  const handleShare = async () => {
+    try {
+      await navigator.clipboard.writeText(window.location.href);
+      setCopied(true);
+      setTimeout(() => setCopied(false), 2000);
+    } catch (err) {
+      console.error('Error copying link:', err);
+    }
+  };
+
+  // ==========================================
+  // ITEM ACTIONS (owner only)
+  // ==========================================
+  const handleRemoveItem = async (item) => {
+    const removed = await removeFromList(list.id, item.id);
+    if (removed) {
+      setItems(prev => prev.filter(other => other.id !== item.id));
+    }
+  };
+
+  const startEditingNote = (item) => {
+    setEditingNoteId(item.id);
+    setNoteText(item.note || '');
+  };
+
+  const handleSaveNote = async (item) => {
+    const updated = await updateListItem(list.id, item.id, noteText);
+    if (updated) {
+      setItems(prev => prev.map(other => (other.id === item.id ? { ...other, note: updated.note } : other)));
+      setEditingNoteId(null);
+    }
+  };
+
+  // Drag-to-reorder: items move live while dragging, the new order is saved on drop
+  const handleDragStart = (item) => {
+    setDraggedId(item.id);
+    setOrderBeforeDrag(items);
+  };
+
+  const handleDragOver = (e, overItem) => {
+    e.preventDefault();
+    if (draggedId === null || overItem.id === draggedId) return;
+
+    setItems(prev => {
+      const from = prev.findIndex(item => item.id === draggedId);
+      const to = prev.findIndex(item => item.id === overItem.id);
+      const next = [...prev];
+      const [moved] = next.splice(from, 1);
+      next.splice(to, 0, moved);
+      return next;
+    });
+  };
+
+  const handleDragEnd = async () => {
+    const previous = orderBeforeDrag;
+    setDraggedId(null);
+    setOrderBeforeDrag(null);
+
+    const newIds = items.map(item => item.id);
+    if (!previous || previous.every((item, index) => item.id === newIds[index])) return;
+
+    const saved = await reorderList(list.id, newIds);
+    if (!saved) {
+      // Put the old order back if the backend didn't take it
+      setItems(previous);
+      setError('Failed to save the new order. Please try again.');
+    }
+  };
+
+  // Loading state
+  if (loading) {
+    return (
+      <div className="flex flex-col items-center justify-center min-h-[70vh]">
+        <LoadingSpinner />
+        <p className="text-gray-400 mt-4">Loading list...</p>
+      </div>
+    );
+  }
+
+  // Missing, or private and not ours
+  if (!list) {
+    return (
+      <div className="min-h-screen bg-black pt-20 pb-8">
+        <div className="max-w-6xl mx-auto px-4 text-center py-16">
+          <h1 className="text-2xl font-bold text-white mb-4">List not found</h1>
+          <p className="text-gray-400 mb-6">This list doesn't exist, or its owner keeps it private.</p>
+          <Link
+            to="/"
+            className="bg-[#E91E63] hover:bg-[#F06292] text-white px-6 py-2 rounded-lg transition-colors inline-block"
+          >
+            Browse Movies & Shows
+          </Link>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="min-h-screen bg-black pt-20 pb-8">
+      <div className="max-w-6xl mx-auto px-4">
+        {/* Header - or the edit form for the owner */}
+        {isEditing ? (
+          <form onSubmit={handleSave} className="bg-[#1c1c1f] rounded-lg p-6 mb-8">
+            <input
+              type="text"
+              value={form.name}
+              onChange={(e) => setForm({ ...form, name: e.target.value.slice(0, MAX_NAME_LENGTH) })}
+              className="w-full bg-[#393841] text-white rounded-lg px-3 py-2 text-lg font-bold mb-4 focus:outline-none focus:ring-2 focus:ring-[#E91E63]"
+            />
+            <textarea
+              value={form.description}
+              onChange={(e) => setForm({ ...form, description: e.target.value.slice(0, MAX_DESCRIPTION_LENGTH) })}
+              placeholder="Description (optional)"
+              rows={3}
+              className="w-full bg-[#393841] text-white rounded-lg px-3 py-2 text-sm placeholder-gray-400 resize-none mb-4 focus:outline-none focus:ring-2 focus:ring-[#E91E63]"
+            />
+            <div className="flex flex-wrap items-center justify-between gap-4">
+              <label className="flex items-center gap-2 text-sm text-white font-bold cursor-pointer">
+                <input
+                  type="checkbox"
+                  checked={form.is_public}
+                  onChange={(e) => setForm({ ...form, is_public: e.target.checked })}
+                  className="w-4 h-4 accent-[#E91E63] cursor-pointer"
+                />
+                Public - anyone with the link can see it
+              </label>
+              <div className="flex gap-2">
+                <button
+                  type="button"
+                  onClick={() => setIsEditing(false)}
+                  className="px-4 py-2 rounded-lg font-bold text-sm bg-[#393841] hover:bg-[#4a4a52] text-white transition-colors cursor-pointer"
+                >
+                  Cancel
+                </button>
+                <button
+                  type="submit"
+                  disabled={!form.name.trim() || saving}
+                  className={`px-6 py-2 rounded-lg font-bold text-sm transition-colors cursor-pointer ${
+                    !form.name.trim() || saving
+                      ? 'bg-gray-500 cursor-not-allowed'
+                      : 'bg-[#E91E63] hover:bg-[#F06292] text-white'
+                  }`}
+                >
+                  {saving ? 'Saving...' : 'Save'}
+                </button>
+              </div>
+            </div>
+          </form>
+        ) : (
+          <div className="mb-8">
+            <div className="flex flex-wrap items-start justify-between gap-4">
+              <div className="min-w-0">
+                <h1 className="text-4xl font-bold text-white break-words">{list.name}</h1>
+                <p className="text-gray-400 text-sm mt-2">
+                  {list.is_mine ? 'Your list' : `By ${list.owner_name}`} · {items.length} {items.length === 1 ? 'title' : 'titles'} ·{' '}
+                  {list.is_public ? 'Public' : 'Private'}
+                </p>
+              </div>
+              <div className="flex flex-wrap gap-2">
+                {(list.is_public || list.is_mine) && (
+                  <button
+                    onClick={handleShare}
+                    className="px-4 py-1.5 rounded-lg text-sm font-semibold bg-[#1c1c1f] text-gray-300 hover:bg-[#393841] transition-colors cursor-pointer"
+                    title={list.is_public ? 'Copy link' : 'Only you can open this link until the list is public'}
+                  >
+                    {copied ? 'Link copied!' : 'Share'}
+                  </button>
+                )}
+                {list.is_mine && (
+                  <>
+                    <button
+                      onClick={startEditing}
+                      className="px-4 py-1.5 rounded-lg text-sm font-semibold bg-[#1c1c1f] text-gray-300 hover:bg-[#393841] transition-colors cursor-pointer"
+                    >
+                      Edit
+                    </button>
+                    <button
+                      onClick={handleDelete}
+                      className="px-4 py-1.5 rounded-lg text-sm font-semibold bg-[#1c1c1f] text-red-400 hover:bg-[#393841] transition-colors cursor-pointer"
+                    >
+                      Delete
+                    </button>
+                  </>
+                )}
+              </div>
+            </div>
+            {list.description && (
+              <p className="text-gray-300 mt-4 whitespace-pre-line">{list.description}</p>
+            )}
+          </div>
+        )}
+
+        {error && (
+          <div className="bg-red-600 text-white p-3 rounded-lg mb-6 text-center">{error}</div>
+        )}
+
+        {items.length === 0 ? (
+          <div className="text-center py-16">
+            <h2 className="text-xl font-semibold mb-4 text-white">This list is empty</h2>
+            {list.is_mine && (
+              <p className="text-gray-400">Use "Add to List" on any movie or show to put it here.</p>
+            )}
+          </div>
+        ) : (
+          <>
+            {list.is_mine && items.length > 1 && (
+              <p className="text-gray-500 text-sm mb-3">Drag titles to change the order.</p>
+            )}
+            <div className="bg-[#1c1c1f] rounded-lg divide-y divide-[#393841]">
+              {items.map((item, index) => {
+                const title = item.title?.title || 'Unknown title';
+
+                return (
+                  <div
+                    key={item.id}
+                    draggable={list.is_mine && editingNoteId === null}
+                    onDragStart={() => handleDragStart(item)}
+                    onDragOver={(e) => handleDragOver(e, item)}
+                    onDragEnd={handleDragEnd}
+                    className={`flex gap-4 px-4 py-4 ${list.is_mine ? 'cursor-grab' : ''} ${
+                      draggedId === item.id ? 'opacity-40' : ''
+                    }`}
+                  >
+                    {/* Position */}
+                    <div className="w-8 flex-shrink-0 text-center text-xl font-bold text-gray-500">{index + 1}</div>
+
+                    {/* Poster */}
+                    <Link to={getTitlePath(item.media_id, item.media_type)} className="flex-shrink-0">
+                      <img
+                        src={item.title?.poster_path
+                          ? `https://image.tmdb.org/t/p/w200${item.title.poster_path}`
+                          : '/movie_placeholder.png'}
+                        alt={`${title} poster`}
+                        className="w-12 h-18 object-cover rounded"
+                        draggable={false}
+                      />
+                    </Link>
+
+                    {/* Title + note */}
+                    <div className="flex-1 min-w-0">
+                      <div className="flex flex-wrap items-center gap-x-3 gap-y-1">
+                        <Link
+                          to={getTitlePath(item.media_id, item.media_type)}
+                          className="text-white font-semibold hover:text-[#F06292] transition-colors"
+                          draggable={false}
+                        >
+                          {title}
+                        </Link>
+                        {item.title?.year && (
+                          <span className="text-gray-500 text-sm">{item.title.year}</span>
+                        )}
+                        <span className="text-xs bg-[#393841] text-gray-300 px-2 py-0.5 rounded-full">
+                          {item.media_type === 'tv' ? 'TV' : 'Movie'}
+                        </span>
+                      </div>
+
+                      {editingNoteId === item.id ? (
+                        <div className="flex gap-2 mt-2">
+                          <input
+                            type="text"
+                            value={noteText}
+                            onChange={(e) => setNoteText(e.target.value.slice(0, MAX_NOTE_LENGTH))}
+                            placeholder="Add a note"
+                            className="flex-1 bg-[#393841] text-white rounded-lg px-3 py-1.5 text-sm placeholder-gray-400 focus:outline-none focus:ring-2 focus:ring-[#E91E63]"
+                          />
+                          <button
+                            onClick={() => handleSaveNote(item)}
+                            className="px-3 py-1.5 rounded-lg text-sm font-semibold bg-[#E91E63] hover:bg-[#F06292] text-white transition-colors cursor-pointer"
+                          >
+                            Save
+                          </button>
+                          <button
+                            onClick={() => setEditingNoteId(null)}
+                            className="px-3 py-1.5 rounded-lg text-sm font-semibold bg-[#393841] hover:bg-[#4a4a52] text-white transition-colors cursor-pointer"
+                          >
+                            Cancel
+                          </button>
+                        </div>
+                      ) : (
+                        item.note && <p className="text-gray-300 text-sm mt-2 whitespace-pre-line">{item.note}</p>
+                      )}
+                    </div>
+
+                    {/* Note / remove */}
+                    {list.is_mine && editingNoteId !== item.id && (
+                      <div className="flex items-start gap-2 flex-shrink-0">
+                        <button
+                          onClick={() => startEditingNote(item)}
+                          className="text-sm text-gray-400 hover:text-white font-semibold cursor-pointer transition-colors"
+                        >
+                          {item.note ? 'Edit note' : 'Add note'}
+                        </button>
+                        <button
+                          onClick={() => handleRemoveItem(item)}
+                          className="text-sm text-gray-400 hover:text-red-400 font-semibold cursor-pointer transition-colors"
+                        >
+                          Remove
+                        </button>
+                      </div>
+                    )}
+                  </div>
+                );
+              })}
+            </div>
+          </>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default ListDetail;
@@ -0,0 +1,212 @@
+import React, { useState } from 'react';
+import { Link } from 'react-router-dom';
+import LoadingSpinner from '../../components/LoadingSpinner';
+import { useLists } from '../../contexts/ListsContext';
+import usePageTitle from '../../hooks/usePageTitle';
+
+const MAX_DESCRIPTION_LENGTH = 1000; // Same limits as the backend
+const MAX_NAME_LENGTH = 100;
+
+function Lists() {
+  const { user, lists, loading, createList } = useLists();
+  const [showCreateForm, setShowCreateForm] = useState(false);
+  const [name, setName] = useState('');
+  const [description, setDescription] = useState('');
+  const [isPublic, setIsPublic] = useState(false);
+  const [creating, setCreating] = useState(false);
+  const [error, setError] = useState(null);
+
+  usePageTitle('Lists');
+
+  // ==========================================
+  // CREATE LIST
+  // ==========================================
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    if (!name.trim() || creating) return;
+
+    setCreating(true);
+    setError(null);
+
+    try {
+      await createList({ name, description, isPublic });
+      setName('');
+      setDescription('');
+      setIsPublic(false);
+      setShowCreateForm(false);
+    } catch (err) {
+      console.error('Error creating list:', err);
+      setError(err.status === 400 ? err.message : 'Failed to create the list. Please try again.');
+    } finally {
+      setCreating(false);
+    }
+  };
+
+  // Loading state
+  if (loading) {
+    return (
+      <div className="flex flex-col items-center justify-center min-h-[70vh]">
+        <LoadingSpinner />
+        <p className="text-gray-400 mt-4">Loading your lists...</p>
+      </div>
+    );
+  }
+
+  // Show login prompt if not authenticated
+  if (!user) {
+    return (
+      <div className="flex flex-col items-center justify-center min-h-[70vh]">
+        <div className="w-full max-w-4xl p-6">
+          <h1 className="text-3xl font-bold mb-6 text-white">My Lists</h1>
+          <div className="text-center py-16 bg-gray-800 rounded-lg">
+            <img
+              src="/bookmark.png"
+              alt="Lists"
+              className="w-16 h-16 mx-auto mb-4 opacity-50"
+            />
+            <h2 className="text-xl font-semibold mb-4 text-white">Sign in to make your own lists</h2>
+            <p className="text-gray-400 mb-6">
+              Group movies and shows into themed lists - a Halloween marathon, the best of A24, anime to start...
+            </p>
+            <div className="flex gap-4 justify-center">
+              <Link
+                to="/login"
+                className="bg-[#E91E63] hover:bg-[#F06292] text-white px-6 py-2 rounded-lg transition-colors"
+              >
+                Sign In
+              </Link>
+              <Link
+                to="/signup"
+                className="border border-[#E91E63] text-[#E91E63] hover:bg-[#E91E63] hover:text-white px-6 py-2 rounded-lg transition-colors"
+              >
+                Sign Up
+              </Link>
+            </div>
+          </div>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="min-h-screen bg-black pt-20 pb-8">
+      <div className="max-w-6xl mx-auto px-4">
+        <div className="flex flex-wrap items-center justify-between gap-4 mb-8">
+          <h1 className="text-4xl font-bold text-white">My Lists</h1>
+          <button
+            onClick={() => setShowCreateForm(!showCreateForm)}
+            className="bg-[#E91E63] hover:bg-[#F06292] text-white px-6 py-2 rounded-lg font-bold text-sm transition-colors cursor-pointer"
+          >
+            {showCreateForm ? 'Cancel' : '+ New List'}
+          </button>
+        </div>
+
+        {/* New list form */}
+        {showCreateForm && (
+          <form onSubmit={handleCreate} className="bg-[#1c1c1f] rounded-lg p-6 mb-8">
+            <input
+              type="text"
+              value={name}
+              onChange={(e) => setName(e.target.value.slice(0, MAX_NAME_LENGTH))}
+              placeholder="List name (e.g. Halloween marathon)"
+              className="w-full bg-[#393841] text-white rounded-lg px-3 py-2 text-sm placeholder-gray-400 mb-4 focus:outline-none focus:ring-2 focus:ring-[#E91E63]"
+            />
+            <textarea
+              value={description}
+              onChange={(e) => setDescription(e.target.value.slice(0, MAX_DESCRIPTION_LENGTH))}
+              placeholder="Description (optional)"
+              rows={3}
+              className="w-full bg-[#393841] text-white rounded-lg px-3 py-2 text-sm placeholder-gray-400 resize-none mb-4 focus:outline-none focus:ring-2 focus:ring-[#E91E63]"
+            />
+            <div className="flex flex-wrap items-center justify-between gap-4">
+              <label className="flex items-center gap-2 text-sm text-white font-bold cursor-pointer">
+                <input
+                  type="checkbox"
+                  checked={isPublic}
+                  onChange={(e) => setIsPublic(e.target.checked)}
+                  className="w-4 h-4 accent-[#E91E63] cursor-pointer"
+                />
+                Public - anyone with the link can see it
+              </label>
+              <button
+                type="submit"
+                disabled={!name.trim() || creating}
+                className={`px-6 py-2 rounded-lg font-bold text-sm transition-colors cursor-pointer ${
+                  !name.trim() || creating
+                    ? 'bg-gray-500 cursor-not-allowed'
+                    : 'bg-[#E91E63] hover:bg-[#F06292] text-white'
+                }`}
+              >
+                {creating ? 'Creating...' : 'Create List'}
+              </button>
+            </div>
+            {error && (
+              <div className="bg-red-600 text-white p-3 rounded-lg mt-4 text-center">{error}</div>
+            )}
+          </form>
+        )}
+
+        {lists.length === 0 ? (
+          // No lists yet
+          <div className="text-center py-16">
+            <img
+              src="/bookmark.png"
+              alt="No Lists"
+              className="w-16 h-16 mx-auto mb-4 opacity-50"
+            />
+            <h2 className="text-xl font-semibold mb-4 text-white">You don't have any lists yet</h2>
+            <p className="text-gray-400 mb-6">
+              Create one here, or use the + button on any movie or show.
+            </p>
+          </div>
+        ) : (
+          <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 gap-6">
+            {lists.map(list => (
+              <Link
+                key={list.id}
+                to={`/lists/${list.id}`}
+                className="bg-[#1c1c1f] rounded-lg overflow-hidden hover:bg-[#393841] transition-colors group"
+              >
+                {/* Cover - the first few posters side by side */}
+                <div className="grid grid-cols-4 h-36 bg-[#1f1f22]">
+                  {[0, 1, 2, 3].map(index => {
+                    const item = list.preview[index];
+                    return item ? (
+                      <img
+                        key={index}
+                        src={item.poster_path
+                          ? `https://image.tmdb.org/t/p/w200${item.poster_path}`
+                          : '/movie_placeholder.png'}
+                        alt=""
+                        className="w-full h-full object-cover"
+                      />
+                    ) : (
+                      <div key={index} className="w-full h-full bg-[#393841]/40"></div>
+                    );
+                  })}
+                </div>
+
+                <div className="p-4">
+                  <div className="flex items-center justify-between gap-2">
+                    <h2 className="text-white font-bold truncate group-hover:text-[#F06292] transition-colors">{list.name}</h2>
+                    <span className="text-xs bg-[#393841] text-gray-300 px-2 py-0.5 rounded-full flex-shrink-0">
+                      {list.is_public ? 'Public' : 'Private'}
+                    </span>
+                  </div>
+                  <p className="text-gray-500 text-sm mt-1">
+                    {list.item_count} {list.item_count === 1 ? 'title' : 'titles'}
+                  </p>
+                  {list.description && (
+                    <p className="text-gray-400 text-sm mt-2 line-clamp-2">{list.description}</p>
+                  )}
+                </div>
+              </Link>
+            ))}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default Lists;
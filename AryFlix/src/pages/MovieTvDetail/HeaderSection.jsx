@@ -1,7 +1,8 @@
-import React, { useState, useEffect } from 'react';
-import { useParams, useLocation } from 'react-router-dom';
+import React from 'react';
+import { Link, useParams, useLocation } from 'react-router-dom';
 import LoadingSpinner from '../../components/LoadingSpinner';
-import { API_URL } from '../../api';
+import { useTitle } from '../../contexts/TitleContext';
+import { useLocale } from '../../contexts/LocaleContext';
 
 const HeaderSection = () => {
   // ==========================================
@@ -9,66 +10,22 @@ const HeaderSection = () => {
   // ==========================================
   const { id } = useParams();
   const location = useLocation();
+  const { region } = useLocale();
   
   // Determine if this is a TV show or movie based on the current route
   const isTV = location.pathname.startsWith('/tv/');
   
-  const [movieData, setMovieData] = useState(null);  
-  const [ratings, setRatings] = useState(null);      
-  const [loading, setLoading] = useState(true);      
-  const [error, setError] = useState(null);         
-
   // ==========================================
-  // DATA FETCHING - Get data from APIs
+  // DATA FETCHING - Shared title store (one request for the whole detail page)
   // ==========================================
-  useEffect(() => {
-    const fetchData = async () => {
-      try {
-        setLoading(true);  // Show loading spinner
-        setError(null);    // Clear any previous errors
-
-        // Use the enhanced trailer endpoint to get both data and trailer info
-        const apiEndpoint = isTV 
-          ? `${API_URL}/api/tv/${id}/trailer`
-          : `${API_URL}/api/movies/${id}/trailer`;
-        
-        const tmdbResponse = await fetch(apiEndpoint);
-        const tmdbData = await tmdbResponse.json();
-        
-        if (!tmdbResponse.ok || !tmdbData.success) {
-          throw new Error('Failed to fetch details');
-        }
-
-        // Save the TMDB data we got
-        setMovieData(tmdbData.data);
-      
+  const { data: movieData, loading, error: fetchError } = useTitle(isTV ? 'tv' : 'movie', id);
+  const error = fetchError ? 'Failed to load details' : null;
 
-        // Extract OMDb ratings from the response 
-        const omdbRatings = tmdbData.data.omdb_ratings || {};
-        
-        setRatings({
-          imdb: omdbRatings.imdb,           // Only real data, no fallback
-          rottenTomatoes: omdbRatings.rottenTomatoes  // Only real data, no fallback
-        });
-
-        console.log('🔍 Final Ratings State:', {
-          imdb: omdbRatings.imdb,
-          rottenTomatoes: omdbRatings.rottenTomatoes
-        });
-
-        setLoading(false); // Hide loading spinner
-      } catch (err) {
-        console.error('Error fetching data:', err);
-        setError('Failed to load details');
-        setLoading(false); // Hide loading spinner even on error
-      }
-    };
-
-    // Only fetch data if we have an ID
-    if (id) {
-      fetchData();
-    }
-  }, [id, isTV]); // Re-run this effect if the ID changes
+  // Extract OMDb ratings from the response - only real data, no fallback
+  const ratings = movieData ? {
+    imdb: movieData.omdb_ratings?.imdb,
+    rottenTomatoes: movieData.omdb_ratings?.rottenTomatoes
+  } : null;
 
   // ==========================================
   // HELPER FUNCTIONS - Process raw data for display
@@ -110,21 +67,22 @@ const HeaderSection = () => {
     }
   };
 
-  // Get actual content rating from TMDB data
+  // Get actual content rating from TMDB data - the one for the region picked in the navbar
   const getContentRating = () => {
     if (!movieData) return '';
     
     // For TV Shows - check content_ratings
     if (movieData.name && movieData.content_ratings?.results) {
-        const usRating = movieData.content_ratings.results.find(rating => rating.iso_3166_1 === 'US');
-        if (usRating?.rating) return usRating.rating;
+        const regionRating = movieData.content_ratings.results.find(rating => rating.iso_3166_1 === region);
+        if (regionRating?.rating) return regionRating.rating;
     }
     
     // For Movies - check release_dates  
     if (movieData.title && movieData.release_dates?.results) {
-        const usRelease = movieData.release_dates.results.find(release => release.iso_3166_1 === 'US');
-        if (usRelease?.release_dates?.[0]?.certification) {
-            return usRelease.release_dates[0].certification;
+        const regionRelease = movieData.release_dates.results.find(release => release.iso_3166_1 === region);
+        const certified = regionRelease?.release_dates?.find(release => release.certification?.trim());
+        if (certified) {
+            return certified.certification;
         }
     }
     
@@ -205,6 +163,18 @@ const HeaderSection = () => {
                 </span>
                 <span className="text-gray-300">•</span>
                 <span>{getDuration()}</span>
+                {/* Franchise link - e.g. "Part of the Harry Potter Collection" */}
+                {!isTV && movieData.belongs_to_collection && (
+                  <>
+                    <span className="text-gray-300">•</span>
+                    <Link
+                      to={`/collection/${movieData.belongs_to_collection.id}`}
+                      className="text-[#F06292] hover:text-[#E91E63] font-semibold transition-colors"
+                    >
+                      Part of the {movieData.belongs_to_collection.name}
+                    </Link>
+                  </>
+                )}
               </div>
             </div>
 
@@ -3,7 +3,9 @@ import { useParams, useLocation, useNavigate } from 'react-router-dom';
 import { useWatchlist } from '../../contexts/WatchlistContext';
 import { useRating } from '../../contexts/RatingContext';
 import RatingModal from '../../components/RatingModal';
-import { API_URL } from '../../api';
+import LogViewingModal from '../../components/LogViewingModal';
+import AddToListModal from '../../components/AddToListModal';
+import { useTitle } from '../../contexts/TitleContext';
 
 const TrailerSection = () => {
     const { id } = useParams();
@@ -22,57 +24,28 @@ const TrailerSection = () => {
     // Determine if this is a TV show or movie based on the current route
     const isTV = location.pathname.startsWith('/tv/');
     
-    const [movieData, setMovieData] = useState(null);
-    const [loading, setLoading] = useState(true);
-    const [error, setError] = useState(null);
     const [watchlistLoading, setWatchlistLoading] = useState(false);
     const [isRatingModalOpen, setIsRatingModalOpen] = useState(false);
+    const [isLogModalOpen, setIsLogModalOpen] = useState(false);
+    const [isListModalOpen, setIsListModalOpen] = useState(false);
     const [userRating, setUserRating] = useState(null);
 
     // Check if current item is in watchlist
-    const inWatchlist = isInWatchlist(id);
+    const mediaType = isTV ? 'tv' : 'movie';
+    const inWatchlist = isInWatchlist(id, mediaType);
 
     // ==========================================
-    // DATA FETCHING
+    // DATA FETCHING - Shared title store (includes the TMDB + YouTube fallback trailer)
     // ==========================================
-    useEffect(() => {
-        const fetchMovieData = async () => {
-            try {
-                setLoading(true);
-                setError(null);
-
-                // Use the enhanced trailer endpoint that includes YouTube fallback
-                const apiEndpoint = isTV 
-                    ? `${API_URL}/api/tv/${id}/trailer`
-                    : `${API_URL}/api/movies/${id}/trailer`;
-                
-                const response = await fetch(apiEndpoint);
-                const data = await response.json();
-                
-                if (!response.ok || !data.success) {
-                    throw new Error('Failed to fetch movie/TV details');
-                }
-
-                setMovieData(data.data);
-                setLoading(false);
-            } catch (err) {
-                console.error('Error fetching movie data:', err);
-                setError('Failed to load content');
-                setLoading(false);
-            }
-        };
-
-        if (id) {
-            fetchMovieData();
-        }
-    }, [id, isTV]);
+    const { data: movieData, loading, error: fetchError } = useTitle(isTV ? 'tv' : 'movie', id);
+    const error = fetchError ? 'Failed to load content' : null;
 
     // Fetch user's rating when component mounts or user changes
     useEffect(() => {
         const fetchUserRating = async () => {
             if (user && id) {
                 try {
-                    const rating = await getUserRating(id);
+                    const rating = await getUserRating(id, mediaType);
                     setUserRating(rating);
                 } catch (error) {
                     console.error('Error fetching user rating:', error);
@@ -83,7 +56,7 @@ const TrailerSection = () => {
         };
 
         fetchUserRating();
-    }, [user, id, getUserRating]);
+    }, [user, id, mediaType, getUserRating]);
 
     // ==========================================
     // WATCHLIST FUNCTIONALITY
@@ -100,10 +73,9 @@ const TrailerSection = () => {
         try {
             if (inWatchlist) {
                 // Remove from watchlist
-                await removeFromWatchlist(id);
+                await removeFromWatchlist(id, mediaType);
             } else {
                 // Add to watchlist
-                const mediaType = isTV ? 'tv' : 'movie';
                 await addToWatchlist(id, mediaType);
             }
         } catch (error) {
@@ -119,7 +91,7 @@ const TrailerSection = () => {
         // Refresh user rating after modal closes (in case they rated)
         if (user && id) {
             try {
-                const rating = await getUserRating(id);
+                const rating = await getUserRating(id, mediaType);
                 setUserRating(rating);
             } catch (error) {
                 console.error('Error refreshing user rating:', error);
@@ -127,6 +99,35 @@ const TrailerSection = () => {
         }
     };
 
+    // Open the diary modal (login first if needed)
+    const handleLogClick = () => {
+        if (!user) {
+            navigate('/login');
+            return;
+        }
+        setIsLogModalOpen(true);
+    };
+
+    // Open the "Add to list" modal (login first if needed)
+    const handleAddToListClick = () => {
+        if (!user) {
+            navigate('/login');
+            return;
+        }
+        setIsListModalOpen(true);
+    };
+
+    // A rating logged with the latest viewing becomes the current rating - show it
+    const handleViewingLogged = async (entry) => {
+        if (!entry?.rating) return;
+        try {
+            const rating = await getUserRating(id, mediaType);
+            setUserRating(rating);
+        } catch (error) {
+            console.error('Error refreshing user rating:', error);
+        }
+    };
+
     // ==========================================
     // HELPER FUNCTIONS
     // ==========================================
@@ -530,6 +531,24 @@ const TrailerSection = () => {
                                 </span>
                             </button>
 
+                            {/* Log to Diary Button */}
+                            <button 
+                                className="w-full bg-[#393841] hover:bg-[#4a4a52] text-white font-medium py-3 px-4 rounded-lg flex items-center justify-center gap-3 transition-all duration-200"
+                                onClick={handleLogClick}
+                            >
+                                <img src="/popcorn.png" alt="diary" className="w-5 h-5" />
+                                <span className="text-sm font-bold">Log to Diary</span>
+                            </button>
+
+                            {/* Add to List Button */}
+                            <button 
+                                className="w-full bg-[#393841] hover:bg-[#4a4a52] text-white font-medium py-3 px-4 rounded-lg flex items-center justify-center gap-3 transition-all duration-200"
+                                onClick={handleAddToListClick}
+                            >
+                                <span className="w-5 h-5 flex items-center justify-center text-xl font-bold leading-none">+</span>
+                                <span className="text-sm font-bold">Add to List</span>
+                            </button>
+
                             {/* Movie Stats Grid - 2 columns */}
                             <div className="grid grid-cols-2 gap-2">
                                 {/* Vote Count */}
@@ -617,7 +636,26 @@ const TrailerSection = () => {
                             isOpen={isRatingModalOpen}
                             onClose={handleRatingModalClose}
                             mediaId={id}
-                            mediaType={isTV ? 'tv' : 'movie'}
+                            mediaType={mediaType}
+                            mediaTitle={getTitle()}
+                        />
+
+                        {/* Diary Modal - rendered once, the portal shows it on every layout */}
+                        <LogViewingModal
+                            isOpen={isLogModalOpen}
+                            onClose={() => setIsLogModalOpen(false)}
+                            mediaId={id}
+                            mediaType={mediaType}
+                            mediaTitle={getTitle()}
+                            onSaved={handleViewingLogged}
+                        />
+
+                        {/* List Modal - rendered once as well */}
+                        <AddToListModal
+                            isOpen={isListModalOpen}
+                            onClose={() => setIsListModalOpen(false)}
+                            mediaId={id}
+                            mediaType={mediaType}
                             mediaTitle={getTitle()}
                         />
                     </div>
@@ -727,12 +765,30 @@ const TrailerSection = () => {
                                         </span>
                                     </button>
 
+                                    {/* Log to Diary Button */}
+                                    <button 
+                                        className="w-full bg-[#393841] hover:bg-[#4a4a52] text-white font-medium py-3 px-6 rounded-lg flex items-center justify-center gap-3 transition-all duration-200 group cursor-pointer"
+                                        onClick={handleLogClick}
+                                    >
+                                        <img src="/popcorn.png" alt="diary" className="w-5 h-5 group-hover:scale-110 transition-transform" />
+                                        <span className="text-sm font-bold">Log to Diary</span>
+                                    </button>
+
+                                    {/* Add to List Button */}
+                                    <button 
+                                        className="w-full bg-[#393841] hover:bg-[#4a4a52] text-white font-medium py-3 px-6 rounded-lg flex items-center justify-center gap-3 transition-all duration-200 group cursor-pointer"
+                                        onClick={handleAddToListClick}
+                                    >
+                                        <span className="w-5 h-5 flex items-center justify-center text-xl font-bold leading-none group-hover:scale-110 transition-transform">+</span>
+                                        <span className="text-sm font-bold">Add to List</span>
+                                    </button>
+
                                     {/* Rating Modal */}
                                     <RatingModal
                                         isOpen={isRatingModalOpen}
                                         onClose={handleRatingModalClose}
                                         mediaId={id}
-                                        mediaType={isTV ? 'tv' : 'movie'}
+                                        mediaType={mediaType}
                                         mediaTitle={getTitle()}
                                     />
 
@@ -1,57 +1,37 @@
-import { useState, useEffect } from 'react';
 import { useParams, useLocation } from 'react-router-dom';
 import HeaderSection from './HeaderSection';
 import MediaSection from './MediaSection';
 import OverView from './OverView';
+import ShowtimesPanel from './ShowtimesPanel';
 import PeopleSection from './PeopleSection';
+import SeasonBrowser from './SeasonBrowser';
+import ReviewsSection from './ReviewsSection';
+import RelatedTitles from './RelatedTitles';
 import usePageTitle from '../../hooks/usePageTitle';
-import { API_URL } from '../../api';
+import { useTitle } from '../../contexts/TitleContext';
 
 function MovieTvDetail() {
   const { id } = useParams();
   const location = useLocation();
   const isTV = location.pathname.startsWith('/tv/');
   
-  const [movieData, setMovieData] = useState(null);
-  const [loading, setLoading] = useState(true);
+  // Shared title data - the sections below read from the same store, so it's fetched once
+  const { data: movieData, loading } = useTitle(isTV ? 'tv' : 'movie', id);
 
   // Set dynamic title based on movie/TV show data
   const title = movieData ? (movieData.title || movieData.name) : (loading ? 'Loading...' : 'Details');
   usePageTitle(title);
 
-  // Fetch data for title
-  useEffect(() => {
-    const fetchData = async () => {
-      try {
-        setLoading(true);
-        const apiEndpoint = isTV 
-          ? `${API_URL}/api/tv/${id}/trailer`
-          : `${API_URL}/api/movies/${id}/trailer`;
-        
-        const response = await fetch(apiEndpoint);
-        const data = await response.json();
-        
-        if (data.success) {
-          setMovieData(data.data);
-        }
-      } catch (error) {
-        console.error('Error fetching data:', error);
-      } finally {
-        setLoading(false);
-      }
-    };
-
-    if (id) {
-      fetchData();
-    }
-  }, [id, isTV]);
-
   return (
     <div className="pb-16">
       <HeaderSection />
       <MediaSection />
       <OverView />
+      {!isTV && <ShowtimesPanel />}
       <PeopleSection />
+      {isTV && <SeasonBrowser />}
+      <ReviewsSection />
+      <RelatedTitles />
     </div>
   );
 }
@@ -1,50 +1,18 @@
-import React, { useState, useEffect } from 'react';
+import React from 'react';
 import { useParams, useLocation } from 'react-router-dom';
 import LoadingSpinner from '../../components/LoadingSpinner';
-import { API_URL } from '../../api';
+import { useTitle } from '../../contexts/TitleContext';
 
 const OverView = () => {
     const { id } = useParams();
     const location = useLocation();
     const isTV = location.pathname.startsWith('/tv/');
 
-    const [movieData, setMovieData] = useState(null);
-    const [loading, setLoading] = useState(true);
-    const [error, setError] = useState(null);
-
     // ==========================================
-    // DATA FETCHING
+    // DATA FETCHING - Shared title store
     // ==========================================
-    useEffect(() => {
-        const fetchMovieData = async () => {
-            try {
-                setLoading(true);
-                setError(null);
-
-                const apiEndpoint = isTV 
-                    ? `${API_URL}/api/tv/${id}/trailer`
-                    : `${API_URL}/api/movies/${id}/trailer`;
-                
-                const response = await fetch(apiEndpoint);
-                const data = await response.json();
-                
-                if (!response.ok || !data.success) {
-                    throw new Error('Failed to fetch details');
-                }
-
-                setMovieData(data.data);
-                setLoading(false);
-            } catch (err) {
-                console.error('Error fetching movie data:', err);
-                setError('Failed to load content');
-                setLoading(false);
-            }
-        };
-
-        if (id) {
-            fetchMovieData();
-        }
-    }, [id, isTV]);
+    const { data: movieData, loading, error: fetchError } = useTitle(isTV ? 'tv' : 'movie', id);
+    const error = fetchError ? 'Failed to load content' : null;
 
     // ==========================================
     // HELPER FUNCTIONS FOR GENRES & KEYWORDS
@@ -1,49 +1,30 @@
-import React, { useState, useEffect } from 'react';
-import { useParams, useLocation } from 'react-router-dom';
+import React from 'react';
+import { Link, useParams, useLocation } from 'react-router-dom';
 import StreamingProviders from './StreamingProviders';
 import LoadingSpinner from '../../components/LoadingSpinner';
-import { API_URL } from '../../api';
+import { useTitle } from '../../contexts/TitleContext';
+
+// List of people as links to their person pages, separated by commas
+const PeopleLinks = ({ people }) => (
+    <>
+        {people.map((person, index) => (
+            <span key={person.credit_id || person.id}>
+                <Link to={`/person/${person.id}`} className="hover:text-[#F06292] transition-colors">
+                    {person.name}
+                </Link>
+                {index < people.length - 1 && ', '}
+            </span>
+        ))}
+    </>
+);
 
 const PeopleSection = () => {
     const { id } = useParams();
     const location = useLocation();
     const isTV = location.pathname.startsWith('/tv/');
 
-    const [movieData, setMovieData] = useState(null);
-    const [loading, setLoading] = useState(true);
-    const [error, setError] = useState(null);
-
-    // Fetch movie/TV data with cast and crew information
-    useEffect(() => {
-        const fetchMovieData = async () => {
-            try {
-                setLoading(true);
-                setError(null);
-
-                const apiEndpoint = isTV 
-                    ? `${API_URL}/api/tv/${id}/trailer`
-                    : `${API_URL}/api/movies/${id}/trailer`;
-                
-                const response = await fetch(apiEndpoint);
-                const data = await response.json();
-                
-                if (!response.ok || !data.success) {
-                    throw new Error('Failed to fetch details');
-                }
-
-                setMovieData(data.data);
-                setLoading(false);
-            } catch (err) {
-                console.error('Error fetching movie data:', err);
-                setError('Failed to load content');
-                setLoading(false);
-            }
-        };
-
-        if (id) {
-            fetchMovieData();
-        }
-    }, [id, isTV]);
+    // Movie/TV data with cast and crew information - from the shared title store
+    const { data: movieData, loading, error } = useTitle(isTV ? 'tv' : 'movie', id);
 
     // Get creators/directors - moved from OverView.jsx
     const getCreatorsOrDirectors = () => {
@@ -51,10 +32,9 @@ const PeopleSection = () => {
             // For TV shows, get creators
             const creators = movieData?.created_by || [];
             if (creators.length > 0) {
-                const creatorNames = creators.map(creator => creator.name).join(', ');
                 return {
                     label: creators.length > 1 ? 'Creators' : 'Creator',
-                    names: creatorNames
+                    people: creators
                 };
             }
             
@@ -81,10 +61,13 @@ const PeopleSection = () => {
             );
             
             if (originalCreators.length > 0) {
-                const creatorNames = originalCreators.map(creator => creator.name).join(', ');
+                // Same person can have several writing jobs - only list them once
+                const uniqueCreators = originalCreators.filter((creator, index) =>
+                    originalCreators.findIndex(other => other.id === creator.id) === index
+                );
                 return {
-                    label: originalCreators.length > 1 ? 'Creators' : 'Creator',
-                    names: creatorNames
+                    label: uniqueCreators.length > 1 ? 'Creators' : 'Creator',
+                    people: uniqueCreators
                 };
             }
             return null;
@@ -93,10 +76,9 @@ const PeopleSection = () => {
             const crew = movieData?.credits?.crew || [];
             const directors = crew.filter(person => person.job === 'Director');
             if (directors.length > 0) {
-                const directorNames = directors.map(director => director.name).join(', ');
                 return {
                     label: directors.length > 1 ? 'Directors' : 'Director',
-                    names: directorNames
+                    people: directors
                 };
             }
             return null;
@@ -222,7 +204,7 @@ const PeopleSection = () => {
                             <>
                                 <div className="text-white text-base leading-relaxed mb-3">
                                     <span className="text-white font-bold">{creatorsOrDirectors.label}:</span>{' '}
-                                    <span className="text-white font-normal text-base">{creatorsOrDirectors.names}</span>
+                                    <span className="text-white font-normal text-base"><PeopleLinks people={creatorsOrDirectors.people} /></span>
                                 </div>
                                 <div className="border-t border-gray-600 max-w-4xl mb-3"></div>
                             </>
@@ -234,7 +216,7 @@ const PeopleSection = () => {
                                     <span className="text-white font-bold">Cast:</span>{' '}
                                     {topCast.map((person, index) => (
                                         <span key={person.id}>
-                                            <span className="text-white font-normal text-base">{person.name}</span>
+                                            <Link to={`/person/${person.id}`} className="text-white font-normal text-base hover:text-[#F06292] transition-colors">{person.name}</Link>
                                             <span className="text-gray-400 text-base"> ({person.character?.split('(')[0].trim() || 'Unknown Character'})</span>
                                             {index < topCast.length - 1 && <span className="text-white"> • </span>}
                                         </span>
@@ -266,7 +248,7 @@ const PeopleSection = () => {
                             <>
                                 <div className="text-white text-base leading-relaxed mb-3">
                                     <span className="text-white font-bold">{creatorsOrDirectors.label}:</span>{' '}
-                                    <span className="text-white font-normal text-base">{creatorsOrDirectors.names}</span>
+                                    <span className="text-white font-normal text-base"><PeopleLinks people={creatorsOrDirectors.people} /></span>
                                 </div>
                                 <div className="border-t border-gray-600 max-w-4xl mb-3"></div>
                             </>
@@ -278,7 +260,7 @@ const PeopleSection = () => {
                                     <span className="text-white font-bold">Cast:</span>{' '}
                                     {topCast.map((person, index) => (
                                         <span key={person.id}>
-                                            <span className="text-white font-normal text-base">{person.name}</span>
+                                            <Link to={`/person/${person.id}`} className="text-white font-normal text-base hover:text-[#F06292] transition-colors">{person.name}</Link>
                                             <span className="text-gray-400 text-base"> ({person.character?.split('(')[0].trim() || 'Unknown Character'})</span>
                                             {index < topCast.length - 1 && <span className="text-white"> • </span>}
                                         </span>
@@ -309,7 +291,7 @@ const PeopleSection = () => {
                         {creatorsOrDirectors && (
                             <div className="text-white text-sm leading-relaxed mb-3">
                                 <span className="text-white font-bold">{creatorsOrDirectors.label}:</span>{' '}
-                                <span className="text-white font-normal text-sm">{creatorsOrDirectors.names}</span>
+                                <span className="text-white font-normal text-sm"><PeopleLinks people={creatorsOrDirectors.people} /></span>
                             </div>
                         )}
                         {/* CAST SECTION */}
@@ -318,7 +300,7 @@ const PeopleSection = () => {
                                 <span className="text-white font-bold">Cast:</span>{' '}
                                 {topCast.map((person, index) => (
                                     <span key={person.id}>
-                                        <span className="text-white font-normal text-sm">{person.name}</span>
+                                        <Link to={`/person/${person.id}`} className="text-white font-normal text-sm hover:text-[#F06292] transition-colors">{person.name}</Link>
                                         <span className="text-gray-400 text-sm"> ({person.character?.split('(')[0].trim() || 'Unknown Character'})</span>
                                         {index < topCast.length - 1 && <span className="text-white"> • </span>}
                                     </span>
@@ -0,0 +1,57 @@
+import React, { useState, useEffect } from 'react';
+import { useParams, useLocation } from 'react-router-dom';
+import MovieTVCard from '../../components/MovieTVCard';
+import ScrollableMovieSection from '../../components/ScrollableMovieSection';
+import { apiFetch } from '../../api';
+
+// "More Like This" row at the end of the detail page - TMDB recommendations + similar titles
+// Cards show the user's watchlist state like everywhere else; the row hides if there's nothing
+const RelatedTitles = () => {
+    const { id } = useParams();
+    const location = useLocation();
+    const mediaType = location.pathname.startsWith('/tv/') ? 'tv' : 'movie';
+
+    const [related, setRelated] = useState([]);
+
+    // Reload when moving from one title to another (clicking a card here does exactly that)
+    useEffect(() => {
+        let cancelled = false;
+
+        const fetchRelated = async () => {
+            setRelated([]);
+            try {
+                const response = await apiFetch(`/api/titles/${mediaType}/${id}/related`);
+                const data = await response.json();
+                if (!data.success) throw new Error(data.error || 'API returned unsuccessful response');
+                if (!cancelled) setRelated(data.data);
+            } catch (err) {
+                console.error('Error fetching related titles:', err);
+            }
+        };
+
+        fetchRelated();
+        return () => { cancelled = true; };
+    }, [id, mediaType]);
+
+    if (related.length === 0) {
+        return null;
+    }
+
+    return (
+        <ScrollableMovieSection title="More Like This">
+            {related.map(item => (
+                <MovieTVCard
+                    key={item.media_type + '-' + item.id}
+                    id={item.id}
+                    title={item.title}
+                    year={item.year || ''}
+                    rating={item.vote_average?.toFixed(1) || 'N/A'}
+                    posterUrl={item.poster_path ? `https://image.tmdb.org/t/p/w780${item.poster_path}` : '/movie_placeholder.png'}
+                    mediaType={item.media_type}
+                />
+            ))}
+        </ScrollableMovieSection>
+    );
+};
+
+export default RelatedTitles;
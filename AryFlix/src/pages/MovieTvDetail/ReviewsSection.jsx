@@ -0,0 +1,263 @@
+import React, { useState, useEffect } from 'react';
+import { useParams, useLocation, useNavigate } from 'react-router-dom';
+import LoadingSpinner from '../../components/LoadingSpinner';
+import RatingModal from '../../components/RatingModal';
+import { useRating } from '../../contexts/RatingContext';
+import { useTitle } from '../../contexts/TitleContext';
+
+// Sort options for the review feed (ids match the backend's ?sort=)
+const SORT_OPTIONS = [
+    { id: 'recent', name: 'Most Recent' },
+    { id: 'likes', name: 'Most Liked' }
+];
+
+// Long reviews are cut to this many characters until "Read more"
+const PREVIEW_LENGTH = 400;
+
+const ReviewsSection = () => {
+    const { id } = useParams();
+    const location = useLocation();
+    const navigate = useNavigate();
+    const isTV = location.pathname.startsWith('/tv/');
+    const mediaType = isTV ? 'tv' : 'movie';
+
+    const { user, reviewsVersion, getReviews, setReviewLiked, deleteReview } = useRating();
+    const { data: movieData } = useTitle(mediaType, id);
+
+    const [reviews, setReviews] = useState([]);
+    const [loading, setLoading] = useState(true);
+    const [sortBy, setSortBy] = useState('recent');
+    const [revealedSpoilers, setRevealedSpoilers] = useState(new Set()); // review ids the user clicked to reveal
+    const [expandedReviews, setExpandedReviews] = useState(new Set());
+    const [isRatingModalOpen, setIsRatingModalOpen] = useState(false);
+
+    // ==========================================
+    // DATA FETCHING - reloads when the sort changes or the user's own review changes
+    // ==========================================
+    useEffect(() => {
+        let cancelled = false;
+
+        const fetchReviews = async () => {
+            setLoading(true);
+            const data = await getReviews(id, mediaType, sortBy);
+            if (!cancelled) {
+                setReviews(data);
+                setLoading(false);
+            }
+        };
+
+        fetchReviews();
+        return () => { cancelled = true; };
+    }, [id, mediaType, sortBy, user, reviewsVersion, getReviews]);
+
+    // ==========================================
+    // ACTIONS
+    // ==========================================
+    const handleLikeToggle = async (review) => {
+        if (!user) {
+            navigate('/login');
+            return;
+        }
+
+        const result = await setReviewLiked(review.id, !review.liked_by_me);
+        if (result) {
+            setReviews(prev => prev.map(item => (
+                item.id === review.id
+                    ? { ...item, liked_by_me: result.liked, like_count: result.like_count }
+                    : item
+            )));
+        }
+    };
+
+    const handleDeleteReview = async () => {
+        const success = await deleteReview(id, mediaType);
+        if (!success) {
+            alert('Failed to delete review. Please try again.');
+        }
+    };
+
+    const handleWriteReview = () => {
+        if (!user) {
+            navigate('/login');
+            return;
+        }
+        setIsRatingModalOpen(true);
+    };
+
+    const toggleInSet = (setter, reviewId) => {
+        setter(prev => {
+            const next = new Set(prev);
+            if (next.has(reviewId)) {
+                next.delete(reviewId);
+            } else {
+                next.add(reviewId);
+            }
+            return next;
+        });
+    };
+
+    const formatReviewDate = (dateString) => new Date(dateString).toLocaleDateString('en-US', {
+        month: 'short',
+        day: 'numeric',
+        year: 'numeric'
+    });
+
+    // created_at and updated_at are a few ms apart on a brand new review - only count real edits
+    const isEdited = (review) => new Date(review.updated_at) - new Date(review.created_at) > 60 * 1000;
+
+    const myReview = reviews.find(review => review.is_mine);
+
+    return (
+        <div className="relative -mx-4 md:-mx-8 mt-12">
+            <div className="max-w-[85rem] mx-auto px-4 sm:px-6 lg:px-8">
+                {/* Header - title, sort, write button */}
+                <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-4 mb-4">
+                    <h2 className="text-white text-2xl font-bold">
+                        Reviews
+                        {reviews.length > 0 && (
+                            <span className="text-gray-500 text-base font-normal ml-2">({reviews.length})</span>
+                        )}
+                    </h2>
+                    <div className="flex flex-wrap gap-2">
+                        {SORT_OPTIONS.map(option => (
+                            <button
+                                key={option.id}
+                                onClick={() => setSortBy(option.id)}
+                                className={`px-4 py-1.5 rounded-lg text-sm font-semibold transition-colors cursor-pointer ${
+                                    sortBy === option.id
+                                        ? 'bg-[#E91E63] text-white'
+                                        : 'bg-[#1c1c1f] text-gray-300 hover:bg-[#393841]'
+                                }`}
+                            >
+                                {option.name}
+                            </button>
+                        ))}
+                        <button
+                            onClick={handleWriteReview}
+                            className="px-4 py-1.5 rounded-lg text-sm font-semibold bg-[#393841] hover:bg-[#4a4a52] text-white transition-colors cursor-pointer"
+                        >
+                            {myReview ? 'Edit your review' : 'Write a review'}
+                        </button>
+                    </div>
+                </div>
+
+                {loading ? (
+                    <div className="flex justify-center py-8">
+                        <LoadingSpinner />
+                    </div>
+                ) : reviews.length === 0 ? (
+                    <p className="text-gray-400">
+                        No reviews yet. Be the first to review this {isTV ? 'show' : 'movie'}!
+                    </p>
+                ) : (
+                    <div className="space-y-4">
+                        {reviews.map(review => {
+                            const hidden = review.contains_spoilers && !review.is_mine && !revealedSpoilers.has(review.id);
+                            const isLong = review.body.length > PREVIEW_LENGTH;
+                            const expanded = expandedReviews.has(review.id);
+
+                            return (
+                                <div key={review.id} className="bg-[#1c1c1f] rounded-lg p-4">
+                                    {/* Author, rating, date */}
+                                    <div className="flex flex-wrap items-center gap-x-3 gap-y-1 mb-3 text-sm">
+                                        <span className="text-white font-bold">{review.author_name}</span>
+                                        {review.is_mine && (
+                                            <span className="text-xs text-[#F06292] border border-[#F06292] px-2 py-0.5 rounded-full">You</span>
+                                        )}
+                                        {review.rating && (
+                                            <span className="flex items-center gap-1">
+                                                <img src="/star.png" alt="Rating" className="w-4 h-4" />
+                                                <span className="text-yellow-400 font-semibold">{review.rating}/10</span>
+                                            </span>
+                                        )}
+                                        <span className="text-gray-500">
+                                            {formatReviewDate(review.created_at)}
+                                            {isEdited(review) && ' (edited)'}
+                                        </span>
+                                        {review.contains_spoilers && (
+                                            <span className="text-xs text-red-400 font-semibold">Spoilers</span>
+                                        )}
+                                    </div>
+
+                                    {/* Body - spoilers stay blurred until clicked */}
+                                    <div className="relative">
+                                        <p
+                                            className={`text-gray-300 text-base leading-relaxed whitespace-pre-line transition-all ${
+                                                hidden ? 'blur-sm select-none' : ''
+                                            }`}
+                                        >
+                                            {isLong && !expanded
+                                                ? `${review.body.substring(0, PREVIEW_LENGTH)}...`
+                                                : review.body}
+                                        </p>
+                                        {hidden && (
+                                            <button
+                                                onClick={() => toggleInSet(setRevealedSpoilers, review.id)}
+                                                className="absolute inset-0 flex items-center justify-center cursor-pointer"
+                                            >
+                                                <span className="bg-black/80 text-white text-sm font-bold px-4 py-2 rounded-lg">
+                                                    This review contains spoilers - click to reveal
+                                                </span>
+                                            </button>
+                                        )}
+                                    </div>
+                                    {isLong && !hidden && (
+                                        <button
+                                            onClick={() => toggleInSet(setExpandedReviews, review.id)}
+                                            className="text-[#E91E63] hover:text-[#F06292] text-sm font-semibold mt-2 cursor-pointer"
+                                        >
+                                            {expanded ? 'Show less' : 'Read more'}
+                                        </button>
+                                    )}
+
+                                    {/* Likes + own review actions */}
+                                    <div className="flex items-center gap-4 mt-3 text-sm">
+                                        {review.is_mine ? (
+                                            <>
+                                                <span className="text-gray-400">
+                                                    {review.like_count} {review.like_count === 1 ? 'like' : 'likes'}
+                                                </span>
+                                                <button
+                                                    onClick={() => setIsRatingModalOpen(true)}
+                                                    className="text-gray-400 hover:text-white font-semibold cursor-pointer transition-colors"
+                                                >
+                                                    Edit
+                                                </button>
+                                                <button
+                                                    onClick={handleDeleteReview}
+                                                    className="text-gray-400 hover:text-red-400 font-semibold cursor-pointer transition-colors"
+                                                >
+                                                    Delete
+                                                </button>
+                                            </>
+                                        ) : (
+                                            <button
+                                                onClick={() => handleLikeToggle(review)}
+                                                className={`font-semibold cursor-pointer transition-colors ${
+                                                    review.liked_by_me ? 'text-[#F06292]' : 'text-gray-400 hover:text-white'
+                                                }`}
+                                            >
+                                                {review.liked_by_me ? '♥ Liked' : '♡ Like'} · {review.like_count}
+                                            </button>
+                                        )}
+                                    </div>
+                                </div>
+                            );
+                        })}
+                    </div>
+                )}
+
+                {/* Rating Modal - reviews are written together with a rating */}
+                <RatingModal
+                    isOpen={isRatingModalOpen}
+                    onClose={() => setIsRatingModalOpen(false)}
+                    mediaId={id}
+                    mediaType={mediaType}
+                    mediaTitle={movieData?.title || movieData?.name}
+                />
+            </div>
+        </div>
+    );
+};
+
+export default ReviewsSection;
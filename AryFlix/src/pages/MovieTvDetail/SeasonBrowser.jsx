@@ -0,0 +1,406 @@
+import React, { useState, useEffect } from 'react';
+import { Link, useParams } from 'react-router-dom';
+import LoadingSpinner from '../../components/LoadingSpinner';
+import { useTitle } from '../../contexts/TitleContext';
+import { useWatchProgress } from '../../contexts/WatchProgressContext';
+import { apiFetch } from '../../api';
+
+// Watched episodes from a progress response as a Set of "S1E2" keys
+const toWatchedSet = (progress) => new Set(
+    (progress?.watched || []).map(item => `S${item.season_number}E${item.episode_number}`)
+);
+
+// Season + episode browser for TV shows
+// Season list comes from the shared title data, episodes are fetched per season
+const SeasonBrowser = () => {
+    const { id } = useParams();
+    const { data: movieData } = useTitle('tv', id);
+
+    const [selectedSeason, setSelectedSeason] = useState(null);
+    const [seasonData, setSeasonData] = useState({});       // season number → season with episodes
+    const [seasonLoading, setSeasonLoading] = useState(false);
+    const [seasonError, setSeasonError] = useState(null);
+    const [expandedEpisode, setExpandedEpisode] = useState(null);
+    const [episodeDetails, setEpisodeDetails] = useState({}); // "S1E2" → full episode (crew, stills)
+
+    // Watch progress - which episodes the logged-in user has watched
+    const { user, fetchShowProgress, setEpisodeWatched, setSeasonWatched, markWatchedUpTo } = useWatchProgress();
+    const [watchedEpisodes, setWatchedEpisodes] = useState(new Set()); // "S1E2" keys
+    const [progressSaving, setProgressSaving] = useState(false);
+
+    // Specials (season 0) go last, everything else in order
+    const seasons = (movieData?.seasons || [])
+        .filter(season => season.episode_count > 0)
+        .sort((a, b) => {
+            if (a.season_number === 0) return 1;
+            if (b.season_number === 0) return -1;
+            return a.season_number - b.season_number;
+        });
+
+    // ==========================================
+    // DEFAULT SEASON - latest season that has started airing
+    // ==========================================
+    useEffect(() => {
+        setSeasonData({});
+        setEpisodeDetails({});
+        setExpandedEpisode(null);
+
+        const seasonList = movieData?.seasons || [];
+        if (seasonList.length === 0) {
+            setSelectedSeason(null);
+            return;
+        }
+
+        const today = new Date().toISOString().split('T')[0];
+        const airedSeasons = seasonList.filter(season =>
+            season.season_number > 0 && season.air_date && season.air_date <= today
+        );
+        const latestSeason = airedSeasons[airedSeasons.length - 1] ||
+            seasonList.find(season => season.season_number > 0) ||
+            seasonList[0];
+
+        setSelectedSeason(latestSeason.season_number);
+    }, [movieData]);
+
+    // ==========================================
+    // DATA FETCHING - episodes for the selected season
+    // ==========================================
+    useEffect(() => {
+        if (selectedSeason === null || seasonData[selectedSeason]) return;
+
+        const fetchSeason = async () => {
+            try {
+                setSeasonLoading(true);
+                setSeasonError(null);
+
+                const response = await apiFetch(`/api/tv/${id}/season/${selectedSeason}`);
+                const data = await response.json();
+
+                if (!response.ok || !data.success) {
+                    throw new Error('Failed to fetch season');
+                }
+
+                setSeasonData(prev => ({ ...prev, [selectedSeason]: data.data }));
+            } catch (err) {
+                console.error('Error fetching season:', err);
+                setSeasonError('Failed to load episodes');
+            } finally {
+                setSeasonLoading(false);
+            }
+        };
+
+        fetchSeason();
+    }, [id, selectedSeason, seasonData]);
+
+    // ==========================================
+    // WATCH PROGRESS
+    // ==========================================
+
+    // Load which episodes the user has already watched
+    useEffect(() => {
+        if (!user || !id) {
+            setWatchedEpisodes(new Set());
+            return;
+        }
+        fetchShowProgress(id).then(progress => {
+            if (progress) setWatchedEpisodes(toWatchedSet(progress));
+        });
+    }, [user, id, fetchShowProgress]);
+
+    // Run a progress change (one at a time) and update the watched set
+    const updateProgress = async (change) => {
+        if (progressSaving) return;
+        setProgressSaving(true);
+        try {
+            const progress = await change();
+            if (progress) setWatchedEpisodes(toWatchedSet(progress));
+        } finally {
+            setProgressSaving(false);
+        }
+    };
+
+    // Open/close an episode - full details (directors, writers) are loaded the first time it's opened
+    const toggleEpisode = async (episode) => {
+        const key = `S${episode.season_number}E${episode.episode_number}`;
+
+        if (expandedEpisode === key) {
+            setExpandedEpisode(null);
+            return;
+        }
+        setExpandedEpisode(key);
+
+        if (episodeDetails[key] || episode.is_upcoming) return;
+
+        try {
+            const response = await apiFetch(
+                `/api/tv/${id}/season/${episode.season_number}/episode/${episode.episode_number}`
+            );
+            const data = await response.json();
+
+            if (data.success) {
+                setEpisodeDetails(prev => ({ ...prev, [key]: data.data }));
+            }
+        } catch (err) {
+            console.error('Error fetching episode details:', err);
+        }
+    };
+
+    // ==========================================
+    // HELPER FUNCTIONS
+    // ==========================================
+    const formatAirDate = (dateString) => {
+        if (!dateString) return 'TBA';
+        // Air dates have no time - parse as local date so the day doesn't shift
+        const [year, month, day] = dateString.split('-').map(Number);
+        return new Date(year, month - 1, day).toLocaleDateString('en-US', {
+            month: 'short',
+            day: 'numeric',
+            year: 'numeric'
+        });
+    };
+
+    const formatRuntime = (runtime) => {
+        if (!runtime) return null;
+        const hours = Math.floor(runtime / 60);
+        const minutes = runtime % 60;
+        return hours > 0 ? `${hours}h ${minutes}m` : `${minutes}m`;
+    };
+
+    // Nothing to browse (movies, or shows without season info)
+    if (seasons.length === 0) {
+        return null;
+    }
+
+    const season = seasonData[selectedSeason];
+
+    // Season watch progress (upcoming episodes can't be watched yet)
+    const airedEpisodes = season ? season.episodes.filter(episode => !episode.is_upcoming) : [];
+    const watchedInSeason = airedEpisodes.filter(episode =>
+        watchedEpisodes.has(`S${episode.season_number}E${episode.episode_number}`)
+    ).length;
+    const seasonWatched = airedEpisodes.length > 0 && watchedInSeason === airedEpisodes.length;
+
+    return (
+        <div className="relative -mx-4 md:-mx-8 mt-12">
+            <div className="max-w-[85rem] mx-auto px-4 sm:px-6 lg:px-8">
+                <h2 className="text-white text-2xl font-bold mb-4">Episodes</h2>
+
+                {/* SEASON SELECTOR */}
+                <div
+                    className="flex gap-2 overflow-x-auto pb-2 mb-4"
+                    style={{
+                        scrollbarWidth: 'none',
+                        msOverflowStyle: 'none'
+                    }}
+                >
+                    {seasons.map(item => (
+                        <button
+                            key={item.season_number}
+                            onClick={() => {
+                                setSelectedSeason(item.season_number);
+                                setExpandedEpisode(null);
+                            }}
+                            className={`flex-shrink-0 px-4 py-1.5 rounded-lg text-sm font-semibold transition-colors cursor-pointer ${
+                                selectedSeason === item.season_number
+                                    ? 'bg-[#E91E63] text-white'
+                                    : 'bg-[#393841] text-gray-300 hover:bg-[#4a4953]'
+                            }`}
+                        >
+                            {item.season_number === 0 ? 'Specials' : `Season ${item.season_number}`}
+                        </button>
+                    ))}
+                </div>
+
+                {/* SEASON SUMMARY + mark season watched */}
+                {season && (
+                    <div className="flex flex-wrap items-center justify-between gap-2 mb-4">
+                        <p className="text-gray-400 text-sm">
+                            {season.episode_count} episode{season.episode_count === 1 ? '' : 's'}
+                            {season.air_date && ` • Premiered ${formatAirDate(season.air_date)}`}
+                            {user && airedEpisodes.length > 0 && ` • ${watchedInSeason} of ${airedEpisodes.length} watched`}
+                            {season.upcoming_count > 0 && (
+                                <span className="text-[#F06292]"> • {season.upcoming_count} upcoming</span>
+                            )}
+                        </p>
+                        {user && airedEpisodes.length > 0 && (
+                            <button
+                                onClick={() => updateProgress(() => setSeasonWatched(id, selectedSeason, !seasonWatched))}
+                                disabled={progressSaving}
+                                className="text-sm font-semibold px-3 py-1 rounded-lg border border-[#E91E63] text-[#E91E63] hover:bg-[#E91E63] hover:text-white transition-colors cursor-pointer disabled:opacity-50"
+                            >
+                                {seasonWatched ? 'Unmark season' : 'Mark season watched'}
+                            </button>
+                        )}
+                    </div>
+                )}
+
+                {/* EPISODE LIST */}
+                {seasonLoading && !season && (
+                    <div className="flex justify-center py-8">
+                        <LoadingSpinner />
+                    </div>
+                )}
+
+                {seasonError && !season && (
+                    <p className="text-gray-400 py-4">{seasonError}</p>
+                )}
+
+                {season && (
+                    <div className="space-y-3">
+                        {season.episodes.map(episode => {
+                            const key = `S${episode.season_number}E${episode.episode_number}`;
+                            const isExpanded = expandedEpisode === key;
+                            const isWatched = watchedEpisodes.has(key);
+                            const details = episodeDetails[key];
+                            const guestStars = details?.guest_stars || episode.guest_stars;
+
+                            return (
+                                <div
+                                    key={episode.id}
+                                    className={`bg-[#1c1c1f] rounded-lg overflow-hidden ${episode.is_upcoming ? 'border border-[#C2185B]/60' : ''}`}
+                                >
+                                    <div className="flex">
+                                        <button
+                                            onClick={() => toggleEpisode(episode)}
+                                            className="flex-1 min-w-0 flex gap-4 p-3 text-left hover:bg-[#393841]/40 transition-colors cursor-pointer"
+                                        >
+                                            {/* Still image */}
+                                            <div className="flex-shrink-0 w-32 sm:w-44 aspect-video rounded-md overflow-hidden bg-[#393841]">
+                                                {episode.still_path ? (
+                                                    <img
+                                                        src={`https://image.tmdb.org/t/p/w300${episode.still_path}`}
+                                                        alt={episode.name}
+                                                        className={`w-full h-full object-cover ${episode.is_upcoming ? 'opacity-60' : ''}`}
+                                                        loading="lazy"
+                                                    />
+                                                ) : (
+                                                    <div className="w-full h-full flex items-center justify-center text-gray-500 text-xs">
+                                                        No image
+                                                    </div>
+                                                )}
+                                            </div>
+
+                                            {/* Episode info */}
+                                            <div className="flex-1 min-w-0">
+                                                <div className="flex flex-wrap items-center gap-2 mb-1">
+                                                    <span className="text-white font-semibold">
+                                                        {episode.episode_number}. {episode.name}
+                                                    </span>
+                                                    {episode.is_upcoming && (
+                                                        <span className="bg-[#E91E63] text-white text-xs font-bold px-2 py-0.5 rounded">
+                                                            Upcoming
+                                                        </span>
+                                                    )}
+                                                    {episode.episode_type === 'finale' && (
+                                                        <span className="bg-[#393841] text-[#F06292] text-xs font-bold px-2 py-0.5 rounded">
+                                                            Finale
+                                                        </span>
+                                                    )}
+                                                </div>
+
+                                                <div className="flex flex-wrap items-center gap-x-3 gap-y-1 text-sm text-gray-400 mb-1">
+                                                    <span>{episode.is_upcoming ? `Airs ${formatAirDate(episode.air_date)}` : formatAirDate(episode.air_date)}</span>
+                                                    {formatRuntime(episode.runtime) && <span>{formatRuntime(episode.runtime)}</span>}
+                                                    {!episode.is_upcoming && episode.vote_count > 0 && (
+                                                        <span className="flex items-center gap-1">
+                                                            <img src="/star.png" alt="Rating" className="w-3.5 h-3.5" />
+                                                            <span className="text-white">{episode.vote_average.toFixed(1)}</span>
+                                                        </span>
+                                                    )}
+                                                </div>
+
+                                                {episode.overview && (
+                                                    <p className={`text-gray-300 text-sm ${isExpanded ? '' : 'line-clamp-2'}`}>
+                                                        {episode.overview}
+                                                    </p>
+                                                )}
+                                            </div>
+                                        </button>
+
+                                        {/* Watched toggle (logged in, aired episodes only) */}
+                                        {user && !episode.is_upcoming && (
+                                            <button
+                                                onClick={() => updateProgress(() => setEpisodeWatched(id, episode.season_number, episode.episode_number, !isWatched))}
+                                                disabled={progressSaving}
+                                                className="flex-shrink-0 px-3 sm:px-4 flex items-center cursor-pointer disabled:opacity-50"
+                                                title={isWatched ? 'Mark as unwatched' : 'Mark as watched'}
+                                            >
+                                                <span className={`w-7 h-7 rounded-full border-2 flex items-center justify-center text-sm font-bold transition-colors ${
+                                                    isWatched
+                                                        ? 'bg-[#E91E63] border-[#E91E63] text-white'
+                                                        : 'border-gray-500 text-transparent hover:border-[#F06292]'
+                                                }`}>
+                                                    ✓
+                                                </span>
+                                            </button>
+                                        )}
+                                    </div>
+
+                                    {/* EXPANDED - crew + guest stars */}
+                                    {isExpanded && (
+                                        <div className="px-3 pb-4 sm:pl-52 text-sm space-y-2">
+                                            {details?.crew?.length > 0 && (
+                                                <div className="text-gray-300">
+                                                    {['Directing', 'Writing'].map(department => {
+                                                        const people = details.crew.filter(person => person.department === department);
+                                                        if (people.length === 0) return null;
+                                                        return (
+                                                            <div key={department}>
+                                                                <span className="text-white font-bold">
+                                                                    {department === 'Directing' ? 'Directed by' : 'Written by'}:
+                                                                </span>{' '}
+                                                                {people.map((person, index) => (
+                                                                    <span key={`${person.id}-${person.job}`}>
+                                                                        <Link to={`/person/${person.id}`} className="hover:text-[#F06292] transition-colors">
+                                                                            {person.name}
+                                                                        </Link>
+                                                                        {index < people.length - 1 && ', '}
+                                                                    </span>
+                                                                ))}
+                                                            </div>
+                                                        );
+                                                    })}
+                                                </div>
+                                            )}
+
+                                            {guestStars?.length > 0 && (
+                                                <div className="text-gray-300">
+                                                    <span className="text-white font-bold">Guest stars:</span>{' '}
+                                                    {guestStars.map((person, index) => (
+                                                        <span key={person.id}>
+                                                            <Link to={`/person/${person.id}`} className="hover:text-[#F06292] transition-colors">
+                                                                {person.name}
+                                                            </Link>
+                                                            {person.character && <span className="text-gray-500"> ({person.character})</span>}
+                                                            {index < guestStars.length - 1 && ', '}
+                                                        </span>
+                                                    ))}
+                                                </div>
+                                            )}
+
+                                            {user && !episode.is_upcoming && (
+                                                <button
+                                                    onClick={() => updateProgress(() => markWatchedUpTo(id, episode.season_number, episode.episode_number))}
+                                                    disabled={progressSaving}
+                                                    className="text-[#E91E63] hover:text-[#F06292] font-semibold cursor-pointer disabled:opacity-50"
+                                                >
+                                                    Mark watched up to here
+                                                </button>
+                                            )}
+
+                                            {episode.is_upcoming && !episode.overview && (
+                                                <p className="text-gray-500">No details yet - check back closer to the air date.</p>
+                                            )}
+                                        </div>
+                                    )}
+                                </div>
+                            );
+                        })}
+                    </div>
+                )}
+            </div>
+        </div>
+    );
+};
+
+export default SeasonBrowser;
@@ -0,0 +1,242 @@
+import React, { useState, useEffect } from 'react';
+import { useParams, useLocation } from 'react-router-dom';
+import { useTitle } from '../../contexts/TitleContext';
+import { apiFetch } from '../../api';
+import { formatReleaseDate } from '../../releaseStatus';
+
+// Where the last place searched for showtimes is remembered ("10036", "Austin", "40.75,-73.98")
+const NEAR_STORAGE_KEY = 'aryflix.showtimesNear';
+
+// Release statuses where showtimes make sense (advance tickets included)
+const SHOWTIME_STATUSES = ['in_theaters', 'coming_soon'];
+
+// Booking links come from a third-party feed - only http(s) ones become links (no javascript: / data: URLs)
+const isWebUrl = (url) => {
+    try {
+        return ['http:', 'https:'].includes(new URL(url).protocol);
+    } catch {
+        return false;
+    }
+};
+
+// '19:30' → '7:30 PM'
+const formatTime = (time) => {
+    const [hours, minutes] = time.split(':').map(Number);
+    return new Date(2000, 0, 1, hours, minutes).toLocaleTimeString('en-US', { hour: 'numeric', minute: '2-digit' });
+};
+
+// "Showtimes" section on a movie's detail page - screenings near the user from /api/showtimes,
+// grouped by theater (nearest first) then by day. Only shown while the movie is (or is about to be) in cinemas.
+// The "Get Tickets" buttons in the header scroll here (#showtimes)
+const ShowtimesPanel = () => {
+    const { id } = useParams();
+    const { hash } = useLocation();
+    const { data: movieData } = useTitle('movie', id);
+
+    const [near, setNear] = useState(() => localStorage.getItem(NEAR_STORAGE_KEY) || '');
+    const [nearInput, setNearInput] = useState(near);
+    const [showtimes, setShowtimes] = useState(null);
+    const [loading, setLoading] = useState(false);
+    const [error, setError] = useState(null);
+    const [locating, setLocating] = useState(false);
+
+    const showPanel = SHOWTIME_STATUSES.includes(movieData?.release_info?.status);
+
+    // Look up screenings whenever the movie or the place changes
+    useEffect(() => {
+        if (!showPanel || !near) return;
+        let cancelled = false;
+
+        const fetchShowtimes = async () => {
+            setLoading(true);
+            setError(null);
+            try {
+                const response = await apiFetch(`/api/showtimes?movie=${id}&near=${encodeURIComponent(near)}`);
+                const data = await response.json();
+                if (!data.success) throw new Error(data.error || 'API returned unsuccessful response');
+                if (!cancelled) setShowtimes(data.data);
+            } catch (err) {
+                console.error('Error fetching showtimes:', err);
+                if (!cancelled) {
+                    setShowtimes(null);
+                    setError(err.message);
+                }
+            } finally {
+                if (!cancelled) setLoading(false);
+            }
+        };
+
+        fetchShowtimes();
+        return () => { cancelled = true; };
+    }, [id, near, showPanel]);
+
+    // Arriving from a card's "Get Tickets" button (/movie/:id#showtimes) - bring the panel into view
+    // (after ScrollToTop has reset the scroll for the new page)
+    useEffect(() => {
+        if (!showPanel || hash !== '#showtimes') return;
+        const timer = setTimeout(() => {
+            document.getElementById('showtimes')?.scrollIntoView({ behavior: 'smooth', block: 'start' });
+        }, 0);
+        return () => clearTimeout(timer);
+    }, [showPanel, hash]);
+
+    const searchNear = (place) => {
+        const trimmed = place.trim();
+        if (!trimmed) return;
+        localStorage.setItem(NEAR_STORAGE_KEY, trimmed);
+        setNearInput(trimmed);
+        setNear(trimmed);
+    };
+
+    const handleSubmit = (e) => {
+        e.preventDefault();
+        searchNear(nearInput);
+    };
+
+    // "Use my location" - browser geolocation, sent as "lat,lng"
+    const handleUseLocation = () => {
+        if (!navigator.geolocation) {
+            setError('Your browser does not share its location');
+            return;
+        }
+
+        setLocating(true);
+        navigator.geolocation.getCurrentPosition(
+            (position) => {
+                setLocating(false);
+                searchNear(`${position.coords.latitude.toFixed(4)},${position.coords.longitude.toFixed(4)}`);
+            },
+            () => {
+                setLocating(false);
+                setError('Could not get your location - enter a ZIP code or city instead');
+            },
+            { timeout: 10000 }
+        );
+    };
+
+    if (!showPanel) {
+        return null;
+    }
+
+    const movieTitle = movieData.title || movieData.name;
+    const fandangoUrl = `https://www.fandango.com/search/?q=${encodeURIComponent(movieTitle)}`;
+    const theaters = showtimes?.theaters || [];
+
+    return (
+        <div id="showtimes" className="relative -mx-4 md:-mx-8 mt-12 scroll-mt-24">
+            <div className="max-w-[85rem] mx-auto px-4 sm:px-6 lg:px-8">
+                <h2 className="text-white text-2xl font-bold mb-4">Showtimes</h2>
+
+                {/* Where to look */}
+                <form onSubmit={handleSubmit} className="flex flex-wrap items-center gap-2 mb-6">
+                    <input
+                        type="text"
+                        value={nearInput}
+                        onChange={(e) => setNearInput(e.target.value)}
+                        placeholder="ZIP code or city"
+                        aria-label="ZIP code or city"
+                        className="bg-[#393841] text-white placeholder-gray-400 rounded-lg px-3 py-2 text-sm w-48 focus:outline-none focus:ring-2 focus:ring-[#E91E63]"
+                    />
+                    <button
+                        type="submit"
+                        className="bg-[#E91E63] hover:bg-[#F06292] text-white px-4 py-2 rounded-lg text-sm font-bold transition-colors cursor-pointer"
+                    >
+                        Find Showtimes
+                    </button>
+                    <button
+                        type="button"
+                        onClick={handleUseLocation}
+                        disabled={locating}
+                        className="text-gray-300 hover:text-white text-sm font-semibold px-2 py-2 transition-colors cursor-pointer disabled:opacity-50"
+                    >
+                        {locating ? 'Locating...' : '📍 Use my location'}
+                    </button>
+                </form>
+
+                {!near ? (
+                    <p className="text-gray-400 text-sm">Enter a ZIP code or city to see where {movieTitle} is playing.</p>
+                ) : loading ? (
+                    <p className="text-gray-400 text-sm">Loading showtimes...</p>
+                ) : error ? (
+                    <p className="text-red-400 text-sm">{error}</p>
+                ) : theaters.length === 0 ? (
+                    // Nothing in the feed for this place - send people to Fandango like before
+                    <div className="text-gray-400 text-sm space-y-2">
+                        <p>No showtimes found near {near} this week.</p>
+                        <a
+                            href={fandangoUrl}
+                            target="_blank"
+                            rel="noopener noreferrer"
+                            className="inline-block text-[#E91E63] hover:text-[#F06292] font-bold"
+                        >
+                            Search Fandango →
+                        </a>
+                    </div>
+                ) : (
+                    <div className="space-y-4">
+                        {theaters.map(({ theater, dates }) => (
+                            <div key={theater.id} className="bg-[#393841] rounded-xl p-4 border border-gray-700/50">
+                                <div className="flex flex-wrap items-baseline justify-between gap-2 mb-3">
+                                    <div>
+                                        <div className="text-white font-bold">{theater.name}</div>
+                                        <div className="text-gray-400 text-xs">
+                                            {[theater.address, theater.city, theater.postal_code].filter(Boolean).join(', ')}
+                                        </div>
+                                    </div>
+                                    {theater.distance_km !== null && (
+                                        <div className="text-gray-400 text-xs">{theater.distance_km} km away</div>
+                                    )}
+                                </div>
+
+                                <div className="space-y-3">
+                                    {dates.map(({ date, screenings }) => (
+                                        <div key={date}>
+                                            <div className="text-gray-300 text-sm font-semibold mb-2">
+                                                {formatReleaseDate(date, { weekday: 'short', month: 'short', day: 'numeric' })}
+                                            </div>
+                                            <div className="flex flex-wrap gap-2">
+                                                {screenings.map(screening => {
+                                                    const label = (
+                                                        <>
+                                                            {formatTime(screening.time)}
+                                                            {screening.format && screening.format !== 'Standard' && (
+                                                                <span className="ml-1.5 text-[10px] font-bold uppercase bg-black/40 rounded px-1 py-0.5">
+                                                                    {screening.format}
+                                                                </span>
+                                                            )}
+                                                        </>
+                                                    );
+                                                    const chipClass = 'inline-flex items-center text-white text-sm font-semibold rounded-lg px-3 py-1.5';
+
+                                                    // Showings without a (usable) booking link are listed but not clickable
+                                                    return isWebUrl(screening.booking_url) ? (
+                                                        <a
+                                                            key={screening.starts_at + screening.format}
+                                                            href={screening.booking_url}
+                                                            target="_blank"
+                                                            rel="noopener noreferrer"
+                                                            title={screening.language ? `Language: ${screening.language}` : undefined}
+                                                            className={`${chipClass} bg-[#E91E63] hover:bg-[#F06292] transition-colors`}
+                                                        >
+                                                            {label}
+                                                        </a>
+                                                    ) : (
+                                                        <span key={screening.starts_at + screening.format} className={`${chipClass} bg-[#2b2a31]`}>
+                                                            {label}
+                                                        </span>
+                                                    );
+                                                })}
+                                            </div>
+                                        </div>
+                                    ))}
+                                </div>
+                            </div>
+                        ))}
+                    </div>
+                )}
+            </div>
+        </div>
+    );
+};
+
+export default ShowtimesPanel;
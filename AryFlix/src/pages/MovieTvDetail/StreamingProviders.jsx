@@ -1,15 +1,30 @@
 import React from 'react';
+import { useLocale } from '../../contexts/LocaleContext';
+import { parseReleaseDate } from '../../releaseStatus';
+
+// Release statuses that get a box above the providers
+const THEATER_STATUS_MESSAGES = {
+    in_theaters: 'Currently In Theaters',
+    coming_soon: 'Coming to Theaters',
+    streaming_soon: 'Coming to Streaming'
+};
+
+// "Get Tickets" jumps down to the showtimes panel (ShowtimesPanel) further down the page
+const scrollToShowtimes = () => {
+    document.getElementById('showtimes')?.scrollIntoView({ behavior: 'smooth', block: 'start' });
+};
 
 const StreamingProviders = ({ movieData, isTV, mobile = false }) => {
-    // Get streaming providers for US region
+    const { region } = useLocale();
+
+    // Get streaming providers for the region picked in the navbar
     const getStreamingProviders = () => {
-        if (!movieData?.['watch/providers']?.results?.US) return null;
-        
-        const usProviders = movieData['watch/providers'].results.US;
+        const regionProviders = movieData?.['watch/providers']?.results?.[region];
+        if (!regionProviders) return null;
         
-        const streamingProviders = usProviders.flatrate || [];
-        const rentProviders = usProviders.rent || [];
-        const buyProviders = usProviders.buy || [];
+        const streamingProviders = regionProviders.flatrate || [];
+        const rentProviders = regionProviders.rent || [];
+        const buyProviders = regionProviders.buy || [];
         
         // Simple function to clean up provider names and remove duplicates
         const cleanProviders = (providers) => {
@@ -51,34 +66,20 @@ const StreamingProviders = ({ movieData, isTV, mobile = false }) => {
         };
     };
 
-    // Check if movie is currently in theaters OR coming to theaters soon
+    // Theater / streaming-soon box - from the release timeline the backend builds for the
+    // selected region, so it agrees with "Movies in Theatres" and "Coming Soon to Theatres"
     const getTheaterStatus = () => {
         if (isTV) return null;
         
-        if (!movieData?.release_date) return null;
-        
-        const releaseDate = new Date(movieData.release_date);
-        const now = new Date();
-        const daysSinceRelease = (now - releaseDate) / (1000 * 60 * 60 * 24);
-        
-        // Movie is currently in theaters (released 0-90 days ago)
-        if (daysSinceRelease >= 0 && daysSinceRelease <= 90) {
-            return {
-                type: 'in_theaters',
-                message: 'Currently In Theaters'
-            };
-        }
+        const releaseInfo = movieData?.release_info;
+        const message = THEATER_STATUS_MESSAGES[releaseInfo?.status];
+        if (!message) return null;
         
-        // Movie is coming to theaters (releasing within next 180 days)
-        if (daysSinceRelease < 0 && daysSinceRelease >= -180) {
-            return {
-                type: 'coming_soon',
-                message: 'Coming to Theaters',
-                releaseDate: releaseDate
-            };
-        }
-        
-        return null;
+        return {
+            type: releaseInfo.status,
+            message: message,
+            releaseDate: parseReleaseDate(releaseInfo.status_date)
+        };
     };
 
     // Single provider component with reduced padding
@@ -125,7 +126,7 @@ const StreamingProviders = ({ movieData, isTV, mobile = false }) => {
     const providers = getStreamingProviders();
     const theaterStatus = getTheaterStatus();
 
-    // Don't render if no providers and not in/coming to theaters
+    // Don't render if no providers and not in/coming to theaters or streaming
     if (!providers && !theaterStatus) {
         return null;
     }
@@ -150,10 +151,7 @@ const StreamingProviders = ({ movieData, isTV, mobile = false }) => {
                         </div>
                         {theaterStatus.type === 'in_theaters' ? (
                             <button
-                                onClick={() => {
-                                    const fandangoUrl = `https://www.fandango.com/search/?q=${encodeURIComponent(movieData.title || movieData.name)}`;
-                                    window.open(fandangoUrl, '_blank', 'noopener,noreferrer');
-                                }}
+                                onClick={scrollToShowtimes}
                                 className="bg-[#E91E63] hover:bg-[#F06292] text-white px-4 py-2 rounded-lg text-sm font-bold transition-colors"
                             >
                                 🎫 Get Tickets
@@ -231,28 +229,18 @@ const StreamingProviders = ({ movieData, isTV, mobile = false }) => {
                                 </div>
                                 
                                 <div className="w-full">
-                                    <a 
-                                        href={`https://www.fandango.com/search/?q=${encodeURIComponent(movieData.title || movieData.name)}`}
-                                        target="_blank"
-                                        rel="noopener noreferrer"
-                                        className="group flex items-center justify-center gap-2 bg-gradient-to-r from-orange-600 to-orange-500 hover:from-orange-700 hover:to-orange-600 rounded-lg py-2 px-3 transition-all duration-300 w-full shadow-lg hover:shadow-xl transform hover:scale-105 active:scale-95"
+                                    <button
+                                        onClick={scrollToShowtimes}
+                                        className="group flex items-center justify-center gap-2 bg-gradient-to-r from-orange-600 to-orange-500 hover:from-orange-700 hover:to-orange-600 rounded-lg py-2 px-3 transition-all duration-300 w-full shadow-lg hover:shadow-xl transform hover:scale-105 active:scale-95 cursor-pointer"
                                     >
-                                        <img 
-                                            src="/fandango-icon.jpeg"
-                                            alt="Fandango"
-                                            className="w-6 h-6 object-contain"
-                                            onError={(e) => {
-                                                e.target.style.display = 'none';
-                                            }}
-                                        />
                                         <span className="text-white text-sm font-bold">
-                                            Get Tickets
+                                            🎫 Get Tickets
                                         </span>
-                                    </a>
+                                    </button>
                                 </div>
                             </div>
                         ) : (
-                            // Coming to theaters - Compact version
+                            // Coming to theaters / streaming - Compact version
                             <div className="flex flex-col items-center justify-center space-y-2">
                                 <div className="text-white text-sm font-semibold">
                                     {theaterStatus.releaseDate.toLocaleDateString('en-US', { 
@@ -262,13 +250,15 @@ const StreamingProviders = ({ movieData, isTV, mobile = false }) => {
                                     })}
                                 </div>
                                 
-                                <div className="w-full">
-                                    <div className="flex items-center justify-center gap-2 bg-gradient-to-r from-gray-600 to-gray-500 rounded-lg py-2 px-3 w-full shadow-lg">
-                                        <span className="text-white text-xs font-bold">
-                                            Tickets Not Available
-                                        </span>
+                                {theaterStatus.type === 'coming_soon' && (
+                                    <div className="w-full">
+                                        <div className="flex items-center justify-center gap-2 bg-gradient-to-r from-gray-600 to-gray-500 rounded-lg py-2 px-3 w-full shadow-lg">
+                                            <span className="text-white text-xs font-bold">
+                                                Tickets Not Available
+                                            </span>
+                                        </div>
                                     </div>
-                                </div>
+                                )}
                             </div>
                         )}
                     </div>
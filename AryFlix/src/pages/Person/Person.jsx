@@ -0,0 +1,363 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import { Link, useParams } from 'react-router-dom';
+import LoadingSpinner from '../../components/LoadingSpinner';
+import MovieTVCard from '../../components/MovieTVCard';
+import ScrollableMovieSection from '../../components/ScrollableMovieSection';
+import { useWatchlist } from '../../contexts/WatchlistContext';
+import { useRating } from '../../contexts/RatingContext';
+import usePageTitle from '../../hooks/usePageTitle';
+import { apiFetch } from '../../api';
+import { normalizeMediaType, getTitlePath } from '../../mediaIdentity';
+
+// Sort options for the filmography
+const SORT_OPTIONS = [
+  { id: 'date', name: 'Newest' },
+  { id: 'popularity', name: 'Most Popular' }
+];
+
+// Key for looking up a title in the user's ratings (movie and TV ids overlap)
+const getRatingKey = (mediaId, mediaType) => `${normalizeMediaType(mediaType)}-${mediaId}`;
+
+function Person() {
+  const { id } = useParams();
+  const { user, isInWatchlist } = useWatchlist();
+  const { getAllUserRatings } = useRating();
+
+  const [person, setPerson] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [sortBy, setSortBy] = useState('date');
+  const [showFullBio, setShowFullBio] = useState(false);
+  const [userRatings, setUserRatings] = useState({}); // "movie-550" → rating row
+
+  usePageTitle(person?.name);
+
+  // ==========================================
+  // DATA FETCHING
+  // ==========================================
+  useEffect(() => {
+    const fetchPerson = async () => {
+      try {
+        setLoading(true);
+        setError(null);
+        setShowFullBio(false);
+
+        const response = await apiFetch(`/api/people/${id}`);
+        const data = await response.json();
+
+        if (!response.ok || !data.success) {
+          throw new Error('Failed to fetch person details');
+        }
+
+        setPerson(data.data);
+      } catch (err) {
+        console.error('Error fetching person:', err);
+        setError('Failed to load person');
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    if (id) {
+      fetchPerson();
+    }
+  }, [id]);
+
+  // Get the user's ratings once so we can mark titles they've already rated
+  useEffect(() => {
+    if (!user) {
+      setUserRatings({});
+      return;
+    }
+
+    getAllUserRatings().then(ratings => {
+      const ratingMap = {};
+      ratings.forEach(rating => {
+        ratingMap[getRatingKey(rating.media_id, rating.media_type)] = rating;
+      });
+      setUserRatings(ratingMap);
+    });
+  }, [user, getAllUserRatings]);
+
+  // ==========================================
+  // FILMOGRAPHY - grouped by department, sorted
+  // ==========================================
+  const departments = useMemo(() => {
+    if (!person) return [];
+
+    const groups = {};
+    const allCredits = [...person.credits.cast, ...person.credits.crew];
+
+    allCredits.forEach(credit => {
+      const department = credit.department || 'Other';
+      if (!groups[department]) groups[department] = [];
+      groups[department].push(credit);
+    });
+
+    const sortCredits = (a, b) => {
+      if (sortBy === 'popularity') {
+        return b.popularity - a.popularity;
+      }
+      // Newest first - credits without a date are upcoming, so they go on top
+      if (!a.date && !b.date) return b.popularity - a.popularity;
+      if (!a.date) return -1;
+      if (!b.date) return 1;
+      return new Date(b.date) - new Date(a.date);
+    };
+
+    return Object.entries(groups)
+      .map(([name, credits]) => ({ name, credits: [...credits].sort(sortCredits) }))
+      .sort((a, b) => {
+        // Person's main department first, then biggest departments
+        if (a.name === person.known_for_department) return -1;
+        if (b.name === person.known_for_department) return 1;
+        return b.credits.length - a.credits.length;
+      });
+  }, [person, sortBy]);
+
+  // ==========================================
+  // HELPER FUNCTIONS
+  // ==========================================
+  const formatDate = (dateString) => {
+    if (!dateString) return null;
+    return new Date(dateString).toLocaleDateString('en-US', {
+      month: 'long',
+      day: 'numeric',
+      year: 'numeric'
+    });
+  };
+
+  // Age today, or age when they died
+  const getAge = () => {
+    if (!person?.birthday) return null;
+    const end = person.deathday ? new Date(person.deathday) : new Date();
+    const birth = new Date(person.birthday);
+    let age = end.getFullYear() - birth.getFullYear();
+    const hadBirthday = end.getMonth() > birth.getMonth() ||
+      (end.getMonth() === birth.getMonth() && end.getDate() >= birth.getDate());
+    if (!hadBirthday) age--;
+    return age;
+  };
+
+  // "Character" for actors, "Director, Writer" for crew
+  const getRoleText = (credit) => {
+    if (credit.department === 'Acting') {
+      return credit.characters?.filter(Boolean).join(' / ') || null;
+    }
+    return credit.jobs?.join(', ') || null;
+  };
+
+  // Loading state
+  if (loading) {
+    return (
+      <div className="flex flex-col items-center justify-center min-h-[70vh]">
+        <LoadingSpinner />
+      </div>
+    );
+  }
+
+  // Error state
+  if (error || !person) {
+    return (
+      <div className="flex flex-col items-center justify-center min-h-[70vh]">
+        <h2 className="text-2xl font-bold text-red-500 mb-4">Error</h2>
+        <p className="text-gray-400 mb-4">{error || 'Person not found'}</p>
+        <Link
+          to="/"
+          className="bg-[#E91E63] hover:bg-[#F06292] text-white px-6 py-2 rounded-lg transition-colors"
+        >
+          Back to Home
+        </Link>
+      </div>
+    );
+  }
+
+  const age = getAge();
+  const profileUrl = person.profile_path
+    ? `https://image.tmdb.org/t/p/w500${person.profile_path}`
+    : '/movie_placeholder.png';
+  const bioIsLong = (person.biography || '').length > 600;
+
+  return (
+    <div className="min-h-screen bg-black pt-8 pb-8">
+      <div className="max-w-6xl mx-auto px-4">
+        {/* ==========================================
+            HEADER - Photo, name, personal info, biography
+            ========================================== */}
+        <div className="flex flex-col md:flex-row gap-8 mb-10">
+          <div className="flex-shrink-0 mx-auto md:mx-0">
+            <img
+              src={profileUrl}
+              alt={person.name}
+              className="w-48 md:w-60 rounded-lg object-cover shadow-lg"
+            />
+          </div>
+
+          <div className="flex-1">
+            <h1 className="text-3xl md:text-4xl font-bold text-white mb-2">{person.name}</h1>
+            {person.known_for_department && (
+              <p className="text-[#F06292] font-semibold mb-4">{person.known_for_department}</p>
+            )}
+
+            {/* Personal info */}
+            <div className="flex flex-wrap gap-x-6 gap-y-1 text-sm text-gray-300 mb-4">
+              {person.birthday && (
+                <span>
+                  <span className="text-white font-bold">Born:</span>{' '}
+                  {formatDate(person.birthday)}
+                  {!person.deathday && age !== null && ` (age ${age})`}
+                  {person.place_of_birth && ` in ${person.place_of_birth}`}
+                </span>
+              )}
+              {person.deathday && (
+                <span>
+                  <span className="text-white font-bold">Died:</span>{' '}
+                  {formatDate(person.deathday)}
+                  {age !== null && ` (age ${age})`}
+                </span>
+              )}
+              <span>
+                <span className="text-white font-bold">Credits:</span>{' '}
+                {person.credits.cast.length + person.credits.crew.length}
+              </span>
+            </div>
+
+            {/* Biography */}
+            {person.biography ? (
+              <div className="text-gray-300 text-base leading-relaxed">
+                <p className={`whitespace-pre-line ${!showFullBio && bioIsLong ? 'line-clamp-6' : ''}`}>
+                  {person.biography}
+                </p>
+                {bioIsLong && (
+                  <button
+                    onClick={() => setShowFullBio(!showFullBio)}
+                    className="text-[#E91E63] hover:text-[#F06292] font-semibold mt-2 cursor-pointer"
+                  >
+                    {showFullBio ? 'Show less' : 'Read more'}
+                  </button>
+                )}
+              </div>
+            ) : (
+              <p className="text-gray-500">No biography available.</p>
+            )}
+          </div>
+        </div>
+
+        {/* ==========================================
+            KNOWN FOR - highest ranked credits
+            ========================================== */}
+        {person.known_for.length > 0 && (
+          <div className="mb-10">
+            <ScrollableMovieSection title="Known For">
+              {person.known_for.map(credit => (
+                <MovieTVCard
+                  key={`${credit.media_type}-${credit.id}`}
+                  id={credit.id}
+                  title={credit.title}
+                  year={credit.year || ''}
+                  rating={credit.vote_average ? credit.vote_average.toFixed(1) : 'N/A'}
+                  posterUrl={credit.poster_path
+                    ? `https://image.tmdb.org/t/p/w780${credit.poster_path}`
+                    : '/movie_placeholder.png'}
+                  mediaType={credit.media_type}
+                />
+              ))}
+            </ScrollableMovieSection>
+          </div>
+        )}
+
+        {/* ==========================================
+            FILMOGRAPHY - grouped by department
+            ========================================== */}
+        <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-4 mb-6">
+          <h2 className="text-2xl font-bold text-white">Filmography</h2>
+          <div className="flex gap-2">
+            {SORT_OPTIONS.map(option => (
+              <button
+                key={option.id}
+                onClick={() => setSortBy(option.id)}
+                className={`px-4 py-1.5 rounded-lg text-sm font-semibold transition-colors cursor-pointer ${
+                  sortBy === option.id
+                    ? 'bg-[#E91E63] text-white'
+                    : 'bg-[#1c1c1f] text-gray-300 hover:bg-[#393841]'
+                }`}
+              >
+                {option.name}
+              </button>
+            ))}
+          </div>
+        </div>
+
+        {departments.length === 0 && (
+          <p className="text-gray-400">No credits found.</p>
+        )}
+
+        {departments.map(department => (
+          <div key={department.name} className="mb-8">
+            <h3 className="text-xl font-semibold text-white mb-3">
+              {department.name}
+              <span className="text-gray-500 text-base font-normal ml-2">({department.credits.length})</span>
+            </h3>
+
+            <div className="bg-[#1c1c1f] rounded-lg divide-y divide-[#393841]">
+              {department.credits.map(credit => {
+                const role = getRoleText(credit);
+                const onWatchlist = isInWatchlist(credit.id, credit.media_type);
+                const userRating = userRatings[getRatingKey(credit.id, credit.media_type)];
+
+                return (
+                  <div
+                    key={`${department.name}-${credit.media_type}-${credit.id}`}
+                    className="flex items-center gap-4 px-4 py-3"
+                  >
+                    {/* Year */}
+                    <span className="w-12 flex-shrink-0 text-gray-400 text-sm">
+                      {credit.year || '—'}
+                    </span>
+
+                    {/* Title + role */}
+                    <div className="flex-1 min-w-0">
+                      <Link
+                        to={getTitlePath(credit.id, credit.media_type)}
+                        className="text-white font-semibold hover:text-[#F06292] transition-colors"
+                      >
+                        {credit.title}
+                      </Link>
+                      <span className="text-gray-500 text-xs ml-2">
+                        {credit.media_type === 'tv' ? 'TV' : 'Movie'}
+                      </span>
+                      {(role || credit.episode_count) && (
+                        <p className="text-gray-400 text-sm truncate">
+                          {role && (credit.department === 'Acting' ? `as ${role}` : role)}
+                          {credit.episode_count && ` (${credit.episode_count} episode${credit.episode_count === 1 ? '' : 's'})`}
+                        </p>
+                      )}
+                    </div>
+
+                    {/* Watchlist / rated markers */}
+                    <div className="flex items-center gap-2 flex-shrink-0">
+                      {onWatchlist && (
+                        <span className="flex items-center gap-1 text-xs text-[#F06292]" title="On your watchlist">
+                          <img src="/bookmark_pink.png" alt="" className="w-4 h-4" />
+                          <span className="hidden sm:inline">Watchlist</span>
+                        </span>
+                      )}
+                      {userRating && (
+                        <span className="flex items-center gap-1 text-xs" title="Your rating">
+                          <img src="/star.png" alt="" className="w-4 h-4" />
+                          <span className="text-yellow-400 font-semibold">{userRating.rating}/10</span>
+                        </span>
+                      )}
+                    </div>
+                  </div>
+                );
+              })}
+            </div>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+export default Person;
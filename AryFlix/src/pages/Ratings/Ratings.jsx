@@ -2,7 +2,46 @@ import React, { useState, useEffect } from 'react';
 import { Link, useNavigate } from 'react-router-dom';
 import LoadingSpinner from '../../components/LoadingSpinner';
 import { useRating } from '../../contexts/RatingContext';
-import { API_URL } from '../../api';
+import { fetchTitleCards } from '../../api';
+import { normalizeMediaType, isSameTitle, getTitlePath } from '../../mediaIdentity';
+
+// Timeline of every rating given to one title
+const RatingHistory = ({ history, formatDate }) => {
+  if (!history) {
+    return <p className="text-gray-400 text-sm mt-4">Loading history...</p>;
+  }
+
+  if (history.length === 0) {
+    return <p className="text-gray-400 text-sm mt-4">No rating changes recorded yet.</p>;
+  }
+
+  return (
+    <div className="flex flex-wrap items-center gap-2 mt-4 pt-4 border-t border-[#393841]">
+      {history.map((change, index) => {
+        const previous = index > 0 ? history[index - 1].rating : null;
+        const difference = previous === null ? 0 : change.rating - previous;
+
+        return (
+          <React.Fragment key={`${change.rated_at}-${index}`}>
+            {index > 0 && <span className="text-gray-600">→</span>}
+            <div className="bg-[#393841] rounded-lg px-3 py-1.5 text-sm">
+              <span className="text-yellow-400 font-semibold">{change.rating}/10</span>
+              {difference !== 0 && (
+                <span className={`ml-1 text-xs font-semibold ${difference > 0 ? 'text-green-400' : 'text-red-400'}`}>
+                  {difference > 0 ? `+${difference}` : difference}
+                </span>
+              )}
+              <span className="text-gray-400 ml-2">{formatDate(change.rated_at)}</span>
+              {change.source === 'diary' && (
+                <span className="text-[#F06292] text-xs ml-2">diary</span>
+              )}
+            </div>
+          </React.Fragment>
+        );
+      })}
+    </div>
+  );
+};
 
 function Ratings() {
   const navigate = useNavigate();
@@ -12,7 +51,11 @@ function Ratings() {
   const [initialLoad, setInitialLoad] = useState(true);
   
   // Get rating data from context
-  const { user, getAllUserRatings, deleteRating } = useRating();  // Add deleteRating import
+  const { user, getAllUserRatings, deleteRating, getRatingHistory } = useRating();  // Add deleteRating import
+
+  // Rating history per title, loaded when the user opens it ("movie-550" → history rows)
+  const [historyByTitle, setHistoryByTitle] = useState({});
+  const [openHistory, setOpenHistory] = useState(null);
 
   // Simple delay to prevent flash on page refresh
   useEffect(() => {
@@ -48,39 +91,14 @@ function Ratings() {
           return;
         }
 
-        // Get detailed information for each rated item
-        const detailedItems = await Promise.all(
-          userRatings.map(async (rating) => {
-            try {
-              // Use the enhanced endpoints that include proper runtime calculation
-              const endpoint = rating.media_type === 'tv' 
-                ? `${API_URL}/api/tv/${rating.media_id}/trailer`
-                : `${API_URL}/api/movies/${rating.media_id}/trailer`;
-              
-              const response = await fetch(endpoint);
-              const data = await response.json();
-              
-              if (data.success) {
-                return {
-                  ...rating,  // Include rating info (rating, updated_at, etc.)
-                  details: data.data  // Include movie/TV details
-                };
-              } else {
-                console.warn(`Failed to fetch details for ${rating.media_type} ${rating.media_id}`);
-                return {
-                  ...rating,
-                  details: null
-                };
-              }
-            } catch (error) {
-              console.error(`Error fetching details for ${rating.media_type} ${rating.media_id}:`, error);
-              return {
-                ...rating,
-                details: null
-              };
-            }
-          })
+        // Get card data (title, poster...) for every rated item in a few batch requests
+        const cards = await fetchTitleCards(
+          userRatings.map(rating => ({ media_type: normalizeMediaType(rating.media_type), id: rating.media_id }))
         );
+        const detailedItems = userRatings.map((rating, index) => ({
+          ...rating,            // Include rating info (rating, updated_at, etc.)
+          details: cards[index] // Include movie/TV card (null if it failed to load)
+        }));
 
         // Filter out items that failed to load details
         const validItems = detailedItems.filter(item => item.details !== null);
@@ -98,8 +116,7 @@ function Ratings() {
 
   // Navigate to detail page
   const goToDetailPage = (item) => {
-    const isTV = item.media_type === 'tv';
-    const path = isTV ? `/tv/${item.media_id}` : `/movies/${item.media_id}`;
+    const path = getTitlePath(item.media_id, item.media_type);
     const posterUrl = item.details?.poster_path 
       ? `https://image.tmdb.org/t/p/w500${item.details.poster_path}`
       : null;
@@ -108,18 +125,19 @@ function Ratings() {
   };
 
   // Remove rating function (delete user's rating) - NO CONFIRMATION POPUP
-  const handleRemoveRating = async (mediaId) => {
+  const handleRemoveRating = async (ratedItem) => {
     try {
       // Show loading state (optional - you could add a loading spinner here)
-      console.log('🗑️ Removing rating for media ID:', mediaId);
+      console.log('🗑️ Removing rating for:', ratedItem.media_type, ratedItem.media_id);
       
       // Call the real delete function from context
-      const success = await deleteRating(mediaId);
+      const success = await deleteRating(ratedItem.media_id, ratedItem.media_type);
       
       if (success) {
         // Success - remove the item from the local state immediately
+        // Match on id AND type - a movie and a TV show can share the same id
         setDetailedItems(prevItems => 
-          prevItems.filter(item => item.media_id !== mediaId)
+          prevItems.filter(item => !isSameTitle(item, ratedItem.media_id, ratedItem.media_type))
         );
         console.log('✅ Rating removed successfully');
       } else {
@@ -134,6 +152,22 @@ function Ratings() {
     }
   };
 
+  // Show / hide how a rating changed over time - fetched the first time it's opened
+  const toggleHistory = async (item) => {
+    const key = `${item.media_type}-${item.media_id}`;
+
+    if (openHistory === key) {
+      setOpenHistory(null);
+      return;
+    }
+
+    setOpenHistory(key);
+    if (!historyByTitle[key]) {
+      const history = await getRatingHistory(item.media_id, item.media_type);
+      setHistoryByTitle(prev => ({ ...prev, [key]: history }));
+    }
+  };
+
   // Format rating date
   const formatRatingDate = (dateString) => {
     return new Date(dateString).toLocaleDateString('en-US', { 
@@ -248,7 +282,7 @@ function Ratings() {
                   <div className="flex-shrink-0">
                     <img
                       src={`https://image.tmdb.org/t/p/w200${item.details?.poster_path}`}
-                      alt={`${item.details?.title || item.details?.name} poster`}
+                      alt={`${item.details?.title} poster`}
                       className="w-16 h-24 object-cover rounded-lg"
                     />
                   </div>
@@ -256,7 +290,7 @@ function Ratings() {
                   {/* Movie/Show Info */}
                   <div className="flex-1">
                     <h3 className="text-lg font-semibold text-white mb-1">
-                      {item.details?.title || item.details?.name}
+                      {item.details?.title}
                     </h3>
                     
                     {/* Rating and date info */}
@@ -272,6 +306,15 @@ function Ratings() {
 
                   {/* Action Buttons */}
                   <div className="flex items-center gap-2">
+                    {/* History Button */}
+                    <button
+                      onClick={() => toggleHistory(item)}
+                      className="text-sm text-gray-400 hover:text-white font-semibold px-2 cursor-pointer transition-colors"
+                      title="Rating History"
+                    >
+                      {openHistory === `${item.media_type}-${item.media_id}` ? 'Hide history' : 'History'}
+                    </button>
+
                     {/* Info Button */}
                     <button
                       onClick={() => goToDetailPage(item)}
@@ -287,7 +330,7 @@ function Ratings() {
 
                     {/* Remove Rating Button */}
                     <button
-                      onClick={() => handleRemoveRating(item.media_id)}
+                      onClick={() => handleRemoveRating(item)}
                       className="p-2 transition-all duration-200 transform hover:scale-105 active:scale-95 cursor-pointer"
                       title="Remove Rating"
                     >
@@ -300,6 +343,14 @@ function Ratings() {
                   </div>
                 </div>
 
+                {/* Rating history - oldest first, with the change from the previous rating */}
+                {openHistory === `${item.media_type}-${item.media_id}` && (
+                  <RatingHistory
+                    history={historyByTitle[`${item.media_type}-${item.media_id}`]}
+                    formatDate={formatRatingDate}
+                  />
+                )}
+
               </div>
             ))}
           </div>
@@ -0,0 +1,195 @@
+import React, { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import LoadingSpinner from '../../components/LoadingSpinner';
+import { useStreamingServices } from '../../contexts/StreamingServicesContext';
+import usePageTitle from '../../hooks/usePageTitle';
+import { API_URL } from '../../api';
+
+// "My Services" at /services - pick the country you watch from and the streaming services you pay for
+// Drives the "Watchable now" badge, the "only on my services" filters and the Home row
+function Services() {
+  const { user, services, saveServices } = useStreamingServices();
+  const [region, setRegion] = useState(services.region);
+  const [selectedIds, setSelectedIds] = useState(services.provider_ids);
+  const [regions, setRegions] = useState([]);
+  const [catalog, setCatalog] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [message, setMessage] = useState(null);
+
+  usePageTitle('My Streaming Services');
+
+  // Start from the saved services once they've loaded
+  useEffect(() => {
+    setRegion(services.region);
+    setSelectedIds(services.provider_ids);
+  }, [services]);
+
+  // Countries TMDB has streaming data for
+  useEffect(() => {
+    const fetchRegions = async () => {
+      try {
+        const response = await fetch(`${API_URL}/api/services/regions`);
+        const data = await response.json();
+        if (data.success) setRegions(data.data);
+      } catch (error) {
+        console.error('Error fetching regions:', error);
+      }
+    };
+    fetchRegions();
+  }, []);
+
+  // Services available in the chosen country
+  useEffect(() => {
+    let cancelled = false;
+
+    const fetchCatalog = async () => {
+      setLoading(true);
+      try {
+        const response = await fetch(`${API_URL}/api/services/catalog?region=${region}`);
+        const data = await response.json();
+        if (!cancelled) setCatalog(data.success ? data.data.providers : []);
+      } catch (error) {
+        console.error('Error fetching streaming services:', error);
+        if (!cancelled) setCatalog([]);
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    };
+
+    fetchCatalog();
+    return () => { cancelled = true; };
+  }, [region]);
+
+  const toggleService = (providerId) => {
+    setMessage(null);
+    setSelectedIds(prev => prev.includes(providerId)
+      ? prev.filter(id => id !== providerId)
+      : [...prev, providerId]);
+  };
+
+  const handleSave = async () => {
+    setSaving(true);
+    setMessage(null);
+
+    // Services that don't exist in the new country are dropped
+    const available = new Set(catalog.map(provider => provider.provider_id));
+    const ids = selectedIds.filter(id => available.has(id));
+
+    const saved = await saveServices(region, ids);
+    setMessage(saved ? 'Saved!' : 'Failed to save your services. Please try again.');
+    setSaving(false);
+  };
+
+  // Show login prompt if not authenticated
+  if (!user) {
+    return (
+      <div className="flex flex-col items-center justify-center min-h-[70vh]">
+        <div className="w-full max-w-4xl p-6">
+          <h1 className="text-3xl font-bold mb-6 text-white">My Streaming Services</h1>
+          <div className="text-center py-16 bg-gray-800 rounded-lg">
+            <h2 className="text-xl font-semibold mb-4 text-white">Sign in to save your services</h2>
+            <p className="text-gray-400 mb-6">
+              See at a glance what you can watch right now without paying extra.
+            </p>
+            <div className="flex gap-4 justify-center">
+              <Link
+                to="/login"
+                className="bg-[#E91E63] hover:bg-[#F06292] text-white px-6 py-2 rounded-lg transition-colors"
+              >
+                Sign In
+              </Link>
+              <Link
+                to="/signup"
+                className="border border-[#E91E63] text-[#E91E63] hover:bg-[#E91E63] hover:text-white px-6 py-2 rounded-lg transition-colors"
+              >
+                Sign Up
+              </Link>
+            </div>
+          </div>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="min-h-screen bg-black pt-20 pb-8">
+      <div className="max-w-6xl mx-auto px-4">
+        <h1 className="text-4xl font-bold text-white mb-2">My Streaming Services</h1>
+        <p className="text-gray-400 mb-8">
+          Pick the services you subscribe to. Titles you can watch on them get a "Watchable now" badge.
+        </p>
+
+        {/* Region + save */}
+        <div className="flex flex-col sm:flex-row sm:items-end gap-4 mb-8">
+          <div>
+            <label className="block text-sm font-medium text-white mb-2">Country</label>
+            <select
+              value={region}
+              onChange={(e) => { setRegion(e.target.value); setMessage(null); }}
+              className="bg-[#1c1c1f] text-gray-300 rounded-lg px-3 py-2 text-sm font-semibold cursor-pointer focus:outline-none focus:ring-2 focus:ring-[#E91E63]"
+            >
+              {regions.length === 0 && <option value={region}>{region}</option>}
+              {regions.map(option => (
+                <option key={option.code} value={option.code}>{option.name}</option>
+              ))}
+            </select>
+          </div>
+          <button
+            onClick={handleSave}
+            disabled={saving || loading || catalog.length === 0}
+            className="px-6 py-2 rounded-lg font-bold text-sm bg-[#E91E63] hover:bg-[#F06292] text-white transition-colors cursor-pointer disabled:opacity-50"
+          >
+            {saving ? 'Saving...' : `Save (${selectedIds.length} selected)`}
+          </button>
+          {message && (
+            <span className={`text-sm font-semibold ${message === 'Saved!' ? 'text-green-400' : 'text-red-400'}`}>
+              {message}
+            </span>
+          )}
+        </div>
+
+        {/* Services in that country */}
+        {loading ? (
+          <div className="flex flex-col items-center justify-center py-16">
+            <LoadingSpinner />
+            <p className="text-gray-400 mt-4">Loading streaming services...</p>
+          </div>
+        ) : catalog.length === 0 ? (
+          <div className="text-center py-16 text-gray-400">
+            No streaming services found for this country.
+          </div>
+        ) : (
+          <div className="grid grid-cols-2 sm:grid-cols-3 md:grid-cols-4 lg:grid-cols-6 gap-3">
+            {catalog.map(provider => {
+              const selected = selectedIds.includes(provider.provider_id);
+              return (
+                <button
+                  key={provider.provider_id}
+                  onClick={() => toggleService(provider.provider_id)}
+                  className={`flex items-center gap-2 p-2 rounded-lg text-left transition-colors cursor-pointer ${
+                    selected ? 'bg-[#E91E63] text-white' : 'bg-[#1c1c1f] text-gray-300 hover:bg-[#393841]'
+                  }`}
+                >
+                  {provider.logo_path && (
+                    <img
+                      src={`https://image.tmdb.org/t/p/w92${provider.logo_path}`}
+                      alt=""
+                      className="w-8 h-8 rounded flex-shrink-0"
+                      loading="lazy"
+                    />
+                  )}
+                  <span className="text-xs font-bold truncate" title={provider.provider_name}>
+                    {provider.provider_name}
+                  </span>
+                </button>
+              );
+            })}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default Services;
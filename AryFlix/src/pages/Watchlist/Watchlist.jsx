@@ -1,13 +1,31 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useMemo, useRef } from 'react';
 import { Link, useNavigate } from 'react-router-dom';
 import LoadingSpinner from '../../components/LoadingSpinner';
 import { useWatchlist } from '../../contexts/WatchlistContext';
+import { useStreamingServices } from '../../contexts/StreamingServicesContext';
+import { useLocale } from '../../contexts/LocaleContext';
 import usePageTitle from '../../hooks/usePageTitle';
-import { API_URL } from '../../api';
+import { fetchTitleCards } from '../../api';
+import { normalizeMediaType, getTitlePath } from '../../mediaIdentity';
+import { WATCHLIST_STATUSES, WATCHLIST_PRIORITIES, MAX_NOTE_LENGTH, MAX_RECOMMENDED_BY_LENGTH,
+  getStatusName, getPriorityName } from '../../watchlistOptions';
+
+// Sort orders for the list
+const SORT_OPTIONS = [
+  { id: 'added_desc', name: 'Recently added' },
+  { id: 'added_asc', name: 'Oldest first' },
+  { id: 'priority', name: 'Priority' },
+  { id: 'status', name: 'Status' },
+  { id: 'title', name: 'Title' }
+];
+
+// Key for a title in the details cache (movie and TV ids overlap)
+const getTitleKey = (item) => `${normalizeMediaType(item.media_type)}-${item.media_id}`;
 
 function Watchlist() {
   const navigate = useNavigate();
-  const [detailedItems, setDetailedItems] = useState([]);
+  const [detailsByTitle, setDetailsByTitle] = useState({}); // title key → title card (null if it failed)
+  const requestedTitles = useRef(new Set());                // Title keys already fetched / being fetched
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
   const [initialLoad, setInitialLoad] = useState(true); // Add this new state
@@ -15,8 +33,29 @@ function Watchlist() {
   // Set page title
   usePageTitle('Your Watchlist');
 
+  // Filters + sort
+  const [statusFilter, setStatusFilter] = useState('all');
+  const [priorityFilter, setPriorityFilter] = useState('all');
+  const [sortBy, setSortBy] = useState('added_desc');
+  const [onMyServices, setOnMyServices] = useState(false); // Only what's streaming on the user's services
+
+  // Editing one item's note / recommended by
+  const [editingKey, setEditingKey] = useState(null);
+  const [noteText, setNoteText] = useState('');
+  const [recommendedByText, setRecommendedByText] = useState('');
+
   // Get watchlist data from context
-  const { watchlistItems, user, removeFromWatchlist } = useWatchlist();
+  const { watchlistItems, user, removeFromWatchlist, updateWatchlistItem } = useWatchlist();
+
+  // Which watchlist titles are watchable now on the user's streaming services
+  const { hasServices, requestAvailability, getAvailability } = useStreamingServices();
+
+  // Cards carry the age rating for the selected region
+  const { region } = useLocale();
+
+  useEffect(() => {
+    watchlistItems.forEach(item => requestAvailability(item.media_id, item.media_type));
+  }, [watchlistItems, requestAvailability]);
 
   // Simple delay to prevent flash on page refresh
   useEffect(() => {
@@ -27,148 +66,162 @@ function Watchlist() {
     return () => clearTimeout(timer);
   }, []);
 
-  // Fetch detailed movie/TV info for each watchlist item
+  // New region - every card has to be fetched again (runs before the fetch below)
+  useEffect(() => {
+    requestedTitles.current.clear();
+    setDetailsByTitle({});
+  }, [region]);
+
+  // Fetch detailed movie/TV info for watchlist items we don't have yet
+  // (changing a status / note doesn't refetch every poster)
   useEffect(() => {
-    const fetchDetailedItems = async () => {
+    const fetchMissingDetails = async () => {
       // Skip if still in initial load phase
       if (initialLoad) return;
       
-      if (!user || watchlistItems.length === 0) {
-        setDetailedItems([]);
+      const missing = user
+        ? watchlistItems.filter(item => !requestedTitles.current.has(getTitleKey(item)))
+        : [];
+
+      if (missing.length === 0) {
         setLoading(false);
         return;
       }
 
       try {
-        setLoading(true);
+        // Only show the spinner on the first load - later additions just appear
+        if (requestedTitles.current.size === 0) setLoading(true);
         setError(null);
+        missing.forEach(item => requestedTitles.current.add(getTitleKey(item)));
         
-        // Get detailed information for each watchlist item
-        const detailedItems = await Promise.all(
-          watchlistItems.map(async (item) => {
-            try {
-              // Use the enhanced endpoints that include proper runtime calculation
-              const endpoint = item.media_type === 'tv' || item.media_type === 'anime' 
-                ? `${API_URL}/api/tv/${item.media_id}/trailer`
-                : `${API_URL}/api/movies/${item.media_id}/trailer`;
-              
-              const detailResponse = await fetch(endpoint);
-              const detailData = await detailResponse.json();
-              
-              if (detailData.success) {
-                return {
-                  ...item,
-                  details: detailData.data
-                };
-              }
-              return null;
-            } catch (error) {
-              console.error(`Error fetching details for ${item.media_type} ${item.media_id}:`, error);
-              return null;
-            }
-          })
+        // Get card data (poster, runtime, genres...) for the new items in a few batch requests
+        const cards = await fetchTitleCards(
+          missing.map(item => ({ media_type: normalizeMediaType(item.media_type), id: item.media_id }))
         );
+        const fetched = missing.map((item, index) => [getTitleKey(item), cards[index]]);
 
-        // Filter out failed requests
-        const validItems = detailedItems.filter(item => item !== null);
-        setDetailedItems(validItems);
+        setDetailsByTitle(prev => ({ ...prev, ...Object.fromEntries(fetched) }));
         
       } catch (err) {
         console.error('Error fetching detailed items:', err);
+        // Let the next watchlist change try these titles again
+        missing.forEach(item => requestedTitles.current.delete(getTitleKey(item)));
         setError(err.message);
       } finally {
         setLoading(false);
       }
     };
 
-    fetchDetailedItems();
-  }, [watchlistItems, user, initialLoad]); // Add initialLoad to dependencies
+    fetchMissingDetails();
+  }, [watchlistItems, user, initialLoad, region]); // Add initialLoad to dependencies
+
+  // Watchlist rows with their details (titles whose details failed to load are left out)
+  const detailedItems = useMemo(() => (
+    watchlistItems
+      .filter(item => detailsByTitle[getTitleKey(item)])
+      .map(item => ({ ...item, details: detailsByTitle[getTitleKey(item)] }))
+  ), [watchlistItems, detailsByTitle]);
+
+  // How many items have each status (for the filter pills)
+  const statusCounts = useMemo(() => {
+    const counts = {};
+    detailedItems.forEach(item => {
+      counts[item.status] = (counts[item.status] || 0) + 1;
+    });
+    return counts;
+  }, [detailedItems]);
+
+  // Filtered + sorted items
+  const visibleItems = useMemo(() => {
+    const getName = (item) => item.details?.title || '';
+    const byNewest = (a, b) => new Date(b.created_at) - new Date(a.created_at);
+    const statusOrder = WATCHLIST_STATUSES.map(status => status.id);
+
+    const sorters = {
+      added_desc: byNewest,
+      added_asc: (a, b) => byNewest(b, a),
+      priority: (a, b) => b.priority - a.priority || byNewest(a, b),
+      status: (a, b) => statusOrder.indexOf(a.status) - statusOrder.indexOf(b.status) || byNewest(a, b),
+      title: (a, b) => getName(a).localeCompare(getName(b))
+    };
+
+    return detailedItems
+      .filter(item => statusFilter === 'all' || item.status === statusFilter)
+      .filter(item => priorityFilter === 'all' || item.priority === Number(priorityFilter))
+      .filter(item => !onMyServices || (getAvailability(item.media_id, item.media_type) || []).length > 0)
+      .sort(sorters[sortBy]);
+  }, [detailedItems, statusFilter, priorityFilter, sortBy, onMyServices, getAvailability]);
+
+  // Change status / priority right from the list
+  const handleFieldChange = (item, fields) => {
+    updateWatchlistItem(item.media_id, item.media_type, fields);
+  };
+
+  // Note + recommended by editing
+  const startEditing = (item) => {
+    setEditingKey(getTitleKey(item));
+    setNoteText(item.note || '');
+    setRecommendedByText(item.recommended_by || '');
+  };
+
+  const handleSaveDetails = async (item) => {
+    const saved = await updateWatchlistItem(item.media_id, item.media_type, {
+      note: noteText.trim() || null,
+      recommended_by: recommendedByText.trim() || null
+    });
+    if (saved) setEditingKey(null);
+  };
 
   // Handle remove from watchlist
-  const handleRemove = async (mediaId) => {
-    await removeFromWatchlist(mediaId);
+  const handleRemove = async (item) => {
+    await removeFromWatchlist(item.media_id, item.media_type);
     // No need to manually update state - context will handle it!
   };
 
   // Navigate to detail page
   const goToDetailPage = (item) => {
-    const route = (item.media_type === 'tv' || item.media_type === 'anime') 
-      ? `/tv/${item.media_id}` 
-      : `/movie/${item.media_id}`;
-    navigate(route);
+    navigate(getTitlePath(item.media_id, item.media_type));
   };
 
   // Format year display for TV shows
   const formatYearDisplay = (item) => {
-    if (item.media_type === 'movie') {
-      return item.details?.release_date ? new Date(item.details.release_date).getFullYear() : 'N/A';
-    } else {
-      // TV Show or Anime
-      const firstAirDate = item.details?.first_air_date;
-      const lastAirDate = item.details?.last_air_date;
-      const status = item.details?.status;
-      
-      if (!firstAirDate) return 'N/A';
-      
-      const startYear = new Date(firstAirDate).getFullYear();
-      
-      if (status === 'Ended' && lastAirDate) {
-        const endYear = new Date(lastAirDate).getFullYear();
-        return startYear === endYear ? startYear : `${startYear}-${endYear}`;
-      } else {
-        return `${startYear}-Ongoing`;
-      }
+    const startYear = item.details?.year;
+    if (!startYear) return 'N/A';
+
+    if (normalizeMediaType(item.media_type) === 'movie') return startYear;
+
+    // TV Show or Anime
+    const endYear = item.details.end_year;
+    if (item.details.status === 'Ended' && endYear) {
+      return startYear === endYear ? startYear : `${startYear}-${endYear}`;
     }
+    return `${startYear}-Ongoing`;
   };
 
-  // Format duration - EXACT same logic as HeaderSection
+  // Format duration - movies as 1h 52m, TV as minutes per episode
   const formatDuration = (item) => {
-    if (!item.details) return '';
-
-    if (item.details.runtime) { // Movies
-        const hours = Math.floor(item.details.runtime / 60);
-        const minutes = item.details.runtime % 60;
-        return hours > 0 ? `${hours}h ${minutes}m` : `${minutes}m`;
-    } else if (Array.isArray(item.details.episode_run_time) && item.details.episode_run_time.length > 0) { // TV shows
-        const avgRuntime = item.details.episode_run_time[0];
-        if (avgRuntime > 0) {
-            return `${avgRuntime}m / ep`;
-        }
+    const runtime = item.details?.runtime;
+    if (!runtime) return 'N/A';
+
+    if (normalizeMediaType(item.media_type) === 'tv') {
+      return `${runtime}m / ep`;
     }
-    
-    return 'N/A';
+
+    const hours = Math.floor(runtime / 60);
+    const minutes = runtime % 60;
+    return hours > 0 ? `${hours}h ${minutes}m` : `${minutes}m`;
   };
 
-  // Get content rating - Enhanced version with better error handling
+  // Get content rating - the certification in the selected region, with a best guess if TMDB has none
   const getContentRating = (item) => {
     if (!item.details) return 'NR';
-    
-    // For TV Shows - check content_ratings
-    if (item.details.name && item.details.content_ratings?.results) {
-        const usRating = item.details.content_ratings.results.find(rating => rating.iso_3166_1 === 'US');
-        if (usRating?.rating) return usRating.rating;
-    }
-    
-    // For Movies - check release_dates with enhanced logic
-    if (item.details.title && item.details.release_dates?.results) {
-        const usRelease = item.details.release_dates.results.find(release => release.iso_3166_1 === 'US');
-        if (usRelease?.release_dates) {
-            // Look through all release dates for the US, not just the first one
-            for (const releaseDate of usRelease.release_dates) {
-                if (releaseDate.certification && releaseDate.certification.trim() !== '') {
-                    return releaseDate.certification;
-                }
-            }
-        }
-    }
-    
-    // Enhanced fallback logic - check for adult content more thoroughly
-    if (item.details.adult === true) {
-        return (item.details.name) ? 'TV-MA' : 'R';
+    if (item.details.certification) return item.details.certification;
+
+    const isTV = normalizeMediaType(item.media_type) === 'tv';
+    if (item.details.adult) {
+      return isTV ? 'TV-MA' : 'R';
     }
-    
-    // Default fallback
-    return (item.details.name) ? 'TV-14' : 'PG-13';
+    return isTV ? 'TV-14' : 'PG-13';
   };
 
   // Show loading state during initial load OR while fetching details
@@ -241,6 +294,60 @@ function Watchlist() {
     <div className="min-h-screen bg-black pt-20 pb-8">
       <div className="max-w-6xl mx-auto px-4">
         <h1 className="text-4xl font-bold mb-8 text-white">Your Watchlist</h1>
+
+        {/* Status filter + priority filter + sort */}
+        {detailedItems.length > 0 && (
+          <div className="flex flex-col lg:flex-row lg:items-center lg:justify-between gap-4 mb-6">
+            <div className="flex flex-wrap gap-2">
+              {[{ id: 'all', name: 'All' }, ...WATCHLIST_STATUSES].map(status => (
+                <button
+                  key={status.id}
+                  onClick={() => setStatusFilter(status.id)}
+                  className={`px-4 py-1.5 rounded-lg text-sm font-semibold transition-colors cursor-pointer ${
+                    statusFilter === status.id
+                      ? 'bg-[#E91E63] text-white'
+                      : 'bg-[#1c1c1f] text-gray-300 hover:bg-[#393841]'
+                  }`}
+                >
+                  {status.name} ({status.id === 'all' ? detailedItems.length : statusCounts[status.id] || 0})
+                </button>
+              ))}
+            </div>
+            <div className="flex flex-wrap gap-2">
+              {hasServices && (
+                <button
+                  onClick={() => setOnMyServices(on => !on)}
+                  className={`px-3 py-1.5 rounded-lg text-sm font-semibold transition-colors cursor-pointer ${
+                    onMyServices
+                      ? 'bg-[#E91E63] text-white'
+                      : 'bg-[#1c1c1f] text-gray-300 hover:bg-[#393841]'
+                  }`}
+                >
+                  On my services
+                </button>
+              )}
+              <select
+                value={priorityFilter}
+                onChange={(e) => setPriorityFilter(e.target.value)}
+                className="bg-[#1c1c1f] text-gray-300 rounded-lg px-3 py-1.5 text-sm font-semibold cursor-pointer focus:outline-none focus:ring-2 focus:ring-[#E91E63]"
+              >
+                <option value="all">Any priority</option>
+                {WATCHLIST_PRIORITIES.map(priority => (
+                  <option key={priority.id} value={priority.id}>{priority.name} priority</option>
+                ))}
+              </select>
+              <select
+                value={sortBy}
+                onChange={(e) => setSortBy(e.target.value)}
+                className="bg-[#1c1c1f] text-gray-300 rounded-lg px-3 py-1.5 text-sm font-semibold cursor-pointer focus:outline-none focus:ring-2 focus:ring-[#E91E63]"
+              >
+                {SORT_OPTIONS.map(option => (
+                  <option key={option.id} value={option.id}>{option.name}</option>
+                ))}
+              </select>
+            </div>
+          </div>
+        )}
         
         {detailedItems.length === 0 ? (
           // Empty watchlist state
@@ -264,7 +371,14 @@ function Watchlist() {
         ) : (
           // Watchlist items - horizontal list layout
           <div className="space-y-4">
-            {detailedItems.map((item) => (
+            {visibleItems.length === 0 && (
+              <p className="text-gray-400 text-center py-8">
+                Nothing {statusFilter === 'all' ? '' : `marked ${getStatusName(statusFilter)} `}
+                {priorityFilter === 'all' ? '' : `with ${getPriorityName(Number(priorityFilter)).toLowerCase()} priority `}
+                {onMyServices ? 'on your streaming services ' : ''}here.
+              </p>
+            )}
+            {visibleItems.map((item) => (
               <div key={`${item.media_type}-${item.media_id}`} 
                    className="py-4 px-4 bg-[#1c1c1f]  transition-colors rounded-lg">
                 
@@ -274,7 +388,7 @@ function Watchlist() {
                   <div className="flex-shrink-0">
                     <img
                       src={`https://image.tmdb.org/t/p/w200${item.details?.poster_path}`}
-                      alt={`${item.details?.title || item.details?.name} poster`}
+                      alt={`${item.details?.title} poster`}
                       className="w-16 h-24 object-cover rounded-lg"
                     />
                   </div>
@@ -282,7 +396,7 @@ function Watchlist() {
                   {/* Movie/Show Info */}
                   <div className="flex-1">
                     <h3 className="text-base sm:text-lg font-semibold text-white mb-1">
-                      {item.details?.title || item.details?.name}
+                      {item.details?.title}
                     </h3>
                     <div className="flex items-center gap-1 sm:gap-2 text-xs sm:text-sm text-gray-400">
                       <span>{formatYearDisplay(item)}</span>
@@ -306,7 +420,87 @@ function Watchlist() {
                           {genre.name}
                         </span>
                       ))}
+                      {(getAvailability(item.media_id, item.media_type) || []).length > 0 && (
+                        <span className="bg-green-600 text-white px-2 py-0.5 rounded-full text-xs font-bold">
+                          ▶ On {getAvailability(item.media_id, item.media_type).map(provider => provider.provider_name).join(', ')}
+                        </span>
+                      )}
                     </div>
+
+                    {/* Status + priority */}
+                    <div className="flex flex-wrap items-center gap-2 mt-3">
+                      <select
+                        value={item.status}
+                        onChange={(e) => handleFieldChange(item, { status: e.target.value })}
+                        className="bg-[#393841] text-white rounded-lg px-2 py-1 text-xs font-semibold cursor-pointer focus:outline-none focus:ring-2 focus:ring-[#E91E63]"
+                        title="Status"
+                      >
+                        {WATCHLIST_STATUSES.map(status => (
+                          <option key={status.id} value={status.id}>{status.name}</option>
+                        ))}
+                      </select>
+                      <select
+                        value={item.priority}
+                        onChange={(e) => handleFieldChange(item, { priority: Number(e.target.value) })}
+                        className="bg-[#393841] text-white rounded-lg px-2 py-1 text-xs font-semibold cursor-pointer focus:outline-none focus:ring-2 focus:ring-[#E91E63]"
+                        title="Priority"
+                      >
+                        {WATCHLIST_PRIORITIES.map(priority => (
+                          <option key={priority.id} value={priority.id}>{priority.name} priority</option>
+                        ))}
+                      </select>
+                      {editingKey !== getTitleKey(item) && (
+                        <button
+                          onClick={() => startEditing(item)}
+                          className="text-xs text-gray-400 hover:text-white font-semibold cursor-pointer transition-colors"
+                        >
+                          {item.note || item.recommended_by ? 'Edit note' : 'Add note'}
+                        </button>
+                      )}
+                    </div>
+
+                    {/* Note + recommended by */}
+                    {editingKey === getTitleKey(item) ? (
+                      <div className="mt-3 space-y-2">
+                        <textarea
+                          value={noteText}
+                          onChange={(e) => setNoteText(e.target.value.slice(0, MAX_NOTE_LENGTH))}
+                          placeholder="Note (optional)"
+                          rows={2}
+                          className="w-full bg-[#393841] text-white rounded-lg px-3 py-2 text-sm placeholder-gray-400 resize-none focus:outline-none focus:ring-2 focus:ring-[#E91E63]"
+                        />
+                        <input
+                          type="text"
+                          value={recommendedByText}
+                          onChange={(e) => setRecommendedByText(e.target.value.slice(0, MAX_RECOMMENDED_BY_LENGTH))}
+                          placeholder="Recommended by (optional)"
+                          className="w-full bg-[#393841] text-white rounded-lg px-3 py-2 text-sm placeholder-gray-400 focus:outline-none focus:ring-2 focus:ring-[#E91E63]"
+                        />
+                        <div className="flex gap-2">
+                          <button
+                            onClick={() => handleSaveDetails(item)}
+                            className="px-3 py-1.5 rounded-lg text-sm font-semibold bg-[#E91E63] hover:bg-[#F06292] text-white transition-colors cursor-pointer"
+                          >
+                            Save
+                          </button>
+                          <button
+                            onClick={() => setEditingKey(null)}
+                            className="px-3 py-1.5 rounded-lg text-sm font-semibold bg-[#393841] hover:bg-[#4a4a52] text-white transition-colors cursor-pointer"
+                          >
+                            Cancel
+                          </button>
+                        </div>
+                      </div>
+                    ) : (
+                      (item.note || item.recommended_by) && (
+                        <div className="mt-2 text-sm">
+                          {item.note && <p className="text-gray-300 whitespace-pre-line">{item.note}</p>}
+                          {item.recommended_by && (
+                            <p className="text-gray-500 text-xs mt-1">Recommended by <span className="text-[#F06292]">{item.recommended_by}</span></p>
+                          )}
+                        </div>
+                      )
+                    )}
                   </div>
 
                   {/* Action Buttons */}
@@ -326,7 +520,7 @@ function Watchlist() {
 
                     {/* Remove Button */}
                     <button
-                      onClick={() => handleRemove(item.media_id)}
+                      onClick={() => handleRemove(item)}
                       className="p-2 transition-all duration-200 transform hover:scale-105 active:scale-95 cursor-pointer"
                       title="Remove from Watchlist"
                     >
@@ -0,0 +1,26 @@
+// Release status helpers
+// The backend works out where a movie is in its release in the selected region
+// (release_info: { status, status_date, theatrical, digital, ... }) - these turn it into text
+
+// '2026-11-20' → a local Date (new Date('2026-11-20') is UTC midnight - the day before in the Americas)
+export const parseReleaseDate = (date) => {
+  const [year, month, day] = date.split('-').map(Number);
+  return new Date(year, month - 1, day);
+};
+
+export const formatReleaseDate = (date, options = { month: 'short', day: 'numeric' }) =>
+  parseReleaseDate(date).toLocaleDateString('en-US', options);
+
+// Short caption for a movie card ("Opens Nov 20") - null when there's nothing to say
+export const getReleaseCaption = (releaseInfo) => {
+  switch (releaseInfo?.status) {
+    case 'coming_soon':
+      return `Opens ${formatReleaseDate(releaseInfo.status_date)}`;
+    case 'in_theaters':
+      return 'In theaters';
+    case 'streaming_soon':
+      return `Streaming ${formatReleaseDate(releaseInfo.status_date)}`;
+    default:
+      return null;
+  }
+};
@@ -0,0 +1,31 @@
+// Watchlist statuses and priorities - keep in sync with aryflix-backend/watchlist.js
+
+// Where the user is with a title (first one is the default for new entries)
+export const WATCHLIST_STATUSES = [
+  { id: 'plan_to_watch', name: 'Plan to Watch' },
+  { id: 'watching', name: 'Watching' },
+  { id: 'on_hold', name: 'On Hold' },
+  { id: 'dropped', name: 'Dropped' },
+  { id: 'completed', name: 'Completed' }
+];
+
+export const DEFAULT_STATUS = 'plan_to_watch';
+
+// How much the user wants to see it - higher number = more important
+export const WATCHLIST_PRIORITIES = [
+  { id: 3, name: 'High' },
+  { id: 2, name: 'Medium' },
+  { id: 1, name: 'Low' }
+];
+
+export const DEFAULT_PRIORITY = 2;
+
+export const MAX_NOTE_LENGTH = 500;
+export const MAX_RECOMMENDED_BY_LENGTH = 100;
+
+// Display name for a status / priority id
+export const getStatusName = (statusId) =>
+  WATCHLIST_STATUSES.find(status => status.id === statusId)?.name || 'Plan to Watch';
+
+export const getPriorityName = (priorityId) =>
+  WATCHLIST_PRIORITIES.find(priority => priority.id === priorityId)?.name || 'Medium';
@@ -0,0 +1,24 @@
+// Small async helpers shared by the backend services
+
+// Like Promise.all(items.map(mapper)) but only `limit` calls run at the same time
+// (keeps big jobs like CSV imports from flooding TMDB). Results keep the input order.
+const mapWithConcurrency = async (items, limit, mapper) => {
+    const results = new Array(items.length);
+    let nextIndex = 0;
+
+    const worker = async () => {
+        while (nextIndex < items.length) {
+            const index = nextIndex++;
+            results[index] = await mapper(items[index], index);
+        }
+    };
+
+    const workerCount = Math.max(1, Math.min(limit, items.length));
+    await Promise.all(Array.from({ length: workerCount }, worker));
+
+    return results;
+};
+
+module.exports = {
+    mapWithConcurrency
+};
@@ -47,5 +47,27 @@ const requireAuth = async (req, res, next) => {
   }
 };
 
-// Export the security function
-module.exports = { requireAuth };
+// Middleware for public routes that show a little more to logged-in users
+// (e.g. which reviews you liked) - sets req.user when a valid token is sent,
+// otherwise req.user is null and the request carries on as a guest
+const optionalAuth = async (req, res, next) => {
+  req.user = null;
+
+  const authHeader = req.headers.authorization;
+  if (!authHeader || !authHeader.startsWith('Bearer ')) {
+    return next();
+  }
+
+  try {
+    const token = authHeader.replace('Bearer ', '');
+    req.user = await verifyUser(token);
+  } catch (error) {
+    // A bad token on a public route just means "guest"
+    console.error('Optional auth error:', error);
+  }
+
+  next();
+};
+
+// Export the security functions
+module.exports = { requireAuth, optionalAuth };
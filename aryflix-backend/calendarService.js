@@ -0,0 +1,222 @@
+/*
+=== RELEASE CALENDAR ===
+
+When does something on the watchlist actually land?
+  Movies - first theatrical and digital release dates in the user's region (TMDB release_dates)
+  TV     - the next episode to air (TMDB next_episode_to_air)
+
+WHAT IT DOES:
+1. Collects those dates for everything on a user's watchlist (dropped titles are skipped)
+2. Gives the /calendar page the events of one month
+3. Manages the secret per-user feed token behind /api/calendar/:token.ics
+4. Writes the events as an iCalendar (.ics) file that calendar apps can subscribe to
+*/
+
+const crypto = require('crypto');
+const { supabaseAdmin } = require('./supabaseClient');
+const { getReleaseSchedule } = require('./tmdbAPI');
+const { mapWithConcurrency } = require('./asyncUtils');
+const { getUserServices } = require('./streamingServices');
+const { DEFAULT_LOCALE, createLocale } = require('./locale');
+
+// Watchlist statuses that don't need reminders
+const SKIPPED_STATUSES = ['dropped'];
+
+// The iCal feed covers a month back and a year ahead
+const FEED_DAYS_BEFORE = 30;
+const FEED_DAYS_AFTER = 365;
+
+const TMDB_CONCURRENCY = 5;
+
+// ===============================================
+// EVENTS
+// ===============================================
+
+// YYYY-MM-DD for a Date, `days` days from it
+const addDays = (date, days) => {
+    const shifted = new Date(date);
+    shifted.setUTCDate(shifted.getUTCDate() + days);
+    return shifted.toISOString().slice(0, 10);
+};
+
+// Every release date of every watchlisted title between from and to (inclusive, YYYY-MM-DD)
+// Returns [{ date, kind, label, media_type, media_id, title, poster_path, watchlist_status }] by date
+const getCalendarEvents = async (userId, from, to, locale = DEFAULT_LOCALE) => {
+    const { data: watchlist, error } = await supabaseAdmin
+        .from('watchlist')
+        .select('media_type, media_id, status')
+        .eq('user_id', userId);
+
+    if (error) throw error;
+
+    const rows = (watchlist || []).filter(row => !SKIPPED_STATUSES.includes(row.status));
+
+    const schedules = await mapWithConcurrency(rows, TMDB_CONCURRENCY, async (row) => {
+        try {
+            return await getReleaseSchedule(row.media_type, row.media_id, locale);
+        } catch (error) {
+            console.error(`Calendar: no release dates for ${row.media_type} ${row.media_id}:`, error.message);
+            return null;
+        }
+    });
+
+    const events = [];
+    schedules.forEach((schedule, index) => {
+        if (!schedule) return;
+
+        schedule.releases
+            .filter(release => release.date >= from && release.date <= to)
+            .forEach(release => events.push({
+                ...release,
+                media_type: schedule.media_type,
+                media_id: String(schedule.id),
+                title: schedule.title,
+                poster_path: schedule.poster_path,
+                watchlist_status: rows[index].status
+            }));
+    });
+
+    return events.sort((a, b) => a.date.localeCompare(b.date) || a.title.localeCompare(b.title));
+};
+
+// Events of one month ('2026-10') - dates for the region the page is viewed in
+const getMonthEvents = (userId, month, locale) => {
+    const [year, monthNumber] = month.split('-').map(Number);
+    const lastDay = new Date(Date.UTC(year, monthNumber, 0)).getUTCDate();
+
+    return getCalendarEvents(userId, `${month}-01`, `${month}-${String(lastDay).padStart(2, '0')}`, locale);
+};
+
+// Events for the iCal feed - a month back to a year ahead
+// Calendar apps send no region, so the feed uses the region the user saved with their services
+const getFeedEvents = async (userId) => {
+    const { region } = await getUserServices(userId);
+    const today = new Date();
+    return getCalendarEvents(userId, addDays(today, -FEED_DAYS_BEFORE), addDays(today, FEED_DAYS_AFTER), createLocale({ region }));
+};
+
+// ===============================================
+// FEED TOKENS
+// ===============================================
+
+const generateToken = () => crypto.randomBytes(24).toString('hex');
+
+// The user's feed token, created on first use
+const getOrCreateFeedToken = async (userId) => {
+    const { data, error } = await supabaseAdmin
+        .from('calendar_feeds')
+        .select('token')
+        .eq('user_id', userId)
+        .maybeSingle();
+
+    if (error) throw error;
+    if (data) return data.token;
+
+    return resetFeedToken(userId);
+};
+
+// Replace the user's token - the old feed URL stops working
+const resetFeedToken = async (userId) => {
+    const token = generateToken();
+
+    const { error } = await supabaseAdmin
+        .from('calendar_feeds')
+        .upsert([{ user_id: userId, token: token, created_at: new Date().toISOString() }], {
+            onConflict: 'user_id'
+        });
+
+    if (error) throw error;
+
+    return token;
+};
+
+// Whose feed is this? null for unknown tokens
+const getUserIdForFeedToken = async (token) => {
+    const { data, error } = await supabaseAdmin
+        .from('calendar_feeds')
+        .select('user_id')
+        .eq('token', token)
+        .maybeSingle();
+
+    if (error) throw error;
+
+    return data ? data.user_id : null;
+};
+
+// ===============================================
+// ICALENDAR (RFC 5545)
+// ===============================================
+
+// Escape text values - backslashes, commas, semicolons and newlines
+const escapeText = (text) => String(text)
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+
+// Lines longer than 75 bytes continue on the next line after a space
+// (counted in bytes so titles with accents / non-Latin scripts still fold correctly)
+const foldLine = (line) => {
+    const parts = [];
+    let current = '';
+    let bytes = 0;
+
+    for (const char of line) {
+        const size = Buffer.byteLength(char);
+        const limit = parts.length === 0 ? 75 : 74; // The leading space counts too
+        if (bytes + size > limit) {
+            parts.push(current);
+            current = '';
+            bytes = 0;
+        }
+        current += char;
+        bytes += size;
+    }
+    parts.push(current);
+
+    return parts.join('\r\n ');
+};
+
+const toICalDate = (date) => date.replace(/-/g, '');
+
+// The whole feed as an .ics string - one all-day event per release
+const buildICalendar = (events) => {
+    const stamp = new Date().toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+    const lines = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        'PRODID:-//AryFlix//Release Calendar//EN',
+        'CALSCALE:GREGORIAN',
+        'METHOD:PUBLISH',
+        'X-WR-CALNAME:AryFlix Watchlist Releases',
+        'X-WR-CALDESC:Release dates for titles on your AryFlix watchlist'
+    ];
+
+    events.forEach(event => {
+        lines.push(
+            'BEGIN:VEVENT',
+            `UID:${event.media_type}-${event.media_id}-${event.kind}-${toICalDate(event.date)}@aryflix`,
+            `DTSTAMP:${stamp}`,
+            `DTSTART;VALUE=DATE:${toICalDate(event.date)}`,
+            `DTEND;VALUE=DATE:${toICalDate(addDays(new Date(`${event.date}T00:00:00Z`), 1))}`,
+            `SUMMARY:${escapeText(`${event.title} - ${event.label}`)}`,
+            `DESCRIPTION:${escapeText(`${event.media_type === 'tv' ? 'TV show' : 'Movie'} on your AryFlix watchlist`)}`,
+            'TRANSP:TRANSPARENT',
+            'END:VEVENT'
+        );
+    });
+
+    lines.push('END:VCALENDAR');
+
+    return lines.map(foldLine).join('\r\n') + '\r\n';
+};
+
+module.exports = {
+    getMonthEvents,
+    getFeedEvents,
+    getOrCreateFeedToken,
+    resetFeedToken,
+    getUserIdForFeedToken,
+    buildICalendar
+};
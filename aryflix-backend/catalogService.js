@@ -0,0 +1,364 @@
+/*
+=== STREAMING CATALOG CHANGES ===
+
+"New on Netflix this week" and "No longer on Max" - what actually changed on each platform,
+instead of the popular titles, which barely move from week to week.
+
+WHAT IT DOES:
+1. Every day (CATALOG_SNAPSHOT_INTERVAL_HOURS, default 24) lists the catalog of every platform in
+   streamingPlatforms.js for each tracked region (CATALOG_REGIONS, default US) from TMDB discover -
+   subscription / free / with-ads titles, most popular first, up to CATALOG_MAX_PAGES pages per type
+2. Compares it with every title seen there before (catalog_titles)
+     added   - never seen on the platform before (or back after leaving)
+     removed - seen last time, missing now AND no longer listed on the title's own
+               watch/providers (a title that just slipped past the pages we read isn't "gone")
+   The first snapshot of a platform only saves what's there - nothing is "new" yet
+3. Keeps every change (catalog_changes) and a row per snapshot (catalog_snapshots)
+4. Gives /api/streaming/:platform/changes the changes of the last few days
+
+Big catalogs (Netflix...) are read up to the page limit, so an older title climbing into
+those pages for the very first time shows up as new once.
+
+Set CATALOG_SNAPSHOTS_DISABLED=true to turn the job off (e.g. when running several servers).
+*/
+
+const { supabaseAdmin } = require('./supabaseClient');
+const { getPlatformCatalogPage, getStreamingProviders } = require('./tmdbAPI');
+const { getPlatformsForRegion } = require('./streamingPlatforms');
+const { mapWithConcurrency } = require('./asyncUtils');
+
+const DEFAULT_INTERVAL_HOURS = 24;
+const DEFAULT_REGIONS = ['US'];
+const DEFAULT_MAX_PAGES = 100;    // 20 titles a page - TMDB discover stops at page 500
+const FIRST_RUN_DELAY_MS = 5 * 60 * 1000; // After the provider alert job's first run
+const MEDIA_TYPES = ['movie', 'tv'];
+const KNOWN_PAGE_SIZE = 1000;
+const WRITE_BATCH_SIZE = 500;
+const MAX_REMOVAL_CHECKS = 300;   // watch/providers lookups per platform per run - least recently confirmed first, the rest wait for the next run
+const TMDB_CONCURRENCY = 5;
+
+// /api/streaming/:platform/changes
+const DEFAULT_CHANGE_DAYS = 7;
+const MAX_CHANGE_DAYS = 90;
+const MAX_CHANGES = 200;          // Per kind (added / removed)
+
+// Stops a slow run from overlapping the next one
+let isRunning = false;
+
+// Regions to snapshot - "US,GB" → ['US', 'GB']
+const getTrackedRegions = () => {
+    const regions = (process.env.CATALOG_REGIONS || '')
+        .split(',')
+        .map(region => region.trim().toUpperCase())
+        .filter(region => /^[A-Z]{2}$/.test(region));
+
+    return regions.length > 0 ? regions : DEFAULT_REGIONS;
+};
+
+const getMaxPages = () => Math.min(parseInt(process.env.CATALOG_MAX_PAGES) || DEFAULT_MAX_PAGES, 500);
+
+const getTitleKey = (item) => `${item.media_type}:${item.media_id}`;
+
+// When a title was last known to be on the platform - seen in a snapshot or confirmed by its watch/providers
+const getLastConfirmed = (title) => Math.max(0, ...[title.last_seen_at, title.checked_at].filter(Boolean).map(Date.parse));
+
+// Insert / upsert rows a batch at a time
+const writeInBatches = async (table, rows, options) => {
+    for (let start = 0; start < rows.length; start += WRITE_BATCH_SIZE) {
+        const batch = rows.slice(start, start + WRITE_BATCH_SIZE);
+        const { error } = options
+            ? await supabaseAdmin.from(table).upsert(batch, options)
+            : await supabaseAdmin.from(table).insert(batch);
+
+        if (error) throw error;
+    }
+};
+
+// ===============================================
+// SNAPSHOTS
+// ===============================================
+
+// Everything on a platform in a region right now (up to the page limit)
+// Returns { titles: Map(key → title), complete } - complete is false when pages were left unread
+const fetchCatalog = async (platform, region) => {
+    const maxPages = getMaxPages();
+    const titles = new Map();
+    let complete = true;
+
+    for (const mediaType of MEDIA_TYPES) {
+        const firstPage = await getPlatformCatalogPage(platform, mediaType, 1, region);
+        const lastPage = Math.min(firstPage.total_pages, maxPages);
+        if (firstPage.total_pages > maxPages) complete = false;
+
+        const pageNumbers = Array.from({ length: Math.max(lastPage - 1, 0) }, (_, index) => index + 2);
+        const otherPages = await mapWithConcurrency(pageNumbers, TMDB_CONCURRENCY, (page) =>
+            getPlatformCatalogPage(platform, mediaType, page, region)
+        );
+
+        [firstPage, ...otherPages].forEach(catalogPage => {
+            catalogPage.results.forEach(item => titles.set(getTitleKey(item), item));
+        });
+    }
+
+    return { titles, complete };
+};
+
+// Every title ever seen on a platform in a region - [{ media_type, media_id, ..., left_at }]
+const getKnownTitles = async (platform, region) => {
+    const known = [];
+    let from = 0;
+
+    while (true) {
+        const { data, error } = await supabaseAdmin
+            .from('catalog_titles')
+            .select('media_type, media_id, title, poster_path, release_date, vote_average, last_seen_at, checked_at, left_at')
+            .eq('platform', platform.key)
+            .eq('region', region)
+            // Stable order so pages don't overlap
+            .order('media_type', { ascending: true })
+            .order('media_id', { ascending: true })
+            .range(from, from + KNOWN_PAGE_SIZE - 1);
+
+        if (error) throw error;
+
+        known.push(...(data || []));
+
+        if (!data || data.length < KNOWN_PAGE_SIZE) break;
+        from += KNOWN_PAGE_SIZE;
+    }
+
+    return known;
+};
+
+// Is a title still streaming on the platform? (its own watch/providers, not discover - and
+// uncached, like the discover pages, so a day-old answer never keeps a departed title around)
+// Returns null when TMDB couldn't be asked - the title is checked again next run
+const isStillOnPlatform = async (platform, title, region) => {
+    try {
+        const providers = await getStreamingProviders(title.media_type, title.media_id, region, { fresh: true });
+        return providers.some(provider => provider.provider_id === platform.provider_id);
+    } catch (error) {
+        console.error(`Catalog check failed for ${title.media_type} ${title.media_id}:`, error.message);
+        return null;
+    }
+};
+
+// Take one snapshot of a platform in a region and record what changed
+// Returns { titles, complete, added, removed }
+const snapshotPlatform = async (platform, region) => {
+    const [{ titles: current, complete }, known] = await Promise.all([
+        fetchCatalog(platform, region),
+        getKnownTitles(platform, region)
+    ]);
+
+    const now = new Date().toISOString();
+    const knownByKey = new Map(known.map(title => [getTitleKey(title), title]));
+    const isFirstSnapshot = known.length === 0;
+
+    // New = never seen here, or back after leaving
+    const added = isFirstSnapshot
+        ? []
+        : [...current.values()].filter(item => !knownByKey.get(getTitleKey(item)) || knownByKey.get(getTitleKey(item)).left_at);
+
+    // Gone = was here, isn't in the catalog any more and its own providers agree
+    // Titles confirmed longest ago are checked first, so every missing title gets its turn
+    const missing = known
+        .filter(title => !title.left_at && !current.has(getTitleKey(title)))
+        .sort((a, b) => getLastConfirmed(a) - getLastConfirmed(b))
+        .slice(0, MAX_REMOVAL_CHECKS);
+    const stillThere = await mapWithConcurrency(missing, TMDB_CONCURRENCY, (title) => isStillOnPlatform(platform, title, region));
+    const removed = missing.filter((title, index) => stillThere[index] === false);
+    const confirmed = missing.filter((title, index) => stillThere[index] === true);
+
+    // Save what's there now (first_seen_at keeps its value for titles seen before)
+    await writeInBatches('catalog_titles', [...current.values()].map(item => ({
+        platform: platform.key,
+        region: region,
+        media_type: item.media_type,
+        media_id: item.media_id,
+        title: item.title,
+        poster_path: item.poster_path,
+        release_date: item.release_date,
+        vote_average: item.vote_average,
+        last_seen_at: now,
+        left_at: null
+    })), { onConflict: 'platform,region,media_type,media_id' });
+
+    // Still on the platform, just past the pages we read - back of the queue for the next check
+    await writeInBatches('catalog_titles', confirmed.map(title => ({
+        platform: platform.key,
+        region: region,
+        media_type: title.media_type,
+        media_id: title.media_id,
+        checked_at: now
+    })), { onConflict: 'platform,region,media_type,media_id' });
+
+    await writeInBatches('catalog_titles', removed.map(title => ({
+        platform: platform.key,
+        region: region,
+        media_type: title.media_type,
+        media_id: title.media_id,
+        left_at: now
+    })), { onConflict: 'platform,region,media_type,media_id' });
+
+    // History
+    const toChange = (change) => (item) => ({
+        platform: platform.key,
+        region: region,
+        media_type: item.media_type,
+        media_id: item.media_id,
+        change: change,
+        title: item.title,
+        poster_path: item.poster_path,
+        release_date: item.release_date,
+        vote_average: item.vote_average,
+        detected_at: now
+    });
+    await writeInBatches('catalog_changes', [...added.map(toChange('added')), ...removed.map(toChange('removed'))]);
+
+    const { error } = await supabaseAdmin
+        .from('catalog_snapshots')
+        .insert([{
+            platform: platform.key,
+            region: region,
+            title_count: current.size,
+            complete: complete,
+            added_count: added.length,
+            removed_count: removed.length,
+            taken_at: now
+        }]);
+
+    if (error) throw error;
+
+    return { titles: current.size, complete: complete, added: added.length, removed: removed.length };
+};
+
+// Snapshot every platform in every tracked region once
+// Returns { platforms, added, removed, failed }
+const runCatalogSnapshots = async () => {
+    const result = { platforms: 0, added: 0, removed: 0, failed: 0 };
+
+    // One platform at a time - each one already runs TMDB_CONCURRENCY requests in parallel
+    for (const region of getTrackedRegions()) {
+        for (const platform of getPlatformsForRegion(region)) {
+            try {
+                const snapshot = await snapshotPlatform(platform, region);
+                result.platforms++;
+                result.added += snapshot.added;
+                result.removed += snapshot.removed;
+
+                console.log(`${platform.emoji} ${platform.name} (${region}): ${snapshot.titles} titles${snapshot.complete ? '' : ' (first pages only)'}, +${snapshot.added} / -${snapshot.removed}`);
+            } catch (error) {
+                result.failed++;
+                console.error(`Catalog snapshot failed for ${platform.name} (${region}):`, error.message);
+            }
+        }
+    }
+
+    return result;
+};
+
+// ===============================================
+// CHANGES
+// ===============================================
+
+// What arrived on / left a platform in a region over the last `days` days
+// Returns { platform, region, tracked, last_snapshot_at, since, added: [card], removed: [card] }
+//   card: { id, media_type, title, poster_path, release_date, vote_average, detected_at }
+// tracked is false until the region's first snapshot of the platform
+const getCatalogChanges = async (platform, region, days = DEFAULT_CHANGE_DAYS) => {
+    const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString();
+
+    const { data: snapshots, error: snapshotError } = await supabaseAdmin
+        .from('catalog_snapshots')
+        .select('taken_at')
+        .eq('platform', platform.key)
+        .eq('region', region)
+        .order('taken_at', { ascending: false })
+        .limit(1);
+
+    if (snapshotError) throw snapshotError;
+
+    const getChanges = async (change) => {
+        const { data, error } = await supabaseAdmin
+            .from('catalog_changes')
+            .select('media_type, media_id, title, poster_path, release_date, vote_average, detected_at')
+            .eq('platform', platform.key)
+            .eq('region', region)
+            .eq('change', change)
+            .gte('detected_at', since)
+            .order('detected_at', { ascending: false })
+            .order('vote_average', { ascending: false, nullsFirst: false })
+            .limit(MAX_CHANGES);
+
+        if (error) throw error;
+
+        return (data || []).map(row => ({
+            id: Number(row.media_id),
+            media_type: row.media_type,
+            title: row.title,
+            poster_path: row.poster_path,
+            release_date: row.release_date,
+            vote_average: row.vote_average,
+            detected_at: row.detected_at
+        }));
+    };
+
+    const [added, removed] = await Promise.all([getChanges('added'), getChanges('removed')]);
+
+    return {
+        platform: platform.key,
+        region: region,
+        tracked: snapshots.length > 0,
+        last_snapshot_at: snapshots[0]?.taken_at || null,
+        since: since,
+        added: added,
+        removed: removed
+    };
+};
+
+// ===============================================
+// SCHEDULING
+// ===============================================
+
+// One full round of snapshots
+const runCatalogJob = async () => {
+    if (isRunning) {
+        console.log('🗂️ Catalog snapshots still running - skipping this round');
+        return;
+    }
+
+    isRunning = true;
+    try {
+        const result = await runCatalogSnapshots();
+        console.log(`🗂️ Catalog snapshots done: ${result.platforms} platforms, ${result.added} added, ${result.removed} removed, ${result.failed} failed`);
+    } catch (error) {
+        console.error('Catalog snapshot run failed:', error);
+    } finally {
+        isRunning = false;
+    }
+};
+
+// Start the background job (called once the server is listening)
+const startCatalogSnapshotJob = () => {
+    if (process.env.CATALOG_SNAPSHOTS_DISABLED === 'true') {
+        console.log('🗂️ Streaming catalog snapshots are disabled (CATALOG_SNAPSHOTS_DISABLED)');
+        return;
+    }
+
+    const hours = parseFloat(process.env.CATALOG_SNAPSHOT_INTERVAL_HOURS) || DEFAULT_INTERVAL_HOURS;
+
+    // unref() so the timers never keep the process alive on their own
+    setTimeout(runCatalogJob, FIRST_RUN_DELAY_MS).unref();
+    setInterval(runCatalogJob, hours * 60 * 60 * 1000).unref();
+
+    console.log(`🗂️ Streaming catalog snapshots: every ${hours} hours for ${getTrackedRegions().join(', ')}`);
+};
+
+module.exports = {
+    DEFAULT_CHANGE_DAYS,
+    MAX_CHANGE_DAYS,
+    runCatalogSnapshots,
+    getCatalogChanges,
+    startCatalogSnapshotJob
+};
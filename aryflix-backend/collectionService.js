@@ -0,0 +1,93 @@
+/*
+=== FRANCHISES / COLLECTIONS ===
+
+TMDB groups movie series into collections (every Harry Potter film, the Alien films...).
+
+WHAT IT DOES:
+1. Gets a collection with its parts in release order
+2. For a logged-in viewer, adds their state to every part - watched (diary entry, rating
+   or "completed" on the watchlist), their rating and their watchlist status
+3. Counts progress as "X of Y watched" - Y only counts parts that are already out
+*/
+
+const { supabaseAdmin } = require('./supabaseClient');
+const { getCollection } = require('./tmdbAPI');
+
+// The viewer's ratings, diary entries and watchlist rows for a set of movies
+const getMovieStates = async (userId, movieIds) => {
+    const [ratings, diary, watchlist] = await Promise.all([
+        supabaseAdmin
+            .from('ratings')
+            .select('media_id, rating')
+            .eq('user_id', userId)
+            .eq('media_type', 'movie')
+            .in('media_id', movieIds),
+        supabaseAdmin
+            .from('diary_entries')
+            .select('media_id, watched_on')
+            .eq('user_id', userId)
+            .eq('media_type', 'movie')
+            .in('media_id', movieIds),
+        supabaseAdmin
+            .from('watchlist')
+            .select('media_id, status')
+            .eq('user_id', userId)
+            .eq('media_type', 'movie')
+            .in('media_id', movieIds)
+    ]);
+
+    if (ratings.error) throw ratings.error;
+    if (diary.error) throw diary.error;
+    if (watchlist.error) throw watchlist.error;
+
+    const ratingById = new Map((ratings.data || []).map(row => [row.media_id, row.rating]));
+    const loggedIds = new Set((diary.data || []).map(row => row.media_id));
+    const statusById = new Map((watchlist.data || []).map(row => [row.media_id, row.status]));
+
+    return new Map(movieIds.map(id => {
+        const rating = ratingById.get(id) ?? null;
+        const watchlistStatus = statusById.get(id) || null;
+
+        return [id, {
+            watched: loggedIds.has(id) || rating !== null || watchlistStatus === 'completed',
+            rating: rating,
+            watchlist_status: watchlistStatus
+        }];
+    }));
+};
+
+// A collection page - null if TMDB doesn't know the collection
+// viewerId is optional; without it parts have no user state and progress is null
+const getCollectionForViewer = async (collectionId, viewerId, locale) => {
+    const collection = await getCollection(collectionId, locale);
+    if (!collection) return null;
+
+    if (!viewerId || collection.parts.length === 0) {
+        return { ...collection, progress: null };
+    }
+
+    const movieIds = collection.parts.map(part => String(part.id));
+    const states = await getMovieStates(viewerId, movieIds);
+
+    const parts = collection.parts.map(part => ({
+        ...part,
+        user_state: states.get(String(part.id))
+    }));
+
+    // Upcoming parts can't be watched yet - they don't count towards the total
+    const today = new Date().toISOString().slice(0, 10);
+    const released = parts.filter(part => part.release_date && part.release_date <= today);
+
+    return {
+        ...collection,
+        parts: parts,
+        progress: {
+            watched: released.filter(part => part.user_state.watched).length,
+            total: released.length
+        }
+    };
+};
+
+module.exports = {
+    getCollectionForViewer
+};
@@ -0,0 +1,328 @@
+/*
+=== WATCH DIARY + RATING HISTORY ===
+
+The ratings table only keeps the CURRENT rating per title, so it can't say when
+something was watched or that it was watched twice. The diary fixes that:
+
+  diary_entries  - one row per viewing (date, optional rating, rewatch flag,
+                   optional short review, tags)
+  rating_history - every rating ever given to a title, so the Ratings page can
+                   show how it changed over time
+
+WHAT IT DOES:
+1. Validates diary input (dates, rating, review length, tags)
+2. Lists / creates / edits / deletes diary entries, each with title card info
+3. Logging a rating in the diary also updates the current rating - but only
+   when it's the most recent viewing of that title
+4. Records every rating change (from the rating modal or the diary)
+*/
+
+const { supabaseAdmin } = require('./supabaseClient');
+const { getTitleCard } = require('./tmdbAPI');
+const { attachTitleCards } = require('./titleService');
+
+// Limits - keep in sync with the CHECK constraints in migrations/003_diary.sql
+const MAX_REVIEW_LENGTH = 500;
+const MAX_TAGS = 10;
+const MAX_TAG_LENGTH = 30;
+
+// ===============================================
+// VALIDATION
+// ===============================================
+
+const getTodayDateString = () => new Date().toISOString().split('T')[0];
+
+// 'YYYY-MM-DD' that is a real calendar date
+const isValidDateString = (value) => {
+    if (typeof value !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(value)) return false;
+    const date = new Date(`${value}T00:00:00Z`);
+    return !Number.isNaN(date.getTime()) && date.toISOString().startsWith(value);
+};
+
+// Tags come in as an array or "comma, separated" text - store them lowercase, trimmed, no duplicates
+const normalizeTags = (tags) => {
+    const list = Array.isArray(tags) ? tags : String(tags).split(',');
+    const cleaned = list
+        .filter(tag => typeof tag === 'string')
+        .map(tag => tag.trim().toLowerCase().replace(/\s+/g, ' '))
+        .filter(Boolean);
+
+    return [...new Set(cleaned)];
+};
+
+// Check diary input from the client
+// partial = true for edits (only the fields that were sent are checked)
+// Returns { value } with cleaned fields, or { error } with a message for the client
+const validateDiaryInput = (body = {}, { partial = false } = {}) => {
+    const value = {};
+    const has = (field) => body[field] !== undefined;
+
+    // Date watched - defaults to today when logging, can't be in the future
+    // (tomorrow is allowed so users ahead of UTC can still log "today")
+    if (has('watched_on') || !partial) {
+        const watchedOn = has('watched_on') ? body.watched_on : getTodayDateString();
+        if (!isValidDateString(watchedOn)) {
+            return { error: 'watched_on must be a date like 2024-05-31' };
+        }
+        const tomorrow = new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString().split('T')[0];
+        if (watchedOn > tomorrow) {
+            return { error: "watched_on can't be in the future" };
+        }
+        value.watched_on = watchedOn;
+    }
+
+    // Rating is optional - null clears it
+    if (has('rating')) {
+        if (body.rating === null || body.rating === '') {
+            value.rating = null;
+        } else {
+            const rating = Number(body.rating);
+            if (!Number.isInteger(rating) || rating < 1 || rating > 10) {
+                return { error: 'Rating must be a whole number between 1 and 10' };
+            }
+            value.rating = rating;
+        }
+    }
+
+    if (has('rewatch')) {
+        if (typeof body.rewatch !== 'boolean') {
+            return { error: 'rewatch must be true or false' };
+        }
+        value.rewatch = body.rewatch;
+    }
+
+    // Short review - empty means no review
+    if (has('review')) {
+        if (body.review !== null && typeof body.review !== 'string') {
+            return { error: 'review must be text' };
+        }
+        const review = (body.review || '').trim();
+        if (review.length > MAX_REVIEW_LENGTH) {
+            return { error: `Review must be ${MAX_REVIEW_LENGTH} characters or less` };
+        }
+        value.review = review || null;
+    }
+
+    if (has('tags')) {
+        if (body.tags === null) {
+            value.tags = [];
+        } else {
+            const tags = normalizeTags(body.tags);
+            if (tags.length > MAX_TAGS) {
+                return { error: `No more than ${MAX_TAGS} tags per entry` };
+            }
+            if (tags.some(tag => tag.length > MAX_TAG_LENGTH)) {
+                return { error: `Tags must be ${MAX_TAG_LENGTH} characters or less` };
+            }
+            value.tags = tags;
+        }
+    }
+
+    return { value };
+};
+
+// ===============================================
+// RATING HISTORY
+// ===============================================
+
+// Add a rating to the title's history - skipped if it's the same as the last one recorded
+// source: 'rating' (rating modal) or 'diary' (logged with a viewing)
+const recordRatingChange = async (userId, identity, rating, source = 'rating') => {
+    const { data: latest, error: latestError } = await supabaseAdmin
+        .from('rating_history')
+        .select('rating')
+        .eq('user_id', userId)
+        .eq('media_type', identity.media_type)
+        .eq('media_id', identity.media_id)
+        .order('rated_at', { ascending: false })
+        .limit(1);
+
+    if (latestError) throw latestError;
+    if (latest?.[0]?.rating === rating) return;
+
+    const { error } = await supabaseAdmin
+        .from('rating_history')
+        .insert([{
+            user_id: userId,
+            media_type: identity.media_type,
+            media_id: identity.media_id,
+            rating: rating,
+            source: source,
+            rated_at: new Date().toISOString()
+        }]);
+
+    if (error) throw error;
+};
+
+// Every rating the user has given one title, oldest first
+const getRatingHistory = async (userId, identity) => {
+    const { data, error } = await supabaseAdmin
+        .from('rating_history')
+        .select('rating, source, rated_at')
+        .eq('user_id', userId)
+        .eq('media_type', identity.media_type)
+        .eq('media_id', identity.media_id)
+        .order('rated_at', { ascending: true });
+
+    if (error) throw error;
+
+    return data || [];
+};
+
+// A diary rating becomes the current rating if it's from the latest viewing of the title
+// (logging an old viewing shouldn't overwrite how the user rates it today)
+const syncCurrentRating = async (userId, entry) => {
+    if (!entry.rating) return;
+
+    const { data: newer, error: newerError } = await supabaseAdmin
+        .from('diary_entries')
+        .select('id')
+        .eq('user_id', userId)
+        .eq('media_type', entry.media_type)
+        .eq('media_id', entry.media_id)
+        .gt('watched_on', entry.watched_on)
+        .limit(1);
+
+    if (newerError) throw newerError;
+    if (newer && newer.length > 0) return;
+
+    const { error } = await supabaseAdmin
+        .from('ratings')
+        .upsert([{
+            user_id: userId,
+            media_type: entry.media_type,
+            media_id: entry.media_id,
+            rating: entry.rating,
+            updated_at: new Date().toISOString()
+        }], {
+            onConflict: 'user_id,media_type,media_id'
+        });
+
+    if (error) throw error;
+
+    await recordRatingChange(userId, entry, entry.rating, 'diary');
+};
+
+// ===============================================
+// DIARY ENTRIES
+// ===============================================
+
+// The user's diary, newest viewing first
+// Filters (all optional): year, month (1-12, needs year), media_type + media_id for one title
+const listDiaryEntries = async (userId, filters = {}) => {
+    let query = supabaseAdmin
+        .from('diary_entries')
+        .select('*')
+        .eq('user_id', userId);
+
+    if (filters.year) {
+        const month = filters.month ? String(filters.month).padStart(2, '0') : null;
+        const start = month ? `${filters.year}-${month}-01` : `${filters.year}-01-01`;
+        const end = month
+            ? new Date(Date.UTC(filters.year, filters.month, 1)).toISOString().split('T')[0]
+            : `${Number(filters.year) + 1}-01-01`;
+        query = query.gte('watched_on', start).lt('watched_on', end);
+    }
+
+    if (filters.media_type && filters.media_id) {
+        query = query.eq('media_type', filters.media_type).eq('media_id', filters.media_id);
+    }
+
+    const { data, error } = await query
+        .order('watched_on', { ascending: false })
+        .order('created_at', { ascending: false });
+
+    if (error) throw error;
+
+    return attachTitleCards(data || []);
+};
+
+// Log a viewing - returns null if the title doesn't exist on TMDB
+// rewatch defaults to true when the title is already in the diary
+const createDiaryEntry = async (userId, identity, input) => {
+    const title = await getTitleCard(identity.media_type, identity.media_id);
+    if (!title) return null;
+
+    let rewatch = input.rewatch;
+    if (rewatch === undefined) {
+        const { data: earlier, error: earlierError } = await supabaseAdmin
+            .from('diary_entries')
+            .select('id')
+            .eq('user_id', userId)
+            .eq('media_type', identity.media_type)
+            .eq('media_id', identity.media_id)
+            .lte('watched_on', input.watched_on)
+            .limit(1);
+
+        if (earlierError) throw earlierError;
+        rewatch = !!(earlier && earlier.length > 0);
+    }
+
+    const { data, error } = await supabaseAdmin
+        .from('diary_entries')
+        .insert([{
+            user_id: userId,
+            media_type: identity.media_type,
+            media_id: identity.media_id,
+            watched_on: input.watched_on,
+            rating: input.rating ?? null,
+            rewatch: rewatch,
+            review: input.review ?? null,
+            tags: input.tags || []
+        }])
+        .select()
+        .single();
+
+    if (error) throw error;
+
+    await syncCurrentRating(userId, data);
+
+    return { ...data, title };
+};
+
+// Edit a diary entry - returns null if it doesn't exist or isn't the user's
+const updateDiaryEntry = async (userId, entryId, input) => {
+    const { data, error } = await supabaseAdmin
+        .from('diary_entries')
+        .update({ ...input, updated_at: new Date().toISOString() })
+        .eq('id', entryId)
+        .eq('user_id', userId)
+        .select()
+        .maybeSingle();
+
+    if (error) throw error;
+    if (!data) return null;
+
+    if (input.rating !== undefined || input.watched_on !== undefined) {
+        await syncCurrentRating(userId, data);
+    }
+
+    const [entry] = await attachTitleCards([data]);
+    return entry;
+};
+
+// Delete a diary entry - returns false if it doesn't exist or isn't the user's
+// The current rating and rating history are left alone
+const deleteDiaryEntry = async (userId, entryId) => {
+    const { data, error } = await supabaseAdmin
+        .from('diary_entries')
+        .delete()
+        .eq('id', entryId)
+        .eq('user_id', userId)
+        .select('id');
+
+    if (error) throw error;
+
+    return !!(data && data.length > 0);
+};
+
+module.exports = {
+    isValidDateString,
+    validateDiaryInput,
+    recordRatingChange,
+    getRatingHistory,
+    listDiaryEntries,
+    createDiaryEntry,
+    updateDiaryEntry,
+    deleteDiaryEntry
+};
@@ -0,0 +1,250 @@
+/*
+=== ACCOUNT DATA EXPORT ===
+
+Builds a zip with everything a user has saved, so they can back it up or move
+to another site:
+
+  json/  - watchlist, ratings (+ reviews), rating history, diary, watch progress
+  letterboxd/ - ratings.csv, watchlist.csv, diary.csv in Letterboxd's import format
+  README.txt  - what each file is
+
+Every title is enriched with its name, year and IMDb id from TMDB.
+Letterboxd only has films, so the CSVs leave TV shows out (they're in the JSON).
+*/
+
+const archiver = require('archiver');
+const { supabaseAdmin } = require('./supabaseClient');
+const { getTitleCard } = require('./tmdbAPI');
+const { mapWithConcurrency } = require('./asyncUtils');
+
+// How many TMDB lookups run at once
+const ENRICH_CONCURRENCY = 5;
+
+// ===============================================
+// LOADING THE USER'S DATA
+// ===============================================
+
+// All rows of one table for this user (oldest first)
+const getUserRows = async (table, userId, orderBy) => {
+    const { data, error } = await supabaseAdmin
+        .from(table)
+        .select('*')
+        .eq('user_id', userId)
+        .order(orderBy, { ascending: true });
+
+    if (error) throw error;
+
+    return data || [];
+};
+
+// Title info for every title in the export - { "movie:550": { title, year, imdb_id } }
+// Titles that are gone from TMDB just export without a name
+const getTitleInfo = async (rows) => {
+    const keys = [...new Set(rows.map(row => `${row.media_type}:${row.media_id}`))];
+
+    const cards = await mapWithConcurrency(keys, ENRICH_CONCURRENCY, async (key) => {
+        const [mediaType, mediaId] = key.split(':');
+        try {
+            return await getTitleCard(mediaType, mediaId);
+        } catch (error) {
+            console.error(`Export: no title info for ${key}:`, error.message);
+            return null;
+        }
+    });
+
+    const info = {};
+    keys.forEach((key, index) => {
+        info[key] = {
+            title: cards[index]?.title || null,
+            year: cards[index]?.year || null,
+            imdb_id: cards[index]?.imdb_id || null
+        };
+    });
+
+    return info;
+};
+
+// Everything the user has saved, with title info on every row
+const collectExportData = async (user) => {
+    const [watchlist, ratings, ratingHistory, diary, reviews, watchProgress] = await Promise.all([
+        getUserRows('watchlist', user.id, 'media_id'),
+        getUserRows('ratings', user.id, 'updated_at'),
+        getUserRows('rating_history', user.id, 'rated_at'),
+        getUserRows('diary_entries', user.id, 'watched_on'),
+        getUserRows('reviews', user.id, 'created_at'),
+        getUserRows('watch_progress', user.id, 'watched_at')
+    ]);
+
+    const titleInfo = await getTitleInfo([
+        ...watchlist,
+        ...ratings,
+        ...ratingHistory,
+        ...diary,
+        ...reviews,
+        ...watchProgress.map(row => ({ media_type: 'tv', media_id: row.show_id }))
+    ]);
+
+    // Row fields we keep + the title info - never user ids
+    const describe = (row, mediaType = row.media_type, mediaId = row.media_id) => ({
+        media_type: mediaType,
+        tmdb_id: mediaId,
+        ...titleInfo[`${mediaType}:${mediaId}`]
+    });
+
+    const reviewByTitle = new Map(reviews.map(review => [`${review.media_type}:${review.media_id}`, review]));
+
+    return {
+        exported_at: new Date().toISOString(),
+        account: {
+            email: user.email,
+            username: user.user_metadata?.username || null
+        },
+        watchlist: watchlist.map(row => ({
+            ...describe(row),
+            status: row.status,
+            priority: row.priority,
+            note: row.note,
+            recommended_by: row.recommended_by
+        })),
+        ratings: ratings.map(row => {
+            const review = reviewByTitle.get(`${row.media_type}:${row.media_id}`);
+            return {
+                ...describe(row),
+                rating: row.rating,
+                rated_at: row.updated_at,
+                review: review ? review.body : null,
+                review_contains_spoilers: review ? review.contains_spoilers : null
+            };
+        }),
+        rating_history: ratingHistory.map(row => ({
+            ...describe(row),
+            rating: row.rating,
+            source: row.source,
+            rated_at: row.rated_at
+        })),
+        diary: diary.map(row => ({
+            ...describe(row),
+            watched_on: row.watched_on,
+            rating: row.rating,
+            rewatch: row.rewatch,
+            review: row.review,
+            tags: row.tags || []
+        })),
+        watch_progress: watchProgress.map(row => ({
+            ...describe(row, 'tv', row.show_id),
+            season_number: row.season_number,
+            episode_number: row.episode_number,
+            watched_at: row.watched_at
+        }))
+    };
+};
+
+// ===============================================
+// LETTERBOXD CSV
+// ===============================================
+
+// Quote a CSV value when it needs it
+const csvValue = (value) => {
+    if (value === null || value === undefined) return '';
+    const text = String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const toCsv = (headers, rows) => [
+    headers.join(','),
+    ...rows.map(row => row.map(csvValue).join(','))
+].join('\n') + '\n';
+
+// 1-10 → Letterboxd's 0.5-5 stars
+const toStars = (rating) => (rating ? rating / 2 : '');
+
+// Column names Letterboxd's importer understands
+const buildLetterboxdCsvs = (data) => {
+    const films = (rows) => rows.filter(row => row.media_type === 'movie');
+
+    return {
+        'ratings.csv': toCsv(
+            ['tmdbID', 'imdbID', 'Title', 'Year', 'Rating', 'Rating10', 'Review'],
+            films(data.ratings).map(row => [
+                row.tmdb_id, row.imdb_id, row.title, row.year, toStars(row.rating), row.rating, row.review
+            ])
+        ),
+        'watchlist.csv': toCsv(
+            ['tmdbID', 'imdbID', 'Title', 'Year'],
+            films(data.watchlist).map(row => [row.tmdb_id, row.imdb_id, row.title, row.year])
+        ),
+        'diary.csv': toCsv(
+            ['tmdbID', 'imdbID', 'Title', 'Year', 'Rating', 'Rating10', 'WatchedDate', 'Rewatch', 'Tags', 'Review'],
+            films(data.diary).map(row => [
+                row.tmdb_id, row.imdb_id, row.title, row.year, toStars(row.rating), row.rating,
+                row.watched_on, row.rewatch ? 'Yes' : '', row.tags.join(', '), row.review
+            ])
+        )
+    };
+};
+
+const README = `AryFlix data export
+===================
+
+json/      Everything you saved on AryFlix, including TV shows:
+           account, watchlist, ratings (with your reviews), rating history,
+           diary and watch progress. tmdb_id is the title's id on themoviedb.org.
+
+letterboxd/  Your films in Letterboxd's import format (letterboxd.com/import).
+             TV shows are left out - Letterboxd only has films.
+             Ratings are on AryFlix's 1-10 scale in Rating10 and as 0.5-5 stars in Rating.
+`;
+
+// ===============================================
+// PUBLIC FUNCTION (used by GET /api/export)
+// ===============================================
+
+// Collect the user's data and stream it as a zip into `output` (the response)
+// Data is loaded before anything is written, so a failed lookup can still become a 500
+// Rejects if zipping fails or the client goes away mid-download (the zip is aborted)
+const streamAccountExport = async (user, output) => {
+    const data = await collectExportData(user);
+    const csvs = buildLetterboxdCsvs(data);
+
+    const archive = archiver('zip', { zlib: { level: 9 } });
+    archive.on('warning', (error) => console.error('Export zip warning:', error));
+
+    // Settles only when something goes wrong - raced against finalize() below
+    const stopped = new Promise((resolve, reject) => {
+        archive.on('error', (error) => {
+            archive.unpipe(output);
+            reject(error);
+        });
+        output.on('close', () => {
+            if (output.writableFinished) return;
+            archive.abort();
+            reject(new Error('Client closed the connection before the export finished'));
+        });
+    });
+
+    archive.pipe(output);
+
+    archive.append(README, { name: 'README.txt' });
+    archive.append(JSON.stringify({ exported_at: data.exported_at, ...data.account }, null, 2), { name: 'json/account.json' });
+    archive.append(JSON.stringify(data.watchlist, null, 2), { name: 'json/watchlist.json' });
+    archive.append(JSON.stringify(data.ratings, null, 2), { name: 'json/ratings.json' });
+    archive.append(JSON.stringify(data.rating_history, null, 2), { name: 'json/rating_history.json' });
+    archive.append(JSON.stringify(data.diary, null, 2), { name: 'json/diary.json' });
+    archive.append(JSON.stringify(data.watch_progress, null, 2), { name: 'json/watch_progress.json' });
+
+    Object.entries(csvs).forEach(([name, csv]) => {
+        archive.append(csv, { name: `letterboxd/${name}` });
+    });
+
+    await Promise.race([archive.finalize(), stopped]);
+
+    return {
+        watchlist: data.watchlist.length,
+        ratings: data.ratings.length,
+        diary: data.diary.length
+    };
+};
+
+module.exports = {
+    streamAccountExport
+};
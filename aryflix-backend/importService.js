@@ -0,0 +1,583 @@
+/*
+=== CSV IMPORT (LETTERBOXD + IMDB) ===
+
+Brings ratings, watchlists and diaries over from other sites:
+
+  Letterboxd export: ratings.csv, watchlist.csv, diary.csv
+  IMDb export:       ratings CSV, watchlist CSV
+
+WHAT IT DOES:
+1. Parses each CSV and works out which export it is from the header row
+2. Matches every row to a TMDB title:
+   - IMDb rows have an IMDb id → TMDB /find
+   - otherwise title + year → searchMoviesAndTV (results come back in its
+     smart-score order), keeping exact title matches for the same year (±1)
+3. Converts Letterboxd's 0.5-5 stars to our 1-10 scale
+4. Dry run (default): returns a report of matched / ambiguous / unmatched rows
+   Commit: saves matched rows (plus any ambiguous rows the user picked a title for)
+
+Every row gets a key "fileIndex:row" so the client can send back choices
+for ambiguous rows ({ "0:12": { media_type, media_id } }, or null to skip a row).
+*/
+
+const { supabaseAdmin } = require('./supabaseClient');
+const { searchMoviesAndTV, findByImdbId } = require('./tmdbAPI');
+const { parseMediaIdentity } = require('./mediaIdentity');
+const { validateDiaryInput } = require('./diary');
+const { mapWithConcurrency } = require('./asyncUtils');
+const { addImportedWatchlistItems } = require('./watchlist');
+
+// Biggest import we take in one request (all files together)
+const MAX_IMPORT_ROWS = 5000;
+
+// How many TMDB lookups run at once
+const MATCH_CONCURRENCY = 5;
+
+// How many candidate titles an ambiguous row offers
+const MAX_CANDIDATES = 5;
+
+// Rows per request when reading back the user's rating history
+const HISTORY_PAGE_SIZE = 1000;
+
+// ===============================================
+// CSV PARSING
+// ===============================================
+
+// Parse CSV text into an array of rows (arrays of strings)
+// Handles quoted fields, "" escapes, commas/newlines inside quotes, CRLF and a BOM
+const parseCsv = (text) => {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+    const input = text.replace(/^\uFEFF/, '');
+
+    for (let i = 0; i < input.length; i++) {
+        const char = input[i];
+
+        if (inQuotes) {
+            if (char === '"' && input[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === ',') {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && input[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+
+    // Last row (files don't always end with a newline)
+    if (field !== '' || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+
+    // Drop blank lines
+    return rows.filter(cells => cells.some(cell => cell.trim() !== ''));
+};
+
+// ===============================================
+// EXPORT FORMATS
+// ===============================================
+
+// IMDb "Title Type" → our media type (episodes and games can't be imported)
+const IMDB_TITLE_TYPES = {
+    'movie': 'movie',
+    'tvMovie': 'movie',
+    'video': 'movie',
+    'short': 'movie',
+    'tvShort': 'movie',
+    'tvSpecial': 'movie',
+    'tvSeries': 'tv',
+    'tvMiniSeries': 'tv',
+    // Older exports use readable names
+    'Movie': 'movie',
+    'TV Movie': 'movie',
+    'Video': 'movie',
+    'Short': 'movie',
+    'TV Short': 'movie',
+    'TV Special': 'movie',
+    'TV Series': 'tv',
+    'TV Mini Series': 'tv'
+};
+
+// 'YYYY-MM-DD' or null
+const parseCsvDate = (value) => (/^\d{4}-\d{2}-\d{2}$/.test(value || '') ? value : null);
+
+// 'YYYY' or null
+const parseCsvYear = (value) => (/^\d{4}$/.test((value || '').trim()) ? value.trim() : null);
+
+// Letterboxd stars (0.5-5, half stars) → 1-10
+const convertLetterboxdRating = (value) => {
+    const stars = parseFloat(value);
+    if (!Number.isFinite(stars) || stars <= 0) return null;
+    return Math.min(10, Math.max(1, Math.round(stars * 2)));
+};
+
+// IMDb ratings are already 1-10
+const convertImdbRating = (value) => {
+    const rating = parseInt(value, 10);
+    return rating >= 1 && rating <= 10 ? rating : null;
+};
+
+// Work out which export a file is from its header row (and, where that's not enough, its name)
+// kind: what the rows become - 'ratings', 'watchlist' or 'diary'
+// Returns null for files we don't know, { error } for a Letterboxd list we can't tell apart
+const detectFormat = (headers, fileName = '') => {
+    const has = (name) => headers.includes(name);
+
+    if (has('Letterboxd URI') && has('Name')) {
+        if (has('Watched Date')) return { source: 'letterboxd', kind: 'diary', label: 'Letterboxd diary' };
+        if (has('Rating')) return { source: 'letterboxd', kind: 'ratings', label: 'Letterboxd ratings' };
+
+        // watchlist.csv, watched.csv and likes/films.csv all have just Date, Name, Year, Letterboxd URI
+        if (/watchlist/i.test(fileName)) return { source: 'letterboxd', kind: 'watchlist', label: 'Letterboxd watchlist' };
+        return { error: `${fileName || 'File'} looks like a Letterboxd list other than watchlist.csv - upload watchlist.csv, ratings.csv or diary.csv` };
+    }
+
+    if (has('Const') && has('Title')) {
+        if (has('Position')) return { source: 'imdb', kind: 'watchlist', label: 'IMDb watchlist' };
+        if (has('Your Rating')) return { source: 'imdb', kind: 'ratings', label: 'IMDb ratings' };
+    }
+
+    return null;
+};
+
+// Turn one CSV record into an import row
+// Returns the row, with `error` set if it can't be imported as it is
+const buildRow = (format, record) => {
+    const row = {
+        title: '',
+        year: null,
+        imdb_id: null,
+        media_type: null,   // known type, if the export says (IMDb) - Letterboxd is films only
+        rating: null,
+        date: null,
+        diary: null
+    };
+
+    if (format.source === 'letterboxd') {
+        row.title = (record['Name'] || '').trim();
+        row.year = parseCsvYear(record['Year']);
+        row.media_type = 'movie';
+        row.date = parseCsvDate(record['Date']);
+
+        if (format.kind === 'ratings') {
+            row.rating = convertLetterboxdRating(record['Rating']);
+            if (!row.rating) row.error = 'No rating on this row';
+        }
+
+        if (format.kind === 'diary') {
+            row.rating = convertLetterboxdRating(record['Rating']);
+            const { value, error } = validateDiaryInput({
+                watched_on: parseCsvDate(record['Watched Date']) || row.date || undefined,
+                rating: row.rating,
+                rewatch: (record['Rewatch'] || '').trim().toLowerCase() === 'yes',
+                tags: record['Tags'] || ''
+            });
+            if (error) {
+                row.error = error;
+            } else {
+                row.diary = value;
+            }
+        }
+    } else {
+        row.title = (record['Title'] || '').trim();
+        row.year = parseCsvYear(record['Year']);
+        row.imdb_id = /^tt\d+$/.test((record['Const'] || '').trim()) ? record['Const'].trim() : null;
+        row.date = parseCsvDate(record['Date Rated']) || parseCsvDate(record['Created']);
+
+        const titleType = (record['Title Type'] || '').trim();
+        if (titleType) {
+            row.media_type = IMDB_TITLE_TYPES[titleType] || null;
+            if (!row.media_type) row.error = `${titleType} titles can't be imported`;
+        }
+
+        if (format.kind === 'ratings') {
+            row.rating = convertImdbRating(record['Your Rating']);
+            if (!row.rating) row.error = row.error || 'No rating on this row';
+        }
+    }
+
+    if (!row.title && !row.imdb_id) {
+        row.error = 'Missing title';
+    }
+
+    return row;
+};
+
+// Parse every uploaded file into rows
+// Returns { files, rows } or { error } if a file can't be read
+const parseImportFiles = (files) => {
+    const parsedFiles = [];
+    const rows = [];
+
+    for (const [fileIndex, file] of files.entries()) {
+        const records = parseCsv(file.content || '');
+        if (records.length === 0) {
+            return { error: `${file.name || 'File'} is empty` };
+        }
+
+        const headers = records[0].map(header => header.trim());
+        const format = detectFormat(headers, file.name);
+        if (!format) {
+            return { error: `${file.name || 'File'} isn't a Letterboxd or IMDb export we recognise` };
+        }
+        if (format.error) return { error: format.error };
+
+        records.slice(1).forEach((cells, index) => {
+            const record = {};
+            headers.forEach((header, column) => {
+                record[header] = cells[column] ?? '';
+            });
+
+            rows.push({
+                key: `${fileIndex}:${index + 2}`, // +2 = spreadsheet row (header is row 1)
+                file: file.name || `File ${fileIndex + 1}`,
+                kind: format.kind,
+                ...buildRow(format, record)
+            });
+        });
+
+        parsedFiles.push({
+            name: file.name || `File ${fileIndex + 1}`,
+            format: format.label,
+            kind: format.kind,
+            rows: records.length - 1
+        });
+    }
+
+    return { files: parsedFiles, rows };
+};
+
+// ===============================================
+// MATCHING
+// ===============================================
+
+// Compare titles loosely: case, accents, "&" vs "and", punctuation
+const normalizeTitle = (title) => (title || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/&/g, 'and')
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+
+// Candidate as the client sees it
+const toCandidate = (item) => ({
+    media_type: item.media_type,
+    media_id: String(item.id),
+    title: item.title,
+    year: item.year || (item.release_date ? item.release_date.substring(0, 4) : null),
+    poster_path: item.poster_path
+        ? item.poster_path.replace('https://image.tmdb.org/t/p/w500', '')
+        : null
+});
+
+// Match a row by title + year using the search results (already best-first)
+const matchByTitle = async (row) => {
+    const results = (await searchMoviesAndTV(row.title))
+        .filter(item => !row.media_type || item.media_type === row.media_type)
+        .map(toCandidate);
+
+    if (results.length === 0) {
+        return { status: 'unmatched', reason: 'No TMDB results for this title' };
+    }
+
+    const wanted = normalizeTitle(row.title);
+    const exact = results.filter(item => normalizeTitle(item.title) === wanted);
+    const yearGap = (item) => (row.year && item.year ? Math.abs(Number(item.year) - Number(row.year)) : null);
+
+    if (row.year) {
+        // Exact title, same year → done. Release years differ by one between sites sometimes.
+        for (const maxGap of [0, 1]) {
+            const sameYear = exact.filter(item => yearGap(item) !== null && yearGap(item) <= maxGap);
+            if (sameYear.length === 1) return { status: 'matched', match: sameYear[0] };
+            if (sameYear.length > 1) return { status: 'ambiguous', candidates: sameYear.slice(0, MAX_CANDIDATES) };
+        }
+
+        // Title differs (translations, subtitles) - offer anything from around that year
+        const nearYear = results.filter(item => yearGap(item) !== null && yearGap(item) <= 1);
+        if (nearYear.length > 0) {
+            return { status: 'ambiguous', candidates: nearYear.slice(0, MAX_CANDIDATES) };
+        }
+    } else if (exact.length === 1) {
+        return { status: 'matched', match: exact[0] };
+    }
+
+    if (exact.length > 0) {
+        return { status: 'ambiguous', candidates: exact.slice(0, MAX_CANDIDATES) };
+    }
+
+    return {
+        status: 'unmatched',
+        reason: row.year ? `No title from around ${row.year} matched` : 'No exact title match',
+        candidates: results.slice(0, MAX_CANDIDATES)
+    };
+};
+
+// Match a row by IMDb id, falling back to title + year
+const matchRow = async (row) => {
+    if (row.imdb_id) {
+        const found = (await findByImdbId(row.imdb_id))
+            .filter(item => !row.media_type || item.media_type === row.media_type)
+            .map(toCandidate);
+
+        if (found.length === 1) return { status: 'matched', match: found[0] };
+        if (found.length > 1) return { status: 'ambiguous', candidates: found.slice(0, MAX_CANDIDATES) };
+    }
+
+    if (!row.title) {
+        return { status: 'unmatched', reason: 'IMDb id not found on TMDB' };
+    }
+
+    return matchByTitle(row);
+};
+
+// Match every row - the same title in several files is only looked up once
+const matchRows = async (rows) => {
+    const lookups = new Map();
+
+    return mapWithConcurrency(rows, MATCH_CONCURRENCY, async (row) => {
+        if (row.error) {
+            return { ...row, status: 'invalid', reason: row.error };
+        }
+
+        const lookupKey = [row.imdb_id, row.title.toLowerCase(), row.year, row.media_type].join('|');
+        if (!lookups.has(lookupKey)) {
+            lookups.set(lookupKey, matchRow(row).catch(error => {
+                console.error(`Import lookup failed for "${row.title}":`, error.message);
+                return { status: 'unmatched', reason: 'TMDB lookup failed - try again later' };
+            }));
+        }
+
+        return { ...row, ...(await lookups.get(lookupKey)) };
+    });
+};
+
+// Apply the user's choices: a title for an ambiguous/unmatched row, or null to skip any row
+// Only the row's own candidates can be picked - they came from TMDB, anything else might not exist
+const applyResolutions = (rows, resolutions = {}) => rows.map(row => {
+    if (!Object.prototype.hasOwnProperty.call(resolutions, row.key) || row.status === 'invalid') {
+        return row;
+    }
+
+    const choice = resolutions[row.key];
+    if (choice === null) {
+        return { ...row, status: 'skipped', reason: 'Skipped' };
+    }
+
+    const identity = parseMediaIdentity(choice?.media_type, choice?.media_id);
+    if (!identity) return row;
+
+    const picked = (row.candidates || []).find(candidate =>
+        candidate.media_type === identity.media_type && candidate.media_id === identity.media_id
+    );
+    if (!picked) return row;
+
+    return { ...row, status: 'matched', match: picked };
+});
+
+// ===============================================
+// SAVING
+// ===============================================
+
+// Everything already in the user's rating history, to keep a second import from adding it again
+// Returns { entries: Set of 'movie:550:8:<time>', latest: Map of 'movie:550' → newest rating }
+const getRatingHistoryIndex = async (userId) => {
+    const entries = new Set();
+    const latest = new Map();
+    let from = 0;
+
+    while (true) {
+        const { data, error } = await supabaseAdmin
+            .from('rating_history')
+            .select('media_type, media_id, rating, rated_at')
+            .eq('user_id', userId)
+            .order('rated_at', { ascending: true })
+            .order('id', { ascending: true })
+            .range(from, from + HISTORY_PAGE_SIZE - 1);
+
+        if (error) throw error;
+
+        (data || []).forEach(entry => {
+            const key = `${entry.media_type}:${entry.media_id}`;
+            // Compared as times - the database and toISOString() don't write them the same way
+            entries.add(`${key}:${entry.rating}:${Date.parse(entry.rated_at)}`);
+            latest.set(key, entry.rating); // Oldest first, so the last one wins
+        });
+
+        if (!data || data.length < HISTORY_PAGE_SIZE) break;
+        from += HISTORY_PAGE_SIZE;
+    }
+
+    return { entries, latest };
+};
+
+// Save matched rows - returns how many ratings / watchlist items / diary entries were written
+// (plus how many watchlist titles were skipped because the watchlist is full)
+const saveMatchedRows = async (userId, rows) => {
+    const matched = rows.filter(row => row.status === 'matched');
+    const titleKey = (row) => `${row.match.media_type}:${row.match.media_id}`;
+    const now = new Date().toISOString();
+
+    // Ratings - the same title twice keeps the last row
+    const ratingRows = new Map();
+    matched.filter(row => row.kind === 'ratings').forEach(row => ratingRows.set(titleKey(row), row));
+
+    if (ratingRows.size > 0) {
+        const rowsToSave = [...ratingRows.values()];
+
+        const { error } = await supabaseAdmin
+            .from('ratings')
+            .upsert(rowsToSave.map(row => ({
+                user_id: userId,
+                media_type: row.match.media_type,
+                media_id: row.match.media_id,
+                rating: row.rating,
+                updated_at: now
+            })), {
+                onConflict: 'user_id,media_type,media_id'
+            });
+        if (error) throw error;
+
+        // History keeps the date the rating was given on the other site - ratings already in it
+        // (same title, rating and date, or an undated row that matches the latest rating) are skipped
+        const history = await getRatingHistoryIndex(userId);
+        const historyRows = rowsToSave
+            .map(row => ({
+                user_id: userId,
+                media_type: row.match.media_type,
+                media_id: row.match.media_id,
+                rating: row.rating,
+                source: 'rating',
+                rated_at: row.date ? `${row.date}T12:00:00Z` : now
+            }))
+            .filter((entry, index) => {
+                const key = `${entry.media_type}:${entry.media_id}`;
+                if (!rowsToSave[index].date) return history.latest.get(key) !== entry.rating;
+                return !history.entries.has(`${key}:${entry.rating}:${Date.parse(entry.rated_at)}`);
+            });
+
+        if (historyRows.length > 0) {
+            const { error: historyError } = await supabaseAdmin.from('rating_history').insert(historyRows);
+            if (historyError) throw historyError;
+        }
+    }
+
+    // Watchlist - titles already on it are left alone, and the per-user cap still applies
+    const watchlistRows = new Map();
+    matched.filter(row => row.kind === 'watchlist').forEach(row => watchlistRows.set(titleKey(row), row));
+
+    const watchlistResult = await addImportedWatchlistItems(
+        userId,
+        [...watchlistRows.values()].map(row => row.match)
+    );
+
+    // Diary - skip viewings already logged on the same day, so importing twice doesn't duplicate
+    const diaryRows = matched.filter(row => row.kind === 'diary');
+    let diaryCount = 0;
+
+    if (diaryRows.length > 0) {
+        const { data: existing, error: existingError } = await supabaseAdmin
+            .from('diary_entries')
+            .select('media_type, media_id, watched_on')
+            .eq('user_id', userId);
+        if (existingError) throw existingError;
+
+        const logged = new Set((existing || []).map(entry => `${entry.media_type}:${entry.media_id}:${entry.watched_on}`));
+        const newEntries = [];
+
+        for (const row of diaryRows) {
+            const key = `${titleKey(row)}:${row.diary.watched_on}`;
+            if (logged.has(key)) continue;
+            logged.add(key);
+
+            newEntries.push({
+                user_id: userId,
+                media_type: row.match.media_type,
+                media_id: row.match.media_id,
+                ...row.diary
+            });
+        }
+
+        if (newEntries.length > 0) {
+            const { error } = await supabaseAdmin.from('diary_entries').insert(newEntries);
+            if (error) throw error;
+        }
+        diaryCount = newEntries.length;
+    }
+
+    return {
+        ratings: ratingRows.size,
+        watchlist: watchlistResult.added,
+        watchlist_skipped: watchlistResult.skipped, // Didn't fit - the watchlist is full
+        diary: diaryCount
+    };
+};
+
+// ===============================================
+// PUBLIC FUNCTION (used by POST /api/import)
+// ===============================================
+
+// Parse, match and (unless it's a dry run) save an import
+// files: [{ name, content }] - returns { error } for bad input, otherwise the report
+const runImport = async (userId, { files, dryRun = true, resolutions = {} }) => {
+    const parsed = parseImportFiles(files);
+    if (parsed.error) return { error: parsed.error };
+
+    if (parsed.rows.length > MAX_IMPORT_ROWS) {
+        return { error: `Imports are limited to ${MAX_IMPORT_ROWS} rows - split the file and try again` };
+    }
+
+    const rows = applyResolutions(await matchRows(parsed.rows), resolutions);
+
+    const summary = { total: rows.length, matched: 0, ambiguous: 0, unmatched: 0, invalid: 0, skipped: 0 };
+    rows.forEach(row => { summary[row.status]++; });
+
+    const report = {
+        dry_run: dryRun,
+        files: parsed.files,
+        summary,
+        rows: rows.map(row => ({
+            key: row.key,
+            file: row.file,
+            kind: row.kind,
+            title: row.title,
+            year: row.year,
+            rating: row.rating,
+            date: row.diary?.watched_on || row.date,
+            status: row.status,
+            reason: row.reason || null,
+            match: row.match || null,
+            candidates: row.status === 'matched' ? [] : (row.candidates || [])
+        }))
+    };
+
+    if (!dryRun) {
+        report.imported = await saveMatchedRows(userId, rows);
+    }
+
+    return report;
+};
+
+module.exports = {
+    MAX_IMPORT_ROWS,
+    parseCsv,
+    detectFormat,
+    runImport
+};
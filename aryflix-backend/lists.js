@@ -0,0 +1,405 @@
+/*
+=== CUSTOM USER LISTS ===
+
+Named lists on top of the single watchlist ("Halloween marathon", "Best of A24"):
+  lists      - name, description, public flag, owner name
+  list_items - titles in a list, in order (position), each with an optional note
+
+WHAT IT DOES:
+1. Validates list / item input (name, description, public flag, notes)
+2. Lists the user's own lists with item counts and a few posters for the cover
+3. Builds a full list page - owners always, anyone else only when it's public
+4. Adds / edits / removes items and saves a new item order after drag-to-reorder
+*/
+
+const { supabaseAdmin } = require('./supabaseClient');
+const { getTitleCard } = require('./tmdbAPI');
+const { attachTitleCards } = require('./titleService');
+
+// Limits - keep in sync with the CHECK constraints in migrations/005_lists.sql
+const MAX_NAME_LENGTH = 100;
+const MAX_DESCRIPTION_LENGTH = 1000;
+const MAX_NOTE_LENGTH = 500;
+
+// How many posters the list cards on /lists show
+const PREVIEW_SIZE = 4;
+
+// ===============================================
+// VALIDATION
+// ===============================================
+
+// Check list input from the client
+// partial: true for edits (only the fields sent are checked)
+// Returns { value } with the cleaned fields or { error } with a message for the client
+const validateListInput = (input = {}, { partial = false } = {}) => {
+    const value = {};
+
+    if (input.name !== undefined || !partial) {
+        if (typeof input.name !== 'string' || !input.name.trim()) {
+            return { error: 'name is required' };
+        }
+        value.name = input.name.trim();
+        if (value.name.length > MAX_NAME_LENGTH) {
+            return { error: `name must be ${MAX_NAME_LENGTH} characters or less` };
+        }
+    }
+
+    // Empty text / null clears the description
+    if (input.description !== undefined) {
+        if (input.description !== null && typeof input.description !== 'string') {
+            return { error: 'description must be text' };
+        }
+        value.description = input.description?.trim() || null;
+        if (value.description && value.description.length > MAX_DESCRIPTION_LENGTH) {
+            return { error: `description must be ${MAX_DESCRIPTION_LENGTH} characters or less` };
+        }
+    }
+
+    if (input.is_public !== undefined) {
+        if (typeof input.is_public !== 'boolean') {
+            return { error: 'is_public must be true or false' };
+        }
+        value.is_public = input.is_public;
+    }
+
+    return { value };
+};
+
+// Check an item note - empty text clears it
+// Returns { value: note or null } or { error }
+const validateItemNote = (note) => {
+    if (note === undefined || note === null) return { value: null };
+    if (typeof note !== 'string') return { error: 'note must be text' };
+
+    const trimmed = note.trim();
+    if (trimmed.length > MAX_NOTE_LENGTH) {
+        return { error: `note must be ${MAX_NOTE_LENGTH} characters or less` };
+    }
+
+    return { value: trimmed || null };
+};
+
+// Public name for a list - the username picked at sign up (never the email)
+const getOwnerName = (user) => user?.user_metadata?.username || 'AryFlix user';
+
+// ===============================================
+// HELPERS
+// ===============================================
+
+// The list if this user owns it, otherwise null
+const getOwnedList = async (userId, listId) => {
+    const { data, error } = await supabaseAdmin
+        .from('lists')
+        .select('*')
+        .eq('id', listId)
+        .eq('user_id', userId)
+        .maybeSingle();
+
+    if (error) throw error;
+
+    return data;
+};
+
+// Bump updated_at so recently changed lists sort first
+const touchList = async (listId) => {
+    const { error } = await supabaseAdmin
+        .from('lists')
+        .update({ updated_at: new Date().toISOString() })
+        .eq('id', listId);
+
+    if (error) throw error;
+};
+
+// Items of a list in their saved order
+const getListItems = async (listId) => {
+    const { data, error } = await supabaseAdmin
+        .from('list_items')
+        .select('id, media_type, media_id, position, note, added_at')
+        .eq('list_id', listId)
+        .order('position', { ascending: true })
+        .order('id', { ascending: true });
+
+    if (error) throw error;
+
+    return data || [];
+};
+
+// The fields a list sends to the client (never the owner's user id)
+const toListSummary = (list) => ({
+    id: list.id,
+    name: list.name,
+    description: list.description,
+    is_public: list.is_public,
+    owner_name: list.owner_name,
+    created_at: list.created_at,
+    updated_at: list.updated_at
+});
+
+// ===============================================
+// LISTS
+// ===============================================
+
+// The user's lists, most recently changed first, with item_count + preview posters
+// identity (optional): adds title_item_id - that title's item in each list (null if it isn't in it)
+const getUserLists = async (userId, identity = null) => {
+    const { data: lists, error } = await supabaseAdmin
+        .from('lists')
+        .select('*')
+        .eq('user_id', userId)
+        .order('updated_at', { ascending: false });
+
+    if (error) throw error;
+    if (!lists || lists.length === 0) return [];
+
+    const { data: items, error: itemsError } = await supabaseAdmin
+        .from('list_items')
+        .select('list_id, media_type, media_id, position, id')
+        .in('list_id', lists.map(list => list.id))
+        .order('position', { ascending: true })
+        .order('id', { ascending: true });
+
+    if (itemsError) throw itemsError;
+
+    const itemsByList = new Map(lists.map(list => [list.id, []]));
+    for (const item of items || []) {
+        itemsByList.get(item.list_id)?.push(item);
+    }
+
+    // Posters for the first few items of every list
+    const previewItems = await attachTitleCards(
+        lists.flatMap(list => itemsByList.get(list.id).slice(0, PREVIEW_SIZE))
+    );
+
+    return lists.map(list => {
+        const listItems = itemsByList.get(list.id);
+        const summary = {
+            ...toListSummary(list),
+            item_count: listItems.length,
+            preview: previewItems
+                .filter(item => item.list_id === list.id)
+                .map(item => ({
+                    media_type: item.media_type,
+                    media_id: item.media_id,
+                    poster_path: item.title?.poster_path || null
+                }))
+        };
+
+        if (identity) {
+            const match = listItems.find(item =>
+                item.media_type === identity.media_type && item.media_id === identity.media_id);
+            summary.title_item_id = match ? match.id : null;
+        }
+
+        return summary;
+    });
+};
+
+// Create a list for the user
+const createList = async (user, input) => {
+    const { data, error } = await supabaseAdmin
+        .from('lists')
+        .insert([{
+            user_id: user.id,
+            name: input.name,
+            description: input.description || null,
+            is_public: input.is_public === true,
+            owner_name: getOwnerName(user)
+        }])
+        .select('*')
+        .single();
+
+    if (error) throw error;
+
+    return { ...toListSummary(data), item_count: 0, preview: [] };
+};
+
+// A full list with its items (title info attached)
+// Returns null if it doesn't exist, or it's private and the viewer isn't the owner
+const getListForViewer = async (listId, viewerId = null) => {
+    const { data: list, error } = await supabaseAdmin
+        .from('lists')
+        .select('*')
+        .eq('id', listId)
+        .maybeSingle();
+
+    if (error) throw error;
+
+    const isMine = !!viewerId && list?.user_id === viewerId;
+    if (!list || (!list.is_public && !isMine)) return null;
+
+    const items = await attachTitleCards(await getListItems(list.id));
+
+    return {
+        ...toListSummary(list),
+        is_mine: isMine,
+        item_count: items.length,
+        items
+    };
+};
+
+// Edit name / description / public flag - returns null if the user doesn't own the list
+const updateList = async (userId, listId, input) => {
+    const { data, error } = await supabaseAdmin
+        .from('lists')
+        .update({ ...input, updated_at: new Date().toISOString() })
+        .eq('id', listId)
+        .eq('user_id', userId)
+        .select('*')
+        .maybeSingle();
+
+    if (error) throw error;
+
+    return data ? toListSummary(data) : null;
+};
+
+// Delete a list (its items go with it) - returns false if the user doesn't own it
+const deleteList = async (userId, listId) => {
+    const { data, error } = await supabaseAdmin
+        .from('lists')
+        .delete()
+        .eq('id', listId)
+        .eq('user_id', userId)
+        .select('id');
+
+    if (error) throw error;
+
+    return !!(data && data.length > 0);
+};
+
+// ===============================================
+// LIST ITEMS
+// ===============================================
+
+// Add a title to the end of a list
+// Returns null if the user doesn't own the list, 'missing' if the title isn't on TMDB,
+// 'duplicate' if it's already in the list, otherwise the new item
+const addListItem = async (userId, listId, identity, note) => {
+    const list = await getOwnedList(userId, listId);
+    if (!list) return null;
+
+    const title = await getTitleCard(identity.media_type, identity.media_id);
+    if (!title) return 'missing';
+
+    const { data: last, error: lastError } = await supabaseAdmin
+        .from('list_items')
+        .select('position')
+        .eq('list_id', list.id)
+        .order('position', { ascending: false })
+        .limit(1)
+        .maybeSingle();
+
+    if (lastError) throw lastError;
+
+    const { data, error } = await supabaseAdmin
+        .from('list_items')
+        .insert([{
+            list_id: list.id,
+            media_type: identity.media_type,
+            media_id: identity.media_id,
+            position: last ? last.position + 1 : 0,
+            note
+        }])
+        .select('id, media_type, media_id, position, note, added_at')
+        .single();
+
+    // 23505 = unique violation - the title is already in this list
+    if (error?.code === '23505') return 'duplicate';
+    if (error) throw error;
+
+    await touchList(list.id);
+
+    return { ...data, title };
+};
+
+// Edit an item's note - returns null if the list or item isn't the user's
+const updateListItem = async (userId, listId, itemId, note) => {
+    const list = await getOwnedList(userId, listId);
+    if (!list) return null;
+
+    const { data, error } = await supabaseAdmin
+        .from('list_items')
+        .update({ note })
+        .eq('id', itemId)
+        .eq('list_id', list.id)
+        .select('id, media_type, media_id, position, note, added_at')
+        .maybeSingle();
+
+    if (error) throw error;
+    if (!data) return null;
+
+    await touchList(list.id);
+
+    return data;
+};
+
+// Remove an item - returns false if the list or item isn't the user's
+const removeListItem = async (userId, listId, itemId) => {
+    const list = await getOwnedList(userId, listId);
+    if (!list) return false;
+
+    const { data, error } = await supabaseAdmin
+        .from('list_items')
+        .delete()
+        .eq('id', itemId)
+        .eq('list_id', list.id)
+        .select('id');
+
+    if (error) throw error;
+    if (!data || data.length === 0) return false;
+
+    await touchList(list.id);
+
+    return true;
+};
+
+// Save a new order after drag-to-reorder - itemIds is every item id in the new order
+// Returns null if the user doesn't own the list, { error } if the ids don't match the
+// list's items, otherwise the reordered items
+const reorderListItems = async (userId, listId, itemIds) => {
+    const list = await getOwnedList(userId, listId);
+    if (!list) return null;
+
+    const items = await getListItems(list.id);
+    const currentIds = new Set(items.map(item => String(item.id)));
+    const newIds = itemIds.map(String);
+
+    if (newIds.length !== currentIds.size ||
+        new Set(newIds).size !== newIds.length ||
+        newIds.some(id => !currentIds.has(id))) {
+        return { error: 'item_ids must list every item in the list exactly once' };
+    }
+
+    // Only write the items that actually moved
+    const positionById = new Map(items.map(item => [String(item.id), item.position]));
+    const moved = newIds
+        .map((id, position) => ({ id, position }))
+        .filter(({ id, position }) => positionById.get(id) !== position);
+
+    const results = await Promise.all(moved.map(({ id, position }) => supabaseAdmin
+        .from('list_items')
+        .update({ position })
+        .eq('id', id)
+        .eq('list_id', list.id)
+    ));
+
+    const failed = results.find(result => result.error);
+    if (failed) throw failed.error;
+
+    if (moved.length > 0) await touchList(list.id);
+
+    return getListItems(list.id);
+};
+
+module.exports = {
+    validateListInput,
+    validateItemNote,
+    getUserLists,
+    createList,
+    getListForViewer,
+    updateList,
+    deleteList,
+    addListItem,
+    updateListItem,
+    removeListItem,
+    reorderListItems
+};
@@ -0,0 +1,81 @@
+/*
+=== REGION + LANGUAGE ===
+
+Which country and language TMDB data is fetched for.
+  region   - streaming providers, age ratings, release dates, what's in theatres ('US', 'GB', 'DE'...)
+  language - titles and overviews ('en-US', 'fr-FR', 'de'...)
+
+WHAT IT DOES:
+1. resolveLocale middleware - works out req.locale for every request, first match wins:
+     ?region=GB&language=en-GB  →  X-Region header  →  Accept-Language header  →  US / en-US
+   (the frontend sends X-Region + Accept-Language from the region picker in the navbar,
+   which starts from the user's saved region)
+2. Helpers to read the locale from a request / build a locale for background jobs
+*/
+
+const DEFAULT_LOCALE = Object.freeze({ region: 'US', language: 'en-US' });
+
+// 'GB', 'us' → 'GB' / null for anything that isn't a two-letter country code
+const normalizeRegion = (value) => (
+    typeof value === 'string' && /^[A-Za-z]{2}$/.test(value.trim()) ? value.trim().toUpperCase() : null
+);
+
+// 'fr', 'fr-ca', 'pt-BR' → 'fr' / 'fr-CA' / 'pt-BR' - null for anything TMDB wouldn't take
+const normalizeLanguage = (value) => {
+    const match = typeof value === 'string' && value.trim().match(/^([A-Za-z]{2})(?:-([A-Za-z]{2}))?$/);
+    if (!match) return null;
+    return match[2] ? `${match[1].toLowerCase()}-${match[2].toUpperCase()}` : match[1].toLowerCase();
+};
+
+// Most preferred language in an Accept-Language header ('fr-CA,fr;q=0.9,en;q=0.8' → 'fr-CA')
+const parseAcceptLanguage = (header) => {
+    if (!header) return null;
+
+    const preferred = header
+        .split(',')
+        .map(part => {
+            const [tag, ...options] = part.trim().split(';');
+            const quality = options.find(option => option.trim().startsWith('q='));
+            return { language: normalizeLanguage(tag), quality: quality ? parseFloat(quality.trim().slice(2)) : 1 };
+        })
+        .filter(entry => entry.language && entry.quality > 0)
+        .sort((a, b) => b.quality - a.quality);
+
+    return preferred.length > 0 ? preferred[0].language : null;
+};
+
+// 'fr-CA' → 'CA' (null when the language has no country part)
+const getLanguageRegion = (language) => (language && language.includes('-') ? language.split('-')[1] : null);
+
+// 'fr-CA' → 'fr'
+const getLanguageCode = (locale) => locale.language.split('-')[0];
+
+// Build a locale from loose values, falling back to the defaults
+const createLocale = ({ region, language } = {}) => {
+    const cleanLanguage = normalizeLanguage(language) || DEFAULT_LOCALE.language;
+    const cleanRegion = normalizeRegion(region) || getLanguageRegion(cleanLanguage) || DEFAULT_LOCALE.region;
+    return { region: cleanRegion, language: cleanLanguage };
+};
+
+// Middleware - sets req.locale on every request
+const resolveLocale = (req, res, next) => {
+    const language = normalizeLanguage(req.query.language) || parseAcceptLanguage(req.get('Accept-Language'));
+    const region = normalizeRegion(req.query.region) || normalizeRegion(req.get('X-Region'));
+
+    req.locale = createLocale({ region, language });
+
+    // Responses differ per locale - shared caches (browsers, CDNs) must keep them apart
+    res.vary('Accept-Language');
+    res.vary('X-Region');
+
+    next();
+};
+
+module.exports = {
+    DEFAULT_LOCALE,
+    normalizeRegion,
+    parseAcceptLanguage,
+    getLanguageCode,
+    createLocale,
+    resolveLocale
+};
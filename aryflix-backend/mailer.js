@@ -0,0 +1,94 @@
+/*
+=== MAILER ===
+
+Sends email (notification digests) through a pluggable transport.
+
+TRANSPORTS:
+- smtp → any SMTP server through nodemailer (SMTP_HOST, SMTP_PORT, SMTP_SECURE, SMTP_USER, SMTP_PASS).
+         A local catcher like Mailpit or MailHog (port 1025) works for development
+- log  → prints the email to the console instead of sending it (default, so nothing
+         goes out until SMTP is configured)
+
+Pick one with MAIL_TRANSPORT, or plug in anything with a sendMail({ from, to, subject, text, html })
+method through setMailTransport() (handy for other providers or for scripts).
+*/
+
+// Sender address when MAIL_FROM isn't set
+const DEFAULT_FROM = 'AryFlix <no-reply@aryflix.local>';
+
+// Transport in use - created on first send
+let transport = null;
+
+// ===============================================
+// TRANSPORTS
+// ===============================================
+
+// Prints emails instead of sending them
+const createLogTransport = () => ({
+    type: 'log',
+
+    sendMail: async (message) => {
+        console.log(`✉️ [mail:log] To: ${message.to} | Subject: ${message.subject}\n${message.text}`);
+        return { messageId: `log-${Date.now()}` };
+    }
+});
+
+// SMTP through nodemailer
+const createSmtpTransport = () => {
+    const nodemailer = require('nodemailer');
+    const client = nodemailer.createTransport({
+        host: process.env.SMTP_HOST || 'localhost',
+        port: parseInt(process.env.SMTP_PORT) || 587,
+        secure: process.env.SMTP_SECURE === 'true',
+        auth: process.env.SMTP_USER
+            ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+            : undefined
+    });
+
+    return {
+        type: 'smtp',
+        sendMail: (message) => client.sendMail(message)
+    };
+};
+
+// Pick a transport based on MAIL_TRANSPORT (log unless SMTP is asked for)
+const createTransportFromEnv = () => {
+    if (process.env.MAIL_TRANSPORT === 'smtp') {
+        console.log(`✉️ Mailer: using SMTP (${process.env.SMTP_HOST || 'localhost'})`);
+        return createSmtpTransport();
+    }
+
+    console.log('✉️ Mailer: printing emails to the console (set MAIL_TRANSPORT=smtp to send them)');
+    return createLogTransport();
+};
+
+// Use a custom transport (anything with sendMail)
+const setMailTransport = (customTransport) => {
+    transport = customTransport;
+};
+
+// ===============================================
+// SENDING
+// ===============================================
+
+// Send one email - { to, subject, text, html }
+const sendMail = async ({ to, subject, text, html }) => {
+    if (!transport) {
+        transport = createTransportFromEnv();
+    }
+
+    return transport.sendMail({
+        from: process.env.MAIL_FROM || DEFAULT_FROM,
+        to,
+        subject,
+        text,
+        html
+    });
+};
+
+module.exports = {
+    createLogTransport,
+    createSmtpTransport,
+    setMailTransport,
+    sendMail
+};
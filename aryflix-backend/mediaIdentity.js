@@ -0,0 +1,50 @@
+// Media identity helpers
+// TMDB movie ids and TV ids overlap (movie 1399 and TV show 1399 are different titles),
+// so a title is only identified by BOTH media_type and media_id.
+// Every watchlist/rating route goes through these helpers.
+
+// The only media types we store - anime is just TV on TMDB
+const MEDIA_TYPES = ['movie', 'tv'];
+
+// Older rows / clients used these - map them to a real TMDB type
+const MEDIA_TYPE_ALIASES = {
+    anime: 'tv'
+};
+
+// Turn whatever the client sent into 'movie' or 'tv' (null if it's not a valid type)
+const normalizeMediaType = (mediaType) => {
+    if (typeof mediaType !== 'string') return null;
+
+    const type = mediaType.trim().toLowerCase();
+    const normalized = MEDIA_TYPE_ALIASES[type] || type;
+
+    return MEDIA_TYPES.includes(normalized) ? normalized : null;
+};
+
+// TMDB ids are positive integers - stored as strings in our tables
+const normalizeMediaId = (mediaId) => {
+    const id = String(mediaId ?? '').trim();
+    return /^\d+$/.test(id) && Number(id) > 0 ? id : null;
+};
+
+// Validate a (media_type, media_id) pair
+// Returns { media_type, media_id } or null if either part is invalid
+const parseMediaIdentity = (mediaType, mediaId) => {
+    const media_type = normalizeMediaType(mediaType);
+    const media_id = normalizeMediaId(mediaId);
+
+    if (!media_type || !media_id) return null;
+
+    return { media_type, media_id };
+};
+
+// Same error body for every route that gets a bad identity
+const INVALID_IDENTITY_ERROR = "media_type must be 'movie' or 'tv' and media_id must be a TMDB id";
+
+module.exports = {
+    MEDIA_TYPES,
+    INVALID_IDENTITY_ERROR,
+    normalizeMediaType,
+    normalizeMediaId,
+    parseMediaIdentity
+};
@@ -0,0 +1,40 @@
+-- ===============================================
+-- 001 - MEDIA IDENTITY
+-- ===============================================
+-- TMDB movie ids and TV ids overlap, so watchlist and ratings rows are
+-- identified by (media_type, media_id) instead of media_id alone.
+--
+-- Run `npm run migrate:media-identity` FIRST - it backfills missing
+-- media_type values (looked up on TMDB), turns 'anime' into 'tv' and removes
+-- duplicate rows. Then run this file in the Supabase SQL editor.
+
+-- Safe to run again: 'anime' was never a TMDB type, it's TV
+update watchlist set media_type = 'tv' where media_type = 'anime';
+update ratings set media_type = 'tv' where media_type = 'anime';
+
+-- Every row must say what kind of title it is
+alter table watchlist alter column media_type set not null;
+alter table ratings alter column media_type set not null;
+
+alter table watchlist drop constraint if exists watchlist_media_type_check;
+alter table watchlist add constraint watchlist_media_type_check
+    check (media_type in ('movie', 'tv'));
+
+alter table ratings drop constraint if exists ratings_media_type_check;
+alter table ratings add constraint ratings_media_type_check
+    check (media_type in ('movie', 'tv'));
+
+-- Old uniqueness was (user_id, media_id) - a movie rating blocked the TV show with the same id
+alter table ratings drop constraint if exists ratings_user_id_media_id_key;
+alter table watchlist drop constraint if exists watchlist_user_id_media_id_key;
+
+alter table ratings drop constraint if exists ratings_user_media_identity_key;
+alter table ratings add constraint ratings_user_media_identity_key
+    unique (user_id, media_type, media_id);
+
+alter table watchlist drop constraint if exists watchlist_user_media_identity_key;
+alter table watchlist add constraint watchlist_user_media_identity_key
+    unique (user_id, media_type, media_id);
+
+-- Average rating lookups filter on the title only
+create index if not exists ratings_media_identity_idx on ratings (media_type, media_id);
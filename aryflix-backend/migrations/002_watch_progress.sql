@@ -0,0 +1,26 @@
+-- ===============================================
+-- 002 - WATCH PROGRESS
+-- ===============================================
+-- One row per watched episode of a TV show / anime.
+-- show_id is the TMDB TV id (stored as text like media_id in watchlist/ratings).
+-- Season 0 = specials.
+
+create table if not exists watch_progress (
+    id bigint generated by default as identity primary key,
+    user_id uuid not null references auth.users (id) on delete cascade,
+    show_id text not null,
+    season_number integer not null check (season_number >= 0),
+    episode_number integer not null check (episode_number >= 0),
+    watched_at timestamptz not null default now(),
+    unique (user_id, show_id, season_number, episode_number)
+);
+
+-- Progress lookups are always "this user" or "this user + this show"
+create index if not exists watch_progress_user_show_idx on watch_progress (user_id, show_id);
+
+-- The backend uses the service role; users can only ever see their own rows
+alter table watch_progress enable row level security;
+
+drop policy if exists "Users manage their own watch progress" on watch_progress;
+create policy "Users manage their own watch progress" on watch_progress
+    for all using (auth.uid() = user_id) with check (auth.uid() = user_id);
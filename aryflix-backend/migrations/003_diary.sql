@@ -0,0 +1,55 @@
+-- ===============================================
+-- 003 - WATCH DIARY + RATING HISTORY
+-- ===============================================
+-- diary_entries: one row per viewing (Letterboxd-style) - the same title can
+-- be logged many times, rewatch marks every viewing after the first.
+-- rating_history: every rating a user has given a title, oldest first.
+-- The ratings table keeps the CURRENT rating only.
+
+create table if not exists diary_entries (
+    id bigint generated by default as identity primary key,
+    user_id uuid not null references auth.users (id) on delete cascade,
+    media_type text not null check (media_type in ('movie', 'tv')),
+    media_id text not null,
+    watched_on date not null,
+    rating integer check (rating between 1 and 10),
+    rewatch boolean not null default false,
+    review text check (char_length(review) <= 500),
+    tags text[] not null default '{}',
+    created_at timestamptz not null default now(),
+    updated_at timestamptz not null default now()
+);
+
+-- Diary page = this user's entries by date, title pages = this user + this title
+create index if not exists diary_entries_user_date_idx on diary_entries (user_id, watched_on desc);
+create index if not exists diary_entries_user_title_idx on diary_entries (user_id, media_type, media_id);
+
+create table if not exists rating_history (
+    id bigint generated by default as identity primary key,
+    user_id uuid not null references auth.users (id) on delete cascade,
+    media_type text not null check (media_type in ('movie', 'tv')),
+    media_id text not null,
+    rating integer not null check (rating between 1 and 10),
+    source text not null default 'rating' check (source in ('rating', 'diary')),
+    rated_at timestamptz not null default now()
+);
+
+create index if not exists rating_history_user_title_idx on rating_history (user_id, media_type, media_id, rated_at);
+
+-- Start the history with everyone's current ratings (only if it's still empty)
+insert into rating_history (user_id, media_type, media_id, rating, source, rated_at)
+select user_id, media_type, media_id, rating, 'rating', coalesce(updated_at, now())
+from ratings
+where not exists (select 1 from rating_history);
+
+-- The backend uses the service role; users can only ever see their own rows
+alter table diary_entries enable row level security;
+alter table rating_history enable row level security;
+
+drop policy if exists "Users manage their own diary" on diary_entries;
+create policy "Users manage their own diary" on diary_entries
+    for all using (auth.uid() = user_id) with check (auth.uid() = user_id);
+
+drop policy if exists "Users see their own rating history" on rating_history;
+create policy "Users see their own rating history" on rating_history
+    for select using (auth.uid() = user_id);
@@ -0,0 +1,48 @@
+-- ===============================================
+-- 004 - WRITTEN REVIEWS + LIKES
+-- ===============================================
+-- A review is attached to the user's rating of a title: one review per
+-- user per title, and deleting the rating deletes the review (done by the
+-- backend). Reviews are public, likes are one per user per review.
+-- author_name is saved with the review so the public feed doesn't need auth.users.
+
+create table if not exists reviews (
+    id bigint generated by default as identity primary key,
+    user_id uuid not null references auth.users (id) on delete cascade,
+    media_type text not null check (media_type in ('movie', 'tv')),
+    media_id text not null,
+    body text not null check (char_length(body) between 1 and 5000),
+    contains_spoilers boolean not null default false,
+    author_name text not null,
+    created_at timestamptz not null default now(),
+    updated_at timestamptz not null default now(),
+    unique (user_id, media_type, media_id)
+);
+
+-- Review feed = every review for one title
+create index if not exists reviews_media_identity_idx on reviews (media_type, media_id);
+
+create table if not exists review_likes (
+    review_id bigint not null references reviews (id) on delete cascade,
+    user_id uuid not null references auth.users (id) on delete cascade,
+    created_at timestamptz not null default now(),
+    primary key (review_id, user_id)
+);
+
+-- The backend uses the service role; anyone can read, users only write their own rows
+alter table reviews enable row level security;
+alter table review_likes enable row level security;
+
+drop policy if exists "Reviews are public" on reviews;
+create policy "Reviews are public" on reviews for select using (true);
+
+drop policy if exists "Users manage their own reviews" on reviews;
+create policy "Users manage their own reviews" on reviews
+    for all using (auth.uid() = user_id) with check (auth.uid() = user_id);
+
+drop policy if exists "Review likes are public" on review_likes;
+create policy "Review likes are public" on review_likes for select using (true);
+
+drop policy if exists "Users manage their own likes" on review_likes;
+create policy "Users manage their own likes" on review_likes
+    for all using (auth.uid() = user_id) with check (auth.uid() = user_id);
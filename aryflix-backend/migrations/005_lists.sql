@@ -0,0 +1,61 @@
+-- ===============================================
+-- 005 - CUSTOM USER LISTS
+-- ===============================================
+-- Named, ordered lists on top of the single watchlist ("Halloween marathon",
+-- "Best of A24"...). A list belongs to one user and is private unless
+-- is_public is set - public lists can be opened by anyone at /lists/:id.
+-- Items keep their order in `position` and can carry a short note.
+-- owner_name is saved with the list so public pages don't need auth.users.
+
+create table if not exists lists (
+    id bigint generated by default as identity primary key,
+    user_id uuid not null references auth.users (id) on delete cascade,
+    name text not null check (char_length(name) between 1 and 100),
+    description text check (char_length(description) <= 1000),
+    is_public boolean not null default false,
+    owner_name text not null,
+    created_at timestamptz not null default now(),
+    updated_at timestamptz not null default now()
+);
+
+create index if not exists lists_user_idx on lists (user_id, updated_at desc);
+
+create table if not exists list_items (
+    id bigint generated by default as identity primary key,
+    list_id bigint not null references lists (id) on delete cascade,
+    media_type text not null check (media_type in ('movie', 'tv')),
+    media_id text not null,
+    position integer not null default 0,
+    note text check (char_length(note) <= 500),
+    added_at timestamptz not null default now(),
+    unique (list_id, media_type, media_id)
+);
+
+create index if not exists list_items_list_position_idx on list_items (list_id, position);
+
+-- The backend uses the service role; owners manage their lists, public lists are readable
+alter table lists enable row level security;
+alter table list_items enable row level security;
+
+drop policy if exists "Public lists are readable" on lists;
+create policy "Public lists are readable" on lists
+    for select using (is_public or auth.uid() = user_id);
+
+drop policy if exists "Users manage their own lists" on lists;
+create policy "Users manage their own lists" on lists
+    for all using (auth.uid() = user_id) with check (auth.uid() = user_id);
+
+drop policy if exists "Items of readable lists are readable" on list_items;
+create policy "Items of readable lists are readable" on list_items
+    for select using (exists (
+        select 1 from lists
+        where lists.id = list_items.list_id and (lists.is_public or lists.user_id = auth.uid())
+    ));
+
+drop policy if exists "Users manage items of their own lists" on list_items;
+create policy "Users manage items of their own lists" on list_items
+    for all using (exists (
+        select 1 from lists where lists.id = list_items.list_id and lists.user_id = auth.uid()
+    )) with check (exists (
+        select 1 from lists where lists.id = list_items.list_id and lists.user_id = auth.uid()
+    ));
@@ -0,0 +1,27 @@
+-- ===============================================
+-- 006 - WATCHLIST STATUS, PRIORITY AND NOTES
+-- ===============================================
+-- Each watchlist entry now says where the user is with it (plan to watch,
+-- watching, on hold, dropped, completed), how much they want to see it
+-- (priority 1 = low, 2 = medium, 3 = high), a free-text note and who
+-- recommended it. Existing rows become "plan to watch" with medium priority.
+
+alter table watchlist add column if not exists status text not null default 'plan_to_watch';
+alter table watchlist add column if not exists priority smallint not null default 2;
+alter table watchlist add column if not exists note text;
+alter table watchlist add column if not exists recommended_by text;
+alter table watchlist add column if not exists updated_at timestamptz not null default now();
+
+-- Keep in sync with WATCHLIST_STATUSES / limits in aryflix-backend/watchlist.js
+alter table watchlist drop constraint if exists watchlist_status_check;
+alter table watchlist add constraint watchlist_status_check
+    check (status in ('plan_to_watch', 'watching', 'on_hold', 'dropped', 'completed'));
+
+alter table watchlist drop constraint if exists watchlist_priority_check;
+alter table watchlist add constraint watchlist_priority_check check (priority between 1 and 3);
+
+alter table watchlist drop constraint if exists watchlist_note_check;
+alter table watchlist add constraint watchlist_note_check check (char_length(note) <= 500);
+
+alter table watchlist drop constraint if exists watchlist_recommended_by_check;
+alter table watchlist add constraint watchlist_recommended_by_check check (char_length(recommended_by) <= 100);
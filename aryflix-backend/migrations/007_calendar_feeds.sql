@@ -0,0 +1,21 @@
+-- ===============================================
+-- 007 - RELEASE CALENDAR FEEDS
+-- ===============================================
+-- Each user can subscribe to their watchlist release dates from a calendar
+-- app (Google Calendar, Apple Calendar, Outlook...) at
+-- /api/calendar/:token.ics. Calendar apps can't log in, so the long random
+-- token IS the password - resetting it creates a new one and the old URL
+-- stops working.
+
+create table if not exists calendar_feeds (
+    user_id uuid primary key references auth.users (id) on delete cascade,
+    token text not null unique,
+    created_at timestamptz not null default now()
+);
+
+-- Only the backend (service role) reads tokens; users may see their own
+alter table calendar_feeds enable row level security;
+
+drop policy if exists "Users can read their own calendar feed" on calendar_feeds;
+create policy "Users can read their own calendar feed" on calendar_feeds
+    for select using (auth.uid() = user_id);
@@ -0,0 +1,53 @@
+-- ===============================================
+-- 008 - STREAMING AVAILABILITY NOTIFICATIONS
+-- ===============================================
+-- A background job (providerAlertService.js) regularly saves which streaming
+-- services carry every watchlisted title and compares it with the previous
+-- snapshot. When a title lands on a new service, everyone with it on their
+-- watchlist gets a notification ("Dune: Part Two is now on Max").
+-- Users can also opt in to an email digest of new notifications.
+
+-- Last known streaming services per title and region (shared by all users)
+create table if not exists provider_snapshots (
+    media_type text not null check (media_type in ('movie', 'tv')),
+    media_id text not null,
+    region text not null default 'US',
+    providers jsonb not null default '[]'::jsonb,
+    checked_at timestamptz not null default now(),
+    primary key (media_type, media_id, region)
+);
+
+create table if not exists notifications (
+    id bigint generated by default as identity primary key,
+    user_id uuid not null references auth.users (id) on delete cascade,
+    type text not null,
+    media_type text check (media_type in ('movie', 'tv')),
+    media_id text,
+    message text not null,
+    data jsonb not null default '{}'::jsonb,
+    read_at timestamptz,
+    emailed_at timestamptz,
+    created_at timestamptz not null default now()
+);
+
+create index if not exists notifications_user_created_idx on notifications (user_id, created_at desc);
+create index if not exists notifications_unread_idx on notifications (user_id) where read_at is null;
+
+create table if not exists notification_settings (
+    user_id uuid primary key references auth.users (id) on delete cascade,
+    email_digest boolean not null default false,
+    updated_at timestamptz not null default now()
+);
+
+-- The backend uses the service role; users can only see their own rows
+alter table provider_snapshots enable row level security;
+alter table notifications enable row level security;
+alter table notification_settings enable row level security;
+
+drop policy if exists "Users read their own notifications" on notifications;
+create policy "Users read their own notifications" on notifications
+    for select using (auth.uid() = user_id);
+
+drop policy if exists "Users manage their own notification settings" on notification_settings;
+create policy "Users manage their own notification settings" on notification_settings
+    for all using (auth.uid() = user_id) with check (auth.uid() = user_id);
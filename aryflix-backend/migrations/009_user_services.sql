@@ -0,0 +1,20 @@
+-- ===============================================
+-- 009 - USER STREAMING SERVICES
+-- ===============================================
+-- The streaming services each user subscribes to (TMDB provider ids) and the
+-- country they watch from. Powers the "Watchable now" badge on cards, the
+-- "only on my services" filters and the "On Your Services" row on Home.
+
+create table if not exists user_streaming_services (
+    user_id uuid primary key references auth.users (id) on delete cascade,
+    region text not null default 'US' check (region ~ '^[A-Z]{2}$'),
+    provider_ids integer[] not null default '{}',
+    updated_at timestamptz not null default now()
+);
+
+-- The backend uses the service role; users can manage their own row
+alter table user_streaming_services enable row level security;
+
+drop policy if exists "Users manage their own streaming services" on user_streaming_services;
+create policy "Users manage their own streaming services" on user_streaming_services
+    for all using (auth.uid() = user_id) with check (auth.uid() = user_id);
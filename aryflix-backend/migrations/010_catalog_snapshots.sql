@@ -0,0 +1,63 @@
+-- ===============================================
+-- 010 - STREAMING CATALOG SNAPSHOTS
+-- ===============================================
+-- A background job (catalogService.js) regularly lists what every streaming
+-- platform on the Home tabs carries (TMDB discover) and compares it with what
+-- it saw before. Titles that show up for the first time become "New on Netflix
+-- this week", titles that are gone become "No longer on Max".
+
+-- Every title seen on a platform in a region - left_at is set once it's gone
+-- (card fields are kept so a departure can still be shown with its poster)
+create table if not exists catalog_titles (
+    platform text not null,
+    region text not null default 'US',
+    media_type text not null check (media_type in ('movie', 'tv')),
+    media_id text not null,
+    title text,
+    poster_path text,
+    release_date date,
+    vote_average real,
+    first_seen_at timestamptz not null default now(),
+    last_seen_at timestamptz not null default now(),
+    checked_at timestamptz,       -- last time its watch/providers confirmed it while missing from the snapshot
+    left_at timestamptz,
+    primary key (platform, region, media_type, media_id)
+);
+
+create index if not exists catalog_titles_current_idx on catalog_titles (platform, region) where left_at is null;
+
+-- History of arrivals and departures (with enough to draw a card)
+create table if not exists catalog_changes (
+    id bigint generated by default as identity primary key,
+    platform text not null,
+    region text not null default 'US',
+    media_type text not null check (media_type in ('movie', 'tv')),
+    media_id text not null,
+    change text not null check (change in ('added', 'removed')),
+    title text,
+    poster_path text,
+    release_date date,
+    vote_average real,
+    detected_at timestamptz not null default now()
+);
+
+create index if not exists catalog_changes_platform_idx on catalog_changes (platform, region, detected_at desc);
+
+-- One row per platform per run - how big the catalog was and what changed
+create table if not exists catalog_snapshots (
+    id bigint generated by default as identity primary key,
+    platform text not null,
+    region text not null default 'US',
+    title_count integer not null default 0,
+    complete boolean not null default true,
+    added_count integer not null default 0,
+    removed_count integer not null default 0,
+    taken_at timestamptz not null default now()
+);
+
+create index if not exists catalog_snapshots_platform_idx on catalog_snapshots (platform, region, taken_at desc);
+
+-- Only the backend (service role) reads and writes these
+alter table catalog_titles enable row level security;
+alter table catalog_changes enable row level security;
+alter table catalog_snapshots enable row level security;
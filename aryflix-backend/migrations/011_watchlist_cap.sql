@@ -0,0 +1,28 @@
+-- ===============================================
+-- 011 - WATCHLIST SIZE CAP
+-- ===============================================
+-- Every user can keep at most 1000 titles on their watchlist. The backend used
+-- to count first and insert after, so two adds at the same time could both
+-- pass the check. This trigger does the count inside the insert instead -
+-- one insert per user at a time (advisory lock), and an error once it's full.
+
+-- Keep in sync with MAX_WATCHLIST_ITEMS / WATCHLIST_FULL_ERROR in aryflix-backend/watchlist.js
+create or replace function enforce_watchlist_cap()
+returns trigger
+language plpgsql
+as $$
+begin
+    perform pg_advisory_xact_lock(hashtext('watchlist:' || new.user_id::text));
+
+    if (select count(*) from watchlist where user_id = new.user_id) >= 1000 then
+        raise exception 'watchlist_full' using errcode = 'check_violation';
+    end if;
+
+    return new;
+end;
+$$;
+
+drop trigger if exists watchlist_cap on watchlist;
+create trigger watchlist_cap
+    before insert on watchlist
+    for each row execute function enforce_watchlist_cap();
@@ -0,0 +1,122 @@
+/*
+=== NOTIFICATIONS ===
+
+In-app notifications shown under the bell in the navbar (e.g. "Dune: Part Two is now on Max").
+They're written by background jobs (providerAlertService.js) - users only read them.
+
+WHAT IT DOES:
+1. Lists a user's latest notifications with their unread count
+2. Marks some or all of them as read
+3. Stores per-user settings (email digest on / off)
+*/
+
+const { supabaseAdmin } = require('./supabaseClient');
+
+const DEFAULT_NOTIFICATION_LIMIT = 20;
+const MAX_NOTIFICATION_LIMIT = 50;
+
+// Settings for users who never changed them
+const DEFAULT_SETTINGS = { email_digest: false };
+
+// ===============================================
+// NOTIFICATIONS
+// ===============================================
+
+// Latest notifications (newest first) plus how many are unread overall
+const getNotifications = async (userId, limit = DEFAULT_NOTIFICATION_LIMIT) => {
+    const [list, unread] = await Promise.all([
+        supabaseAdmin
+            .from('notifications')
+            .select('id, type, media_type, media_id, message, data, read_at, created_at')
+            .eq('user_id', userId)
+            .order('created_at', { ascending: false })
+            .limit(Math.min(limit, MAX_NOTIFICATION_LIMIT)),
+        supabaseAdmin
+            .from('notifications')
+            .select('id', { count: 'exact', head: true })
+            .eq('user_id', userId)
+            .is('read_at', null)
+    ]);
+
+    if (list.error) throw list.error;
+    if (unread.error) throw unread.error;
+
+    return {
+        notifications: list.data || [],
+        unread_count: unread.count || 0
+    };
+};
+
+// Mark notifications as read - the given ids, or every unread one when ids is missing
+// Returns how many were marked
+const markNotificationsRead = async (userId, ids) => {
+    let query = supabaseAdmin
+        .from('notifications')
+        .update({ read_at: new Date().toISOString() })
+        .eq('user_id', userId)
+        .is('read_at', null);
+
+    if (ids) {
+        query = query.in('id', ids);
+    }
+
+    const { data, error } = await query.select('id');
+
+    if (error) throw error;
+
+    return (data || []).length;
+};
+
+// Save notifications for several users at once
+// rows: [{ user_id, type, media_type, media_id, message, data }]
+const createNotifications = async (rows) => {
+    if (rows.length === 0) return 0;
+
+    const { error } = await supabaseAdmin
+        .from('notifications')
+        .insert(rows);
+
+    if (error) throw error;
+
+    return rows.length;
+};
+
+// ===============================================
+// SETTINGS
+// ===============================================
+
+const getNotificationSettings = async (userId) => {
+    const { data, error } = await supabaseAdmin
+        .from('notification_settings')
+        .select('email_digest')
+        .eq('user_id', userId)
+        .maybeSingle();
+
+    if (error) throw error;
+
+    return data || { ...DEFAULT_SETTINGS };
+};
+
+// Only email_digest can be changed for now
+const updateNotificationSettings = async (userId, { email_digest }) => {
+    const { data, error } = await supabaseAdmin
+        .from('notification_settings')
+        .upsert([{ user_id: userId, email_digest: email_digest, updated_at: new Date().toISOString() }], {
+            onConflict: 'user_id'
+        })
+        .select('email_digest')
+        .single();
+
+    if (error) throw error;
+
+    return data;
+};
+
+module.exports = {
+    MAX_NOTIFICATION_LIMIT,
+    getNotifications,
+    markNotificationsRead,
+    createNotifications,
+    getNotificationSettings,
+    updateNotificationSettings
+};
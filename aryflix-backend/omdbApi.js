@@ -1,5 +1,7 @@
 // Import axios for making HTTP requests to OMDb API
 const axios = require('axios');
+// Import response cache - ratings barely change, so cache them for a long time
+const { attachResponseCache, HOUR, DAY } = require('./responseCache');
 
 // Get OMDb API key from .env file
 const OMDB_API_KEY = process.env.OMDB_API_KEY;
@@ -13,6 +15,12 @@ const omdbApi = axios.create({
     timeout: 8000, // 8 second timeout
 });
 
+// Every OMDb lookup is a query on '/', so one rule covers everything
+attachResponseCache(omdbApi, {
+    name: 'omdb',
+    rules: [{ pattern: /.*/, ttl: 12 * HOUR, staleTtl: 3 * DAY }]
+});
+
 /**
  * Get ratings from OMDb with smart fallback
  */
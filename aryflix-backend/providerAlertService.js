@@ -0,0 +1,329 @@
+/*
+=== STREAMING AVAILABILITY ALERTS ===
+
+"Dune: Part Two is now on Max" - tells people when something on their watchlist
+lands on a streaming service, so they don't have to keep checking titles by hand.
+
+WHAT IT DOES:
+1. Every few hours (PROVIDER_CHECK_INTERVAL_HOURS, default 12) gets the streaming services
+   of every watchlisted title from TMDB (completed / dropped titles are skipped) - once per
+   region its watchers saved with their services (user_streaming_services, US if they never did)
+2. Compares them with the last saved snapshot of that title in that region (provider_snapshots)
+3. For every new service, adds a notification for each user in that region with the title on
+   their watchlist (the first check of a title only saves a snapshot - nothing is "new" yet)
+4. Emails a digest of unsent notifications to users who turned the digest on (see mailer.js)
+
+Set PROVIDER_ALERTS_DISABLED=true to turn the job off (e.g. when running several servers).
+*/
+
+const { supabaseAdmin } = require('./supabaseClient');
+const { getStreamingProviders, getTitleCard } = require('./tmdbAPI');
+const { mapWithConcurrency } = require('./asyncUtils');
+const { createNotifications } = require('./notifications');
+const { sendMail } = require('./mailer');
+
+// Watchlist statuses that don't need alerts
+const SKIPPED_STATUSES = ['completed', 'dropped'];
+
+const DEFAULT_REGION = 'US'; // For users who never saved their services
+const DEFAULT_INTERVAL_HOURS = 12;
+const FIRST_RUN_DELAY_MS = 60 * 1000; // Let the server settle before the first check
+const WATCHLIST_PAGE_SIZE = 1000;
+const MAX_DIGEST_ITEMS = 50;
+const TMDB_CONCURRENCY = 5;
+
+const APP_URL = process.env.APP_URL || 'http://localhost:5173';
+
+// Stops a slow run from overlapping the next one
+let isRunning = false;
+
+// ===============================================
+// PROVIDER CHECK
+// ===============================================
+
+// Region each user saved with their streaming services - userId → 'GB'
+const getUserRegions = async () => {
+    const regions = new Map();
+    let from = 0;
+
+    while (true) {
+        const { data, error } = await supabaseAdmin
+            .from('user_streaming_services')
+            .select('user_id, region')
+            .order('user_id', { ascending: true })
+            .range(from, from + WATCHLIST_PAGE_SIZE - 1);
+
+        if (error) throw error;
+
+        (data || []).forEach(row => regions.set(row.user_id, row.region));
+
+        if (!data || data.length < WATCHLIST_PAGE_SIZE) break;
+        from += WATCHLIST_PAGE_SIZE;
+    }
+
+    return regions;
+};
+
+// Every watchlisted title with the users waiting for it - one entry per region they watch from
+// Returns [{ media_type, media_id, region, user_ids }]
+const getWatchedTitles = async () => {
+    const userRegions = await getUserRegions();
+    const titles = new Map();
+    let from = 0;
+
+    while (true) {
+        const { data, error } = await supabaseAdmin
+            .from('watchlist')
+            .select('user_id, media_type, media_id, status')
+            // Stable order so pages don't overlap - (user_id, media_type, media_id) is unique
+            .order('user_id', { ascending: true })
+            .order('media_type', { ascending: true })
+            .order('media_id', { ascending: true })
+            .range(from, from + WATCHLIST_PAGE_SIZE - 1);
+
+        if (error) throw error;
+
+        (data || [])
+            .filter(row => !SKIPPED_STATUSES.includes(row.status))
+            .forEach(row => {
+                const region = userRegions.get(row.user_id) || DEFAULT_REGION;
+                const key = `${row.media_type}:${row.media_id}:${region}`;
+                if (!titles.has(key)) {
+                    titles.set(key, { media_type: row.media_type, media_id: String(row.media_id), region, user_ids: new Set() });
+                }
+                titles.get(key).user_ids.add(row.user_id);
+            });
+
+        if (!data || data.length < WATCHLIST_PAGE_SIZE) break;
+        from += WATCHLIST_PAGE_SIZE;
+    }
+
+    return [...titles.values()].map(title => ({ ...title, user_ids: [...title.user_ids] }));
+};
+
+// Check one title in one region - save its current services there and notify its watchers about new ones
+// Returns how many notifications were created
+const checkTitle = async (title) => {
+    const { data: snapshot, error } = await supabaseAdmin
+        .from('provider_snapshots')
+        .select('providers')
+        .eq('media_type', title.media_type)
+        .eq('media_id', title.media_id)
+        .eq('region', title.region)
+        .maybeSingle();
+
+    if (error) throw error;
+
+    // Straight from TMDB - a cached answer could hide what changed since the last run
+    const providers = await getStreamingProviders(title.media_type, title.media_id, title.region, { fresh: true });
+
+    let created = 0;
+
+    // No snapshot yet = first time we see this title, so there's nothing to compare with
+    if (snapshot) {
+        const knownIds = new Set((snapshot.providers || []).map(provider => provider.provider_id));
+        const added = providers.filter(provider => !knownIds.has(provider.provider_id));
+
+        if (added.length > 0) {
+            const card = await getTitleCard(title.media_type, title.media_id);
+            const name = card?.title || 'A title on your watchlist';
+
+            const rows = [];
+            added.forEach(provider => {
+                title.user_ids.forEach(userId => rows.push({
+                    user_id: userId,
+                    type: 'provider_available',
+                    media_type: title.media_type,
+                    media_id: title.media_id,
+                    message: `${name} is now on ${provider.provider_name}`,
+                    data: {
+                        title: name,
+                        poster_path: card?.poster_path || null,
+                        provider_id: provider.provider_id,
+                        provider_name: provider.provider_name,
+                        logo_path: provider.logo_path,
+                        region: title.region
+                    }
+                }));
+            });
+
+            created = await createNotifications(rows);
+        }
+    }
+
+    const { error: saveError } = await supabaseAdmin
+        .from('provider_snapshots')
+        .upsert([{
+            media_type: title.media_type,
+            media_id: title.media_id,
+            region: title.region,
+            providers: providers,
+            checked_at: new Date().toISOString()
+        }], { onConflict: 'media_type,media_id,region' });
+
+    if (saveError) throw saveError;
+
+    return created;
+};
+
+// Check every watchlisted title once
+// Returns { titles, notifications, failed }
+const runProviderCheck = async () => {
+    const titles = await getWatchedTitles();
+
+    console.log(`🔔 Checking streaming services for ${titles.length} watchlisted titles (one check per region)`);
+
+    const results = await mapWithConcurrency(titles, TMDB_CONCURRENCY, async (title) => {
+        try {
+            return await checkTitle(title);
+        } catch (error) {
+            console.error(`Provider check failed for ${title.media_type} ${title.media_id} (${title.region}):`, error.message);
+            return null;
+        }
+    });
+
+    return {
+        titles: titles.length,
+        notifications: results.reduce((total, count) => total + (count || 0), 0),
+        failed: results.filter(count => count === null).length
+    };
+};
+
+// ===============================================
+// EMAIL DIGEST
+// ===============================================
+
+const getTitleUrl = (notification) => `${APP_URL}/${notification.media_type}/${notification.media_id}`;
+
+// Plain text + HTML versions of one digest
+const buildDigest = (notifications) => {
+    const text = [
+        'New on streaming from your AryFlix watchlist:',
+        '',
+        ...notifications.map(notification => `- ${notification.message}\n  ${getTitleUrl(notification)}`),
+        '',
+        `Turn these emails off from the bell menu on ${APP_URL}`
+    ].join('\n');
+
+    const escapeHtml = (value) => String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+
+    const html = [
+        '<p>New on streaming from your AryFlix watchlist:</p>',
+        '<ul>',
+        ...notifications.map(notification =>
+            `<li><a href="${escapeHtml(getTitleUrl(notification))}">${escapeHtml(notification.message)}</a></li>`),
+        '</ul>',
+        `<p style="color:#888">Turn these emails off from the bell menu on <a href="${escapeHtml(APP_URL)}">AryFlix</a>.</p>`
+    ].join('\n');
+
+    return { text, html };
+};
+
+// Send one digest to one user - returns true if an email went out
+const sendDigestTo = async (userId) => {
+    const { data: notifications, error } = await supabaseAdmin
+        .from('notifications')
+        .select('id, media_type, media_id, message')
+        .eq('user_id', userId)
+        .is('emailed_at', null)
+        .is('read_at', null)
+        .order('created_at', { ascending: true })
+        .limit(MAX_DIGEST_ITEMS);
+
+    if (error) throw error;
+    if (!notifications || notifications.length === 0) return false;
+
+    const { data: userData, error: userError } = await supabaseAdmin.auth.admin.getUserById(userId);
+    if (userError) throw userError;
+
+    const email = userData?.user?.email;
+    if (!email) return false;
+
+    const { text, html } = buildDigest(notifications);
+    const subject = notifications.length === 1
+        ? notifications[0].message
+        : `${notifications.length} titles from your watchlist are now streaming`;
+
+    await sendMail({ to: email, subject, text, html });
+
+    const { error: updateError } = await supabaseAdmin
+        .from('notifications')
+        .update({ emailed_at: new Date().toISOString() })
+        .in('id', notifications.map(notification => notification.id));
+
+    if (updateError) throw updateError;
+
+    return true;
+};
+
+// Email every user with the digest turned on who has unsent notifications
+// Returns how many emails were sent
+const sendEmailDigests = async () => {
+    const { data: subscribers, error } = await supabaseAdmin
+        .from('notification_settings')
+        .select('user_id')
+        .eq('email_digest', true);
+
+    if (error) throw error;
+
+    let sent = 0;
+    for (const { user_id } of subscribers || []) {
+        try {
+            if (await sendDigestTo(user_id)) sent++;
+        } catch (error) {
+            console.error(`Digest email failed for user ${user_id}:`, error.message);
+        }
+    }
+
+    return sent;
+};
+
+// ===============================================
+// SCHEDULING
+// ===============================================
+
+// One full round - provider check, then digests
+const runProviderAlerts = async () => {
+    if (isRunning) {
+        console.log('🔔 Provider check still running - skipping this round');
+        return;
+    }
+
+    isRunning = true;
+    try {
+        const result = await runProviderCheck();
+        const emails = await sendEmailDigests();
+
+        console.log(`🔔 Provider check done: ${result.titles} titles, ${result.notifications} notifications, ${result.failed} failed, ${emails} digest emails`);
+    } catch (error) {
+        console.error('Provider alert run failed:', error);
+    } finally {
+        isRunning = false;
+    }
+};
+
+// Start the background job (called once the server is listening)
+const startProviderAlertJob = () => {
+    if (process.env.PROVIDER_ALERTS_DISABLED === 'true') {
+        console.log('🔔 Streaming availability alerts are disabled (PROVIDER_ALERTS_DISABLED)');
+        return;
+    }
+
+    const hours = parseFloat(process.env.PROVIDER_CHECK_INTERVAL_HOURS) || DEFAULT_INTERVAL_HOURS;
+
+    // unref() so the timers never keep the process alive on their own
+    setTimeout(runProviderAlerts, FIRST_RUN_DELAY_MS).unref();
+    setInterval(runProviderAlerts, hours * 60 * 60 * 1000).unref();
+
+    console.log(`🔔 Streaming availability alerts: checking every ${hours} hours`);
+};
+
+module.exports = {
+    runProviderCheck,
+    sendEmailDigests,
+    startProviderAlertJob
+};
@@ -0,0 +1,288 @@
+/*
+=== PERSONALIZED RECOMMENDATIONS ===
+
+Builds the "Recommended for You" row from what a user has rated and saved.
+
+HOW IT WORKS:
+1. Taste profile - every rated title adds its genres, keywords, top cast and directors,
+   weighted by the score (9/10 pulls hard towards a title, 3/10 pushes away from it).
+   Watchlist titles count as a mild "interested in this"
+2. Candidates - TMDB recommendations + similar titles for the user's best-rated titles
+   (the watchlist is used instead when nothing is rated highly yet)
+3. Everything already rated, on the watchlist or in one of the user's lists is dropped
+4. The strongest candidates are scored against the taste profile and sorted
+5. Each result says which title it came from ("Because you rated X")
+
+Results are cached per user until their ratings / watchlist / lists change (or for 30 minutes).
+*/
+
+const { supabaseAdmin } = require('./supabaseClient');
+const { getTitleTasteData, getRelatedTitles } = require('./tmdbAPI');
+const { mapWithConcurrency } = require('./asyncUtils');
+const { createMemoryStore, MINUTE } = require('./responseCache');
+const { DEFAULT_LOCALE } = require('./locale');
+
+// Ratings at or above this are "highly rated" and seed the candidates
+const SEED_MIN_RATING = 7;
+// Ratings above this pull the profile towards a title, below it push away
+const NEUTRAL_RATING = 5.5;
+// Weight of one watchlist title in the profile (a 7/10 rating is 1.5)
+const WATCHLIST_WEIGHT = 1;
+
+// How much work one recommendation run may do (every title here is one cached TMDB call)
+const MAX_PROFILE_RATINGS = 40;
+const MAX_PROFILE_WATCHLIST = 15;
+const MAX_SEEDS = 8;
+const MAX_SCORED_CANDIDATES = 40;
+const TMDB_CONCURRENCY = 5;
+
+// How much each kind of match counts - a shared director says more than a shared genre
+const FEATURE_WEIGHTS = {
+    genre: 1,
+    keyword: 0.5,
+    cast: 0.75,
+    director: 1.5
+};
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 40;
+
+// Finished recommendations per user
+const CACHE_TTL = 30 * MINUTE;
+const cache = createMemoryStore({ maxEntries: 500 });
+
+const titleKey = (mediaType, mediaId) => `${mediaType}:${mediaId}`;
+
+// ===============================================
+// USER DATA
+// ===============================================
+
+// Everything the user has rated, on their watchlist or in their lists
+const getUserTitles = async (userId) => {
+    const [ratings, watchlist, lists] = await Promise.all([
+        supabaseAdmin
+            .from('ratings')
+            .select('media_type, media_id, rating, updated_at')
+            .eq('user_id', userId)
+            .order('updated_at', { ascending: false }),
+        supabaseAdmin
+            .from('watchlist')
+            .select('media_type, media_id, created_at')
+            .eq('user_id', userId)
+            .order('created_at', { ascending: false }),
+        supabaseAdmin
+            .from('lists')
+            .select('id, updated_at')
+            .eq('user_id', userId)
+    ]);
+
+    if (ratings.error) throw ratings.error;
+    if (watchlist.error) throw watchlist.error;
+    if (lists.error) throw lists.error;
+
+    let listItems = [];
+    const listIds = (lists.data || []).map(list => list.id);
+
+    if (listIds.length > 0) {
+        const { data, error } = await supabaseAdmin
+            .from('list_items')
+            .select('media_type, media_id')
+            .in('list_id', listIds);
+
+        if (error) throw error;
+        listItems = data || [];
+    }
+
+    return {
+        ratings: ratings.data || [],
+        watchlist: watchlist.data || [],
+        lists: lists.data || [],
+        listItems
+    };
+};
+
+// Changes whenever the user rates, saves or lists something - part of the cache key
+const getTasteFingerprint = ({ ratings, watchlist, lists }) => [
+    ratings.length,
+    ratings[0]?.updated_at || '',
+    watchlist.length,
+    watchlist[0]?.created_at || '',
+    lists.map(list => list.updated_at).sort().pop() || ''
+].join('|');
+
+// ===============================================
+// TASTE PROFILE
+// ===============================================
+
+// Feature keys look like "genre:28", "keyword:9715", "cast:287", "director:525"
+const getFeatureKeys = (taste) => [
+    ...taste.genres.map(id => `genre:${id}`),
+    ...taste.keywords.map(id => `keyword:${id}`),
+    ...taste.cast.map(id => `cast:${id}`),
+    ...taste.directors.map(id => `director:${id}`)
+];
+
+// Profile = feature key → summed weight of the titles that have it
+const buildTasteProfile = (sources, tasteByKey) => {
+    const profile = new Map();
+
+    sources.forEach(source => {
+        const taste = tasteByKey.get(titleKey(source.media_type, source.media_id));
+        if (!taste) return;
+
+        getFeatureKeys(taste).forEach(feature => {
+            profile.set(feature, (profile.get(feature) || 0) + source.weight);
+        });
+    });
+
+    return profile;
+};
+
+// How well a title matches the profile - each feature kind weighted by FEATURE_WEIGHTS
+const scoreAgainstProfile = (featureKeys, profile) => featureKeys.reduce((score, feature) => {
+    const kind = feature.split(':')[0];
+    return score + (profile.get(feature) || 0) * FEATURE_WEIGHTS[kind];
+}, 0);
+
+// ===============================================
+// RECOMMENDATIONS
+// ===============================================
+
+// Rank candidates for the user - returns [{ id, media_type, title, poster_path, year,
+// vote_average, score, because: { media_type, id, title, rating, reason } }]
+const buildRecommendations = async ({ ratings, watchlist, listItems }, locale) => {
+    // Titles the profile is built from - rated ones weighted by score, watchlist mildly positive
+    const ratedSources = ratings.slice(0, MAX_PROFILE_RATINGS).map(row => ({
+        ...row,
+        weight: row.rating - NEUTRAL_RATING
+    }));
+    const watchlistSources = watchlist.slice(0, MAX_PROFILE_WATCHLIST).map(row => ({
+        ...row,
+        weight: WATCHLIST_WEIGHT
+    }));
+    const sources = [...ratedSources, ...watchlistSources];
+
+    // Seeds - best-rated titles first (most recent breaks ties), else the latest watchlist titles
+    const ratedSeeds = ratings
+        .filter(row => row.rating >= SEED_MIN_RATING)
+        .sort((a, b) => b.rating - a.rating)
+        .slice(0, MAX_SEEDS)
+        .map(row => ({ ...row, reason: 'rated' }));
+    const seeds = ratedSeeds.length > 0
+        ? ratedSeeds
+        : watchlist.slice(0, MAX_SEEDS).map(row => ({ ...row, rating: null, reason: 'watchlist' }));
+
+    if (seeds.length === 0) return [];
+
+    // Titles the user already knows about
+    const excluded = new Set([...ratings, ...watchlist, ...listItems]
+        .map(row => titleKey(row.media_type, row.media_id)));
+
+    // Taste data for the profile + seeds (seeds are also where "Because you rated X" gets its name)
+    const profileKeys = [...new Set([...sources, ...seeds].map(row => titleKey(row.media_type, row.media_id)))];
+    const tasteByKey = new Map(await mapWithConcurrency(profileKeys, TMDB_CONCURRENCY, async (key) => {
+        const [mediaType, mediaId] = key.split(':');
+        try {
+            return [key, await getTitleTasteData(mediaType, mediaId)];
+        } catch (error) {
+            console.error(`Recommendations: no taste data for ${key}:`, error.message);
+            return [key, null];
+        }
+    }));
+
+    const profile = buildTasteProfile(sources, tasteByKey);
+
+    // Candidates from every seed - a title several seeds point at gets a boost
+    const relatedBySeed = await mapWithConcurrency(seeds, TMDB_CONCURRENCY, async (seed) => {
+        try {
+            return await getRelatedTitles(seed.media_type, seed.media_id, locale);
+        } catch (error) {
+            console.error(`Recommendations: no related titles for ${seed.media_type} ${seed.media_id}:`, error.message);
+            return [];
+        }
+    });
+
+    const candidates = new Map();
+    seeds.forEach((seed, index) => {
+        relatedBySeed[index].forEach(item => {
+            const key = titleKey(item.media_type, item.id);
+            if (excluded.has(key)) return;
+
+            if (!candidates.has(key)) {
+                candidates.set(key, { item, seeds: [] });
+            }
+            candidates.get(key).seeds.push(seed);
+        });
+    });
+
+    // Quick score from genres + how many seeds point at it, then score the best ones properly
+    const seedBoost = (candidate) => candidate.seeds.reduce(
+        (boost, seed) => boost + (seed.rating ? seed.rating - NEUTRAL_RATING : WATCHLIST_WEIGHT), 0
+    );
+
+    const shortlist = [...candidates.values()]
+        .map(candidate => ({
+            ...candidate,
+            quickScore: seedBoost(candidate) +
+                scoreAgainstProfile(candidate.item.genre_ids.map(id => `genre:${id}`), profile)
+        }))
+        .sort((a, b) => b.quickScore - a.quickScore)
+        .slice(0, MAX_SCORED_CANDIDATES);
+
+    const scored = await mapWithConcurrency(shortlist, TMDB_CONCURRENCY, async (candidate) => {
+        const { item } = candidate;
+        let taste = null;
+        try {
+            taste = await getTitleTasteData(item.media_type, item.id);
+        } catch (error) {
+            console.error(`Recommendations: no taste data for ${item.media_type} ${item.id}:`, error.message);
+        }
+
+        const featureKeys = taste ? getFeatureKeys(taste) : item.genre_ids.map(id => `genre:${id}`);
+        const score = seedBoost(candidate) + scoreAgainstProfile(featureKeys, profile);
+
+        // Explain it with the best-rated seed that led here
+        const seed = candidate.seeds[0];
+        const seedTaste = tasteByKey.get(titleKey(seed.media_type, seed.media_id));
+
+        return {
+            id: item.id,
+            media_type: item.media_type,
+            title: item.title,
+            poster_path: item.poster_path,
+            year: item.year,
+            vote_average: item.vote_average,
+            score: Math.round(score * 100) / 100,
+            because: {
+                media_type: seed.media_type,
+                id: seed.media_id,
+                title: seedTaste?.title || null,
+                rating: seed.rating,
+                reason: seed.reason
+            }
+        };
+    });
+
+    return scored.sort((a, b) => b.score - a.score);
+};
+
+// Recommendations for a user, from the cache while their titles haven't changed
+// (cached per region + language too - the titles come back localized)
+const getRecommendations = async (userId, limit = DEFAULT_LIMIT, locale = DEFAULT_LOCALE) => {
+    const userTitles = await getUserTitles(userId);
+    const cacheKey = `${userId}:${locale.region}:${locale.language}:${getTasteFingerprint(userTitles)}`;
+
+    let recommendations = await cache.get(cacheKey);
+    if (!recommendations) {
+        recommendations = await buildRecommendations(userTitles, locale);
+        await cache.set(cacheKey, recommendations, CACHE_TTL);
+    }
+
+    return recommendations.slice(0, limit);
+};
+
+module.exports = {
+    DEFAULT_LIMIT,
+    MAX_LIMIT,
+    getRecommendations
+};
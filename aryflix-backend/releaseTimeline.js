@@ -0,0 +1,115 @@
+/*
+=== RELEASE TIMELINE ===
+
+When and how a movie comes out in ONE country, from TMDB's release_dates.
+  TMDB release types: 1 premiere, 2 limited (theatrical), 3 theatrical, 4 digital, 5 physical, 6 TV
+
+WHAT IT DOES:
+1. buildReleaseTimeline - the region's releases in date order + the first date of each type
+2. getReleaseStatus - where the movie is right now in that region:
+     coming_soon    - first cinema date (limited or wide) is still ahead
+     in_theaters    - in cinemas, not out at home yet (and opened at most 120 days ago)
+     streaming_soon - out of cinemas, digital release ahead
+     at_home        - out digitally / on disc / on TV
+   The detail page, "Movies in Theatres" and "Coming Soon to Theatres" all use this,
+   so they never disagree about a movie.
+
+When TMDB has no dates for the region the movie's primary (worldwide) release date stands in
+as a theatrical release - the timeline is flagged with is_fallback: true.
+*/
+
+const RELEASE_TYPES = {
+    1: 'premiere',
+    2: 'limited',
+    3: 'theatrical',
+    4: 'digital',
+    5: 'physical',
+    6: 'tv'
+};
+
+// Cinema release types (limited + wide) and "out at home" types (digital, disc, TV)
+const CINEMA_KINDS = ['limited', 'theatrical'];
+const HOME_KINDS = ['digital', 'physical', 'tv'];
+
+// TMDB often never gets a digital date - after this long a cinema release counts as over anyway
+const IN_THEATERS_MAX_DAYS = 120;
+
+const getTodayDateString = () => new Date().toISOString().split('T')[0];
+
+// Whole days from one YYYY-MM-DD date to another
+const daysBetween = (from, to) => Math.round((Date.parse(to) - Date.parse(from)) / (24 * 60 * 60 * 1000));
+
+// Earliest date in a list (YYYY-MM-DD strings, nulls ignored)
+const earliest = (dates) => dates.filter(Boolean).sort()[0] || null;
+
+// A movie's releases in one region
+// item: TMDB movie with release_dates appended (results: [{ iso_3166_1, release_dates: [...] }])
+// Returns { region, is_fallback, releases: [{ date, kind, certification, note }],
+//           premiere, limited, theatrical, digital, physical, tv } (first date of each kind or null)
+const buildReleaseTimeline = (item, region) => {
+    const regionDates = item.release_dates?.results
+        ?.find(release => release.iso_3166_1 === region)?.release_dates || [];
+
+    let releases = regionDates
+        .filter(release => RELEASE_TYPES[release.type] && release.release_date)
+        .map(release => ({
+            date: release.release_date.substring(0, 10),
+            kind: RELEASE_TYPES[release.type],
+            certification: release.certification?.trim() || null,
+            note: release.note?.trim() || null
+        }))
+        .sort((a, b) => a.date.localeCompare(b.date));
+
+    const isFallback = releases.length === 0 && !!item.release_date;
+    if (isFallback) {
+        releases = [{ date: item.release_date, kind: 'theatrical', certification: null, note: null }];
+    }
+
+    const timeline = { region: region, is_fallback: isFallback, releases: releases };
+    Object.values(RELEASE_TYPES).forEach(kind => {
+        timeline[kind] = releases.find(release => release.kind === kind)?.date || null;
+    });
+
+    return timeline;
+};
+
+// Where a movie is in its release right now - { status, date } or null when none applies
+// date: opening date (coming_soon / in_theaters), digital date (streaming_soon), first home date (at_home)
+const getReleaseStatus = (timeline, today = getTodayDateString()) => {
+    const cinemaDate = earliest(CINEMA_KINDS.map(kind => timeline[kind]));
+    const homeDate = earliest(HOME_KINDS.map(kind => timeline[kind]));
+    const homeReleased = !!homeDate && homeDate <= today;
+
+    if (cinemaDate && cinemaDate > today) {
+        return { status: 'coming_soon', date: cinemaDate };
+    }
+
+    if (cinemaDate && !homeReleased && daysBetween(cinemaDate, today) <= IN_THEATERS_MAX_DAYS) {
+        return { status: 'in_theaters', date: cinemaDate };
+    }
+
+    if (timeline.digital && timeline.digital > today) {
+        return { status: 'streaming_soon', date: timeline.digital };
+    }
+
+    if (homeReleased) {
+        return { status: 'at_home', date: homeDate };
+    }
+
+    return null;
+};
+
+// Timeline + status for a movie, ready to hand to the frontend
+// Adds status ('coming_soon', 'in_theaters', 'streaming_soon', 'at_home' or null) and status_date
+const getReleaseInfo = (item, region, today) => {
+    const timeline = buildReleaseTimeline(item, region);
+    const current = getReleaseStatus(timeline, today);
+    return { ...timeline, status: current?.status || null, status_date: current?.date || null };
+};
+
+module.exports = {
+    RELEASE_TYPES,
+    buildReleaseTimeline,
+    getReleaseStatus,
+    getReleaseInfo
+};
@@ -0,0 +1,328 @@
+/*
+=== RESPONSE CACHE FOR UPSTREAM APIs ===
+
+Sits in front of the axios instances in tmdbAPI.js and omdbApi.js so repeated
+GET requests are answered from a cache instead of hitting TMDB/OMDb again.
+
+HOW IT WORKS:
+1. Every GET request gets a cache key (URL + sorted query params, API keys removed)
+2. Each key matches a TTL rule: "fresh" for ttl, then "stale" until staleTtl
+3. Fresh entry  → returned straight from the cache (hit)
+4. Stale entry  → returned immediately AND refreshed in the background (stale-while-revalidate)
+5. No entry     → real request, response stored (miss)
+6. Identical requests already in flight share one upstream call
+
+STORES:
+- Memory store (default) → simple Map with expiry, capped by CACHE_MAX_ENTRIES
+- Redis store (optional) → set REDIS_URL and install ioredis (any Redis-compatible server works)
+
+Set CACHE_DISABLED=true to bypass the cache completely, or pass { cache: false } with a single
+request to skip it (bulk background jobs that would otherwise evict everything the site uses).
+Hit/miss counters are exposed through getCacheStats() (GET /api/cache/stats).
+*/
+
+const axios = require('axios');
+
+const SECOND = 1000;
+const MINUTE = 60 * SECOND;
+const HOUR = 60 * MINUTE;
+const DAY = 24 * HOUR;
+
+// Query params that should never end up in a cache key
+const SECRET_PARAMS = ['api_key', 'apikey', 'key'];
+
+// Fallback TTLs when no rule matches a request
+const DEFAULT_RULE = { ttl: 1 * HOUR, staleTtl: 6 * HOUR };
+
+// Counters per cache name (tmdb, omdb, ...)
+const stats = {};
+
+// Shared store - created on first use
+let defaultStore = null;
+
+// ===============================================
+// STORES
+// ===============================================
+
+// In-memory store - entries expire after their TTL, oldest entries evicted when full
+const createMemoryStore = ({ maxEntries = 5000 } = {}) => {
+    const entries = new Map();
+
+    return {
+        type: 'memory',
+
+        get: async (key) => {
+            const entry = entries.get(key);
+            if (!entry) return null;
+
+            if (entry.expiresAt <= Date.now()) {
+                entries.delete(key);
+                return null;
+            }
+
+            return entry.value;
+        },
+
+        set: async (key, value, ttlMs) => {
+            // Re-insert so recently written keys are evicted last
+            entries.delete(key);
+            entries.set(key, { value, expiresAt: Date.now() + ttlMs });
+
+            // Evict the oldest entries if we're over the limit
+            while (entries.size > maxEntries) {
+                const oldestKey = entries.keys().next().value;
+                entries.delete(oldestKey);
+            }
+        },
+
+        delete: async (key) => {
+            entries.delete(key);
+        },
+
+        clear: async () => {
+            entries.clear();
+        },
+
+        size: () => entries.size
+    };
+};
+
+// Redis-compatible store - expects an ioredis-style client (get / set with PX / del / keys)
+const createRedisStore = (client, { prefix = 'aryflix:cache:' } = {}) => {
+    return {
+        type: 'redis',
+
+        get: async (key) => {
+            const raw = await client.get(prefix + key);
+            return raw ? JSON.parse(raw) : null;
+        },
+
+        set: async (key, value, ttlMs) => {
+            await client.set(prefix + key, JSON.stringify(value), 'PX', ttlMs);
+        },
+
+        delete: async (key) => {
+            await client.del(prefix + key);
+        },
+
+        clear: async () => {
+            const keys = await client.keys(`${prefix}*`);
+            if (keys.length > 0) {
+                await client.del(...keys);
+            }
+        },
+
+        size: () => null // Unknown without scanning the whole keyspace
+    };
+};
+
+// Pick a store based on environment variables (Redis if configured, memory otherwise)
+const createStoreFromEnv = () => {
+    const maxEntries = parseInt(process.env.CACHE_MAX_ENTRIES) || 5000;
+
+    if (process.env.REDIS_URL) {
+        try {
+            // ioredis is optional - only needed when REDIS_URL is set
+            const Redis = require('ioredis');
+            const client = new Redis(process.env.REDIS_URL);
+            client.on('error', (error) => console.error('Redis cache error:', error.message));
+            console.log('🗄️ Response cache: using Redis store');
+            return createRedisStore(client);
+        } catch (error) {
+            console.error('⚠️ REDIS_URL is set but ioredis could not be loaded, falling back to memory cache:', error.message);
+        }
+    }
+
+    console.log('🗄️ Response cache: using in-memory store');
+    return createMemoryStore({ maxEntries });
+};
+
+const getDefaultStore = () => {
+    if (!defaultStore) {
+        defaultStore = createStoreFromEnv();
+    }
+    return defaultStore;
+};
+
+// ===============================================
+// HELPERS
+// ===============================================
+
+// Build a stable cache key from the request (params sorted, secrets removed)
+const buildCacheKey = (name, config) => {
+    const params = Object.entries(config.params || {})
+        .filter(([param, value]) => !SECRET_PARAMS.includes(param) && value !== undefined)
+        .sort(([a], [b]) => a.localeCompare(b))
+        .map(([param, value]) => `${param}=${typeof value === 'object' ? JSON.stringify(value) : value}`)
+        .join('&');
+
+    return `${name}:${config.url}?${params}`;
+};
+
+// Find the TTL rule for a request URL (first matching rule wins)
+const findRule = (rules, url) => {
+    const rule = rules.find(({ pattern }) => pattern.test(url));
+    return rule || DEFAULT_RULE;
+};
+
+const getStats = (name) => {
+    if (!stats[name]) {
+        stats[name] = { hits: 0, staleHits: 0, misses: 0, revalidations: 0, errors: 0, bypassed: 0 };
+    }
+    return stats[name];
+};
+
+// Turn a cached entry back into something axios can handle like a real response
+// Every caller gets its own copy of the data - changing it must never change what's cached
+const toAxiosResponse = (entry, config) => ({
+    data: structuredClone(entry.data),
+    status: entry.status,
+    statusText: entry.statusText,
+    headers: new axios.AxiosHeaders(entry.headers),
+    config,
+    request: {}
+});
+
+// ===============================================
+// MAIN FUNCTION - attach the cache to an axios instance
+// ===============================================
+
+// rules: [{ pattern: /regex on request url/, ttl: ms, staleTtl: ms }]
+const attachResponseCache = (instance, { name, rules = [], store } = {}) => {
+    // The adapter axios would normally use (http in Node)
+    const baseAdapter = axios.getAdapter(instance.defaults.adapter);
+    const counters = getStats(name);
+    // Requests currently on their way to the upstream API
+    const inFlight = new Map();
+
+    // Fetch from upstream and store the raw response
+    const fetchAndStore = (key, rule, config) => {
+        if (inFlight.has(key)) {
+            return inFlight.get(key);
+        }
+
+        const request = (async () => {
+            const response = await baseAdapter(config);
+
+            const entry = {
+                data: response.data,
+                status: response.status,
+                statusText: response.statusText,
+                headers: response.headers?.toJSON ? response.headers.toJSON() : { ...response.headers },
+                freshUntil: Date.now() + rule.ttl
+            };
+
+            try {
+                await (store || getDefaultStore()).set(key, entry, rule.staleTtl);
+            } catch (error) {
+                counters.errors++;
+                console.error(`Cache write failed for ${key}:`, error.message);
+            }
+
+            return entry;
+        })();
+
+        inFlight.set(key, request);
+        // Clean up once settled (success or failure)
+        request.then(() => inFlight.delete(key), () => inFlight.delete(key));
+
+        return request;
+    };
+
+    instance.defaults.adapter = async (config) => {
+        const method = (config.method || 'get').toLowerCase();
+
+        // Only cache GET requests (and only if caching is enabled and the request didn't opt out)
+        if (method !== 'get' || config.cache === false || process.env.CACHE_DISABLED === 'true') {
+            counters.bypassed++;
+            return baseAdapter(config);
+        }
+
+        const key = buildCacheKey(name, config);
+        const rule = findRule(rules, config.url || '');
+
+        let cached = null;
+        try {
+            cached = await (store || getDefaultStore()).get(key);
+        } catch (error) {
+            // A broken cache should never break the app - treat as a miss
+            counters.errors++;
+            console.error(`Cache read failed for ${key}:`, error.message);
+        }
+
+        // Fresh hit
+        if (cached && cached.freshUntil > Date.now()) {
+            counters.hits++;
+            return toAxiosResponse(cached, config);
+        }
+
+        // Stale hit - answer now, refresh in the background
+        if (cached) {
+            counters.staleHits++;
+
+            if (!inFlight.has(key)) {
+                counters.revalidations++;
+                fetchAndStore(key, rule, config).catch(error => {
+                    counters.errors++;
+                    console.error(`Background refresh failed for ${key}:`, error.message);
+                });
+            }
+
+            return toAxiosResponse(cached, config);
+        }
+
+        // Miss - go to the upstream API
+        counters.misses++;
+        const entry = await fetchAndStore(key, rule, config);
+        return toAxiosResponse(entry, config);
+    };
+
+    return instance;
+};
+
+// Snapshot of the counters for every cache, with hit rate included
+const getCacheStats = () => {
+    const result = {};
+
+    for (const [name, counters] of Object.entries(stats)) {
+        const served = counters.hits + counters.staleHits;
+        const total = served + counters.misses;
+
+        result[name] = {
+            ...counters,
+            hitRate: total > 0 ? Math.round((served / total) * 1000) / 10 : null // Percentage, 1 decimal
+        };
+    }
+
+    const store = defaultStore;
+    return {
+        store: store ? store.type : null,
+        entries: store ? store.size() : null,
+        caches: result
+    };
+};
+
+// Empty the cache and reset counters (handy while tuning TTLs)
+const clearCache = async () => {
+    if (defaultStore) {
+        await defaultStore.clear();
+    }
+    // Reset in place - attached instances keep a reference to their counters
+    for (const counters of Object.values(stats)) {
+        for (const field of Object.keys(counters)) {
+            counters[field] = 0;
+        }
+    }
+};
+
+module.exports = {
+    SECOND,
+    MINUTE,
+    HOUR,
+    DAY,
+    attachResponseCache,
+    createMemoryStore,
+    createRedisStore,
+    getCacheStats,
+    clearCache
+};
@@ -0,0 +1,239 @@
+/*
+=== WRITTEN REVIEWS + LIKES ===
+
+A review is text attached to a user's rating of a title (one per user per title):
+  reviews      - body, spoiler flag, author name, timestamps
+  review_likes - one row per user who liked a review
+
+WHAT IT DOES:
+1. Validates review text (length limits, spoiler flag)
+2. Saves / deletes the user's own review - a rating has to exist first
+3. Builds the public review feed for a title (recent or most liked), with the
+   reviewer's rating, like counts and - for a logged-in viewer - what they liked
+4. Likes / unlikes reviews
+*/
+
+const { supabaseAdmin } = require('./supabaseClient');
+
+// Limits - keep in sync with the CHECK constraint in migrations/004_reviews.sql
+const MAX_REVIEW_LENGTH = 5000;
+
+// Feed sort orders
+const REVIEW_SORTS = ['recent', 'likes'];
+
+// ===============================================
+// VALIDATION
+// ===============================================
+
+// Check review input from the client
+// Returns { value: { body, contains_spoilers } } or { error } with a message for the client
+const validateReviewInput = (input = {}) => {
+    if (typeof input.review !== 'string' || !input.review.trim()) {
+        return { error: 'review text is required' };
+    }
+
+    const body = input.review.trim();
+    if (body.length > MAX_REVIEW_LENGTH) {
+        return { error: `Review must be ${MAX_REVIEW_LENGTH} characters or less` };
+    }
+
+    if (input.contains_spoilers !== undefined && typeof input.contains_spoilers !== 'boolean') {
+        return { error: 'contains_spoilers must be true or false' };
+    }
+
+    return {
+        value: {
+            body,
+            contains_spoilers: input.contains_spoilers === true
+        }
+    };
+};
+
+// Public name for a review - the username picked at sign up (never the email)
+const getAuthorName = (user) => user?.user_metadata?.username || 'AryFlix user';
+
+// ===============================================
+// USER'S OWN REVIEW
+// ===============================================
+
+// The user's review of one title (null if they haven't written one)
+const getUserReview = async (userId, identity) => {
+    const { data, error } = await supabaseAdmin
+        .from('reviews')
+        .select('id, body, contains_spoilers, created_at, updated_at')
+        .eq('user_id', userId)
+        .eq('media_type', identity.media_type)
+        .eq('media_id', identity.media_id)
+        .maybeSingle();
+
+    if (error) throw error;
+
+    return data;
+};
+
+// Create or edit the user's review - returns null if they haven't rated the title
+const saveReview = async (user, identity, review) => {
+    const { data: rating, error: ratingError } = await supabaseAdmin
+        .from('ratings')
+        .select('rating')
+        .eq('user_id', user.id)
+        .eq('media_type', identity.media_type)
+        .eq('media_id', identity.media_id)
+        .maybeSingle();
+
+    if (ratingError) throw ratingError;
+    if (!rating) return null;
+
+    const { data, error } = await supabaseAdmin
+        .from('reviews')
+        .upsert([{
+            user_id: user.id,
+            media_type: identity.media_type,
+            media_id: identity.media_id,
+            body: review.body,
+            contains_spoilers: review.contains_spoilers,
+            author_name: getAuthorName(user),
+            updated_at: new Date().toISOString()
+        }], {
+            onConflict: 'user_id,media_type,media_id'
+        })
+        .select('id, body, contains_spoilers, created_at, updated_at')
+        .single();
+
+    if (error) throw error;
+
+    return { ...data, rating: rating.rating };
+};
+
+// Delete the user's review of a title (likes go with it) - returns false if there wasn't one
+const deleteReview = async (userId, identity) => {
+    const { data, error } = await supabaseAdmin
+        .from('reviews')
+        .delete()
+        .eq('user_id', userId)
+        .eq('media_type', identity.media_type)
+        .eq('media_id', identity.media_id)
+        .select('id');
+
+    if (error) throw error;
+
+    return !!(data && data.length > 0);
+};
+
+// ===============================================
+// PUBLIC FEED
+// ===============================================
+
+// Every review of a title with its rating and like count
+// sort: 'recent' (newest first) or 'likes' (most liked first, newest breaks ties)
+// viewerId: the logged-in user (optional) - adds liked_by_me / is_mine
+const listTitleReviews = async (identity, { sort = 'recent', viewerId = null } = {}) => {
+    const { data: reviews, error } = await supabaseAdmin
+        .from('reviews')
+        .select('id, user_id, body, contains_spoilers, author_name, created_at, updated_at')
+        .eq('media_type', identity.media_type)
+        .eq('media_id', identity.media_id);
+
+    if (error) throw error;
+    if (!reviews || reviews.length === 0) return [];
+
+    const reviewIds = reviews.map(review => review.id);
+    const userIds = reviews.map(review => review.user_id);
+
+    // Likes and the reviewers' ratings for these reviews
+    const [likesResult, ratingsResult] = await Promise.all([
+        supabaseAdmin
+            .from('review_likes')
+            .select('review_id, user_id')
+            .in('review_id', reviewIds),
+        supabaseAdmin
+            .from('ratings')
+            .select('user_id, rating')
+            .eq('media_type', identity.media_type)
+            .eq('media_id', identity.media_id)
+            .in('user_id', userIds)
+    ]);
+
+    if (likesResult.error) throw likesResult.error;
+    if (ratingsResult.error) throw ratingsResult.error;
+
+    const likeCounts = new Map();
+    const likedByViewer = new Set();
+    for (const like of likesResult.data || []) {
+        likeCounts.set(like.review_id, (likeCounts.get(like.review_id) || 0) + 1);
+        if (viewerId && like.user_id === viewerId) likedByViewer.add(like.review_id);
+    }
+
+    const ratingByUser = new Map((ratingsResult.data || []).map(row => [row.user_id, row.rating]));
+
+    const feed = reviews.map(review => ({
+        id: review.id,
+        author_name: review.author_name,
+        rating: ratingByUser.get(review.user_id) || null,
+        body: review.body,
+        contains_spoilers: review.contains_spoilers,
+        like_count: likeCounts.get(review.id) || 0,
+        liked_by_me: likedByViewer.has(review.id),
+        is_mine: !!viewerId && review.user_id === viewerId,
+        created_at: review.created_at,
+        updated_at: review.updated_at
+    }));
+
+    const byNewest = (a, b) => new Date(b.created_at) - new Date(a.created_at);
+    return feed.sort(sort === 'likes'
+        ? (a, b) => b.like_count - a.like_count || byNewest(a, b)
+        : byNewest);
+};
+
+// ===============================================
+// LIKES
+// ===============================================
+
+// Like / unlike a review
+// Returns null if the review doesn't exist, 'own' for the user's own review,
+// otherwise { liked, like_count }
+const setReviewLiked = async (userId, reviewId, liked) => {
+    const { data: review, error: reviewError } = await supabaseAdmin
+        .from('reviews')
+        .select('id, user_id')
+        .eq('id', reviewId)
+        .maybeSingle();
+
+    if (reviewError) throw reviewError;
+    if (!review) return null;
+    if (review.user_id === userId) return 'own';
+
+    const { error } = liked
+        ? await supabaseAdmin
+            .from('review_likes')
+            .upsert([{ review_id: review.id, user_id: userId }], {
+                onConflict: 'review_id,user_id',
+                ignoreDuplicates: true
+            })
+        : await supabaseAdmin
+            .from('review_likes')
+            .delete()
+            .eq('review_id', review.id)
+            .eq('user_id', userId);
+
+    if (error) throw error;
+
+    const { count, error: countError } = await supabaseAdmin
+        .from('review_likes')
+        .select('review_id', { count: 'exact', head: true })
+        .eq('review_id', review.id);
+
+    if (countError) throw countError;
+
+    return { liked, like_count: count || 0 };
+};
+
+module.exports = {
+    REVIEW_SORTS,
+    validateReviewInput,
+    getUserReview,
+    saveReview,
+    deleteReview,
+    listTitleReviews,
+    setReviewLiked
+};
@@ -0,0 +1,193 @@
+/*
+=== MEDIA IDENTITY BACKFILL ===
+
+One-off script that gets existing watchlist + ratings rows ready for
+migrations/001_media_identity.sql.
+
+WHAT IT DOES (for each table):
+1. 'anime' (or any other casing/alias) → normalised to 'movie' / 'tv'
+2. Missing/unknown media_type → looked up on TMDB
+   - only a movie exists → 'movie'
+   - only a TV show exists → 'tv'
+   - both exist → 'movie' (what the app used to default to) and reported
+   - neither exists → left alone and reported
+3. Duplicate rows for the same (user_id, media_type, media_id) → only one kept
+   - ratings: the most recently updated one
+   - watchlist: the oldest one
+
+USAGE (from aryflix-backend/):
+  npm run migrate:media-identity              → apply changes
+  npm run migrate:media-identity -- --dry-run → only print what would change
+
+Exits with code 1 if some rows couldn't be resolved.
+*/
+
+// Load .env before anything reads process.env
+require('dotenv').config();
+
+const { supabaseAdmin } = require('../supabaseClient');
+const { titleExists } = require('../tmdbAPI');
+const { normalizeMediaType, normalizeMediaId } = require('../mediaIdentity');
+
+const DRY_RUN = process.argv.includes('--dry-run');
+const PAGE_SIZE = 1000;
+
+// Which row wins when there are duplicates (first one after sorting is kept)
+const TABLES = [
+    {
+        name: 'ratings',
+        keepFirst: (a, b) => new Date(b.updated_at || 0) - new Date(a.updated_at || 0)
+    },
+    {
+        name: 'watchlist',
+        keepFirst: (a, b) => new Date(a.created_at || 0) - new Date(b.created_at || 0)
+    }
+];
+
+// Get every row of a table (Supabase returns max 1000 rows per request)
+const fetchAllRows = async (table) => {
+    const rows = [];
+
+    for (let from = 0; ; from += PAGE_SIZE) {
+        const { data, error } = await supabaseAdmin
+            .from(table)
+            .select('*')
+            .order('id', { ascending: true })
+            .range(from, from + PAGE_SIZE - 1);
+
+        if (error) throw error;
+
+        rows.push(...data);
+        if (data.length < PAGE_SIZE) break;
+    }
+
+    return rows;
+};
+
+// Work out the media type for a row that doesn't have a usable one
+// TMDB lookups are remembered so each id is only checked once
+const lookupCache = new Map();
+const resolveMissingType = async (mediaId) => {
+    if (!lookupCache.has(mediaId)) {
+        const [isMovie, isTV] = await Promise.all([
+            titleExists('movie', mediaId),
+            titleExists('tv', mediaId)
+        ]);
+
+        let result;
+        if (isMovie && isTV) {
+            result = { type: 'movie', note: 'exists as both a movie and a TV show - defaulted to movie' };
+        } else if (isMovie || isTV) {
+            result = { type: isMovie ? 'movie' : 'tv' };
+        } else {
+            result = { type: null, note: 'not found on TMDB' };
+        }
+
+        lookupCache.set(mediaId, result);
+    }
+
+    return lookupCache.get(mediaId);
+};
+
+const backfillTable = async ({ name, keepFirst }) => {
+    console.log(`\n📋 ${name}`);
+
+    const rows = await fetchAllRows(name);
+    const report = { total: rows.length, updated: 0, guessed: [], unresolved: [], duplicatesRemoved: 0 };
+
+    // Step 1 + 2: normalise / backfill media_type
+    for (const row of rows) {
+        let mediaType = normalizeMediaType(row.media_type);
+        const mediaId = normalizeMediaId(row.media_id);
+
+        if (!mediaId) {
+            report.unresolved.push({ id: row.id, media_id: row.media_id, reason: 'invalid media_id' });
+            continue;
+        }
+
+        if (!mediaType) {
+            const { type, note } = await resolveMissingType(mediaId);
+
+            if (!type) {
+                report.unresolved.push({ id: row.id, media_id: mediaId, reason: note });
+                continue;
+            }
+            if (note) {
+                report.guessed.push({ id: row.id, media_id: mediaId, reason: note });
+            }
+            mediaType = type;
+        }
+
+        if (mediaType !== row.media_type || mediaId !== String(row.media_id)) {
+            console.log(`   ✏️ row ${row.id}: ${row.media_type || '(none)'} ${row.media_id} → ${mediaType} ${mediaId}`);
+            report.updated++;
+
+            if (!DRY_RUN) {
+                const { error } = await supabaseAdmin
+                    .from(name)
+                    .update({ media_type: mediaType, media_id: mediaId })
+                    .eq('id', row.id);
+
+                if (error) throw error;
+            }
+        }
+
+        row.media_type = mediaType;
+        row.media_id = mediaId;
+    }
+
+    // Step 3: remove duplicates created by the old media_id-only identity
+    const groups = new Map();
+    for (const row of rows) {
+        if (!normalizeMediaType(row.media_type) || !normalizeMediaId(row.media_id)) continue;
+
+        const key = `${row.user_id}:${row.media_type}:${row.media_id}`;
+        if (!groups.has(key)) groups.set(key, []);
+        groups.get(key).push(row);
+    }
+
+    for (const [key, group] of groups) {
+        if (group.length < 2) continue;
+
+        const [keep, ...extras] = [...group].sort(keepFirst);
+        console.log(`   🗑️ ${key}: keeping row ${keep.id}, removing ${extras.map(row => row.id).join(', ')}`);
+        report.duplicatesRemoved += extras.length;
+
+        if (!DRY_RUN) {
+            const { error } = await supabaseAdmin
+                .from(name)
+                .delete()
+                .in('id', extras.map(row => row.id));
+
+            if (error) throw error;
+        }
+    }
+
+    console.log(`   ✅ ${report.total} rows, ${report.updated} updated, ${report.duplicatesRemoved} duplicates removed`);
+    report.guessed.forEach(item => console.log(`   ⚠️ row ${item.id} (${item.media_id}): ${item.reason}`));
+    report.unresolved.forEach(item => console.log(`   ❌ row ${item.id} (${item.media_id}): ${item.reason}`));
+
+    return report;
+};
+
+const main = async () => {
+    console.log(`🔧 Media identity backfill${DRY_RUN ? ' (dry run - nothing will be changed)' : ''}`);
+
+    let unresolved = 0;
+    for (const table of TABLES) {
+        const report = await backfillTable(table);
+        unresolved += report.unresolved.length;
+    }
+
+    if (unresolved > 0) {
+        console.log(`\n❌ ${unresolved} rows need fixing by hand before running migrations/001_media_identity.sql`);
+        process.exit(1);
+    }
+
+    console.log(`\n✅ Done${DRY_RUN ? ' (dry run)' : ''} - now run migrations/001_media_identity.sql in the Supabase SQL editor`);
+};
+
+main().catch(error => {
+    console.error('Backfill failed:', error.message || error);
+    process.exit(1);
+});
@@ -9,20 +9,93 @@ const cors = require('cors');
 
 // Import TMDB API functions for trending Movie/TV Data
 const { getTrendingMovies, getTrendingTVShows, getNowPlayingMovies, getPopularTVShows, getUpcomingMovies, 
-    getUpcomingTVShows, getTrendingAnime, getNetflixContent, getPrimeVideoContent, getDisneyPlusContent, 
-    getMaxContent, getAppleTVContent, getStreamingProviderLogos, getMovieDetails, getTVDetails,
-    getMovieDetailsWithTrailer, getTVDetailsWithTrailer, getWatchAtHomeContent, searchMoviesAndTV, 
-    getFilteredContent } = require('./tmdbAPI'); // Added getFilteredContent for filtering/sorting
+    getUpcomingTVShows, getTrendingAnime, getStreamingPlatformContent, getStreamingPlatforms,
+    getStreamingProviderLogos, getMovieDetails, getTVDetails, getPersonDetails,
+    getTVSeason, getTVEpisode, getRelatedTitles,
+    getWatchAtHomeContent, searchMoviesAndTV, 
+    getFilteredContent, getStreamingServiceCatalog, getWatchRegions } = require('./tmdbAPI'); // Added getFilteredContent for filtering/sorting
 
-// Import OMDb API functions for ratings
-const { getRatingsByImdbId, getRatingsByTitle } = require('./omdbApi');
+// Import title service - details + trailer + OMDb ratings bundled together
+const { MAX_BATCH_TITLES, getOmdbRatingsFor, getTitleBundle, getTitleCardBatch } = require('./titleService');
+
+// Import media identity helpers - titles are identified by (media_type, media_id)
+const { parseMediaIdentity, INVALID_IDENTITY_ERROR } = require('./mediaIdentity');
+
+// Import watch progress service - episode-level progress for TV shows / anime
+const { getShowProgress, getAllProgress, getContinueWatching, setEpisodeWatched,
+    setSeasonWatched, setWatchedUpTo } = require('./watchProgress');
+
+// Import watch diary service - dated viewings, rewatches and rating history
+const { isValidDateString, validateDiaryInput, recordRatingChange, getRatingHistory, listDiaryEntries,
+    createDiaryEntry, updateDiaryEntry, deleteDiaryEntry } = require('./diary');
+
+// Import reviews service - written reviews attached to ratings, with likes
+const { REVIEW_SORTS, validateReviewInput, getUserReview, saveReview, deleteReview,
+    listTitleReviews, setReviewLiked } = require('./reviews');
+
+// Import watchlist service - details validation, TMDB check, duplicate check and per-user cap
+const {
+    MAX_WATCHLIST_ITEMS,
+    validateWatchlistFields,
+    getWatchlist,
+    addWatchlistItem,
+    updateWatchlistItem,
+    removeWatchlistItem
+} = require('./watchlist');
+
+// Import custom lists service - named, ordered, optionally public lists of titles
+const { validateListInput, validateItemNote, getUserLists, createList, getListForViewer,
+    updateList, deleteList, addListItem, updateListItem, removeListItem,
+    reorderListItems } = require('./lists');
+
+// Import CSV import service - Letterboxd / IMDb ratings, watchlists and diaries
+const { runImport } = require('./importService');
+
+// Import export service - the user's whole account as a zip of JSON + Letterboxd CSV
+const { streamAccountExport } = require('./exportService');
+
+// Import collection service - franchise pages with the viewer's watched / rated / watchlist state
+const { getCollectionForViewer } = require('./collectionService');
+
+// Import release calendar service - watchlist release dates by month + the iCal feed
+const { getMonthEvents, getFeedEvents, getOrCreateFeedToken, resetFeedToken,
+    getUserIdForFeedToken, buildICalendar } = require('./calendarService');
+
+// Import notification services - the navbar bell + background "now streaming" alerts
+const { MAX_NOTIFICATION_LIMIT, getNotifications, markNotificationsRead,
+    getNotificationSettings, updateNotificationSettings } = require('./notifications');
+const { startProviderAlertJob } = require('./providerAlertService');
+
+// Import streaming services - the services + region each user subscribes to ("Watchable now")
+const { MAX_AVAILABILITY_TITLES, getUserServices, validateServices, saveUserServices,
+    getAvailabilityOnServices, getWatchlistOnServices } = require('./streamingServices');
+
+// Import streaming platform registry - the platforms on the Home "Explore What's Streaming" tabs
+const { PLATFORMS, MAX_PAGE: MAX_PLATFORM_PAGE, getPlatform, isAvailableIn } = require('./streamingPlatforms');
+
+// Import catalog service - "new this week" / "no longer on" per platform from daily catalog snapshots
+const { DEFAULT_CHANGE_DAYS, MAX_CHANGE_DAYS, getCatalogChanges, startCatalogSnapshotJob } = require('./catalogService');
+
+// Import showtimes service - local screenings from a pluggable provider (a JSON / CSV feed by default)
+const { DEFAULT_RADIUS_KM, MAX_RADIUS_KM, DEFAULT_DAYS, MAX_DAYS, parseNear,
+    getNearbyTheaters, getShowtimes } = require('./showtimes');
+
+// Import recommendation service - "Recommended for You" from the user's ratings and watchlist
+const { DEFAULT_LIMIT: DEFAULT_RECOMMENDATIONS, MAX_LIMIT: MAX_RECOMMENDATIONS,
+    getRecommendations } = require('./recommendationService');
+
+// Import locale middleware - region + language for TMDB data (?region / X-Region / Accept-Language)
+const { resolveLocale } = require('./locale');
 
 // Import auth security middleware
-const { requireAuth } = require('./authSecurity');
+const { requireAuth, optionalAuth } = require('./authSecurity');
 
 // Import supabase client
 const { supabase, supabaseAdmin, verifyUser } = require('./supabaseClient');
 
+// Import response cache stats (cache is attached inside tmdbAPI.js / omdbApi.js)
+const { getCacheStats } = require('./responseCache');
+
 // Create an Express application instance - this is your web server
 const app = express();
 // Set the port number - use PORT from .env file, or default to 5000
@@ -30,9 +103,21 @@ const PORT = process.env.PORT || 5000;
 
 // Enable CORS for all routes - allows your React app (localhost:5173) to make requests to this backend (localhost:5000)
 app.use(cors());
+// Work out the region + language of every request (req.locale) - see locale.js
+app.use(resolveLocale);
+// CSV imports send whole export files as JSON - give that route a bigger body limit
+// (must come before the general parser, which skips bodies that are already parsed)
+app.use('/api/import', express.json({ limit: '10mb' }));
 // Enable JSON parsing middleware - allows the server to understand JSON data in request bodies
 app.use(express.json());
 
+// Whole number between min and max from a query param - default when missing, null when invalid
+const parseBoundedInt = (value, min, max, fallback) => {
+    if (value === undefined) return fallback;
+    if (!/^\d+$/.test(value) || Number(value) < min || Number(value) > max) return null;
+    return Number(value);
+};
+
 // Define a GET route at '/api' endpoint
 // When someone visits http://localhost:5000/api, this function runs
 app.get('/api', (req, res) => {
@@ -40,13 +125,19 @@ app.get('/api', (req, res) => {
   res.json({ message: 'AryFlix API is working!' });
 });
 
+// Route to see how well the TMDB/OMDb response cache is doing
+// GET request to http://localhost:5000/api/cache/stats
+app.get('/api/cache/stats', (req, res) => {
+    res.json({ success: true, data: getCacheStats() });
+});
+
 
 // Route to get trending movies for Hero Section
 // Get request to http://localhost:5000/api/movies/trending
 app.get('/api/movies/trending', async(req, res) => {
     try {
         // Call TMDB function to get trending movies
-        const movies = await getTrendingMovies();
+        const movies = await getTrendingMovies(req.locale);
         // Send the movies data back to the client
         res.json({success: true, data: movies});
     } catch (error) {
@@ -61,7 +152,7 @@ app.get('/api/movies/trending', async(req, res) => {
 app.get('/api/tv/trending', async (req, res) => {
     try {
         // Call our TMDB function to get trending TV shows
-        const tvShows = await getTrendingTVShows();
+        const tvShows = await getTrendingTVShows(req.locale);
         // Send TV shows data back to the client
         res.json({ success: true, data: tvShows});
     } catch (error) {
@@ -78,7 +169,7 @@ app.get('/api/tv/trending', async (req, res) => {
 app.get('/api/movies/now-playing', async (req, res) => {
     try {
         // Call our TMDB function to get now playing movies in theatres
-        const nowPlayingMovies = await getNowPlayingMovies();
+        const nowPlayingMovies = await getNowPlayingMovies(req.locale);
         // Send the movies data back to the client
         res.json({success: true, data: nowPlayingMovies});
     } catch (error) {
@@ -99,7 +190,7 @@ app.get('/api/movies/now-playing', async (req, res) => {
 app.get('/api/tv/popular', async (req, res) => {
     try {
         // Call our TMDB function to get popular TV shows
-        const popularTVShows = await getPopularTVShows();
+        const popularTVShows = await getPopularTVShows(req.locale);
         // Send TV shows data back to the client
         res.json({ success: true, data: popularTVShows});
     } catch (error) {
@@ -116,7 +207,7 @@ app.get('/api/tv/popular', async (req, res) => {
 app.get('/api/movies/upcoming', async (req, res) => {
     try {
         // Call our TMDB function to get upcoming movies
-        const upcomingMovies = await getUpcomingMovies();
+        const upcomingMovies = await getUpcomingMovies(req.locale);
         // Send the movies data back to the client
         res.json({success: true, data: upcomingMovies});
     } catch (error) {
@@ -136,7 +227,7 @@ app.get('/api/movies/upcoming', async (req, res) => {
 app.get('/api/tv/upcoming', async (req, res) => {
     try {
         // Call our TMDB function to get upcoming TV shows
-        const upcomingTVShows = await getUpcomingTVShows();
+        const upcomingTVShows = await getUpcomingTVShows(req.locale);
         // Send TV shows data back to the client
         res.json({success: true, data: upcomingTVShows});
     } catch (error) {
@@ -151,7 +242,7 @@ app.get('/api/tv/upcoming', async (req, res) => {
 app.get('/api/anime/trending', async (req, res) => {
     try {
         // Call our TMDB function to get trending anime
-        const trendingAnime = await getTrendingAnime();
+        const trendingAnime = await getTrendingAnime(req.locale);
         // Send anime data back to the client
         res.json({success: true, data: trendingAnime});
     } catch (error) {
@@ -170,7 +261,7 @@ app.get('/api/anime/trending', async (req, res) => {
 app.get('/api/streaming/logos', async (req, res) => {
     try {
         // Call our TMDB function to get provider logos
-        const logos = await getStreamingProviderLogos();
+        const logos = await getStreamingProviderLogos(req.locale);
         // Send logos data back to client
         res.json({success: true, data: logos});
     } catch (error) {
@@ -184,35 +275,67 @@ app.get('/api/streaming/logos', async (req, res) => {
 
 
 
-// Single route to handle ALL streaming platforms
-// Get request to http://localhost:5000/api/streaming/:platform
-// Examples: /api/streaming/netflix, /api/streaming/prime, etc.
+// Route to get the streaming platforms for the Home tabs (registry entries streaming in the user's region)
+// GET request to http://localhost:5000/api/streaming/platforms
+// Returns [{ key, provider_id, name, color, logo_path, logo_url }]
+app.get('/api/streaming/platforms', async (req, res) => {
+    try {
+        const platforms = await getStreamingPlatforms(req.locale);
+        res.json({success: true, data: platforms});
+    } catch (error) {
+        console.error('Error for streaming platforms:', error.message);
+        res.status(500).json({
+            success: false, 
+            error: 'Failed to fetch streaming platforms'
+        });
+    }
+});
+
+
+
+// Single route to handle ALL streaming platforms (see streamingPlatforms.js)
+// Get request to http://localhost:5000/api/streaming/:platform?type=all&page=1
+// Examples: /api/streaming/netflix, /api/streaming/prime?type=tv, /api/streaming/hulu?page=2
+// type: all (default), movie or tv - page: 1 to MAX_PLATFORM_PAGE
 app.get('/api/streaming/:platform', async (req, res) => {
     try {
-        const { platform } = req.params; // Extract platform from URL
-        
-        // Map platform names to functions
-        const platformFunctions = {
-            'netflix': getNetflixContent,
-            'prime': getPrimeVideoContent,
-            'disney': getDisneyPlusContent,
-            'max': getMaxContent,
-            'appletv': getAppleTVContent
-        };
+        const { platform: key } = req.params; // Extract platform from URL
+        const { type = 'all' } = req.query;
         
         // Check if platform is valid
-        if (!platformFunctions[platform]) {
+        const platform = getPlatform(key);
+        if (!platform) {
             return res.status(400).json({
                 success: false, 
-                error: `Invalid platform: ${platform}. Valid options: netflix, prime, disney, max, appletv`
+                error: `Invalid platform: ${key}. Valid options: ${PLATFORMS.map(option => option.key).join(', ')}`
+            });
+        }
+        
+        if (!isAvailableIn(platform, req.locale.region)) {
+            return res.status(404).json({
+                success: false, 
+                error: `${platform.name} is not available in ${req.locale.region}`
             });
         }
         
-        // Call the appropriate function
-        const content = await platformFunctions[platform]();
+        if (!['all', 'movie', 'tv'].includes(type)) {
+            return res.status(400).json({ success: false, error: 'type must be all, movie or tv' });
+        }
+        
+        const page = parseBoundedInt(req.query.page, 1, MAX_PLATFORM_PAGE, 1);
+        if (page === null) {
+            return res.status(400).json({ success: false, error: `page must be between 1 and ${MAX_PLATFORM_PAGE}` });
+        }
+        
+        const content = await getStreamingPlatformContent(platform, { mediaType: type, page: page }, req.locale);
         
         // Send data back to client
-        res.json({success: true, data: content});
+        res.json({
+            success: true,
+            data: content.results,
+            page: content.page,
+            hasMore: content.hasMore
+        });
     } catch (error) {
         console.error(`Error for ${req.params.platform} content:`, error.message);
         res.status(500).json({
@@ -224,6 +347,46 @@ app.get('/api/streaming/:platform', async (req, res) => {
 
 
 
+// Route to get what arrived on / left a streaming platform lately (from the catalog snapshots)
+// Get request to http://localhost:5000/api/streaming/:platform/changes?days=7
+// Examples: /api/streaming/netflix/changes, /api/streaming/max/changes?days=30
+// Returns { platform, region, tracked, last_snapshot_at, since, added: [...], removed: [...] }
+app.get('/api/streaming/:platform/changes', async (req, res) => {
+    try {
+        const platform = getPlatform(req.params.platform);
+        if (!platform) {
+            return res.status(400).json({
+                success: false, 
+                error: `Invalid platform: ${req.params.platform}. Valid options: ${PLATFORMS.map(option => option.key).join(', ')}`
+            });
+        }
+        
+        if (!isAvailableIn(platform, req.locale.region)) {
+            return res.status(404).json({
+                success: false, 
+                error: `${platform.name} is not available in ${req.locale.region}`
+            });
+        }
+        
+        const days = parseBoundedInt(req.query.days, 1, MAX_CHANGE_DAYS, DEFAULT_CHANGE_DAYS);
+        if (days === null) {
+            return res.status(400).json({ success: false, error: `days must be between 1 and ${MAX_CHANGE_DAYS}` });
+        }
+        
+        const changes = await getCatalogChanges(platform, req.locale.region, days);
+        
+        res.json({success: true, data: changes});
+    } catch (error) {
+        console.error(`Error for ${req.params.platform} catalog changes:`, error.message);
+        res.status(500).json({
+            success: false, 
+            error: `Failed to fetch ${req.params.platform} catalog changes`
+        });
+    }
+});
+
+
+
 // Route to get detailed information for a specific movie (with OMDb ratings)
 // GET request to http://localhost:5000/api/movies/:id
 app.get('/api/movies/:id', async (req, res) => {
@@ -239,20 +402,10 @@ app.get('/api/movies/:id', async (req, res) => {
         }
         
         // Call our TMDB function to get movie details
-        const movieDetails = await getMovieDetails(id);
+        const movieDetails = await getMovieDetails(id, req.locale);
         
-        // Try to get OMDb ratings using IMDb ID if available
-        let omdbRatings = { imdb: null, rottenTomatoes: null };
-        
-        if (movieDetails.imdb_id) {
-            console.log(`🎬 Fetching OMDb ratings for movie: ${movieDetails.title}`);
-            omdbRatings = await getRatingsByImdbId(movieDetails.imdb_id);
-        } else if (movieDetails.title && movieDetails.release_date) {
-            // Fallback to title + year search if no IMDb ID
-            const year = new Date(movieDetails.release_date).getFullYear();
-            console.log(`🎬 Fetching OMDb ratings by title: ${movieDetails.title} (${year})`);
-            omdbRatings = await getRatingsByTitle(movieDetails.title, year);
-        }
+        // Try to get OMDb ratings (IMDb ID first, then title + year)
+        const omdbRatings = await getOmdbRatingsFor(movieDetails, 'movie');
         
         // Combine TMDB data with OMDb ratings
         const responseData = {
@@ -288,16 +441,10 @@ app.get('/api/tv/:id', async (req, res) => {
         }
         
         // Call our TMDB function to get TV show details
-        const tvDetails = await getTVDetails(id);
+        const tvDetails = await getTVDetails(id, req.locale);
         
         // Try to get OMDb ratings using title + first air date year
-        let omdbRatings = { imdb: null, rottenTomatoes: null };
-        
-        if (tvDetails.name && tvDetails.first_air_date) {
-            const year = new Date(tvDetails.first_air_date).getFullYear();
-            console.log(`📺 Fetching OMDb ratings for TV show: ${tvDetails.name} (${year})`);
-            omdbRatings = await getRatingsByTitle(tvDetails.name, year);
-        }
+        const omdbRatings = await getOmdbRatingsFor(tvDetails, 'tv');
         
         // Combine TMDB data with OMDb ratings
         const responseData = {
@@ -332,27 +479,8 @@ app.get('/api/movies/:id/trailer', async (req, res) => {
             });
         }
         
-        // Call our enhanced TMDB function to get movie details with trailer
-        const movieDetails = await getMovieDetailsWithTrailer(id);
-        
-        // Try to get OMDb ratings using IMDb ID if available
-        let omdbRatings = { imdb: null, rottenTomatoes: null };
-        
-        if (movieDetails.imdb_id) {
-            console.log(`🎬 Fetching OMDb ratings for movie: ${movieDetails.title}`);
-            omdbRatings = await getRatingsByImdbId(movieDetails.imdb_id);
-        } else if (movieDetails.title && movieDetails.release_date) {
-            // Fallback to title + year search if no IMDb ID
-            const year = new Date(movieDetails.release_date).getFullYear();
-            console.log(`🎬 Fetching OMDb ratings by title: ${movieDetails.title} (${year})`);
-            omdbRatings = await getRatingsByTitle(movieDetails.title, year);
-        }
-        
-        // Combine TMDB data with OMDb ratings
-        const responseData = {
-            ...movieDetails,
-            omdb_ratings: omdbRatings
-        };
+        // Get movie details with trailer and OMDb ratings (shared with /api/titles)
+        const responseData = await getTitleBundle('movie', id, req.locale);
         
         // Send movie details with enhanced trailer back to client
         res.json({ success: true, data: responseData });
@@ -380,23 +508,8 @@ app.get('/api/tv/:id/trailer', async (req, res) => {
             });
         }
         
-        // Call our enhanced TMDB function to get TV show details with trailer
-        const tvDetails = await getTVDetailsWithTrailer(id);
-        
-        // Try to get OMDb ratings using title + first air date year
-        let omdbRatings = { imdb: null, rottenTomatoes: null };
-        
-        if (tvDetails.name && tvDetails.first_air_date) {
-            const year = new Date(tvDetails.first_air_date).getFullYear();
-            console.log(`📺 Fetching OMDb ratings for TV show: ${tvDetails.name} (${year})`);
-            omdbRatings = await getRatingsByTitle(tvDetails.name, year);
-        }
-        
-        // Combine TMDB data with OMDb ratings
-        const responseData = {
-            ...tvDetails,
-            omdb_ratings: omdbRatings
-        };
+        // Get TV show details with trailer and OMDb ratings (shared with /api/titles)
+        const responseData = await getTitleBundle('tv', id, req.locale);
         
         // Send TV show details with enhanced trailer back to client
         res.json({ success: true, data: responseData });
@@ -409,310 +522,1999 @@ app.get('/api/tv/:id/trailer', async (req, res) => {
     }
 });
 
-// Add this route:
-app.get('/api/watch-at-home', async (req, res) => {
-    try {
-        const content = await getWatchAtHomeContent();
-        res.json({ success: true, data: content });
-    } catch (error) {
-        console.error('Error for Watch At Home content', error.message);
-        res.status(500).json({ success: false, error: 'Failed to fetch Watch At Home content' });
-    }
-});
-
-
-
-
-
-
-
-// ===============================================
-// USER AUTHENTICATION ROUTES - Protected Routes
-// ===============================================
-
-// Get user's watchlist (protected route)
-app.get('/api/watchlist', requireAuth, async (req, res) => {
+// Route to get one season of a TV show with its episode list
+// GET request to http://localhost:5000/api/tv/:id/season/:season_number
+// Season 0 = specials
+app.get('/api/tv/:id/season/:season_number', async (req, res) => {
     try {
-        console.log(`📋 Getting watchlist for user: ${req.user.id}`);
+        const { id, season_number } = req.params;
         
-        // Get watchlist from Supabase for this specific user
-        const { data, error } = await supabase
-            .from('watchlist')
-            .select('*')
-            .eq('user_id', req.user.id);
+        // Validate TV ID and season number
+        if (!/^\d+$/.test(id) || !/^\d+$/.test(season_number)) {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid TV ID or season number provided'
+            });
+        }
         
-        if (error) {
-            throw error;
+        const season = await getTVSeason(id, season_number, req.locale);
+        
+        if (!season) {
+            return res.status(404).json({ success: false, error: 'Season not found' });
         }
         
-        res.json({ success: true, data: data });
+        res.json({ success: true, data: season });
     } catch (error) {
-        console.error('Error getting watchlist:', error);
-        res.status(500).json({ 
-            success: false, 
-            error: 'Failed to get watchlist' 
+        console.error('Error for TV season:', error.message);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to fetch TV season'
         });
     }
 });
 
-// Add item to watchlist (protected route)
-app.post('/api/watchlist', requireAuth, async (req, res) => {
+// Route to get full details for a single episode
+// GET request to http://localhost:5000/api/tv/:id/season/:season_number/episode/:episode_number
+app.get('/api/tv/:id/season/:season_number/episode/:episode_number', async (req, res) => {
     try {
-        const { media_id, media_type } = req.body;
-        console.log(`➕ Adding to watchlist: ${media_type} ${media_id} for user ${req.user.id}`);
+        const { id, season_number, episode_number } = req.params;
         
-        // Add to Supabase watchlist table
-        const { data, error } = await supabase
-            .from('watchlist')
-            .insert([{
-                user_id: req.user.id,
-                media_id: media_id,
-                media_type: media_type
-            }]);
+        // Validate all three numbers
+        if (!/^\d+$/.test(id) || !/^\d+$/.test(season_number) || !/^\d+$/.test(episode_number)) {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid TV ID, season or episode number provided'
+            });
+        }
         
-        if (error) {
-            throw error;
+        const episode = await getTVEpisode(id, season_number, episode_number, req.locale);
+        
+        if (!episode) {
+            return res.status(404).json({ success: false, error: 'Episode not found' });
         }
         
-        res.json({ success: true, message: 'Added to watchlist!' });
+        res.json({ success: true, data: episode });
     } catch (error) {
-        console.error('Error adding to watchlist:', error);
-        res.status(500).json({ 
-            success: false, 
-            error: 'Failed to add to watchlist' 
+        console.error('Error for TV episode:', error.message);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to fetch TV episode'
         });
     }
 });
 
-// Remove item from watchlist (protected route)
-app.delete('/api/watchlist/:media_id', requireAuth, async (req, res) => {
+// Route to get lightweight card data for many titles at once (watchlist / ratings pages)
+// POST request to http://localhost:5000/api/titles/batch
+// Body: { titles: [{ media_type: 'movie', id: 550 }, { media_type: 'tv', id: 1399 }] }
+// Returns one result per title, in order - a missing / invalid title only fails its own entry
+app.post('/api/titles/batch', async (req, res) => {
     try {
-        const { media_id } = req.params;
-        console.log(`➖ Removing from watchlist: ${media_id} for user ${req.user.id}`);
+        const { titles } = req.body || {};
         
-        // Remove from Supabase watchlist table
-        const { error } = await supabase
-            .from('watchlist')
-            .delete()
-            .eq('user_id', req.user.id)
-            .eq('media_id', media_id);
+        if (!Array.isArray(titles) || titles.length === 0) {
+            return res.status(400).json({
+                success: false,
+                error: 'titles must be a non-empty array of { media_type, id }'
+            });
+        }
         
-        if (error) {
-            throw error;
+        if (titles.length > MAX_BATCH_TITLES) {
+            return res.status(400).json({
+                success: false,
+                error: `At most ${MAX_BATCH_TITLES} titles per request`
+            });
         }
         
-        res.json({ success: true, message: 'Removed from watchlist!' });
+        console.log(`🗂️ Fetching title cards for ${titles.length} titles`);
+        
+        const results = await getTitleCardBatch(titles, req.locale);
+        
+        res.json({ success: true, data: results });
     } catch (error) {
-        console.error('Error removing from watchlist:', error);
-        res.status(500).json({ 
-            success: false, 
-            error: 'Failed to remove from watchlist' 
+        console.error('Error for title batch:', error.message);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to fetch titles'
         });
     }
 });
 
-// ===============================================
-// RATING ROUTES - Protected Routes
-// ===============================================
-
-// Get user's rating for a specific movie/TV show (protected route)
-app.get('/api/ratings/:media_id', requireAuth, async (req, res) => {
+// Route to get EVERYTHING the detail page needs for a title in one request
+// (details, credits, providers, OMDb ratings and trailer)
+// GET request to http://localhost:5000/api/titles/:media_type/:id
+// Examples: /api/titles/movie/550, /api/titles/tv/1399
+app.get('/api/titles/:media_type/:id', async (req, res) => {
     try {
-        const { media_id } = req.params;
-        console.log(`⭐ Getting rating for media ${media_id} by user: ${req.user.id}`);
+        const { media_type, id } = req.params;
         
-        // Use supabaseAdmin to bypass RLS
-        const { data, error } = await supabaseAdmin
-            .from('ratings')
-            .select('*')
-            .eq('user_id', req.user.id)
-            .eq('media_id', media_id)
-            .single();
+        // Validate media type
+        if (!['movie', 'tv'].includes(media_type)) {
+            return res.status(400).json({
+                success: false,
+                error: `Invalid media type: ${media_type}. Valid options: movie, tv`
+            });
+        }
         
-        if (error && error.code !== 'PGRST116') {
-            throw error;
+        // Validate ID
+        if (!id || isNaN(id)) {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid ID provided'
+            });
         }
         
-        res.json({ 
-            success: true, 
-            data: data || null,
-            hasRating: !!data 
-        });
+        // Concurrent requests for the same title share one lookup
+        const title = await getTitleBundle(media_type, id, req.locale);
+        
+        res.json({ success: true, data: title });
     } catch (error) {
-        console.error('Error getting user rating:', error);
-        res.status(500).json({ 
-            success: false, 
-            error: 'Failed to get user rating' 
+        console.error('Error for title bundle:', error.message);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to fetch title details'
         });
     }
 });
 
-app.post('/api/ratings', requireAuth, async (req, res) => {
+// Route to get titles related to a movie/TV show - TMDB recommendations + similar titles,
+// merged and de-duplicated (talk / news / reality shows left out like everywhere else)
+// GET request to http://localhost:5000/api/titles/:media_type/:id/related
+// Examples: /api/titles/movie/550/related, /api/titles/tv/1399/related
+app.get('/api/titles/:media_type/:id/related', async (req, res) => {
     try {
-        const { media_id, media_type, rating } = req.body;
+        const { media_type, id } = req.params;
         
-        if (!media_id || !media_type || !rating) {
+        // Validate media type
+        if (!['movie', 'tv'].includes(media_type)) {
             return res.status(400).json({
                 success: false,
-                error: 'media_id, media_type, and rating are required'
+                error: `Invalid media type: ${media_type}. Valid options: movie, tv`
             });
         }
         
-        if (rating < 1 || rating > 10) {
+        // Validate ID
+        if (!/^\d+$/.test(id)) {
             return res.status(400).json({
                 success: false,
-                error: 'Rating must be between 1 and 10'
+                error: 'Invalid ID provided'
             });
         }
         
-        console.log(`⭐ Submitting rating: ${rating}/10 for ${media_type} ${media_id} by user ${req.user.id}`);
-        
-        // Use supabaseAdmin to bypass RLS
-        const { data, error } = await supabaseAdmin
-            .from('ratings')
-            .upsert([{
-                user_id: req.user.id,
-                media_id: media_id,
-                media_type: media_type,
-                rating: rating,
-                updated_at: new Date().toISOString()
-            }], {
-                onConflict: 'user_id,media_id'
-            });
+        const related = await getRelatedTitles(media_type, id, req.locale);
         
-        if (error) {
-            throw error;
-        }
+        // Never suggest the title the user is already looking at - 20 is plenty for one row
+        const data = related
+            .filter(item => String(item.id) !== id)
+            .slice(0, 20);
         
-        res.json({ 
-            success: true, 
-            message: 'Rating submitted successfully!',
-            data: data
-        });
+        res.json({ success: true, data: data });
     } catch (error) {
-        console.error('Error submitting rating:', error);
-        res.status(500).json({ 
-            success: false, 
-            error: 'Failed to submit rating' 
+        console.error('Error for related titles:', error.message);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to fetch related titles'
         });
     }
 });
 
-// Get all ratings by a user (protected route) - NEW ENDPOINT
-app.get('/api/ratings/user/all', requireAuth, async (req, res) => {
+// Route to get a movie collection / franchise with every part in release order
+// GET request to http://localhost:5000/api/collections/:id (e.g. /api/collections/1241 - Harry Potter)
+// Logged-in viewers also get watched / rated / watchlist state per part and "X of Y watched" progress
+app.get('/api/collections/:id', optionalAuth, async (req, res) => {
     try {
-        // Log which user is requesting their ratings
-        console.log(`📋 Getting all ratings for user: ${req.user.id}`);
-        
-        // Get all ratings from database for this user
-        const { data, error } = await supabaseAdmin
-            .from('ratings')                              // From ratings table
-            .select('*')                                  // Get all columns
-            .eq('user_id', req.user.id)                   // Only this user's ratings
-            .order('updated_at', { ascending: false });   // Newest first
+        const { id } = req.params;
         
-        // If database error, throw it
-        if (error) {
-            throw error;
+        // Validate collection ID
+        if (!/^\d+$/.test(id)) {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid collection ID provided'
+            });
         }
         
-        // Log how many ratings we found
-        console.log(`📋 Found ${data?.length || 0} ratings for user ${req.user.id}`);
+        console.log(`🧩 Getting collection ${id}`);
         
-        // Send back the ratings data
-        res.json({ 
-            success: true,                    // Request worked
-            data: data || [],                 // The ratings array
-            count: data?.length || 0          // How many ratings
-        });
+        const collection = await getCollectionForViewer(id, req.user?.id, req.locale);
+        
+        if (!collection) {
+            return res.status(404).json({ success: false, error: 'Collection not found' });
+        }
+        
+        res.json({ success: true, data: collection });
     } catch (error) {
-        // If something went wrong, send error response
-        console.error('Error getting user ratings:', error);
+        console.error('Error for collection:', error.message);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to fetch collection'
+        });
+    }
+});
+
+// Route to get a person's details and full filmography
+// GET request to http://localhost:5000/api/people/:id
+// Returns biography, images, combined movie + TV credits, crew jobs and "known for" titles
+app.get('/api/people/:id', async (req, res) => {
+    try {
+        const { id } = req.params;
+        
+        // Validate person ID
+        if (!id || isNaN(id)) {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid person ID provided'
+            });
+        }
+        
+        const person = await getPersonDetails(id, req.locale);
+        
+        if (!person) {
+            return res.status(404).json({ success: false, error: 'Person not found' });
+        }
+        
+        res.json({ success: true, data: person });
+    } catch (error) {
+        console.error('Error for person details:', error.message);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to fetch person details'
+        });
+    }
+});
+
+// Add this route:
+app.get('/api/watch-at-home', async (req, res) => {
+    try {
+        const content = await getWatchAtHomeContent(req.locale);
+        res.json({ success: true, data: content });
+    } catch (error) {
+        console.error('Error for Watch At Home content', error.message);
+        res.status(500).json({ success: false, error: 'Failed to fetch Watch At Home content' });
+    }
+});
+
+
+
+
+
+
+
+// ===============================================
+// USER AUTHENTICATION ROUTES - Protected Routes
+// ===============================================
+
+// Get user's watchlist (protected route)
+app.get('/api/watchlist', requireAuth, async (req, res) => {
+    try {
+        console.log(`📋 Getting watchlist for user: ${req.user.id}`);
+        
+        const data = await getWatchlist(req.user.id);
+        
+        res.json({ success: true, data: data });
+    } catch (error) {
+        console.error('Error getting watchlist:', error);
         res.status(500).json({ 
             success: false, 
-            error: 'Failed to get user ratings'
+            error: 'Failed to get watchlist' 
         });
     }
 });
 
-app.get('/api/ratings/:media_id/average', async (req, res) => {
+// Add item to watchlist (protected route)
+// Body: media_type, media_id + optional status, priority, note, recommended_by
+// Returns the saved row so the app can swap it in without refetching the whole watchlist
+app.post('/api/watchlist', requireAuth, async (req, res) => {
     try {
-        const { media_id } = req.params;
-        console.log(`📊 Getting average rating for media ${media_id}`);
+        // A title is identified by BOTH media_type and media_id (movie and TV ids overlap)
+        const identity = parseMediaIdentity(req.body.media_type, req.body.media_id);
         
-        // Use supabaseAdmin for consistency
-        const { data, error } = await supabaseAdmin
-            .from('ratings')
-            .select('rating')
-            .eq('media_id', media_id);
+        if (!identity) {
+            return res.status(400).json({
+                success: false,
+                error: INVALID_IDENTITY_ERROR
+            });
+        }
         
-        if (error) {
-            throw error;
+        // Optional details: status, priority, note, recommended_by (database defaults otherwise)
+        const { value: details, error: validationError } = validateWatchlistFields(req.body);
+        
+        if (validationError) {
+            return res.status(400).json({ success: false, error: validationError });
         }
         
-        if (data && data.length > 0) {
-            const totalRating = data.reduce((sum, item) => sum + item.rating, 0);
-            const averageRating = totalRating / data.length;
-            
-            res.json({
-                success: true,
-                data: {
-                    average: Math.round(averageRating * 10) / 10,
-                    count: data.length
-                }
+        const { media_id, media_type } = identity;
+        console.log(`➕ Adding to watchlist: ${media_type} ${media_id} for user ${req.user.id}`);
+        
+        const result = await addWatchlistItem(req.user.id, identity, details);
+        
+        if (result === 'missing') {
+            return res.status(404).json({ success: false, error: 'Title not found' });
+        }
+        
+        if (result === 'duplicate') {
+            return res.status(409).json({ success: false, error: 'Title is already in your watchlist' });
+        }
+        
+        // 422 - the request is fine, the watchlist just has no room (400 = bad input, 409 = already saved)
+        if (result === 'full') {
+            return res.status(422).json({
+                success: false,
+                error: `Your watchlist is full (${MAX_WATCHLIST_ITEMS} titles) - remove something first`
             });
-        } else {
-            res.json({
-                success: true,
-                data: {
-                    average: null,
-                    count: 0
-                }
+        }
+        
+        res.status(201).json({ success: true, data: result });
+    } catch (error) {
+        console.error('Error adding to watchlist:', error);
+        res.status(500).json({ 
+            success: false, 
+            error: 'Failed to add to watchlist' 
+        });
+    }
+});
+
+// Change a watchlist entry's status, priority, note or "recommended by" (protected route)
+// Body: any of status, priority (1-3), note, recommended_by - empty text clears note / recommended_by
+app.patch('/api/watchlist/:media_type/:media_id', requireAuth, async (req, res) => {
+    try {
+        const identity = parseMediaIdentity(req.params.media_type, req.params.media_id);
+        
+        if (!identity) {
+            return res.status(400).json({
+                success: false,
+                error: INVALID_IDENTITY_ERROR
             });
         }
+        
+        const { value, error: validationError } = validateWatchlistFields(req.body);
+        
+        if (validationError) {
+            return res.status(400).json({ success: false, error: validationError });
+        }
+        
+        if (Object.keys(value).length === 0) {
+            return res.status(400).json({ success: false, error: 'Nothing to update' });
+        }
+        
+        const { media_id, media_type } = identity;
+        console.log(`✏️ Updating watchlist entry: ${media_type} ${media_id} for user ${req.user.id}`);
+        
+        const data = await updateWatchlistItem(req.user.id, identity, value);
+        
+        if (!data) {
+            return res.status(404).json({ success: false, error: 'Title is not in your watchlist' });
+        }
+        
+        res.json({ success: true, data: data });
     } catch (error) {
-        console.error('Error getting average rating:', error);
+        console.error('Error updating watchlist entry:', error);
         res.status(500).json({ 
             success: false, 
-            error: 'Failed to get average rating' 
+            error: 'Failed to update watchlist entry' 
         });
     }
 });
 
-// Delete a user's rating for a specific movie/TV show (protected route) - NEW ENDPOINT
-app.delete('/api/ratings/:media_id', requireAuth, async (req, res) => {
+// Remove item from watchlist (protected route)
+app.delete('/api/watchlist/:media_type/:media_id', requireAuth, async (req, res) => {
     try {
-        const { media_id } = req.params;
+        const identity = parseMediaIdentity(req.params.media_type, req.params.media_id);
         
-        // Log which user is deleting their rating
-        console.log(`🗑️ Deleting rating for media ${media_id} by user: ${req.user.id}`);
+        if (!identity) {
+            return res.status(400).json({
+                success: false,
+                error: INVALID_IDENTITY_ERROR
+            });
+        }
         
-        // Use supabaseAdmin to bypass RLS and delete the rating
+        const { media_id, media_type } = identity;
+        console.log(`➖ Removing from watchlist: ${media_type} ${media_id} for user ${req.user.id}`);
+        
+        const removed = await removeWatchlistItem(req.user.id, identity);
+        
+        if (!removed) {
+            return res.status(404).json({ success: false, error: 'Title is not in your watchlist' });
+        }
+        
+        res.json({ success: true, message: 'Removed from watchlist!' });
+    } catch (error) {
+        console.error('Error removing from watchlist:', error);
+        res.status(500).json({ 
+            success: false, 
+            error: 'Failed to remove from watchlist' 
+        });
+    }
+});
+
+// ===============================================
+// RATING ROUTES - Protected Routes
+// ===============================================
+
+// Get all ratings by a user (protected route)
+// Must stay ABOVE /api/ratings/:media_type/:media_id or "user/all" would be read as a title
+app.get('/api/ratings/user/all', requireAuth, async (req, res) => {
+    try {
+        // Log which user is requesting their ratings
+        console.log(`📋 Getting all ratings for user: ${req.user.id}`);
+        
+        // Get all ratings from database for this user
         const { data, error } = await supabaseAdmin
             .from('ratings')                              // From ratings table
-            .delete()                                     // Delete operation
-            .eq('user_id', req.user.id)                   // Only this user's rating
-            .eq('media_id', media_id);                    // For this specific media
+            .select('*')                                  // Get all columns
+            .eq('user_id', req.user.id)                   // Only this user's ratings
+            .order('updated_at', { ascending: false });   // Newest first
         
         // If database error, throw it
         if (error) {
             throw error;
         }
         
-        // Log success
-        console.log(`🗑️ Successfully deleted rating for media ${media_id} by user ${req.user.id}`);
+        // Log how many ratings we found
+        console.log(`📋 Found ${data?.length || 0} ratings for user ${req.user.id}`);
         
-        // Send success response
+        // Send back the ratings data
         res.json({ 
-            success: true, 
-            message: 'Rating deleted successfully!'
+            success: true,                    // Request worked
+            data: data || [],                 // The ratings array
+            count: data?.length || 0          // How many ratings
         });
     } catch (error) {
         // If something went wrong, send error response
-        console.error('Error deleting rating:', error);
+        console.error('Error getting user ratings:', error);
         res.status(500).json({ 
             success: false, 
-            error: 'Failed to delete rating' 
+            error: 'Failed to get user ratings'
+        });
+    }
+});
+
+// Get user's rating for a specific movie/TV show (protected route)
+app.get('/api/ratings/:media_type/:media_id', requireAuth, async (req, res) => {
+    try {
+        const identity = parseMediaIdentity(req.params.media_type, req.params.media_id);
+        
+        if (!identity) {
+            return res.status(400).json({
+                success: false,
+                error: INVALID_IDENTITY_ERROR
+            });
+        }
+        
+        const { media_id, media_type } = identity;
+        console.log(`⭐ Getting rating for ${media_type} ${media_id} by user: ${req.user.id}`);
+        
+        // Use supabaseAdmin to bypass RLS
+        const { data, error } = await supabaseAdmin
+            .from('ratings')
+            .select('*')
+            .eq('user_id', req.user.id)
+            .eq('media_type', media_type)
+            .eq('media_id', media_id)
+            .single();
+        
+        if (error && error.code !== 'PGRST116') {
+            throw error;
+        }
+        
+        // Include the written review (if any) so the rating modal can show it
+        const review = data ? await getUserReview(req.user.id, identity) : null;
+        
+        res.json({ 
+            success: true, 
+            data: data ? { ...data, review } : null,
+            hasRating: !!data 
+        });
+    } catch (error) {
+        console.error('Error getting user rating:', error);
+        res.status(500).json({ 
+            success: false, 
+            error: 'Failed to get user rating' 
+        });
+    }
+});
+
+app.post('/api/ratings', requireAuth, async (req, res) => {
+    try {
+        const { rating } = req.body;
+        
+        if (!req.body.media_id || !req.body.media_type || !rating) {
+            return res.status(400).json({
+                success: false,
+                error: 'media_id, media_type, and rating are required'
+            });
+        }
+        
+        const identity = parseMediaIdentity(req.body.media_type, req.body.media_id);
+        
+        if (!identity) {
+            return res.status(400).json({
+                success: false,
+                error: INVALID_IDENTITY_ERROR
+            });
+        }
+        
+        if (rating < 1 || rating > 10) {
+            return res.status(400).json({
+                success: false,
+                error: 'Rating must be between 1 and 10'
+            });
+        }
+        
+        const { media_id, media_type } = identity;
+        console.log(`⭐ Submitting rating: ${rating}/10 for ${media_type} ${media_id} by user ${req.user.id}`);
+        
+        // Use supabaseAdmin to bypass RLS
+        // One rating per user per title - (media_type, media_id) together identify the title
+        const { data, error } = await supabaseAdmin
+            .from('ratings')
+            .upsert([{
+                user_id: req.user.id,
+                media_id: media_id,
+                media_type: media_type,
+                rating: rating,
+                updated_at: new Date().toISOString()
+            }], {
+                onConflict: 'user_id,media_type,media_id'
+            });
+        
+        if (error) {
+            throw error;
+        }
+        
+        // Keep every change so the Ratings page can show how it moved over time
+        await recordRatingChange(req.user.id, identity, rating, 'rating');
+        
+        res.json({ 
+            success: true, 
+            message: 'Rating submitted successfully!',
+            data: data
+        });
+    } catch (error) {
+        console.error('Error submitting rating:', error);
+        res.status(500).json({ 
+            success: false, 
+            error: 'Failed to submit rating' 
+        });
+    }
+});
+
+app.get('/api/ratings/:media_type/:media_id/average', async (req, res) => {
+    try {
+        const identity = parseMediaIdentity(req.params.media_type, req.params.media_id);
+        
+        if (!identity) {
+            return res.status(400).json({
+                success: false,
+                error: INVALID_IDENTITY_ERROR
+            });
+        }
+        
+        const { media_id, media_type } = identity;
+        console.log(`📊 Getting average rating for ${media_type} ${media_id}`);
+        
+        // Use supabaseAdmin for consistency
+        const { data, error } = await supabaseAdmin
+            .from('ratings')
+            .select('rating')
+            .eq('media_type', media_type)
+            .eq('media_id', media_id);
+        
+        if (error) {
+            throw error;
+        }
+        
+        if (data && data.length > 0) {
+            const totalRating = data.reduce((sum, item) => sum + item.rating, 0);
+            const averageRating = totalRating / data.length;
+            
+            res.json({
+                success: true,
+                data: {
+                    average: Math.round(averageRating * 10) / 10,
+                    count: data.length
+                }
+            });
+        } else {
+            res.json({
+                success: true,
+                data: {
+                    average: null,
+                    count: 0
+                }
+            });
+        }
+    } catch (error) {
+        console.error('Error getting average rating:', error);
+        res.status(500).json({ 
+            success: false, 
+            error: 'Failed to get average rating' 
+        });
+    }
+});
+
+// Delete a user's rating for a specific movie/TV show (protected route)
+app.delete('/api/ratings/:media_type/:media_id', requireAuth, async (req, res) => {
+    try {
+        const identity = parseMediaIdentity(req.params.media_type, req.params.media_id);
+        
+        if (!identity) {
+            return res.status(400).json({
+                success: false,
+                error: INVALID_IDENTITY_ERROR
+            });
+        }
+        
+        const { media_id, media_type } = identity;
+        
+        // Log which user is deleting their rating
+        console.log(`🗑️ Deleting rating for ${media_type} ${media_id} by user: ${req.user.id}`);
+        
+        // Use supabaseAdmin to bypass RLS and delete the rating
+        const { data, error } = await supabaseAdmin
+            .from('ratings')                              // From ratings table
+            .delete()                                     // Delete operation
+            .eq('user_id', req.user.id)                   // Only this user's rating
+            .eq('media_type', media_type)                 // Movie or TV show
+            .eq('media_id', media_id);                    // For this specific media
+        
+        // If database error, throw it
+        if (error) {
+            throw error;
+        }
+        
+        // A review belongs to its rating - remove it too
+        await deleteReview(req.user.id, identity);
+        
+        // Log success
+        console.log(`🗑️ Successfully deleted rating for ${media_type} ${media_id} by user ${req.user.id}`);
+        
+        // Send success response
+        res.json({ 
+            success: true, 
+            message: 'Rating deleted successfully!'
+        });
+    } catch (error) {
+        // If something went wrong, send error response
+        console.error('Error deleting rating:', error);
+        res.status(500).json({ 
+            success: false, 
+            error: 'Failed to delete rating' 
+        });
+    }
+});
+
+// Get the user's rating history for one title, oldest first (protected route)
+app.get('/api/ratings/:media_type/:media_id/history', requireAuth, async (req, res) => {
+    try {
+        const identity = parseMediaIdentity(req.params.media_type, req.params.media_id);
+        
+        if (!identity) {
+            return res.status(400).json({
+                success: false,
+                error: INVALID_IDENTITY_ERROR
+            });
+        }
+        
+        console.log(`📈 Getting rating history for ${identity.media_type} ${identity.media_id} by user: ${req.user.id}`);
+        
+        const history = await getRatingHistory(req.user.id, identity);
+        
+        res.json({ success: true, data: history });
+    } catch (error) {
+        console.error('Error getting rating history:', error);
+        res.status(500).json({ 
+            success: false, 
+            error: 'Failed to get rating history' 
+        });
+    }
+});
+
+// ===============================================
+// REVIEW ROUTES - written reviews attached to ratings
+// ===============================================
+
+// Get every review of a title (public route - logged-in users also see what they liked)
+// Optional query: ?sort=recent (default) or ?sort=likes
+app.get('/api/ratings/:media_type/:media_id/reviews', optionalAuth, async (req, res) => {
+    try {
+        const identity = parseMediaIdentity(req.params.media_type, req.params.media_id);
+        
+        if (!identity) {
+            return res.status(400).json({
+                success: false,
+                error: INVALID_IDENTITY_ERROR
+            });
+        }
+        
+        const sort = req.query.sort || 'recent';
+        
+        if (!REVIEW_SORTS.includes(sort)) {
+            return res.status(400).json({
+                success: false,
+                error: `sort must be one of: ${REVIEW_SORTS.join(', ')}`
+            });
+        }
+        
+        console.log(`📝 Getting reviews for ${identity.media_type} ${identity.media_id} (${sort})`);
+        
+        const reviews = await listTitleReviews(identity, { sort, viewerId: req.user?.id });
+        
+        res.json({ success: true, data: reviews, count: reviews.length });
+    } catch (error) {
+        console.error('Error getting reviews:', error);
+        res.status(500).json({ 
+            success: false, 
+            error: 'Failed to get reviews' 
+        });
+    }
+});
+
+// Write or edit the user's review of a title - they must have rated it first (protected route)
+// Body: review (text), contains_spoilers (optional boolean)
+app.put('/api/ratings/:media_type/:media_id/review', requireAuth, async (req, res) => {
+    try {
+        const identity = parseMediaIdentity(req.params.media_type, req.params.media_id);
+        
+        if (!identity) {
+            return res.status(400).json({
+                success: false,
+                error: INVALID_IDENTITY_ERROR
+            });
+        }
+        
+        const { value, error: validationError } = validateReviewInput(req.body);
+        
+        if (validationError) {
+            return res.status(400).json({ success: false, error: validationError });
+        }
+        
+        console.log(`📝 Saving review for ${identity.media_type} ${identity.media_id} by user ${req.user.id}`);
+        
+        const review = await saveReview(req.user, identity, value);
+        
+        if (!review) {
+            return res.status(400).json({
+                success: false,
+                error: 'Rate this title before writing a review'
+            });
+        }
+        
+        res.json({ 
+            success: true, 
+            message: 'Review saved!',
+            data: review 
+        });
+    } catch (error) {
+        console.error('Error saving review:', error);
+        res.status(500).json({ 
+            success: false, 
+            error: 'Failed to save review' 
+        });
+    }
+});
+
+// Delete the user's review of a title - the rating stays (protected route)
+app.delete('/api/ratings/:media_type/:media_id/review', requireAuth, async (req, res) => {
+    try {
+        const identity = parseMediaIdentity(req.params.media_type, req.params.media_id);
+        
+        if (!identity) {
+            return res.status(400).json({
+                success: false,
+                error: INVALID_IDENTITY_ERROR
+            });
+        }
+        
+        console.log(`🗑️ Deleting review for ${identity.media_type} ${identity.media_id} by user ${req.user.id}`);
+        
+        const deleted = await deleteReview(req.user.id, identity);
+        
+        if (!deleted) {
+            return res.status(404).json({ success: false, error: 'Review not found' });
+        }
+        
+        res.json({ success: true, message: 'Review deleted!' });
+    } catch (error) {
+        console.error('Error deleting review:', error);
+        res.status(500).json({ 
+            success: false, 
+            error: 'Failed to delete review' 
+        });
+    }
+});
+
+// Like / unlike a review (protected routes)
+const handleReviewLike = (liked) => async (req, res) => {
+    try {
+        if (!/^\d+$/.test(req.params.id)) {
+            return res.status(400).json({ success: false, error: 'Invalid review ID' });
+        }
+        
+        console.log(`${liked ? '❤️ Liking' : '💔 Unliking'} review ${req.params.id} for user ${req.user.id}`);
+        
+        const result = await setReviewLiked(req.user.id, req.params.id, liked);
+        
+        if (result === null) {
+            return res.status(404).json({ success: false, error: 'Review not found' });
+        }
+        if (result === 'own') {
+            return res.status(400).json({ success: false, error: "You can't like your own review" });
+        }
+        
+        res.json({ success: true, data: result });
+    } catch (error) {
+        console.error('Error updating review like:', error);
+        res.status(500).json({ 
+            success: false, 
+            error: 'Failed to update like' 
+        });
+    }
+};
+
+app.post('/api/reviews/:id/like', requireAuth, handleReviewLike(true));
+app.delete('/api/reviews/:id/like', requireAuth, handleReviewLike(false));
+
+// ===============================================
+// WATCH DIARY ROUTES - Protected Routes
+// ===============================================
+
+// Get the user's diary, newest viewing first (protected route)
+// Optional query: ?year=2024&month=5 or ?media_type=movie&media_id=550
+app.get('/api/diary', requireAuth, async (req, res) => {
+    try {
+        const { year, month, media_type, media_id } = req.query;
+        const filters = {};
+        
+        if (year !== undefined) {
+            if (!/^\d{4}$/.test(year)) {
+                return res.status(400).json({ success: false, error: 'year must be a 4 digit year' });
+            }
+            filters.year = Number(year);
+        }
+        
+        if (month !== undefined) {
+            const monthNumber = Number(month);
+            if (!filters.year || !Number.isInteger(monthNumber) || monthNumber < 1 || monthNumber > 12) {
+                return res.status(400).json({ success: false, error: 'month must be 1-12 and needs a year' });
+            }
+            filters.month = monthNumber;
+        }
+        
+        if (media_type !== undefined || media_id !== undefined) {
+            const identity = parseMediaIdentity(media_type, media_id);
+            if (!identity) {
+                return res.status(400).json({ success: false, error: INVALID_IDENTITY_ERROR });
+            }
+            Object.assign(filters, identity);
+        }
+        
+        console.log(`📔 Getting diary for user: ${req.user.id}`);
+        
+        const entries = await listDiaryEntries(req.user.id, filters);
+        
+        res.json({ success: true, data: entries, count: entries.length });
+    } catch (error) {
+        console.error('Error getting diary:', error);
+        res.status(500).json({ 
+            success: false, 
+            error: 'Failed to get diary' 
+        });
+    }
+});
+
+// Log a viewing (protected route)
+// Body: media_type, media_id, watched_on (defaults to today), rating?, rewatch?, review?, tags?
+app.post('/api/diary', requireAuth, async (req, res) => {
+    try {
+        const identity = parseMediaIdentity(req.body.media_type, req.body.media_id);
+        
+        if (!identity) {
+            return res.status(400).json({
+                success: false,
+                error: INVALID_IDENTITY_ERROR
+            });
+        }
+        
+        const { value, error: validationError } = validateDiaryInput(req.body);
+        
+        if (validationError) {
+            return res.status(400).json({ success: false, error: validationError });
+        }
+        
+        console.log(`📔 Logging ${identity.media_type} ${identity.media_id} on ${value.watched_on} for user ${req.user.id}`);
+        
+        const entry = await createDiaryEntry(req.user.id, identity, value);
+        
+        if (!entry) {
+            return res.status(404).json({ success: false, error: 'Title not found' });
+        }
+        
+        res.status(201).json({ 
+            success: true, 
+            message: 'Logged to your diary!',
+            data: entry 
+        });
+    } catch (error) {
+        console.error('Error logging diary entry:', error);
+        res.status(500).json({ 
+            success: false, 
+            error: 'Failed to log diary entry' 
+        });
+    }
+});
+
+// Edit a diary entry - only the fields sent are changed (protected route)
+app.patch('/api/diary/:id', requireAuth, async (req, res) => {
+    try {
+        if (!/^\d+$/.test(req.params.id)) {
+            return res.status(400).json({ success: false, error: 'Invalid diary entry ID' });
+        }
+        
+        const { value, error: validationError } = validateDiaryInput(req.body, { partial: true });
+        
+        if (validationError) {
+            return res.status(400).json({ success: false, error: validationError });
+        }
+        
+        if (Object.keys(value).length === 0) {
+            return res.status(400).json({ success: false, error: 'Nothing to update' });
+        }
+        
+        console.log(`✏️ Updating diary entry ${req.params.id} for user ${req.user.id}`);
+        
+        const entry = await updateDiaryEntry(req.user.id, req.params.id, value);
+        
+        if (!entry) {
+            return res.status(404).json({ success: false, error: 'Diary entry not found' });
+        }
+        
+        res.json({ success: true, data: entry });
+    } catch (error) {
+        console.error('Error updating diary entry:', error);
+        res.status(500).json({ 
+            success: false, 
+            error: 'Failed to update diary entry' 
+        });
+    }
+});
+
+// Delete a diary entry (protected route)
+app.delete('/api/diary/:id', requireAuth, async (req, res) => {
+    try {
+        if (!/^\d+$/.test(req.params.id)) {
+            return res.status(400).json({ success: false, error: 'Invalid diary entry ID' });
+        }
+        
+        console.log(`🗑️ Deleting diary entry ${req.params.id} for user ${req.user.id}`);
+        
+        const deleted = await deleteDiaryEntry(req.user.id, req.params.id);
+        
+        if (!deleted) {
+            return res.status(404).json({ success: false, error: 'Diary entry not found' });
+        }
+        
+        res.json({ success: true, message: 'Diary entry deleted!' });
+    } catch (error) {
+        console.error('Error deleting diary entry:', error);
+        res.status(500).json({ 
+            success: false, 
+            error: 'Failed to delete diary entry' 
+        });
+    }
+});
+
+// ===============================================
+// CUSTOM LIST ROUTES - writes are protected, public lists can be read by anyone
+// ===============================================
+
+// Check the :id / :itemId params of the list routes - returns an error message or null
+const getListParamsError = (params) => {
+    if (!/^\d+$/.test(params.id)) return 'Invalid list ID';
+    if (params.itemId !== undefined && !/^\d+$/.test(params.itemId)) return 'Invalid list item ID';
+    return null;
+};
+
+// Get the user's lists (protected route)
+// Optional query: ?media_type=movie&media_id=550 adds title_item_id to each list (for "Add to list")
+app.get('/api/lists', requireAuth, async (req, res) => {
+    try {
+        const { media_type, media_id } = req.query;
+        let identity = null;
+        
+        if (media_type !== undefined || media_id !== undefined) {
+            identity = parseMediaIdentity(media_type, media_id);
+            if (!identity) {
+                return res.status(400).json({ success: false, error: INVALID_IDENTITY_ERROR });
+            }
+        }
+        
+        console.log(`📋 Getting lists for user: ${req.user.id}`);
+        
+        const lists = await getUserLists(req.user.id, identity);
+        
+        res.json({ success: true, data: lists, count: lists.length });
+    } catch (error) {
+        console.error('Error getting lists:', error);
+        res.status(500).json({ 
+            success: false, 
+            error: 'Failed to get lists' 
+        });
+    }
+});
+
+// Create a list (protected route)
+// Body: name, description?, is_public?
+app.post('/api/lists', requireAuth, async (req, res) => {
+    try {
+        const { value, error: validationError } = validateListInput(req.body);
+        
+        if (validationError) {
+            return res.status(400).json({ success: false, error: validationError });
+        }
+        
+        console.log(`📋 Creating list "${value.name}" for user ${req.user.id}`);
+        
+        const list = await createList(req.user, value);
+        
+        res.status(201).json({ 
+            success: true, 
+            message: 'List created!',
+            data: list 
+        });
+    } catch (error) {
+        console.error('Error creating list:', error);
+        res.status(500).json({ 
+            success: false, 
+            error: 'Failed to create list' 
+        });
+    }
+});
+
+// Get one list with its items - public lists for anyone, private ones only for the owner
+app.get('/api/lists/:id', optionalAuth, async (req, res) => {
+    try {
+        const paramsError = getListParamsError(req.params);
+        if (paramsError) {
+            return res.status(400).json({ success: false, error: paramsError });
+        }
+        
+        console.log(`📋 Getting list ${req.params.id}`);
+        
+        const list = await getListForViewer(req.params.id, req.user?.id || null);
+        
+        // Private lists look the same as missing ones to everyone but the owner
+        if (!list) {
+            return res.status(404).json({ success: false, error: 'List not found' });
+        }
+        
+        res.json({ success: true, data: list });
+    } catch (error) {
+        console.error('Error getting list:', error);
+        res.status(500).json({ 
+            success: false, 
+            error: 'Failed to get list' 
+        });
+    }
+});
+
+// Edit a list's name, description or public flag (protected route)
+app.patch('/api/lists/:id', requireAuth, async (req, res) => {
+    try {
+        const paramsError = getListParamsError(req.params);
+        if (paramsError) {
+            return res.status(400).json({ success: false, error: paramsError });
+        }
+        
+        const { value, error: validationError } = validateListInput(req.body, { partial: true });
+        
+        if (validationError) {
+            return res.status(400).json({ success: false, error: validationError });
+        }
+        
+        if (Object.keys(value).length === 0) {
+            return res.status(400).json({ success: false, error: 'Nothing to update' });
+        }
+        
+        console.log(`✏️ Updating list ${req.params.id} for user ${req.user.id}`);
+        
+        const list = await updateList(req.user.id, req.params.id, value);
+        
+        if (!list) {
+            return res.status(404).json({ success: false, error: 'List not found' });
+        }
+        
+        res.json({ success: true, data: list });
+    } catch (error) {
+        console.error('Error updating list:', error);
+        res.status(500).json({ 
+            success: false, 
+            error: 'Failed to update list' 
+        });
+    }
+});
+
+// Delete a list and everything in it (protected route)
+app.delete('/api/lists/:id', requireAuth, async (req, res) => {
+    try {
+        const paramsError = getListParamsError(req.params);
+        if (paramsError) {
+            return res.status(400).json({ success: false, error: paramsError });
+        }
+        
+        console.log(`🗑️ Deleting list ${req.params.id} for user ${req.user.id}`);
+        
+        const deleted = await deleteList(req.user.id, req.params.id);
+        
+        if (!deleted) {
+            return res.status(404).json({ success: false, error: 'List not found' });
+        }
+        
+        res.json({ success: true, message: 'List deleted' });
+    } catch (error) {
+        console.error('Error deleting list:', error);
+        res.status(500).json({ 
+            success: false, 
+            error: 'Failed to delete list' 
+        });
+    }
+});
+
+// Add a title to the end of a list (protected route)
+// Body: media_type, media_id, note?
+app.post('/api/lists/:id/items', requireAuth, async (req, res) => {
+    try {
+        const paramsError = getListParamsError(req.params);
+        if (paramsError) {
+            return res.status(400).json({ success: false, error: paramsError });
+        }
+        
+        const identity = parseMediaIdentity(req.body.media_type, req.body.media_id);
+        
+        if (!identity) {
+            return res.status(400).json({ success: false, error: INVALID_IDENTITY_ERROR });
+        }
+        
+        const { value: note, error: noteError } = validateItemNote(req.body.note);
+        
+        if (noteError) {
+            return res.status(400).json({ success: false, error: noteError });
+        }
+        
+        console.log(`📋 Adding ${identity.media_type} ${identity.media_id} to list ${req.params.id}`);
+        
+        const item = await addListItem(req.user.id, req.params.id, identity, note);
+        
+        if (item === null) {
+            return res.status(404).json({ success: false, error: 'List not found' });
+        }
+        
+        if (item === 'missing') {
+            return res.status(404).json({ success: false, error: 'Title not found' });
+        }
+        
+        if (item === 'duplicate') {
+            return res.status(409).json({ success: false, error: 'That title is already in this list' });
+        }
+        
+        res.status(201).json({ 
+            success: true, 
+            message: 'Added to list!',
+            data: item 
+        });
+    } catch (error) {
+        console.error('Error adding list item:', error);
+        res.status(500).json({ 
+            success: false, 
+            error: 'Failed to add to list' 
+        });
+    }
+});
+
+// Edit an item's note (protected route)
+// Body: note (empty clears it)
+app.patch('/api/lists/:id/items/:itemId', requireAuth, async (req, res) => {
+    try {
+        const paramsError = getListParamsError(req.params);
+        if (paramsError) {
+            return res.status(400).json({ success: false, error: paramsError });
+        }
+        
+        const { value: note, error: noteError } = validateItemNote(req.body.note);
+        
+        if (noteError) {
+            return res.status(400).json({ success: false, error: noteError });
+        }
+        
+        const item = await updateListItem(req.user.id, req.params.id, req.params.itemId, note);
+        
+        if (!item) {
+            return res.status(404).json({ success: false, error: 'List item not found' });
+        }
+        
+        res.json({ success: true, data: item });
+    } catch (error) {
+        console.error('Error updating list item:', error);
+        res.status(500).json({ 
+            success: false, 
+            error: 'Failed to update list item' 
+        });
+    }
+});
+
+// Remove an item from a list (protected route)
+app.delete('/api/lists/:id/items/:itemId', requireAuth, async (req, res) => {
+    try {
+        const paramsError = getListParamsError(req.params);
+        if (paramsError) {
+            return res.status(400).json({ success: false, error: paramsError });
+        }
+        
+        console.log(`🗑️ Removing item ${req.params.itemId} from list ${req.params.id}`);
+        
+        const removed = await removeListItem(req.user.id, req.params.id, req.params.itemId);
+        
+        if (!removed) {
+            return res.status(404).json({ success: false, error: 'List item not found' });
+        }
+        
+        res.json({ success: true, message: 'Removed from list' });
+    } catch (error) {
+        console.error('Error removing list item:', error);
+        res.status(500).json({ 
+            success: false, 
+            error: 'Failed to remove from list' 
+        });
+    }
+});
+
+// Save a new item order after drag-to-reorder (protected route)
+// Body: item_ids - every item id in the list, in the new order
+app.put('/api/lists/:id/order', requireAuth, async (req, res) => {
+    try {
+        const paramsError = getListParamsError(req.params);
+        if (paramsError) {
+            return res.status(400).json({ success: false, error: paramsError });
+        }
+        
+        const { item_ids } = req.body;
+        
+        if (!Array.isArray(item_ids) || item_ids.some(id => !/^\d+$/.test(String(id)))) {
+            return res.status(400).json({ success: false, error: 'item_ids must be a list of item IDs' });
+        }
+        
+        console.log(`↕️ Reordering list ${req.params.id} for user ${req.user.id}`);
+        
+        const result = await reorderListItems(req.user.id, req.params.id, item_ids);
+        
+        if (!result) {
+            return res.status(404).json({ success: false, error: 'List not found' });
+        }
+        
+        if (result.error) {
+            return res.status(400).json({ success: false, error: result.error });
+        }
+        
+        res.json({ success: true, data: result });
+    } catch (error) {
+        console.error('Error reordering list:', error);
+        res.status(500).json({ 
+            success: false, 
+            error: 'Failed to reorder list' 
+        });
+    }
+});
+
+// ===============================================
+// IMPORT ROUTES - Protected Routes
+// ===============================================
+
+// Import Letterboxd / IMDb CSV exports (protected route)
+// Body: files [{ name, content }], dry_run (default true), resolutions { "0:12": { media_type, media_id } | null }
+// Dry run returns the matched / ambiguous / unmatched report without saving anything
+app.post('/api/import', requireAuth, async (req, res) => {
+    try {
+        const { files, dry_run = true, resolutions = {} } = req.body;
+        
+        if (!Array.isArray(files) || files.length === 0 ||
+            files.some(file => !file || typeof file.content !== 'string')) {
+            return res.status(400).json({
+                success: false,
+                error: 'files must be a list of { name, content } CSV files'
+            });
+        }
+        
+        if (typeof dry_run !== 'boolean' || typeof resolutions !== 'object' || resolutions === null) {
+            return res.status(400).json({
+                success: false,
+                error: 'dry_run must be true or false and resolutions must be an object'
+            });
+        }
+        
+        console.log(`📥 ${dry_run ? 'Previewing' : 'Running'} import of ${files.length} file(s) for user ${req.user.id}`);
+        
+        const report = await runImport(req.user.id, { files, dryRun: dry_run, resolutions });
+        
+        if (report.error) {
+            return res.status(400).json({ success: false, error: report.error });
+        }
+        
+        console.log(`📥 Import ${dry_run ? 'preview' : 'done'}: ${report.summary.matched}/${report.summary.total} matched`);
+        
+        res.json({ success: true, data: report });
+    } catch (error) {
+        console.error('Error importing CSV:', error);
+        res.status(500).json({ 
+            success: false, 
+            error: 'Failed to import files' 
+        });
+    }
+});
+
+// ===============================================
+// ACCOUNT EXPORT ROUTE - Protected Route
+// ===============================================
+
+// GET /api/export - Download everything the user has saved as a zip
+// (JSON for every list + Letterboxd-compatible CSVs, enriched with titles, years and IMDb ids)
+app.get('/api/export', requireAuth, async (req, res) => {
+    try {
+        console.log(`💾 Exporting account data for user ${req.user.id}`);
+        
+        const date = new Date().toISOString().slice(0, 10);
+        res.attachment(`aryflix-export-${date}.zip`);
+        res.type('application/zip');
+        
+        const counts = await streamAccountExport(req.user, res);
+        
+        console.log(`💾 Export done: ${counts.ratings} ratings, ${counts.watchlist} watchlist, ${counts.diary} diary entries`);
+    } catch (error) {
+        console.error('Error exporting account data:', error);
+        // Once the zip has started streaming the status can't change - just end it
+        if (res.headersSent) {
+            return res.end();
+        }
+        res.removeHeader('Content-Disposition');
+        res.status(500).json({ 
+            success: false, 
+            error: 'Failed to export account data' 
+        });
+    }
+});
+
+// ===============================================
+// RECOMMENDATION ROUTE - Protected Route
+// ===============================================
+
+// GET /api/recommendations?limit=20 - Titles picked for the user from their ratings + watchlist
+// Every item has a "because" title it was found through ("Because you rated X")
+app.get('/api/recommendations', requireAuth, async (req, res) => {
+    try {
+        const { limit } = req.query;
+        
+        if (limit !== undefined && (!/^\d+$/.test(limit) || Number(limit) < 1 || Number(limit) > MAX_RECOMMENDATIONS)) {
+            return res.status(400).json({
+                success: false,
+                error: `limit must be between 1 and ${MAX_RECOMMENDATIONS}`
+            });
+        }
+        
+        console.log(`✨ Building recommendations for user ${req.user.id}`);
+        
+        const recommendations = await getRecommendations(
+            req.user.id,
+            limit === undefined ? DEFAULT_RECOMMENDATIONS : Number(limit),
+            req.locale
+        );
+        
+        res.json({ success: true, data: recommendations });
+    } catch (error) {
+        console.error('Error getting recommendations:', error);
+        res.status(500).json({ 
+            success: false, 
+            error: 'Failed to get recommendations' 
+        });
+    }
+});
+
+// ===============================================
+// RELEASE CALENDAR ROUTES
+// ===============================================
+
+// Feed URL for a token - built from this request's host so it works behind any domain
+const getCalendarFeedUrl = (req, token) => `${req.protocol}://${req.get('host')}/api/calendar/${token}.ics`;
+
+// GET /api/calendar?month=2026-10 - Release dates of watchlisted titles in one month (protected route)
+// Movies: theatrical + digital releases, TV: the next episode to air. Defaults to the current month
+app.get('/api/calendar', requireAuth, async (req, res) => {
+    try {
+        const month = req.query.month ?? new Date().toISOString().slice(0, 7);
+        
+        if (!/^\d{4}-(0[1-9]|1[0-2])$/.test(month)) {
+            return res.status(400).json({ success: false, error: 'month must look like 2026-10' });
+        }
+        
+        console.log(`📅 Getting release calendar ${month} for user ${req.user.id}`);
+        
+        const events = await getMonthEvents(req.user.id, month, req.locale);
+        
+        res.json({ success: true, data: { month: month, events: events } });
+    } catch (error) {
+        console.error('Error getting release calendar:', error);
+        res.status(500).json({ 
+            success: false, 
+            error: 'Failed to get release calendar' 
+        });
+    }
+});
+
+// GET /api/calendar/feed - The user's secret iCal feed URL, created on first use (protected route)
+app.get('/api/calendar/feed', requireAuth, async (req, res) => {
+    try {
+        const token = await getOrCreateFeedToken(req.user.id);
+        
+        res.json({ success: true, data: { url: getCalendarFeedUrl(req, token) } });
+    } catch (error) {
+        console.error('Error getting calendar feed:', error);
+        res.status(500).json({ 
+            success: false, 
+            error: 'Failed to get calendar feed' 
+        });
+    }
+});
+
+// POST /api/calendar/feed/reset - New feed URL, the old one stops working (protected route)
+app.post('/api/calendar/feed/reset', requireAuth, async (req, res) => {
+    try {
+        console.log(`📅 Resetting calendar feed for user ${req.user.id}`);
+        
+        const token = await resetFeedToken(req.user.id);
+        
+        res.json({ success: true, data: { url: getCalendarFeedUrl(req, token) } });
+    } catch (error) {
+        console.error('Error resetting calendar feed:', error);
+        res.status(500).json({ 
+            success: false, 
+            error: 'Failed to reset calendar feed' 
+        });
+    }
+});
+
+// GET /api/calendar/:token.ics - The iCal feed calendar apps subscribe to
+// Calendar apps can't log in, so the secret token in the URL identifies the user
+app.get('/api/calendar/:token.ics', async (req, res) => {
+    try {
+        const { token } = req.params;
+        
+        // Tokens are 48 hex characters - anything else can't be a feed
+        const userId = /^[a-f0-9]{48}$/.test(token) ? await getUserIdForFeedToken(token) : null;
+        
+        if (!userId) {
+            return res.status(404).json({ success: false, error: 'Calendar feed not found' });
+        }
+        
+        const events = await getFeedEvents(userId);
+        
+        console.log(`📅 Serving calendar feed with ${events.length} events`);
+        
+        res.type('text/calendar; charset=utf-8');
+        res.send(buildICalendar(events));
+    } catch (error) {
+        console.error('Error building calendar feed:', error);
+        res.status(500).json({ 
+            success: false, 
+            error: 'Failed to build calendar feed' 
+        });
+    }
+});
+
+// ===============================================
+// MY STREAMING SERVICES ROUTES
+// ===============================================
+
+// GET /api/services/regions - Countries TMDB has streaming data for (public)
+app.get('/api/services/regions', async (req, res) => {
+    try {
+        const regions = await getWatchRegions();
+        
+        res.json({ success: true, data: regions });
+    } catch (error) {
+        console.error('Error getting watch regions:', error);
+        res.status(500).json({ 
+            success: false, 
+            error: 'Failed to get regions' 
+        });
+    }
+});
+
+// GET /api/services/catalog?region=US - Every streaming service in a country, for the picker (public)
+app.get('/api/services/catalog', async (req, res) => {
+    try {
+        const region = (req.query.region || 'US').toUpperCase();
+        
+        if (!/^[A-Z]{2}$/.test(region)) {
+            return res.status(400).json({ success: false, error: 'region must be a two-letter country code like US' });
+        }
+        
+        const providers = await getStreamingServiceCatalog(region);
+        
+        res.json({ success: true, data: { region: region, providers: providers } });
+    } catch (error) {
+        console.error('Error getting streaming service catalog:', error);
+        res.status(500).json({ 
+            success: false, 
+            error: 'Failed to get streaming services' 
+        });
+    }
+});
+
+// GET /api/services - The user's services + region (protected route)
+app.get('/api/services', requireAuth, async (req, res) => {
+    try {
+        const services = await getUserServices(req.user.id);
+        
+        res.json({ success: true, data: services });
+    } catch (error) {
+        console.error('Error getting streaming services:', error);
+        res.status(500).json({ 
+            success: false, 
+            error: 'Failed to get your streaming services' 
+        });
+    }
+});
+
+// PUT /api/services - Replace the user's services (protected route)
+// Body: { region: 'US', provider_ids: [8, 1899] }
+app.put('/api/services', requireAuth, async (req, res) => {
+    try {
+        const { value, error: validationError } = validateServices(req.body);
+        
+        if (validationError) {
+            return res.status(400).json({ success: false, error: validationError });
+        }
+        
+        console.log(`📡 Saving ${value.provider_ids.length} streaming services (${value.region}) for user ${req.user.id}`);
+        
+        const services = await saveUserServices(req.user.id, value);
+        
+        res.json({ success: true, data: services });
+    } catch (error) {
+        console.error('Error saving streaming services:', error);
+        res.status(500).json({ 
+            success: false, 
+            error: 'Failed to save your streaming services' 
+        });
+    }
+});
+
+// POST /api/services/availability - Which of the user's services carry each title (protected route)
+// Body: { titles: [{ media_type, id }] } - returns [{ media_type, id, providers }] in the same order
+app.post('/api/services/availability', requireAuth, async (req, res) => {
+    try {
+        const { titles } = req.body || {};
+        
+        if (!Array.isArray(titles) || titles.length === 0) {
+            return res.status(400).json({
+                success: false,
+                error: 'titles must be a non-empty array of { media_type, id }'
+            });
+        }
+        
+        if (titles.length > MAX_AVAILABILITY_TITLES) {
+            return res.status(400).json({
+                success: false,
+                error: `At most ${MAX_AVAILABILITY_TITLES} titles per request`
+            });
+        }
+        
+        const identities = titles.map(title => parseMediaIdentity(title?.media_type, title?.id));
+        
+        if (identities.some(identity => !identity)) {
+            return res.status(400).json({ success: false, error: INVALID_IDENTITY_ERROR });
+        }
+        
+        const services = await getUserServices(req.user.id);
+        const availability = await getAvailabilityOnServices(
+            services,
+            identities.map(identity => ({ media_type: identity.media_type, id: identity.media_id }))
+        );
+        
+        res.json({ success: true, data: availability });
+    } catch (error) {
+        console.error('Error checking availability:', error);
+        res.status(500).json({ 
+            success: false, 
+            error: 'Failed to check availability' 
+        });
+    }
+});
+
+// GET /api/services/watchlist - Watchlist titles watchable now on the user's services (protected route)
+app.get('/api/services/watchlist', requireAuth, async (req, res) => {
+    try {
+        console.log(`📡 Finding watchlist titles on the services of user ${req.user.id}`);
+        
+        const titles = await getWatchlistOnServices(req.user.id, req.locale);
+        
+        res.json({ success: true, data: titles });
+    } catch (error) {
+        console.error('Error getting watchlist on services:', error);
+        res.status(500).json({ 
+            success: false, 
+            error: 'Failed to get watchlist titles on your services' 
+        });
+    }
+});
+
+// ===============================================
+// NOTIFICATION ROUTES - Protected Routes
+// ===============================================
+
+// GET /api/notifications?limit=20 - Latest notifications + unread count for the navbar bell
+app.get('/api/notifications', requireAuth, async (req, res) => {
+    try {
+        const limit = req.query.limit === undefined ? undefined : parseInt(req.query.limit);
+        
+        if (limit !== undefined && (isNaN(limit) || limit < 1 || limit > MAX_NOTIFICATION_LIMIT)) {
+            return res.status(400).json({ 
+                success: false, 
+                error: `limit must be between 1 and ${MAX_NOTIFICATION_LIMIT}` 
+            });
+        }
+        
+        const result = await getNotifications(req.user.id, limit);
+        
+        res.json({ success: true, data: result });
+    } catch (error) {
+        console.error('Error getting notifications:', error);
+        res.status(500).json({ 
+            success: false, 
+            error: 'Failed to get notifications' 
+        });
+    }
+});
+
+// POST /api/notifications/read - Mark notifications as read
+// Body: { ids: [1, 2] } for some of them, or no ids for all of them
+app.post('/api/notifications/read', requireAuth, async (req, res) => {
+    try {
+        const { ids } = req.body || {};
+        
+        if (ids !== undefined && (!Array.isArray(ids) || !ids.every(id => Number.isInteger(id) && id > 0))) {
+            return res.status(400).json({ success: false, error: 'ids must be an array of notification ids' });
+        }
+        
+        console.log(`🔔 Marking ${ids ? ids.length : 'all'} notifications read for user ${req.user.id}`);
+        
+        const marked = await markNotificationsRead(req.user.id, ids);
+        
+        res.json({ success: true, data: { marked: marked } });
+    } catch (error) {
+        console.error('Error marking notifications read:', error);
+        res.status(500).json({ 
+            success: false, 
+            error: 'Failed to mark notifications read' 
+        });
+    }
+});
+
+// GET /api/notifications/settings - { email_digest }
+app.get('/api/notifications/settings', requireAuth, async (req, res) => {
+    try {
+        const settings = await getNotificationSettings(req.user.id);
+        
+        res.json({ success: true, data: settings });
+    } catch (error) {
+        console.error('Error getting notification settings:', error);
+        res.status(500).json({ 
+            success: false, 
+            error: 'Failed to get notification settings' 
+        });
+    }
+});
+
+// PATCH /api/notifications/settings - Body: { email_digest: true | false }
+app.patch('/api/notifications/settings', requireAuth, async (req, res) => {
+    try {
+        const { email_digest } = req.body || {};
+        
+        if (typeof email_digest !== 'boolean') {
+            return res.status(400).json({ success: false, error: 'email_digest must be true or false' });
+        }
+        
+        console.log(`🔔 Email digest ${email_digest ? 'on' : 'off'} for user ${req.user.id}`);
+        
+        const settings = await updateNotificationSettings(req.user.id, { email_digest });
+        
+        res.json({ success: true, data: settings });
+    } catch (error) {
+        console.error('Error updating notification settings:', error);
+        res.status(500).json({ 
+            success: false, 
+            error: 'Failed to update notification settings' 
+        });
+    }
+});
+
+// ===============================================
+// SHOWTIMES ROUTES
+// ===============================================
+
+// GET /api/showtimes?movie=550&near=40.75,-73.98&date=2026-10-24&days=7&radius=50 (public)
+// near: "lat,lng" (theaters within radius km) or a postal code / city name
+// Returns the movie's screenings grouped by theater (nearest first), then by date
+app.get('/api/showtimes', async (req, res) => {
+    try {
+        const { movie, date } = req.query;
+        
+        if (!/^\d+$/.test(movie || '')) {
+            return res.status(400).json({ success: false, error: 'movie must be a TMDB movie id' });
+        }
+        
+        const near = parseNear(req.query.near);
+        if (near.error) {
+            return res.status(400).json({ success: false, error: near.error });
+        }
+        
+        if (date !== undefined && !isValidDateString(date)) {
+            return res.status(400).json({ success: false, error: 'date must be a real date like 2026-10-24' });
+        }
+        
+        const days = parseBoundedInt(req.query.days, 1, MAX_DAYS, DEFAULT_DAYS);
+        if (days === null) {
+            return res.status(400).json({ success: false, error: `days must be between 1 and ${MAX_DAYS}` });
+        }
+        
+        const radiusKm = parseBoundedInt(req.query.radius, 1, MAX_RADIUS_KM, DEFAULT_RADIUS_KM);
+        if (radiusKm === null) {
+            return res.status(400).json({ success: false, error: `radius must be between 1 and ${MAX_RADIUS_KM} km` });
+        }
+        
+        console.log(`🎟️ Showtimes for movie ${movie} near "${req.query.near}"`);
+        
+        const showtimes = await getShowtimes({ movieId: movie, near: near.value, from: date, days: days, radiusKm: radiusKm });
+        
+        res.json({ success: true, data: showtimes });
+    } catch (error) {
+        console.error('Error getting showtimes:', error);
+        res.status(500).json({ 
+            success: false, 
+            error: 'Failed to get showtimes' 
+        });
+    }
+});
+
+// GET /api/showtimes/theaters?near=10036&radius=50 - Theaters near a place, nearest first (public)
+app.get('/api/showtimes/theaters', async (req, res) => {
+    try {
+        const near = parseNear(req.query.near);
+        if (near.error) {
+            return res.status(400).json({ success: false, error: near.error });
+        }
+        
+        const radiusKm = parseBoundedInt(req.query.radius, 1, MAX_RADIUS_KM, DEFAULT_RADIUS_KM);
+        if (radiusKm === null) {
+            return res.status(400).json({ success: false, error: `radius must be between 1 and ${MAX_RADIUS_KM} km` });
+        }
+        
+        const theaters = await getNearbyTheaters(near.value, radiusKm);
+        
+        res.json({ success: true, data: theaters });
+    } catch (error) {
+        console.error('Error getting theaters:', error);
+        res.status(500).json({ 
+            success: false, 
+            error: 'Failed to get theaters' 
+        });
+    }
+});
+
+// ===============================================
+// WATCH PROGRESS ROUTES - Protected Routes
+// ===============================================
+
+// Check show / season / episode params are whole numbers (season 0 = specials)
+// Returns the numbers, or null if any of them is invalid
+const parseProgressParams = (params) => {
+    const { show_id, season_number, episode_number } = params;
+    const isWholeNumber = (value) => value === undefined || /^\d+$/.test(value);
+
+    if (!/^\d+$/.test(show_id || '') || !isWholeNumber(season_number) || !isWholeNumber(episode_number)) {
+        return null;
+    }
+
+    return {
+        showId: show_id,
+        seasonNumber: season_number === undefined ? undefined : Number(season_number),
+        episodeNumber: episode_number === undefined ? undefined : Number(episode_number)
+    };
+};
+
+// Same response for every "mark watched" route
+const sendProgressResult = (res, result, notFoundMessage) => {
+    if (result === null) {
+        return res.status(404).json({ success: false, error: notFoundMessage });
+    }
+    if (result === 'upcoming') {
+        return res.status(400).json({ success: false, error: "This episode hasn't aired yet" });
+    }
+    res.json({ success: true, data: result });
+};
+
+// Get progress summaries for every show the user has started (protected route)
+app.get('/api/progress', requireAuth, async (req, res) => {
+    try {
+        console.log(`📺 Getting watch progress for user: ${req.user.id}`);
+        
+        const progress = await getAllProgress(req.user.id);
+        
+        res.json({ success: true, data: progress });
+    } catch (error) {
+        console.error('Error getting watch progress:', error);
+        res.status(500).json({ 
+            success: false, 
+            error: 'Failed to get watch progress' 
+        });
+    }
+});
+
+// Get shows with a next episode ready to watch (protected route)
+// Must stay ABOVE /api/progress/:show_id
+app.get('/api/progress/continue-watching', requireAuth, async (req, res) => {
+    try {
+        console.log(`▶️ Getting continue watching for user: ${req.user.id}`);
+        
+        const shows = await getContinueWatching(req.user.id);
+        
+        res.json({ success: true, data: shows });
+    } catch (error) {
+        console.error('Error getting continue watching:', error);
+        res.status(500).json({ 
+            success: false, 
+            error: 'Failed to get continue watching' 
+        });
+    }
+});
+
+// Get progress + watched episodes for one show (protected route)
+app.get('/api/progress/:show_id', requireAuth, async (req, res) => {
+    try {
+        const params = parseProgressParams(req.params);
+        
+        if (!params) {
+            return res.status(400).json({ success: false, error: 'Invalid show ID provided' });
+        }
+        
+        const progress = await getShowProgress(req.user.id, params.showId);
+        
+        if (!progress) {
+            return res.status(404).json({ success: false, error: 'Show not found' });
+        }
+        
+        res.json({ success: true, data: progress });
+    } catch (error) {
+        console.error('Error getting show progress:', error);
+        res.status(500).json({ 
+            success: false, 
+            error: 'Failed to get show progress' 
+        });
+    }
+});
+
+// Mark a single episode watched (protected route)
+app.post('/api/progress/:show_id/season/:season_number/episode/:episode_number', requireAuth, async (req, res) => {
+    try {
+        const params = parseProgressParams(req.params);
+        
+        if (!params) {
+            return res.status(400).json({ success: false, error: 'Invalid show, season or episode number' });
+        }
+        
+        const { showId, seasonNumber, episodeNumber } = params;
+        console.log(`✅ Marking S${seasonNumber}E${episodeNumber} of show ${showId} watched for user ${req.user.id}`);
+        
+        const result = await setEpisodeWatched(req.user.id, showId, seasonNumber, episodeNumber, true);
+        
+        sendProgressResult(res, result, 'Episode not found for this show');
+    } catch (error) {
+        console.error('Error marking episode watched:', error);
+        res.status(500).json({ 
+            success: false, 
+            error: 'Failed to mark episode watched' 
+        });
+    }
+});
+
+// Unmark a single episode (protected route)
+app.delete('/api/progress/:show_id/season/:season_number/episode/:episode_number', requireAuth, async (req, res) => {
+    try {
+        const params = parseProgressParams(req.params);
+        
+        if (!params) {
+            return res.status(400).json({ success: false, error: 'Invalid show, season or episode number' });
+        }
+        
+        const { showId, seasonNumber, episodeNumber } = params;
+        console.log(`↩️ Unmarking S${seasonNumber}E${episodeNumber} of show ${showId} for user ${req.user.id}`);
+        
+        const result = await setEpisodeWatched(req.user.id, showId, seasonNumber, episodeNumber, false);
+        
+        sendProgressResult(res, result, 'Episode not found for this show');
+    } catch (error) {
+        console.error('Error unmarking episode:', error);
+        res.status(500).json({ 
+            success: false, 
+            error: 'Failed to unmark episode' 
+        });
+    }
+});
+
+// Mark every aired episode of a season watched (protected route)
+app.post('/api/progress/:show_id/season/:season_number', requireAuth, async (req, res) => {
+    try {
+        const params = parseProgressParams(req.params);
+        
+        if (!params) {
+            return res.status(400).json({ success: false, error: 'Invalid show or season number' });
+        }
+        
+        const { showId, seasonNumber } = params;
+        console.log(`✅ Marking season ${seasonNumber} of show ${showId} watched for user ${req.user.id}`);
+        
+        const result = await setSeasonWatched(req.user.id, showId, seasonNumber, true);
+        
+        sendProgressResult(res, result, 'Season not found for this show');
+    } catch (error) {
+        console.error('Error marking season watched:', error);
+        res.status(500).json({ 
+            success: false, 
+            error: 'Failed to mark season watched' 
+        });
+    }
+});
+
+// Unmark a whole season (protected route)
+app.delete('/api/progress/:show_id/season/:season_number', requireAuth, async (req, res) => {
+    try {
+        const params = parseProgressParams(req.params);
+        
+        if (!params) {
+            return res.status(400).json({ success: false, error: 'Invalid show or season number' });
+        }
+        
+        const { showId, seasonNumber } = params;
+        console.log(`↩️ Unmarking season ${seasonNumber} of show ${showId} for user ${req.user.id}`);
+        
+        const result = await setSeasonWatched(req.user.id, showId, seasonNumber, false);
+        
+        sendProgressResult(res, result, 'Season not found for this show');
+    } catch (error) {
+        console.error('Error unmarking season:', error);
+        res.status(500).json({ 
+            success: false, 
+            error: 'Failed to unmark season' 
+        });
+    }
+});
+
+// Mark everything up to (and including) an episode watched (protected route)
+app.post('/api/progress/:show_id/up-to/season/:season_number/episode/:episode_number', requireAuth, async (req, res) => {
+    try {
+        const params = parseProgressParams(req.params);
+        
+        if (!params) {
+            return res.status(400).json({ success: false, error: 'Invalid show, season or episode number' });
+        }
+        
+        const { showId, seasonNumber, episodeNumber } = params;
+        console.log(`⏩ Marking show ${showId} watched up to S${seasonNumber}E${episodeNumber} for user ${req.user.id}`);
+        
+        const result = await setWatchedUpTo(req.user.id, showId, seasonNumber, episodeNumber);
+        
+        sendProgressResult(res, result, 'Episode not found for this show');
+    } catch (error) {
+        console.error('Error marking episodes watched:', error);
+        res.status(500).json({ 
+            success: false, 
+            error: 'Failed to mark episodes watched' 
         });
     }
 });
@@ -780,7 +2582,7 @@ app.get('/api/search/:query', async (req, res) => {
         console.log(`🔍 Search request for: "${decodedQuery}"`);
         
         // Call our search function
-        const results = await searchMoviesAndTV(decodedQuery);
+        const results = await searchMoviesAndTV(decodedQuery, req.locale);
         
         console.log(`🔍 Returning ${results.length} search results`);
         
@@ -813,8 +2615,10 @@ app.get('/api/filter', async (req, res) => {
             ratingMin,     // "7.0" (minimum rating)
             sortBy,        // "popularity", "rating", "date", "title"
             page,          // "1" (page number)
-            limit          // "50" (results per page) - NEW!
+            limit,         // "50" (results per page) - NEW!
+            providers      // "8,1899" (TMDB provider ids - only titles streaming on these)
         } = req.query;
+        // ?region=US (country the providers are checked in) is read into req.locale like everywhere else
 
         console.log('🔍 Filter request with params:', req.query);
 
@@ -835,11 +2639,13 @@ app.get('/api/filter', async (req, res) => {
             ratingMin: ratingMin ? parseFloat(ratingMin) : null,
             sortBy: sortBy || 'popularity',
             page: page ? parseInt(page) : 1,
-            limit: limit ? parseInt(limit) : 50  // NEW: Default to 50 results per page
+            limit: limit ? parseInt(limit) : 50,  // NEW: Default to 50 results per page
+            providers: providers ? providers.split(',').map(id => parseInt(id)).filter(id => id > 0) : [],
+            region: req.locale.region
         };
 
         // Call our filtering function
-        const results = await getFilteredContent(filterOptions);
+        const results = await getFilteredContent(filterOptions, req.locale);
 
         console.log(`🔍 Returning ${results.length} filtered results for page ${filterOptions.page}`);
 
@@ -866,6 +2672,7 @@ app.listen(PORT, () => {
   // Log a message to console when server successfully starts
   console.log(`Server running on port ${PORT}`);
   console.log(`📍 Test API: http://localhost:${PORT}/api`);
+  console.log(`🗄️ Cache Stats: http://localhost:${PORT}/api/cache/stats`);
   console.log(`🎬 Trending Movies: http://localhost:${PORT}/api/movies/trending`);
   console.log(`📺 Trending TV: http://localhost:${PORT}/api/tv/trending`);
   console.log(`🎥 Now Playing Movies: http://localhost:${PORT}/api/movies/now-playing`);
@@ -877,16 +2684,40 @@ app.listen(PORT, () => {
   console.log(`📺 TV Details: http://localhost:${PORT}/api/tv/:id`);
   console.log(`🎬 Movie Details + Enhanced Trailer: http://localhost:${PORT}/api/movies/:id/trailer`);
   console.log(`📺 TV + Enhanced Trailer: http://localhost:${PORT}/api/tv/:id/trailer`);
+  console.log(`📺 TV Season: http://localhost:${PORT}/api/tv/:id/season/:season_number`);
+  console.log(`📺 TV Episode: http://localhost:${PORT}/api/tv/:id/season/:season_number/episode/:episode_number`);
+  console.log(`🎞️ Full Title Bundle: http://localhost:${PORT}/api/titles/:media_type/:id`);
+  console.log(`🗂️ Title Cards (batch): POST http://localhost:${PORT}/api/titles/batch`);
+  console.log(`🔗 Related Titles: http://localhost:${PORT}/api/titles/:media_type/:id/related`);
+  console.log(`🧩 Collections: http://localhost:${PORT}/api/collections/:id`);
+  console.log(`🎭 Person + Filmography: http://localhost:${PORT}/api/people/:id`);
   console.log(`📺 Streaming Platforms: http://localhost:${PORT}/api/streaming/:platform`);
   console.log(`🎯 Streaming Logos: http://localhost:${PORT}/api/streaming/logos`);
-  console.log(`   🔴 Netflix: http://localhost:${PORT}/api/streaming/netflix`);
-  console.log(`   📦 Prime Video: http://localhost:${PORT}/api/streaming/prime`);
-  console.log(`   🏰 Disney+: http://localhost:${PORT}/api/streaming/disney`);
-  console.log(`   🎭 Max: http://localhost:${PORT}/api/streaming/max`);
-  console.log(`   🍎 Apple TV+: http://localhost:${PORT}/api/streaming/appletv`);
-  console.log(`⭐ User Ratings: http://localhost:${PORT}/api/ratings/:media_id`);
+  console.log(`🧭 Streaming Platforms (Home tabs): http://localhost:${PORT}/api/streaming/platforms`);
+  console.log(`🗂️ Catalog Changes: http://localhost:${PORT}/api/streaming/:platform/changes`);
+  PLATFORMS.forEach(platform => {
+    console.log(`   ${platform.emoji} ${platform.name}: http://localhost:${PORT}/api/streaming/${platform.key}`);
+  });
+  console.log(`⭐ User Ratings: http://localhost:${PORT}/api/ratings/:media_type/:media_id`);
   console.log(`⭐ Submit Rating: POST http://localhost:${PORT}/api/ratings`);
-  console.log(`📊 Average Rating: http://localhost:${PORT}/api/ratings/:media_id/average`);
+  console.log(`📊 Average Rating: http://localhost:${PORT}/api/ratings/:media_type/:media_id/average`);
+  console.log(`📈 Rating History: http://localhost:${PORT}/api/ratings/:media_type/:media_id/history`);
+  console.log(`📝 Reviews: http://localhost:${PORT}/api/ratings/:media_type/:media_id/reviews`);
+  console.log(`📔 Watch Diary: http://localhost:${PORT}/api/diary`);
+  console.log(`📋 Custom Lists: GET/POST http://localhost:${PORT}/api/lists`);
+  console.log(`📥 CSV Import: POST http://localhost:${PORT}/api/import`);
+  console.log(`💾 Account Export: GET http://localhost:${PORT}/api/export`);
+  console.log(`✨ Recommendations: http://localhost:${PORT}/api/recommendations`);
+  console.log(`📅 Release Calendar: http://localhost:${PORT}/api/calendar (iCal feed: /api/calendar/:token.ics)`);
+  console.log(`🔔 Notifications: http://localhost:${PORT}/api/notifications`);
+  console.log(`📡 My Streaming Services: http://localhost:${PORT}/api/services`);
+  console.log(`🎟️ Showtimes: http://localhost:${PORT}/api/showtimes?movie=:id&near=:place`);
+  console.log(`📺 Watch Progress: http://localhost:${PORT}/api/progress`);
+  console.log(`▶️ Continue Watching: http://localhost:${PORT}/api/progress/continue-watching`);
+
+  // Background job - notifies users when watchlisted titles land on a streaming service
+  startProviderAlertJob();
+  startCatalogSnapshotJob();
 });
 
 
@@ -0,0 +1,343 @@
+/*
+=== SHOWTIMES ===
+
+Where and when a movie is playing near the user, from a pluggable showtimes provider.
+
+PROVIDERS (pick one with SHOWTIMES_PROVIDER):
+- file → reads a local feed (SHOWTIMES_FEED_PATH, .json or .csv) - works offline. The file is
+         re-read whenever it changes, so a cron job can simply overwrite it (default when a
+         feed path is set)
+- none → no showtimes (default otherwise) - the detail page falls back to a Fandango search
+
+Plug in anything else (a cinema chain API...) through setShowtimesProvider() - a provider is
+  { name, getTheaters(), getScreenings({ movieId, from, to }) }
+  theaters:   [{ id, name, address, city, postal_code, country, lat, lng, booking_url }]
+  screenings: [{ theater_id, movie_id (TMDB), starts_at, format, language, booking_url }]
+  starts_at is the theater's local time - '2026-10-24T19:30' (an offset like -04:00 may follow)
+
+JSON feed: { "theaters": [...], "screenings": [...] } shaped like above
+CSV feed:  one screening per row with the theater on every row -
+  theater_id,theater_name,address,city,postal_code,country,lat,lng,theater_booking_url,
+  movie_id,starts_at,format,language,booking_url
+
+WHAT IT DOES:
+1. Loads theaters + screenings from the provider
+2. Finds theaters near a place - "lat,lng" (within a radius) or a postal code / city name
+3. Groups a movie's screenings by theater, then by date, nearest theater first
+*/
+
+const fs = require('fs');
+const path = require('path');
+const { parseCsv } = require('./importService');
+
+// How far "near" reaches for lat,lng searches (km)
+const DEFAULT_RADIUS_KM = 50;
+const MAX_RADIUS_KM = 200;
+
+// How many days of showtimes one request covers
+const DEFAULT_DAYS = 7;
+const MAX_DAYS = 14;
+
+// Most theaters one search returns
+const MAX_THEATERS = 20;
+
+// Screening formats as they're shown - feeds spell them every which way
+const FORMAT_NAMES = {
+    'standard': 'Standard',
+    '2d': 'Standard',
+    'digital': 'Standard',
+    'imax': 'IMAX',
+    'imax 3d': 'IMAX 3D',
+    '3d': '3D',
+    'real d 3d': '3D',
+    'real3d': '3D',
+    'dolby': 'Dolby Cinema',
+    'dolby cinema': 'Dolby Cinema',
+    'dolby atmos': 'Dolby Atmos',
+    '4dx': '4DX',
+    'screenx': 'ScreenX',
+    '70mm': '70mm',
+    'imax 70mm': 'IMAX 70mm'
+};
+
+// Provider in use - created on first request
+let provider = null;
+
+// ===============================================
+// FEED PARSING
+// ===============================================
+
+const toNumberOrNull = (value) => {
+    const number = parseFloat(value);
+    return Number.isFinite(number) ? number : null;
+};
+
+const cleanString = (value) => (typeof value === 'string' && value.trim() ? value.trim() : null);
+
+// 'imax 3D', 'IMAX3D ' → 'IMAX 3D' (unknown formats are kept as written)
+const normalizeFormat = (format) => {
+    const cleaned = cleanString(format);
+    if (!cleaned) return 'Standard';
+    const key = cleaned.toLowerCase().replace(/(imax)(3d)/, '$1 $2').replace(/\s+/g, ' ');
+    return FORMAT_NAMES[key] || cleaned;
+};
+
+const cleanTheater = (theater) => ({
+    id: String(theater.id),
+    name: cleanString(theater.name) || 'Unknown theater',
+    address: cleanString(theater.address),
+    city: cleanString(theater.city),
+    postal_code: cleanString(theater.postal_code),
+    country: cleanString(theater.country)?.toUpperCase() || null,
+    lat: toNumberOrNull(theater.lat),
+    lng: toNumberOrNull(theater.lng),
+    booking_url: cleanString(theater.booking_url)
+});
+
+// Screenings need a theater, a TMDB movie id and a start time - anything else is dropped
+const cleanScreenings = (screenings) => screenings
+    .filter(screening => screening.theater_id && /^\d+$/.test(String(screening.movie_id))
+        && /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}/.test(screening.starts_at || ''))
+    .map(screening => ({
+        theater_id: String(screening.theater_id),
+        movie_id: String(screening.movie_id),
+        starts_at: screening.starts_at.trim(),
+        format: normalizeFormat(screening.format),
+        language: cleanString(screening.language),
+        booking_url: cleanString(screening.booking_url)
+    }));
+
+// { theaters, screenings } from a JSON feed
+const parseJsonFeed = (text) => {
+    const feed = JSON.parse(text);
+    return {
+        theaters: (feed.theaters || []).filter(theater => theater.id !== undefined).map(cleanTheater),
+        screenings: cleanScreenings(feed.screenings || [])
+    };
+};
+
+// { theaters, screenings } from a CSV feed (one screening per row, theater repeated)
+const parseCsvFeed = (text) => {
+    const [header = [], ...rows] = parseCsv(text);
+    const columns = header.map(name => name.trim().toLowerCase());
+    const records = rows.map(cells => Object.fromEntries(columns.map((column, index) => [column, cells[index]])));
+
+    const theaters = new Map();
+    records.forEach(record => {
+        if (record.theater_id && !theaters.has(record.theater_id)) {
+            theaters.set(record.theater_id, cleanTheater({
+                ...record,
+                id: record.theater_id,
+                name: record.theater_name,
+                booking_url: record.theater_booking_url
+            }));
+        }
+    });
+
+    return { theaters: [...theaters.values()], screenings: cleanScreenings(records) };
+};
+
+// ===============================================
+// PROVIDERS
+// ===============================================
+
+// Reads a local JSON / CSV feed, again whenever the file changes
+const createFileProvider = (feedPath) => {
+    const resolvedPath = path.resolve(feedPath);
+    let loaded = { mtimeMs: null, feed: { theaters: [], screenings: [] } };
+    let reading = null; // Concurrent callers share one read of a changed file
+
+    const readFeed = async (mtimeMs) => {
+        const text = await fs.promises.readFile(resolvedPath, 'utf8');
+        const feed = resolvedPath.toLowerCase().endsWith('.csv') ? parseCsvFeed(text) : parseJsonFeed(text);
+        console.log(`🎟️ Showtimes: loaded ${feed.screenings.length} screenings at ${feed.theaters.length} theaters from ${resolvedPath}`);
+
+        loaded = { mtimeMs: mtimeMs, feed: feed };
+        return feed;
+    };
+
+    const loadFeed = async () => {
+        const stats = await fs.promises.stat(resolvedPath);
+        if (stats.mtimeMs === loaded.mtimeMs) return loaded.feed;
+
+        if (!reading) {
+            reading = readFeed(stats.mtimeMs).finally(() => { reading = null; });
+        }
+        return reading;
+    };
+
+    return {
+        name: 'file',
+        getTheaters: async () => (await loadFeed()).theaters,
+        getScreenings: async ({ movieId, from, to }) => (await loadFeed()).screenings.filter(screening =>
+            screening.movie_id === String(movieId) && screening.starts_at.slice(0, 10) >= from && screening.starts_at.slice(0, 10) <= to
+        )
+    };
+};
+
+// No showtimes anywhere
+const createNoneProvider = () => ({
+    name: 'none',
+    getTheaters: async () => [],
+    getScreenings: async () => []
+});
+
+// Pick a provider based on SHOWTIMES_PROVIDER / SHOWTIMES_FEED_PATH
+const createProviderFromEnv = () => {
+    const feedPath = process.env.SHOWTIMES_FEED_PATH;
+    const type = process.env.SHOWTIMES_PROVIDER || (feedPath ? 'file' : 'none');
+
+    if (type === 'file' && feedPath) {
+        console.log(`🎟️ Showtimes: reading the feed at ${feedPath}`);
+        return createFileProvider(feedPath);
+    }
+
+    console.log('🎟️ Showtimes: no provider configured (set SHOWTIMES_FEED_PATH to a JSON or CSV feed)');
+    return createNoneProvider();
+};
+
+const getProvider = () => {
+    if (!provider) {
+        provider = createProviderFromEnv();
+    }
+    return provider;
+};
+
+// Use a custom provider (anything with getTheaters + getScreenings)
+const setShowtimesProvider = (customProvider) => {
+    provider = customProvider;
+};
+
+// ===============================================
+// LOCATION
+// ===============================================
+
+// Check a ?near= value - "40.75,-73.98" or a postal code / city name
+// Returns { value: { lat, lng } | { text } } or { error }
+const parseNear = (near) => {
+    const trimmed = typeof near === 'string' ? near.trim() : '';
+    if (!trimmed) {
+        return { error: 'near is required - "lat,lng", a postal code or a city' };
+    }
+
+    const coordinates = trimmed.match(/^(-?\d+(?:\.\d+)?)\s*,\s*(-?\d+(?:\.\d+)?)$/);
+    if (coordinates) {
+        const lat = parseFloat(coordinates[1]);
+        const lng = parseFloat(coordinates[2]);
+        if (Math.abs(lat) > 90 || Math.abs(lng) > 180) {
+            return { error: 'near has an invalid latitude / longitude' };
+        }
+        return { value: { lat: lat, lng: lng } };
+    }
+
+    if (trimmed.length > 100) {
+        return { error: 'near is too long' };
+    }
+
+    return { value: { text: trimmed.toLowerCase() } };
+};
+
+// Great-circle distance in km
+const distanceKm = (from, to) => {
+    const toRadians = (degrees) => degrees * Math.PI / 180;
+    const dLat = toRadians(to.lat - from.lat);
+    const dLng = toRadians(to.lng - from.lng);
+    const a = Math.sin(dLat / 2) ** 2
+        + Math.cos(toRadians(from.lat)) * Math.cos(toRadians(to.lat)) * Math.sin(dLng / 2) ** 2;
+    return 6371 * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+};
+
+// Theaters near a place, nearest first (distance_km is null for postal code / city matches)
+const findNearbyTheaters = (theaters, near, radiusKm) => {
+    if (near.text !== undefined) {
+        return theaters
+            .filter(theater => theater.postal_code?.toLowerCase() === near.text || theater.city?.toLowerCase() === near.text)
+            .map(theater => ({ ...theater, distance_km: null }))
+            .sort((a, b) => a.name.localeCompare(b.name));
+    }
+
+    return theaters
+        .filter(theater => theater.lat !== null && theater.lng !== null)
+        .map(theater => ({ ...theater, distance_km: Math.round(distanceKm(near, theater) * 10) / 10 }))
+        .filter(theater => theater.distance_km <= radiusKm)
+        .sort((a, b) => a.distance_km - b.distance_km);
+};
+
+// ===============================================
+// SHOWTIMES
+// ===============================================
+
+const getTodayDateString = () => new Date().toISOString().split('T')[0];
+
+// YYYY-MM-DD `days` days after a YYYY-MM-DD date
+const addDays = (date, days) => {
+    const shifted = new Date(`${date}T00:00:00Z`);
+    shifted.setUTCDate(shifted.getUTCDate() + days);
+    return shifted.toISOString().slice(0, 10);
+};
+
+// Theaters near a place - [{ id, name, address, ..., distance_km }]
+const getNearbyTheaters = async (near, radiusKm = DEFAULT_RADIUS_KM) => {
+    const theaters = await getProvider().getTheaters();
+    return findNearbyTheaters(theaters, near, radiusKm).slice(0, MAX_THEATERS);
+};
+
+// A movie's screenings near a place, grouped by theater (nearest first) then date
+// Returns { provider, from, to, theaters: [{ theater, dates: [{ date, screenings: [{ starts_at, time, format, language, booking_url }] }] }] }
+// booking_url falls back to the theater's own booking page
+const getShowtimes = async ({ movieId, near, from = getTodayDateString(), days = DEFAULT_DAYS, radiusKm = DEFAULT_RADIUS_KM }) => {
+    const to = addDays(from, days - 1);
+    const activeProvider = getProvider();
+
+    const [theaters, screenings] = await Promise.all([
+        activeProvider.getTheaters(),
+        activeProvider.getScreenings({ movieId: String(movieId), from, to })
+    ]);
+
+    const nearby = findNearbyTheaters(theaters, near, radiusKm);
+    const byTheater = new Map();
+    screenings.forEach(screening => {
+        if (!byTheater.has(screening.theater_id)) byTheater.set(screening.theater_id, []);
+        byTheater.get(screening.theater_id).push(screening);
+    });
+
+    const groups = nearby
+        .filter(theater => byTheater.has(theater.id))
+        .slice(0, MAX_THEATERS)
+        .map(theater => {
+            const byDate = new Map();
+            byTheater.get(theater.id)
+                .sort((a, b) => a.starts_at.localeCompare(b.starts_at))
+                .forEach(screening => {
+                    const date = screening.starts_at.slice(0, 10);
+                    if (!byDate.has(date)) byDate.set(date, []);
+                    byDate.get(date).push({
+                        starts_at: screening.starts_at,
+                        time: screening.starts_at.slice(11, 16),
+                        format: screening.format,
+                        language: screening.language,
+                        booking_url: screening.booking_url || theater.booking_url
+                    });
+                });
+
+            return {
+                theater: theater,
+                dates: [...byDate.entries()].map(([date, dateScreenings]) => ({ date: date, screenings: dateScreenings }))
+            };
+        });
+
+    return { provider: activeProvider.name, from: from, to: to, theaters: groups };
+};
+
+module.exports = {
+    DEFAULT_RADIUS_KM,
+    MAX_RADIUS_KM,
+    DEFAULT_DAYS,
+    MAX_DAYS,
+    createFileProvider,
+    createNoneProvider,
+    setShowtimesProvider,
+    parseNear,
+    getNearbyTheaters,
+    getShowtimes
+};
@@ -0,0 +1,64 @@
+/*
+=== STREAMING PLATFORMS ===
+
+The platforms on the Home page's "Explore What's Streaming" tabs - one registry for the
+/api/streaming routes, the logos endpoint and the tabs themselves.
+
+Each platform:
+  key         - used in URLs (/api/streaming/netflix)
+  provider_id - TMDB watch provider id (discover's with_watch_providers)
+  name        - display name
+  regions     - countries it streams in (two-letter codes), null = everywhere TMDB has data
+  color       - brand color for the tab
+  emoji       - for the server logs
+
+Adding a platform (or a regional one) is just another entry below - the tab shows up for
+the regions it lists. TMDB provider ids: GET /3/watch/providers/movie?watch_region=XX
+
+WHAT IT DOES:
+1. Looks up a platform by key
+2. Lists the platforms available in a region (in registry order = tab order)
+*/
+
+const PLATFORMS = [
+    { key: 'netflix', provider_id: 8, name: 'Netflix', regions: null, color: '#E50914', emoji: '🔴' },
+    { key: 'prime', provider_id: 9, name: 'Prime Video', regions: null, color: '#00A8E1', emoji: '📦' },
+    { key: 'disney', provider_id: 337, name: 'Disney+', regions: null, color: '#113CCF', emoji: '🏰' },
+    {
+        key: 'max', provider_id: 1899, name: 'Max', color: '#002BE7', emoji: '🎭',
+        regions: ['US', 'MX', 'BR', 'AR', 'CL', 'CO', 'PE', 'ES', 'PT', 'NL', 'BE', 'FR', 'PL', 'SE', 'NO', 'DK', 'FI', 'HU', 'RO', 'CZ', 'SK', 'HR', 'BG']
+    },
+    { key: 'appletv', provider_id: 350, name: 'Apple TV+', regions: null, color: '#A2AAAD', emoji: '🍎' },
+    { key: 'hulu', provider_id: 15, name: 'Hulu', regions: ['US'], color: '#1CE783', emoji: '🟩' },
+    { key: 'peacock', provider_id: 386, name: 'Peacock', regions: ['US'], color: '#F5C518', emoji: '🦚' },
+    {
+        key: 'paramount', provider_id: 531, name: 'Paramount+', color: '#0064FF', emoji: '⛰️',
+        regions: ['US', 'CA', 'GB', 'IE', 'AU', 'MX', 'BR', 'AR', 'CL', 'CO', 'IT', 'FR', 'DE', 'AT', 'CH', 'KR']
+    },
+    { key: 'crunchyroll', provider_id: 283, name: 'Crunchyroll', regions: null, color: '#F47521', emoji: '🍥' },
+
+    // Regional services
+    { key: 'bbciplayer', provider_id: 38, name: 'BBC iPlayer', regions: ['GB'], color: '#F54997', emoji: '📻' },
+    { key: 'stan', provider_id: 21, name: 'Stan', regions: ['AU'], color: '#0072FB', emoji: '🦘' },
+    { key: 'crave', provider_id: 230, name: 'Crave', regions: ['CA'], color: '#1A5BDB', emoji: '🍁' },
+    { key: 'hotstar', provider_id: 122, name: 'JioHotstar', regions: ['IN'], color: '#1F80E0', emoji: '⭐' }
+];
+
+// Pages a platform row can load (?page=) - TMDB discover goes to 500, nobody scrolls a Home row that far
+const MAX_PAGE = 20;
+
+// netflix → platform (undefined for unknown keys)
+const getPlatform = (key) => PLATFORMS.find(platform => platform.key === key);
+
+const isAvailableIn = (platform, region) => !platform.regions || platform.regions.includes(region);
+
+// Platforms streaming in a region, in tab order
+const getPlatformsForRegion = (region) => PLATFORMS.filter(platform => isAvailableIn(platform, region));
+
+module.exports = {
+    PLATFORMS,
+    MAX_PAGE,
+    getPlatform,
+    isAvailableIn,
+    getPlatformsForRegion
+};
@@ -0,0 +1,166 @@
+/*
+=== MY STREAMING SERVICES ===
+
+Which streaming services a user pays for (TMDB provider ids) and which country they watch from.
+
+WHAT IT DOES:
+1. Saves / loads the user's services + region (user_streaming_services)
+2. Checks which titles are watchable now on those services - subscription, free or with ads,
+   NOT rent / buy (TMDB watch/providers, cached for a day)
+3. Finds the watchlist titles that are on the user's services (the "On Your Services" row on Home)
+*/
+
+const { supabaseAdmin } = require('./supabaseClient');
+const { getStreamingProviders, getTitleCard } = require('./tmdbAPI');
+const { mapWithConcurrency } = require('./asyncUtils');
+
+const DEFAULT_REGION = 'US';
+const MAX_SERVICES = 50;
+const MAX_AVAILABILITY_TITLES = 100; // Per /api/services/availability request
+
+// Watchlist statuses left out of the "On Your Services" row
+const SKIPPED_STATUSES = ['completed', 'dropped'];
+
+// Most recent watchlist titles checked for the Home row (each one is a TMDB lookup)
+const MAX_WATCHLIST_CHECKS = 200;
+
+const TMDB_CONCURRENCY = 5;
+
+// ===============================================
+// SETTINGS
+// ===============================================
+
+// The user's services - { region, provider_ids } (no services yet for users who never saved any)
+const getUserServices = async (userId) => {
+    const { data, error } = await supabaseAdmin
+        .from('user_streaming_services')
+        .select('region, provider_ids')
+        .eq('user_id', userId)
+        .maybeSingle();
+
+    if (error) throw error;
+
+    return data || { region: DEFAULT_REGION, provider_ids: [] };
+};
+
+// Check a { region, provider_ids } body from the client
+// Returns { value } with the cleaned settings or { error } with a message for the client
+const validateServices = (input = {}) => {
+    const region = typeof input.region === 'string' ? input.region.trim().toUpperCase() : null;
+    if (!region || !/^[A-Z]{2}$/.test(region)) {
+        return { error: 'region must be a two-letter country code like US' };
+    }
+
+    const ids = input.provider_ids;
+    if (!Array.isArray(ids) || !ids.every(id => Number.isInteger(id) && id > 0)) {
+        return { error: 'provider_ids must be an array of TMDB provider ids' };
+    }
+
+    const providerIds = [...new Set(ids)];
+    if (providerIds.length > MAX_SERVICES) {
+        return { error: `You can save up to ${MAX_SERVICES} services` };
+    }
+
+    return { value: { region: region, provider_ids: providerIds } };
+};
+
+// Replace the user's services - returns what was saved
+const saveUserServices = async (userId, { region, provider_ids }) => {
+    const { data, error } = await supabaseAdmin
+        .from('user_streaming_services')
+        .upsert([{
+            user_id: userId,
+            region: region,
+            provider_ids: provider_ids,
+            updated_at: new Date().toISOString()
+        }], { onConflict: 'user_id' })
+        .select('region, provider_ids')
+        .single();
+
+    if (error) throw error;
+
+    return data;
+};
+
+// ===============================================
+// AVAILABILITY
+// ===============================================
+
+// Which of the user's services carry each title
+// titles: [{ media_type, id }] - returns [{ media_type, id, providers }] in the same order
+// (providers is [] when none of them do, or when TMDB failed for that title)
+const getAvailabilityOnServices = async (services, titles) => {
+    const subscribed = new Set(services.provider_ids);
+
+    if (subscribed.size === 0) {
+        return titles.map(title => ({ ...title, providers: [] }));
+    }
+
+    return mapWithConcurrency(titles, TMDB_CONCURRENCY, async (title) => {
+        try {
+            const providers = await getStreamingProviders(title.media_type, title.id, services.region);
+            return {
+                ...title,
+                providers: providers.filter(provider => subscribed.has(provider.provider_id))
+            };
+        } catch (error) {
+            console.error(`Availability: no providers for ${title.media_type} ${title.id}:`, error.message);
+            return { ...title, providers: [] };
+        }
+    });
+};
+
+// Watchlist titles the user can watch right now on their services, most recently added first
+// Returns [{ media_type, id, title, poster_path, vote_average, year, providers }]
+// Availability is checked in the saved region, the cards come back in the viewer's language
+const getWatchlistOnServices = async (userId, locale) => {
+    const services = await getUserServices(userId);
+    if (services.provider_ids.length === 0) return [];
+
+    const { data: watchlist, error } = await supabaseAdmin
+        .from('watchlist')
+        .select('media_type, media_id, status')
+        .eq('user_id', userId)
+        .order('created_at', { ascending: false });
+
+    if (error) throw error;
+
+    const titles = (watchlist || [])
+        .filter(row => !SKIPPED_STATUSES.includes(row.status))
+        .slice(0, MAX_WATCHLIST_CHECKS)
+        .map(row => ({ media_type: row.media_type, id: String(row.media_id) }));
+
+    const available = (await getAvailabilityOnServices(services, titles))
+        .filter(title => title.providers.length > 0);
+
+    const cards = await mapWithConcurrency(available, TMDB_CONCURRENCY, async (title) => {
+        try {
+            const card = await getTitleCard(title.media_type, title.id, locale);
+            return card ? { ...card, id: title.id, providers: title.providers } : null;
+        } catch (error) {
+            console.error(`Availability: no card for ${title.media_type} ${title.id}:`, error.message);
+            return null;
+        }
+    });
+
+    return cards
+        .filter(Boolean)
+        .map(card => ({
+            media_type: card.media_type,
+            id: card.id,
+            title: card.title,
+            poster_path: card.poster_path,
+            vote_average: card.vote_average,
+            year: card.year,
+            providers: card.providers
+        }));
+};
+
+module.exports = {
+    MAX_AVAILABILITY_TITLES,
+    getUserServices,
+    validateServices,
+    saveUserServices,
+    getAvailabilityOnServices,
+    getWatchlistOnServices
+};
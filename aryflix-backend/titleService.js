@@ -0,0 +1,143 @@
+// Title service - builds the full data bundle for one movie/TV show
+// (details + credits + providers + OMDb ratings + trailer) in a single call
+// Used by /api/titles/:media_type/:id and the existing detail routes
+// Also builds the lightweight title cards for /api/titles/batch (watchlist / ratings pages)
+
+const { getMovieDetailsWithTrailer, getTVDetailsWithTrailer, getTitleCard } = require('./tmdbAPI');
+const { getRatingsByImdbId, getRatingsByTitle } = require('./omdbApi');
+const { parseMediaIdentity } = require('./mediaIdentity');
+const { DEFAULT_LOCALE } = require('./locale');
+const { mapWithConcurrency } = require('./asyncUtils');
+
+// Most titles one /api/titles/batch request may ask for
+const MAX_BATCH_TITLES = 100;
+
+// Bundles currently being built - concurrent callers share the same promise
+const inFlightBundles = new Map();
+
+// Get IMDb + Rotten Tomatoes ratings for a TMDB details object
+// Movies: IMDb ID first, then title + year. TV shows: IMDb ID (external_ids) first, then title + first air year
+// (the title fallback only finds English titles - OMDb doesn't know localized ones)
+const getOmdbRatingsFor = async (details, mediaType) => {
+    if (mediaType === 'movie') {
+        if (details.imdb_id) {
+            console.log(`🎬 Fetching OMDb ratings for movie: ${details.title}`);
+            return await getRatingsByImdbId(details.imdb_id);
+        }
+
+        if (details.title && details.release_date) {
+            // Fallback to title + year search if no IMDb ID
+            const year = new Date(details.release_date).getFullYear();
+            console.log(`🎬 Fetching OMDb ratings by title: ${details.title} (${year})`);
+            return await getRatingsByTitle(details.title, year);
+        }
+    } else if (details.external_ids?.imdb_id) {
+        console.log(`📺 Fetching OMDb ratings for TV show: ${details.name}`);
+        return await getRatingsByImdbId(details.external_ids.imdb_id);
+    } else if (details.name && details.first_air_date) {
+        const year = new Date(details.first_air_date).getFullYear();
+        console.log(`📺 Fetching OMDb ratings for TV show: ${details.name} (${year})`);
+        return await getRatingsByTitle(details.name, year);
+    }
+
+    return { imdb: null, rottenTomatoes: null };
+};
+
+// Build details + trailer + OMDb ratings for a title
+const buildTitleBundle = async (mediaType, id, locale) => {
+    const details = mediaType === 'tv'
+        ? await getTVDetailsWithTrailer(id, locale)
+        : await getMovieDetailsWithTrailer(id, locale);
+
+    const omdbRatings = await getOmdbRatingsFor(details, mediaType);
+
+    return {
+        ...details,
+        media_type: mediaType,
+        omdb_ratings: omdbRatings
+    };
+};
+
+// Get the full bundle for a title, sharing in-flight work between concurrent callers
+// (only callers asking for the same region + language share - the bundle is localized)
+const getTitleBundle = (mediaType, id, locale = DEFAULT_LOCALE) => {
+    const key = `${mediaType}:${id}:${locale.region}:${locale.language}`;
+
+    if (inFlightBundles.has(key)) {
+        return inFlightBundles.get(key);
+    }
+
+    const request = buildTitleBundle(mediaType, id, locale)
+        .finally(() => inFlightBundles.delete(key));
+
+    inFlightBundles.set(key, request);
+    return request;
+};
+
+// Add title card info (title, poster, year) to rows that have media_type + media_id
+// Used by the diary and lists - titles missing on TMDB get title: null
+const attachTitleCards = async (rows, locale = DEFAULT_LOCALE) => {
+    const keys = [...new Set(rows.map(row => `${row.media_type}:${row.media_id}`))];
+
+    // A few at a time - big lists would otherwise fire hundreds of TMDB requests at once
+    const cards = await mapWithConcurrency(keys, 5, async (key) => {
+        const [mediaType, mediaId] = key.split(':');
+        try {
+            return [key, await getTitleCard(mediaType, mediaId, locale)];
+        } catch (error) {
+            console.error(`Skipping title info for ${key}:`, error.message);
+            return [key, null];
+        }
+    });
+
+    const cardsByKey = new Map(cards);
+    return rows.map(row => ({
+        ...row,
+        title: cardsByKey.get(`${row.media_type}:${row.media_id}`) || null
+    }));
+};
+
+// Title cards for a batch of { media_type, id } - one result per requested title, in order:
+// { media_type, id, success: true, data } or { media_type, id, success: false, error }
+// One bad / missing title doesn't fail the others
+const getTitleCardBatch = async (titles, locale = DEFAULT_LOCALE) => {
+    const identities = titles.map(title => parseMediaIdentity(title?.media_type, title?.id));
+
+    // Look each distinct title up once, a few at a time (cards are cached by tmdbAPI)
+    const keys = [...new Set(identities.filter(Boolean).map(identity => `${identity.media_type}:${identity.media_id}`))];
+    const lookups = await mapWithConcurrency(keys, 5, async (key) => {
+        const [mediaType, mediaId] = key.split(':');
+        try {
+            const card = await getTitleCard(mediaType, mediaId, locale);
+            return [key, card ? { data: card } : { error: 'Title not found' }];
+        } catch (error) {
+            console.error(`Card lookup failed for ${key}:`, error.message);
+            return [key, { error: 'Failed to fetch title' }];
+        }
+    });
+    const lookupsByKey = new Map(lookups);
+
+    return titles.map((title, index) => {
+        const identity = identities[index];
+
+        if (!identity) {
+            return { media_type: title?.media_type ?? null, id: title?.id ?? null, success: false, error: "media_type must be 'movie' or 'tv' and id must be a TMDB id" };
+        }
+
+        const lookup = lookupsByKey.get(`${identity.media_type}:${identity.media_id}`);
+        return {
+            media_type: identity.media_type,
+            id: identity.media_id,
+            success: !lookup.error,
+            ...lookup
+        };
+    });
+};
+
+module.exports = {
+    MAX_BATCH_TITLES,
+    getOmdbRatingsFor,
+    getTitleBundle,
+    attachTitleCards,
+    getTitleCardBatch
+};
@@ -1,5 +1,13 @@
 // Import axios for making HTTP requests to external APIs
 const axios = require('axios');
+// Import response cache so repeated TMDB calls don't hit the API every time
+const { attachResponseCache, MINUTE, HOUR, DAY } = require('./responseCache');
+// Region + language every function takes last (see locale.js) - titles and overviews come back
+// in locale.language, providers / age ratings / release dates are read for locale.region
+const { DEFAULT_LOCALE, getLanguageCode } = require('./locale');
+const { buildReleaseTimeline, getReleaseInfo } = require('./releaseTimeline');
+const { mapWithConcurrency } = require('./asyncUtils');
+const { MAX_PAGE: MAX_PLATFORM_PAGE, getPlatformsForRegion } = require('./streamingPlatforms');
 
 // Get API keys from .env file
 const TMDB_API_KEY = process.env.TMDB_API_KEY;
@@ -19,6 +27,23 @@ const tmdbApi = axios.create({
     timeout: 10000, // Set 10 second timeout for requests
 });
 
+// Cache TTLs per TMDB endpoint - first matching pattern wins
+// ttl = how long a response is fresh, staleTtl = how long it may be served while refreshing
+const TMDB_CACHE_RULES = [
+    { pattern: /^\/trending\//, ttl: 10 * MINUTE, staleTtl: 1 * HOUR },              // Trending changes often
+    { pattern: /^\/search\//, ttl: 30 * MINUTE, staleTtl: 2 * HOUR },                // Search results
+    { pattern: /\/watch\/providers/, ttl: 1 * DAY, staleTtl: 7 * DAY },              // Provider logos / lists
+    { pattern: /^\/(movie|tv)\/(now_playing|upcoming|popular)/, ttl: 30 * MINUTE, staleTtl: 6 * HOUR },
+    { pattern: /^\/discover\//, ttl: 30 * MINUTE, staleTtl: 6 * HOUR },              // Discover lists
+    { pattern: /^\/find\//, ttl: 1 * DAY, staleTtl: 7 * DAY },                      // IMDb id lookups (imports)
+    { pattern: /^\/(movie|tv)\/\d+/, ttl: 6 * HOUR, staleTtl: 1 * DAY },             // Details, seasons, credits
+    { pattern: /^\/person\/\d+/, ttl: 1 * DAY, staleTtl: 7 * DAY },                 // People + filmographies
+    { pattern: /^\/collection\/\d+/, ttl: 1 * DAY, staleTtl: 7 * DAY }              // Franchises (Harry Potter, MCU...)
+];
+
+// Put the cache in front of every TMDB request
+attachResponseCache(tmdbApi, { name: 'tmdb', rules: TMDB_CACHE_RULES });
+
 // Create YouTube API instance
 const youtubeApi = axios.create({
     baseURL: YOUTUBE_BASE_URL,
@@ -28,16 +53,26 @@ const youtubeApi = axios.create({
     timeout: 10000
 });
 
+// Query params that localize a TMDB response (part of the cache key like every other param)
+const localeParams = (locale) => ({ language: locale.language });
+
+// Detail pages also want videos in the user's language - plus English ones and untagged ones,
+// since most trailers only exist in English
+const detailParams = (locale) => ({
+    ...localeParams(locale),
+    include_video_language: `${getLanguageCode(locale)},en,null`
+});
+
 // List of TMDB genre IDs to exclude (optional, remove this if you want everything)
 const EXCLUDED_GENRE_IDS = [10767, 10763, 10764]; // Talk, News, Reality
 
 // Function to get trending movies for Hero Section
 // Fetches current trending movies from TMDB API
 // Returns an array of movie objects with relevant details
-const getTrendingMovies = async () => {
+const getTrendingMovies = async (locale = DEFAULT_LOCALE) => {
     try {
         // Make get request to TMDB trending movies endpoint
-        const response =  await tmdbApi.get('/trending/movie/day');
+        const response =  await tmdbApi.get('/trending/movie/day', { params: localeParams(locale) });
         // Return just the rsults array from the response
         return response.data.results;
     } catch (error) {
@@ -57,10 +92,10 @@ const getTrendingMovies = async () => {
 
 // Function to get trending TV shows for Hero Section 
 // Fetches current trendning TV shows from TMDB
-const getTrendingTVShows = async () => {
+const getTrendingTVShows = async (locale = DEFAULT_LOCALE) => {
     try {
         // Make GET request to TIMDB trending TV endpoint
-        const response = await tmdbApi.get('/trending/tv/day');
+        const response = await tmdbApi.get('/trending/tv/day', { params: localeParams(locale) });
         // Return just the results array from the response
         return response.data.results;
     } catch (error) {
@@ -81,12 +116,18 @@ const getTrendingTVShows = async () => {
 
 // Function to get movies currently playing in theatres
 // Fetches movies that are currently showing in cinemas in theatres 
-const getNowPlayingMovies = async () => {
+// TMDB's "now playing" list is only a starting point - every movie is checked against its
+// release timeline in the user's country (see releaseTimeline.js) so this row, "Coming Soon"
+// and the detail page agree. Each movie gets release_info { status, status_date, theatrical, digital, ... }
+const getNowPlayingMovies = async (locale = DEFAULT_LOCALE) => {
     try {
-        // Make GET request to TMDB "Now Playing" endpoint
-        const response = await tmdbApi.get('/movie/now_playing');
-        // Return just the results array from the response
-        return response.data.results;
+        // Make GET request to TMDB "Now Playing" endpoint - in theatres in the user's country
+        const response = await tmdbApi.get('/movie/now_playing', {
+            params: { ...localeParams(locale), region: locale.region }
+        });
+
+        const movies = await withReleaseInfo(response.data.results, locale);
+        return movies.filter(movie => movie.release_info?.status === 'in_theaters');
     } catch (error) {
         // Log error details for debugging
         console.error('Error fetching now playing movies:', error.message);
@@ -105,12 +146,12 @@ const getNowPlayingMovies = async () => {
 
 // Function to get TV shows for "Watch At Home" section
 // Combines trending and popular TV shows to show what people are actually watching at home
-const getPopularTVShows = async () => {
+const getPopularTVShows = async (locale = DEFAULT_LOCALE) => {
     try {
         // Fetch trending and popular TV shows
         const [trendingResponse, popularResponse] = await Promise.all([
-            tmdbApi.get('/trending/tv/week'),
-            tmdbApi.get('/tv/popular')
+            tmdbApi.get('/trending/tv/week', { params: localeParams(locale) }),
+            tmdbApi.get('/tv/popular', { params: localeParams(locale) })
         ]);
         
         // Get trending shows (first 10)
@@ -126,7 +167,7 @@ const getPopularTVShows = async () => {
         const detailedShows = await Promise.all(
             combinedShows.map(async (show) => {
                 try {
-                    const detailRes = await tmdbApi.get(`/tv/${show.id}`);
+                    const detailRes = await tmdbApi.get(`/tv/${show.id}`, { params: localeParams(locale) });
                     return { ...show, ...detailRes.data };
                 } catch (err) {
                     console.error(`Failed to fetch details for show ID ${show.id}:`, err.message);
@@ -161,9 +202,25 @@ const getPopularTVShows = async () => {
 
 
 
+// How many candidates getUpcomingMovies checks release dates for (one cached TMDB call each)
+const MAX_UPCOMING_CANDIDATES = 40;
+
+// Add release_info (timeline + status in the user's country) to a list of TMDB movies
+// Movies whose release dates can't be fetched get release_info: null
+const withReleaseInfo = (movies, locale) => mapWithConcurrency(movies, 5, async (movie) => {
+    try {
+        const item = await getTitleWithReleaseInfo('movie', movie.id, locale);
+        return { ...movie, release_info: getReleaseInfo(item, locale.region) };
+    } catch (error) {
+        console.error(`Error fetching release dates for movie ${movie.id}:`, error.message);
+        return { ...movie, release_info: null };
+    }
+});
+
 // Function to get upcoming BLOCKBUSTER movies for "Coming Soon to Theatres" section
-// Focuses on popular movies releasing within the next 6 months (globally)
-const getUpcomingMovies = async () => {
+// Focuses on popular movies opening in cinemas in the user's country within the next 6 months
+// (judged by the regional release timeline - a movie already out elsewhere still counts)
+const getUpcomingMovies = async (locale = DEFAULT_LOCALE) => {
     try {
         console.log('🎬 Backend: Fetching upcoming blockbuster movies...');
         
@@ -182,12 +239,13 @@ const getUpcomingMovies = async () => {
         
         // Get movies from 3 sources
         const [upcomingMovies, futureMovies, recentPopular] = await Promise.all([
-            // 1. TMDB's official upcoming list (global)
-            tmdbApi.get('/movie/upcoming', { params: { page: 1 } }),
+            // 1. TMDB's official upcoming list (release dates in the user's country)
+            tmdbApi.get('/movie/upcoming', { params: { ...localeParams(locale), region: locale.region, page: 1 } }),
             
             // 2. Discover popular upcoming movies (future only)
             tmdbApi.get('/discover/movie', {
                 params: {
+                    ...localeParams(locale),
                     'primary_release_date.gte': todayString,      // Today onwards
                     'primary_release_date.lte': endDateString,    // 6 months from now
                     'sort_by': 'popularity.desc',
@@ -198,6 +256,7 @@ const getUpcomingMovies = async () => {
             // 3. Recent highly popular movies (likely international staggered releases)
             tmdbApi.get('/discover/movie', {
                 params: {
+                    ...localeParams(locale),
                     'primary_release_date.gte': pastMonthString,  // Past month
                     'primary_release_date.lt': todayString,       // Before today
                     'sort_by': 'popularity.desc',
@@ -219,29 +278,21 @@ const getUpcomingMovies = async () => {
             index === self.findIndex(m => m.id === movie.id)
         );
         
-        // Simple filtering
-        const blockbusters = uniqueMovies.filter(movie => {
-            if (!movie.release_date || !movie.poster_path) return false;
-            
-            const releaseDate = movie.release_date;
-            
-            // For recent movies, only include if extremely popular
-            if (releaseDate < todayString) {
-                return (movie.popularity || 0) > 500; // Only mega-popular recent releases
-            }
-            
-            // For future movies, use normal filtering
-            if (releaseDate > endDateString) return false;
-            
-            // Must have decent popularity OR be in official upcoming list
-            const hasPopularity = (movie.popularity || 0) > 10;
-            const isOfficial = upcomingMovies.data.results.some(u => u.id === movie.id);
-            
-            return hasPopularity || isOfficial;
-        });
+        // Simple filtering - must have decent popularity OR be in official upcoming list
+        const candidates = uniqueMovies
+            .filter(movie => {
+                if (!movie.poster_path) return false;
+                const hasPopularity = (movie.popularity || 0) > 10;
+                const isOfficial = upcomingMovies.data.results.some(u => u.id === movie.id);
+                return hasPopularity || isOfficial;
+            })
+            .sort((a, b) => (b.popularity || 0) - (a.popularity || 0))
+            .slice(0, MAX_UPCOMING_CANDIDATES);
         
-        // Sort by popularity
-        blockbusters.sort((a, b) => (b.popularity || 0) - (a.popularity || 0));
+        // Keep what opens in cinemas in the user's country within 6 months
+        const blockbusters = (await withReleaseInfo(candidates, locale)).filter(movie =>
+            movie.release_info?.status === 'coming_soon' && movie.release_info.status_date <= endDateString
+        );
         
         console.log(`🎬 Found ${blockbusters.length} upcoming blockbusters`);
         return blockbusters.slice(0, 20);
@@ -265,7 +316,7 @@ const getUpcomingMovies = async () => {
 
 // Function to get truly NEW & UPCOMING TV shows
 // Completely dynamic - no hardcoded years
-const getUpcomingTVShows = async () => {
+const getUpcomingTVShows = async (locale = DEFAULT_LOCALE) => {
     try {
         // Get current date dynamically
         const today = new Date();
@@ -280,11 +331,12 @@ const getUpcomingTVShows = async () => {
         // Look for truly new shows using dynamic dates
         const response = await tmdbApi.get('/discover/tv', {
             params: {
+                ...localeParams(locale),
                 'first_air_date.gte': startOfLastYear, // Dynamic: last year
                 'first_air_date.lte': endOfNextYear,   // Dynamic: next year
                 'sort_by': 'popularity.desc',
                 'vote_count.gte': 20,
-                'with_original_language': 'en'
+                'with_original_language': getLanguageCode(locale) // Shows made in the user's language
             }
         });
         
@@ -311,10 +363,10 @@ const getUpcomingTVShows = async () => {
 
 // Function to get trending anime for "Trending Anime" section
 // Fetches actually trending TV shows and filters for anime
-const getTrendingAnime = async () => {
+const getTrendingAnime = async (locale = DEFAULT_LOCALE) => {
     try {
         // Get trending TV shows for the week (more stable than daily)
-        const trendingResponse = await tmdbApi.get('/trending/tv/week');
+        const trendingResponse = await tmdbApi.get('/trending/tv/week', { params: localeParams(locale) });
         
         // Filter the trending shows to find anime
         const animeShows = trendingResponse.data.results.filter(show => {
@@ -335,6 +387,7 @@ const getTrendingAnime = async () => {
             
             const supplementResponse = await tmdbApi.get('/discover/tv', {
                 params: {
+                    ...localeParams(locale),
                     'with_genres': '16', // Animation genre ID
                     'with_origin_country': 'JP', // Japan origin for anime
                     'sort_by': 'popularity.desc', // Sort by popularity
@@ -387,70 +440,54 @@ const getTrendingAnime = async () => {
 
 
 
-// Function to get content from streaming platforms
-// Generic function that can handle different streaming platforms by provider ID
-const getStreamingPlatformContent = async (providerId, platformName) => {
+// Genre IDs left out of the streaming platform rows
+const PLATFORM_EXCLUDED_GENRES = [
+    10767, // Talk shows
+    10763, // News  
+    10764, // Reality TV
+    10762, // Kids
+    10751  // Family (often kids-oriented)
+];
+
+// Function to get content from a streaming platform (an entry from streamingPlatforms.js)
+// options: { mediaType: 'all' | 'movie' | 'tv', page: 1.. } - each page is one TMDB discover page per type
+// Returns { results, page, hasMore } - results sorted by popularity, movies and shows mixed for 'all'
+const getStreamingPlatformContent = async (platform, { mediaType = 'all', page = 1 } = {}, locale = DEFAULT_LOCALE) => {
     try {
-        console.log(`${getEmoji(platformName)} Getting popular content on ${platformName} (excluding talk shows & kids content)...`);
+        console.log(`${platform.emoji} Getting popular ${mediaType === 'all' ? 'content' : mediaType} on ${platform.name} (page ${page}, excluding talk shows & kids content)...`);
         
         // Get today's date (no future movies/shows)
         const today = new Date().toISOString().split('T')[0];
         
-        // Genre IDs to exclude
-        const excludedGenres = [
-            10767, // Talk shows
-            10763, // News  
-            10764, // Reality TV
-            10762, // Kids
-            10751  // Family (often kids-oriented)
-        ];
-        
-        // Get popular movies and TV shows on this platform
-        const [movies, tvShows] = await Promise.all([
-            // Popular movies on this platform
-            tmdbApi.get('/discover/movie', {
-                params: {
-                    'with_watch_providers': providerId,  // Must be on this platform
-                    'watch_region': 'US',                // US region
-                    'sort_by': 'popularity.desc',        // Most popular first
-                    'primary_release_date.lte': today,   // No future movies
-                    'vote_count.gte': 10,                // Has some reviews
-                    'without_genres': excludedGenres.join(',') // NO unwanted genres
-                }
-            }),
-            // Popular TV shows on this platform
-            tmdbApi.get('/discover/tv', {
-                params: {
-                    'with_watch_providers': providerId,  // Must be on this platform
-                    'watch_region': 'US',                // US region
-                    'sort_by': 'popularity.desc',        // Most popular first
-                    'first_air_date.lte': today,         // No future shows
-                    'vote_count.gte': 10,                // Has some reviews
-                    'without_genres': excludedGenres.join(',') // NO unwanted genres
-                }
-            })
-        ]);
-        
-        // Add media type to each item
-        const movieList = movies.data.results.map(movie => ({
-            ...movie,
-            media_type: 'movie'
-        }));
-        
-        const tvList = tvShows.data.results.map(show => ({
-            ...show,
-            media_type: 'tv'
-        }));
+        const commonParams = {
+            ...localeParams(locale),
+            'with_watch_providers': platform.provider_id, // Must be on this platform
+            'watch_region': locale.region,                // ...in the user's country
+            'sort_by': 'popularity.desc',                 // Most popular first
+            'vote_count.gte': 10,                         // Has some reviews
+            'without_genres': PLATFORM_EXCLUDED_GENRES.join(','), // NO unwanted genres
+            'page': page
+        };
         
-        // Combine movies and TV shows
-        let allContent = [...movieList, ...tvList];
+        // Popular movies and/or TV shows on this platform
+        const types = mediaType === 'all' ? ['movie', 'tv'] : [mediaType];
+        const responses = await Promise.all(types.map(type => tmdbApi.get(`/discover/${type}`, {
+            params: type === 'movie'
+                ? { ...commonParams, 'primary_release_date.lte': today } // No future movies
+                : { ...commonParams, 'first_air_date.lte': today }       // No future shows
+        })));
+        
+        // Add media type to each item and combine movies and TV shows
+        let allContent = responses.flatMap((response, index) =>
+            response.data.results.map(item => ({ ...item, media_type: types[index] }))
+        );
         
         // Extra filter: Remove any remaining unwanted content
         allContent = allContent.filter(item => {
             if (!item.genre_ids) return true; // Keep if no genre info
             
             // Remove if contains any excluded genre
-            const hasExcludedGenre = item.genre_ids.some(genreId => excludedGenres.includes(genreId));
+            const hasExcludedGenre = item.genre_ids.some(genreId => PLATFORM_EXCLUDED_GENRES.includes(genreId));
             if (hasExcludedGenre) return false;
             
             // Extra check: Remove obvious kids content by title keywords
@@ -464,93 +501,103 @@ const getStreamingPlatformContent = async (providerId, platformName) => {
         // Sort by popularity (highest first)
         allContent.sort((a, b) => (b.popularity || 0) - (a.popularity || 0));
         
-        // Take top 25 items
-        const topContent = allContent.slice(0, 25);
+        // More pages while either type has some left
+        const hasMore = page < MAX_PLATFORM_PAGE && responses.some(response => page < response.data.total_pages);
         
-        console.log(`${getEmoji(platformName)} Found ${topContent.length} popular items (no talk shows or kids content)`);
-        console.log(`${getEmoji(platformName)} Top 5:`, topContent.slice(0, 5).map(item => 
+        console.log(`${platform.emoji} Found ${allContent.length} popular items (no talk shows or kids content)`);
+        console.log(`${platform.emoji} Top 5:`, allContent.slice(0, 5).map(item => 
             `${item.title || item.name} (Pop: ${Math.round(item.popularity)})`
         ));
         
-        return topContent;
+        return { results: allContent, page: page, hasMore: hasMore };
         
     } catch (error) {
-        console.error(`Error getting ${platformName} content:`, error.message);
-        throw new Error(`Failed to get ${platformName} content`);
+        console.error(`Error getting ${platform.name} content:`, error.message);
+        throw new Error(`Failed to get ${platform.name} content`);
     }
 };
 
-// Helper function to get emoji for each platform
-const getEmoji = (platformName) => {
-    const emojis = {
-        'Netflix': '🔴',
-        'Prime Video': '📦',
-        'Disney+': '🏰',
-        'Max': '🎭',
-        'Apple TV+': '🍎'
-    };
-    return emojis[platformName] || '📺';
-};
+// Function to get one page of a platform's full catalog in a region - for the catalog snapshots
+// (catalogService.js). Subscription / free / with-ads titles only, no genre or vote filters
+// Never cached - a snapshot run would push the detail and card entries out of the response cache
+// Returns { results: [{ media_type, media_id, title, poster_path, release_date, vote_average }], total_pages }
+const getPlatformCatalogPage = async (platform, mediaType, page, region = 'US') => {
+    try {
+        const response = await tmdbApi.get(`/discover/${mediaType}`, {
+            params: {
+                'with_watch_providers': platform.provider_id,
+                'with_watch_monetization_types': 'flatrate|free|ads',
+                'watch_region': region,
+                'sort_by': 'popularity.desc',
+                'page': page
+            },
+            // Thousands of pages a day, each read once - keep them out of the shared cache
+            cache: false
+        });
 
-// Helper function to get vote thresholds (some platforms have smaller libraries)
-const getVoteThreshold = (platformName, contentType) => {
-    if (platformName === 'Apple TV+') {
-        return contentType === 'movie' ? 50 : 25; // Lower for Apple TV+ (smaller library)
+        return {
+            results: response.data.results.map(item => ({
+                media_type: mediaType,
+                media_id: String(item.id),
+                title: item.title || item.name,
+                poster_path: item.poster_path || null,
+                release_date: (item.release_date || item.first_air_date) || null,
+                vote_average: item.vote_average ?? null
+            })),
+            total_pages: response.data.total_pages
+        };
+    } catch (error) {
+        console.error(`Error getting ${platform.name} catalog (${mediaType} page ${page}, ${region}):`, error.message);
+        throw new Error(`Failed to get ${platform.name} catalog`);
     }
-    return contentType === 'movie' ? 100 : 50; // Standard thresholds
 };
 
-// Specific functions for each platform (cleaner API)
-const getNetflixContent = () => getStreamingPlatformContent('8', 'Netflix');
-const getPrimeVideoContent = () => getStreamingPlatformContent('9', 'Prime Video');
-const getDisneyPlusContent = () => getStreamingPlatformContent('337', 'Disney+');
-const getMaxContent = () => getStreamingPlatformContent('1899', 'Max');
-const getAppleTVContent = () => getStreamingPlatformContent('350', 'Apple TV+');
-
-// Function to get streaming provider logos
-const getStreamingProviderLogos = async () => {
+// Function to get the streaming platforms for the Home tabs in the user's region
+// Returns [{ key, provider_id, name, color, logo_path, logo_url }] in registry order - the logo
+// is null when TMDB doesn't list the provider in that region
+const getStreamingPlatforms = async (locale = DEFAULT_LOCALE) => {
     try {
-        console.log('🎯 Fetching streaming provider logos from TMDB...');
-        
-        // Get all movie providers (which includes the main streaming platforms)
-        const response = await tmdbApi.get('/watch/providers/movie', {
-            params: {
-                'watch_region': 'US'
-            }
-        });
-
-        // Map provider IDs to their data for quick lookup
-        const providerMap = {};
-        response.data.results.forEach(provider => {
-            providerMap[provider.provider_id] = {
-                id: provider.provider_id,
-                name: provider.provider_name,
-                logo_path: provider.logo_path,
-                display_priority: provider.display_priority
+        console.log(`🎯 Fetching streaming platforms for ${locale.region}...`);
+        
+        // Logos from the region's provider list (movie + TV providers)
+        const catalog = await getStreamingServiceCatalog(locale.region);
+        const logoPaths = new Map(catalog.map(provider => [provider.provider_id, provider.logo_path]));
+
+        return getPlatformsForRegion(locale.region).map(platform => {
+            const logoPath = logoPaths.get(platform.provider_id) || null;
+            return {
+                key: platform.key,
+                provider_id: platform.provider_id,
+                name: platform.name,
+                color: platform.color,
+                logo_path: logoPath,
+                logo_url: logoPath ? `https://image.tmdb.org/t/p/original${logoPath}` : null
             };
         });
+        
+    } catch (error) {
+        console.error('Error fetching streaming platforms:', error.message);
+        throw new Error('Failed to fetch streaming platforms');
+    }
+};
 
-        // Showing main supported platforms with their TMDB provider IDs
-        const supportedPlatforms = {
-            'netflix': 8,
-            'prime': 9,
-            'disney': 337,
-            'max': 1899,
-            'appletv': 350
-        };
+// Function to get streaming provider logos
+// Returns { netflix: { name, logo_path, logo_url }, ... } for the platforms in the user's region
+const getStreamingProviderLogos = async (locale = DEFAULT_LOCALE) => {
+    try {
+        const platforms = await getStreamingPlatforms(locale);
 
         // Build response with logos for our supported platforms
         const platformLogos = {};
-        for (const [platformKey, providerId] of Object.entries(supportedPlatforms)) {
-            const provider = providerMap[providerId];
-            if (provider && provider.logo_path) {
-                platformLogos[platformKey] = {
-                    name: provider.name,
-                    logo_path: provider.logo_path,
-                    logo_url: `https://image.tmdb.org/t/p/original${provider.logo_path}`
+        platforms.forEach(platform => {
+            if (platform.logo_path) {
+                platformLogos[platform.key] = {
+                    name: platform.name,
+                    logo_path: platform.logo_path,
+                    logo_url: platform.logo_url
                 };
             }
-        }
+        });
 
         console.log('✅ Successfully fetched streaming provider logos');
         return platformLogos;
@@ -565,20 +612,377 @@ const getStreamingProviderLogos = async () => {
 
 
 
+// Function to check whether a title exists on TMDB
+// mediaType: 'movie' or 'tv' - returns false on 404, throws on any other error
+const titleExists = async (mediaType, id) => {
+    try {
+        await tmdbApi.get(`/${mediaType}/${id}`);
+        return true;
+    } catch (error) {
+        if (error.response?.status === 404) {
+            return false;
+        }
+        console.error(`Error checking ${mediaType} ${id} on TMDB:`, error.message);
+        throw new Error(`Failed to check ${mediaType} ${id} on TMDB`);
+    }
+};
+
+// Age rating in a region for a title from its appended release_dates (movies) / content_ratings (TV)
+const getCertification = (item, mediaType, region) => {
+    if (mediaType === 'tv') {
+        const regionRating = item.content_ratings?.results?.find(rating => rating.iso_3166_1 === region);
+        return regionRating?.rating || null;
+    }
+
+    const regionRelease = item.release_dates?.results?.find(release => release.iso_3166_1 === region);
+    const certified = regionRelease?.release_dates?.find(release => release.certification?.trim());
+    return certified ? certified.certification.trim() : null;
+};
+
+// One title with ids + age ratings / release dates appended - shared by getTitleCard and
+// getReleaseSchedule so both read the same cached TMDB response
+const getTitleWithReleaseInfo = async (mediaType, id, locale) => {
+    const response = await tmdbApi.get(`/${mediaType}/${id}`, {
+        params: {
+            ...localeParams(locale),
+            append_to_response: mediaType === 'tv'
+                ? 'external_ids,content_ratings'
+                : 'external_ids,release_dates'
+        }
+    });
+    return response.data;
+};
+
+// Function to get just what a card or list row needs for one title - title, poster, years,
+// runtime, genres, status, rating, age rating and IMDb id - in ONE cached TMDB request
+// mediaType: 'movie' or 'tv' - returns null on 404, throws on any other error
+const getTitleCard = async (mediaType, id, locale = DEFAULT_LOCALE) => {
+    try {
+        const item = await getTitleWithReleaseInfo(mediaType, id, locale);
+        const date = mediaType === 'tv' ? item.first_air_date : item.release_date;
+
+        // TV runtime = TMDB's typical episode length (the detail page averages every season instead)
+        const runtime = mediaType === 'tv'
+            ? item.episode_run_time?.[0] || item.last_episode_to_air?.runtime || null
+            : item.runtime || null;
+
+        return {
+            id: item.id,
+            media_type: mediaType,
+            title: mediaType === 'tv' ? item.name : item.title,
+            poster_path: item.poster_path,
+            backdrop_path: item.backdrop_path,
+            year: date ? date.substring(0, 4) : null,
+            end_year: mediaType === 'tv' && item.last_air_date ? item.last_air_date.substring(0, 4) : null,
+            runtime: runtime,
+            genres: item.genres || [],
+            status: item.status || null,
+            vote_average: item.vote_average,
+            certification: getCertification(item, mediaType, locale.region),
+            adult: !!item.adult,
+            imdb_id: item.external_ids?.imdb_id || item.imdb_id || null
+        };
+    } catch (error) {
+        if (error.response?.status === 404) {
+            return null;
+        }
+        console.error(`Error fetching card for ${mediaType} ${id}:`, error.message);
+        throw new Error(`Failed to fetch card for ${mediaType} ${id}`);
+    }
+};
+
+// Function to get every streaming service TMDB knows in a region (movie + TV lists merged)
+// Used by the "My Services" picker. Sorted the way TMDB ranks them in that region
+// Returns [{ provider_id, provider_name, logo_path }]
+const getStreamingServiceCatalog = async (region = 'US') => {
+    try {
+        const [movieProviders, tvProviders] = await Promise.all([
+            tmdbApi.get('/watch/providers/movie', { params: { watch_region: region } }),
+            tmdbApi.get('/watch/providers/tv', { params: { watch_region: region } })
+        ]);
+
+        const providers = new Map();
+        [...movieProviders.data.results, ...tvProviders.data.results].forEach(provider => {
+            if (!providers.has(provider.provider_id)) {
+                providers.set(provider.provider_id, provider);
+            }
+        });
+
+        const getPriority = (provider) => provider.display_priorities?.[region] ?? provider.display_priority ?? 999;
+
+        return [...providers.values()]
+            .sort((a, b) => getPriority(a) - getPriority(b))
+            .map(provider => ({
+                provider_id: provider.provider_id,
+                provider_name: provider.provider_name,
+                logo_path: provider.logo_path
+            }));
+    } catch (error) {
+        console.error(`Error fetching streaming services for ${region}:`, error.message);
+        throw new Error('Failed to fetch streaming services');
+    }
+};
+
+// Function to get the countries TMDB has streaming data for
+// Returns [{ code: 'US', name: 'United States of America' }] sorted by name
+const getWatchRegions = async () => {
+    try {
+        const response = await tmdbApi.get('/watch/providers/regions');
+
+        return response.data.results
+            .map(region => ({ code: region.iso_3166_1, name: region.english_name }))
+            .sort((a, b) => a.name.localeCompare(b.name));
+    } catch (error) {
+        console.error('Error fetching watch regions:', error.message);
+        throw new Error('Failed to fetch watch regions');
+    }
+};
+
+// Function to get the streaming services (subscription, free and with-ads) carrying a title
+// in one region - used by the provider alert job. Rent / buy stores are left out
+// fresh: skip the response cache (it keeps providers for a day) - for jobs that compare runs
+// Returns [{ provider_id, provider_name, logo_path }] ([] when TMDB has nothing for the region)
+const getStreamingProviders = async (mediaType, id, region = 'US', { fresh = false } = {}) => {
+    try {
+        const response = await tmdbApi.get(`/${mediaType}/${id}/watch/providers`, fresh ? { cache: false } : {});
+        const regionProviders = response.data.results?.[region] || {};
+
+        const seen = new Set();
+        return [...(regionProviders.flatrate || []), ...(regionProviders.free || []), ...(regionProviders.ads || [])]
+            .filter(provider => {
+                if (seen.has(provider.provider_id)) return false;
+                seen.add(provider.provider_id);
+                return true;
+            })
+            .map(provider => ({
+                provider_id: provider.provider_id,
+                provider_name: provider.provider_name,
+                logo_path: provider.logo_path
+            }));
+    } catch (error) {
+        if (error.response?.status === 404) {
+            return [];
+        }
+        console.error(`Error fetching streaming providers for ${mediaType} ${id}:`, error.message);
+        throw new Error(`Failed to fetch streaming providers for ${mediaType} ${id}`);
+    }
+};
+
+// Function to get the dates a title "lands" - for the release calendar
+// Movies: first theatrical + first digital release in the region (the primary release date
+// if TMDB has nothing for the region). TV: the next episode to air.
+// Returns { id, media_type, title, poster_path, releases: [{ date, kind, label }] } or null on 404
+const getReleaseSchedule = async (mediaType, id, locale = DEFAULT_LOCALE) => {
+    try {
+        const item = await getTitleWithReleaseInfo(mediaType, id, locale);
+        const releases = [];
+
+        if (mediaType === 'tv') {
+            const next = item.next_episode_to_air;
+            if (next?.air_date) {
+                releases.push({
+                    date: next.air_date,
+                    kind: next.episode_number === 1 ? 'premiere' : 'episode',
+                    label: `S${next.season_number} E${next.episode_number}${next.name ? ` - ${next.name}` : ''}`
+                });
+            }
+        } else {
+            const timeline = buildReleaseTimeline(item, locale.region);
+
+            // Limited or wide, whichever comes first (nothing regional when the timeline is a fallback)
+            const theatrical = timeline.is_fallback ? null : [timeline.limited, timeline.theatrical].filter(Boolean).sort()[0];
+            const digital = timeline.is_fallback ? null : timeline.digital;
+
+            if (theatrical) releases.push({ date: theatrical, kind: 'theatrical', label: 'In theaters' });
+            if (digital) releases.push({ date: digital, kind: 'digital', label: 'Digital release' });
+            if (!theatrical && !digital && item.release_date) {
+                releases.push({ date: item.release_date, kind: 'release', label: 'Release' });
+            }
+        }
+
+        return {
+            id: item.id,
+            media_type: mediaType,
+            title: mediaType === 'tv' ? item.name : item.title,
+            poster_path: item.poster_path,
+            releases: releases
+        };
+    } catch (error) {
+        if (error.response?.status === 404) {
+            return null;
+        }
+        console.error(`Error fetching release schedule for ${mediaType} ${id}:`, error.message);
+        throw new Error(`Failed to fetch release schedule for ${mediaType} ${id}`);
+    }
+};
+
+// Function to get what a title is "made of" for taste matching - genres, keywords,
+// top-billed cast and directors (creators for TV), all as TMDB ids
+// mediaType: 'movie' or 'tv' - returns null on 404, throws on any other error
+const getTitleTasteData = async (mediaType, id) => {
+    try {
+        const response = await tmdbApi.get(`/${mediaType}/${id}`, {
+            params: { append_to_response: 'credits,keywords' }
+        });
+        const item = response.data;
+
+        // Movies list keywords under keywords.keywords, TV under keywords.results
+        const keywords = item.keywords?.keywords || item.keywords?.results || [];
+        const directors = mediaType === 'tv'
+            ? (item.created_by || [])
+            : (item.credits?.crew || []).filter(member => member.job === 'Director');
+
+        return {
+            id: item.id,
+            media_type: mediaType,
+            title: mediaType === 'tv' ? item.name : item.title,
+            genres: (item.genres || []).map(genre => genre.id),
+            keywords: keywords.map(keyword => keyword.id),
+            cast: (item.credits?.cast || []).slice(0, 5).map(person => person.id),
+            directors: directors.map(person => person.id)
+        };
+    } catch (error) {
+        if (error.response?.status === 404) {
+            return null;
+        }
+        console.error(`Error fetching taste data for ${mediaType} ${id}:`, error.message);
+        throw new Error(`Failed to fetch taste data for ${mediaType} ${id}`);
+    }
+};
+
+// Function to get titles related to one title - TMDB "recommendations" and "similar" merged,
+// de-duplicated (recommendations first) and without talk / news / reality shows
+// Returns [{ id, media_type, title, poster_path, year, vote_average, genre_ids, popularity }]
+const getRelatedTitles = async (mediaType, id, locale = DEFAULT_LOCALE) => {
+    try {
+        const [recommendations, similar] = await Promise.all([
+            tmdbApi.get(`/${mediaType}/${id}/recommendations`, { params: localeParams(locale) }),
+            tmdbApi.get(`/${mediaType}/${id}/similar`, { params: localeParams(locale) })
+        ]);
+
+        const seen = new Set();
+        return [...(recommendations.data.results || []), ...(similar.data.results || [])]
+            .filter(item => {
+                if (seen.has(item.id)) return false;
+                seen.add(item.id);
+                return !(item.genre_ids || []).some(genreId => EXCLUDED_GENRE_IDS.includes(genreId));
+            })
+            .map(item => {
+                const date = mediaType === 'tv' ? item.first_air_date : item.release_date;
+                return {
+                    id: item.id,
+                    media_type: mediaType,
+                    title: mediaType === 'tv' ? item.name : item.title,
+                    poster_path: item.poster_path,
+                    year: date ? date.substring(0, 4) : null,
+                    vote_average: item.vote_average,
+                    genre_ids: item.genre_ids || [],
+                    popularity: item.popularity
+                };
+            });
+    } catch (error) {
+        if (error.response?.status === 404) {
+            return [];
+        }
+        console.error(`Error fetching related titles for ${mediaType} ${id}:`, error.message);
+        throw new Error(`Failed to fetch related titles for ${mediaType} ${id}`);
+    }
+};
+
+// Function to look up titles by IMDb id (tt1234567) - used by CSV imports
+// Returns movie + TV matches as { media_type, id, title, original_title, year, poster_path }
+const findByImdbId = async (imdbId) => {
+    try {
+        const response = await tmdbApi.get(`/find/${imdbId}`, {
+            params: { external_source: 'imdb_id' }
+        });
+
+        const movies = (response.data.movie_results || []).map(movie => ({
+            media_type: 'movie',
+            id: movie.id,
+            title: movie.title,
+            original_title: movie.original_title,
+            year: movie.release_date ? movie.release_date.substring(0, 4) : null,
+            poster_path: movie.poster_path
+        }));
+
+        const tvShows = (response.data.tv_results || []).map(show => ({
+            media_type: 'tv',
+            id: show.id,
+            title: show.name,
+            original_title: show.original_name,
+            year: show.first_air_date ? show.first_air_date.substring(0, 4) : null,
+            poster_path: show.poster_path
+        }));
+
+        return [...movies, ...tvShows];
+    } catch (error) {
+        console.error(`Error finding IMDb id ${imdbId} on TMDB:`, error.message);
+        throw new Error(`Failed to find IMDb id ${imdbId}`);
+    }
+};
+
+// Function to get a movie collection / franchise with every part in release order
+// Parts without a release date yet (announced sequels) go last
+// Returns null on 404, throws on any other error
+const getCollection = async (collectionId, locale = DEFAULT_LOCALE) => {
+    try {
+        const response = await tmdbApi.get(`/collection/${collectionId}`, { params: localeParams(locale) });
+        const collection = response.data;
+
+        const parts = (collection.parts || [])
+            .map(part => ({
+                id: part.id,
+                media_type: 'movie',
+                title: part.title,
+                overview: part.overview,
+                poster_path: part.poster_path,
+                release_date: part.release_date || null,
+                year: part.release_date ? part.release_date.substring(0, 4) : null,
+                vote_average: part.vote_average
+            }))
+            .sort((a, b) => {
+                if (!a.release_date) return b.release_date ? 1 : 0;
+                if (!b.release_date) return -1;
+                return a.release_date.localeCompare(b.release_date);
+            });
+
+        return {
+            id: collection.id,
+            name: collection.name,
+            overview: collection.overview,
+            poster_path: collection.poster_path,
+            backdrop_path: collection.backdrop_path,
+            parts: parts
+        };
+    } catch (error) {
+        if (error.response?.status === 404) {
+            return null;
+        }
+        console.error(`Error fetching collection ${collectionId}:`, error.message);
+        throw new Error(`Failed to fetch collection ${collectionId}`);
+    }
+};
+
 // Function to get detailed information for a specific movie
-const getMovieDetails = async (movieId) => {
+const getMovieDetails = async (movieId, locale = DEFAULT_LOCALE) => {
     try {
         console.log(`🎬 Fetching details for movie ID: ${movieId}`);
         
         // Get movie details with additional info (credits, videos, etc.)
         const response = await tmdbApi.get(`/movie/${movieId}`, {
             params: {
+                ...detailParams(locale),
                 'append_to_response': 'credits,videos,watch/providers,release_dates,keywords,production_companies'
             }
         });
         
-        console.log(`✅ Successfully fetched details for: ${response.data.title}`);
-        return response.data;
+        // Where the movie is in its release in the user's country (in theaters, streaming soon...)
+        // on a copy - response.data is shared by every region through the response cache
+        const movieData = { ...response.data, release_info: getReleaseInfo(response.data, locale.region) };
+        
+        console.log(`✅ Successfully fetched details for: ${movieData.title}`);
+        return movieData;
     } catch (error) {
         console.error(`Error fetching movie details for ID ${movieId}:`, error.message);
         throw new Error(`Failed to fetch movie details for ID ${movieId}`);
@@ -592,7 +996,7 @@ const getMovieDetails = async (movieId) => {
 
 
 // Function to get detailed information for a specific TV show
-const getTVDetails = async (tvId) => {
+const getTVDetails = async (tvId, locale = DEFAULT_LOCALE) => {
     try {
         console.log(`📺 Fetching details for TV show ID: ${tvId}`);
         
@@ -600,12 +1004,14 @@ const getTVDetails = async (tvId) => {
         const [showResponse, season1Response] = await Promise.all([
             tmdbApi.get(`/tv/${tvId}`, {
                 params: {
+                    ...detailParams(locale),
                     'append_to_response': 'credits,videos,watch/providers,content_ratings'
                 }
             }),
             // Also get season 1 credits
             tmdbApi.get(`/tv/${tvId}/season/1`, {
                 params: {
+                    ...localeParams(locale),
                     'append_to_response': 'credits'
                 }
             }).catch(error => {
@@ -660,18 +1066,21 @@ const getTVDetails = async (tvId) => {
 // ===============================================
 
 // Enhanced function to get movie details with intelligent trailer fallback
-const getMovieDetailsWithTrailer = async (movieId) => {
+const getMovieDetailsWithTrailer = async (movieId, locale = DEFAULT_LOCALE) => {
     try {
         console.log(`🎬 Fetching details and trailer for movie ID: ${movieId}`);
         
         // Get movie details with additional info (credits, videos, etc.)
         const response = await tmdbApi.get(`/movie/${movieId}`, {
             params: {
+                ...detailParams(locale),
                 'append_to_response': 'credits,videos,watch/providers,release_dates,keywords,production_companies'
             }
         });
         
-        const movieData = response.data;
+        // Where the movie is in its release in the user's country (in theaters, streaming soon...)
+        // on a copy - response.data is shared by every region through the response cache
+        const movieData = { ...response.data, release_info: getReleaseInfo(response.data, locale.region) };
         
         // Remove all the complex poster searching code!
         // Frontend will handle poster consistency
@@ -723,13 +1132,14 @@ const getMovieDetailsWithTrailer = async (movieId) => {
 
 
 // Enhanced function to get TV show details with intelligent trailer fallback
-const getTVDetailsWithTrailer = async (tvId) => {
+const getTVDetailsWithTrailer = async (tvId, locale = DEFAULT_LOCALE) => {
     try {
         console.log(`📺 Fetching details and trailer for TV show ID: ${tvId}`);
         
         // Get basic TV show details - ADD production_companies for TV shows too!
         const tvResponse = await tmdbApi.get(`/tv/${tvId}`, {
             params: {
+                ...detailParams(locale),
                 'append_to_response': 'credits,videos,watch/providers,content_ratings,keywords,external_ids,networks,production_companies'
             }
         });
@@ -741,8 +1151,9 @@ const getTVDetailsWithTrailer = async (tvId) => {
             const allRuntimes = [];
             for (const season of tvData.seasons) {
                 if (season.season_number === 0) continue; // Skip specials
-                const seasonResponse = await tmdbApi.get(`/tv/${tvId}/season/${season.season_number}`);
-                const validRuntimes = seasonResponse.data.episodes
+                const seasonData = await getTVSeason(tvId, season.season_number, locale);
+                if (!seasonData) continue; // Listed on the show but gone from TMDB
+                const validRuntimes = seasonData.episodes
                     .map(ep => ep.runtime)
                     .filter(runtime => runtime && runtime > 0);
                 allRuntimes.push(...validRuntimes);
@@ -963,7 +1374,7 @@ const shuffleArray = (array) => {
 
 
 
-const getWatchAtHomeContent = async () => {
+const getWatchAtHomeContent = async (locale = DEFAULT_LOCALE) => {
     try {
         // Fetch from multiple pages to get more variety for randomization
         const randomPage1 = Math.floor(Math.random() * 3) + 1; // Pages 1-3
@@ -974,6 +1385,7 @@ const getWatchAtHomeContent = async () => {
         const [moviesRes, tvRes, animeRes] = await Promise.all([
             tmdbApi.get('/discover/movie', {
                 params: {
+                    ...localeParams(locale),
                     sort_by: 'vote_count.desc',
                     'vote_count.gte': 1000,
                     page: randomPage1,
@@ -981,6 +1393,7 @@ const getWatchAtHomeContent = async () => {
             }),
             tmdbApi.get('/discover/tv', {
                 params: {
+                    ...localeParams(locale),
                     sort_by: 'vote_count.desc',
                     'vote_count.gte': 1000,
                     page: randomPage2,
@@ -988,6 +1401,7 @@ const getWatchAtHomeContent = async () => {
             }),
             tmdbApi.get('/discover/tv', {
                 params: {
+                    ...localeParams(locale),
                     sort_by: 'vote_count.desc',
                     'vote_count.gte': 100,
                     with_genres: 16, // Animation
@@ -1008,7 +1422,7 @@ const getWatchAtHomeContent = async () => {
         const tvShowsDetailed = await Promise.all(
             tvShowsRaw.map(async (item) => {
                 try {
-                    const detailRes = await tmdbApi.get(`/tv/${item.id}`);
+                    const detailRes = await tmdbApi.get(`/tv/${item.id}`, { params: localeParams(locale) });
                     return { ...item, ...detailRes.data };
                 } catch {
                     return item;
@@ -1051,7 +1465,7 @@ const getWatchAtHomeContent = async () => {
 // Add this function to tmdbAPI.js 
 
 // Function to search for movies and TV shows
-const searchMoviesAndTV = async (query) => {
+const searchMoviesAndTV = async (query, locale = DEFAULT_LOCALE) => {
     try {
         console.log(`🔍 Searching for: "${query}"`);
         
@@ -1061,7 +1475,7 @@ const searchMoviesAndTV = async (query) => {
                 params: {
                     query: query,
                     include_adult: false,
-                    language: 'en-US',
+                    language: locale.language,
                     page: 1
                 }
             }),
@@ -1069,7 +1483,7 @@ const searchMoviesAndTV = async (query) => {
                 params: {
                     query: query,
                     include_adult: false,
-                    language: 'en-US',
+                    language: locale.language,
                     page: 1
                 }
             })
@@ -1240,7 +1654,7 @@ const calculateSmartScore = (title, query, popularity, rating, voteCount) => {
 // - TOTAL: ~264 points (LOSER!)
 
 // Advanced filtering and sorting function for movies and TV shows
-const getFilteredContent = async (filterOptions = {}) => {
+const getFilteredContent = async (filterOptions = {}, locale = DEFAULT_LOCALE) => {
     try {
         const {
             genres = [],
@@ -1250,7 +1664,9 @@ const getFilteredContent = async (filterOptions = {}) => {
             ratingMin = null,
             sortBy = 'popularity',
             page = 1,
-            limit = 50  // NEW: Results per page
+            limit = 50,  // NEW: Results per page
+            providers = [],  // TMDB provider ids - only titles streaming on one of them
+            region = locale.region
         } = filterOptions;
 
         console.log('🔍 Filtering content (page ${page}, limit ${limit}):', filterOptions);
@@ -1270,6 +1686,13 @@ const getFilteredContent = async (filterOptions = {}) => {
         // Remove 'anime' from genres and keep only numeric genre IDs
         const numericGenres = genres.filter(genre => typeof genre === 'number');
 
+        // "Only on my services" - subscription, free or with ads on any of the providers (| = OR)
+        const providerParams = providers.length > 0 ? {
+            with_watch_providers: providers.join('|'),
+            watch_region: region,
+            with_watch_monetization_types: 'flatrate|free|ads'
+        } : {};
+
         // Fetch movies if requested
         if (type === 'all' || type === 'movie') {
             const movieParams = {
@@ -1277,7 +1700,9 @@ const getFilteredContent = async (filterOptions = {}) => {
                 sort_by: sortBy === 'rating' ? 'vote_average.desc' : 
                         sortBy === 'date' ? 'primary_release_date.desc' : 
                         'popularity.desc',
-                vote_count: { gte: 10 } // Only movies with some reviews
+                vote_count: { gte: 10 }, // Only movies with some reviews
+                ...localeParams(locale),
+                ...providerParams
             };
 
             // Handle anime filter (Animation + Japanese origin)
@@ -1322,7 +1747,9 @@ const getFilteredContent = async (filterOptions = {}) => {
                 sort_by: sortBy === 'rating' ? 'vote_average.desc' : 
                         sortBy === 'date' ? 'first_air_date.desc' : 
                         'popularity.desc',
-                vote_count: { gte: 10 } // Only shows with some reviews
+                vote_count: { gte: 10 }, // Only shows with some reviews
+                ...localeParams(locale),
+                ...providerParams
             };
 
             // Handle anime filter (Animation + Japanese origin)
@@ -1426,6 +1853,321 @@ const applySorting = (a, b, sortBy, sortOrder) => {
     }
 };
 
+// ===============================================
+// TV SEASONS + EPISODES
+// ===============================================
+
+// Today's date as YYYY-MM-DD (same format TMDB uses for air dates)
+const getTodayDateString = () => new Date().toISOString().split('T')[0];
+
+// Only the guest star fields the frontend needs
+const formatGuestStars = (guestStars = []) => guestStars.map(person => ({
+    id: person.id,
+    name: person.name,
+    character: person.character,
+    profile_path: person.profile_path
+}));
+
+// Turn a TMDB episode into the shape the season browser uses
+// Episodes with no air date yet, or an air date in the future, are marked as upcoming
+const formatEpisode = (episode) => ({
+    id: episode.id,
+    season_number: episode.season_number,
+    episode_number: episode.episode_number,
+    episode_type: episode.episode_type || null, // 'standard', 'finale', 'mid_season'
+    name: episode.name,
+    overview: episode.overview,
+    air_date: episode.air_date || null,
+    runtime: episode.runtime || null,
+    still_path: episode.still_path,
+    vote_average: episode.vote_average || 0,
+    vote_count: episode.vote_count || 0,
+    is_upcoming: !episode.air_date || episode.air_date > getTodayDateString(),
+    guest_stars: formatGuestStars(episode.guest_stars)
+});
+
+// Function to get one season of a TV show with all its episodes
+// Also used by getTVDetailsWithTrailer for the average runtime (same request, so it's cached once)
+// Returns null if the show or season doesn't exist
+const getTVSeason = async (tvId, seasonNumber, locale = DEFAULT_LOCALE) => {
+    try {
+        console.log(`📺 Fetching season ${seasonNumber} for TV show ID: ${tvId}`);
+
+        const response = await tmdbApi.get(`/tv/${tvId}/season/${seasonNumber}`, { params: localeParams(locale) });
+        const season = response.data;
+        const episodes = (season.episodes || []).map(formatEpisode);
+
+        return {
+            id: season.id,
+            name: season.name,
+            overview: season.overview,
+            season_number: season.season_number,
+            air_date: season.air_date || null,
+            poster_path: season.poster_path,
+            vote_average: season.vote_average || 0,
+            episode_count: episodes.length,
+            upcoming_count: episodes.filter(episode => episode.is_upcoming).length,
+            episodes: episodes
+        };
+    } catch (error) {
+        if (error.response?.status === 404) return null;
+        console.error(`Error fetching season ${seasonNumber} for TV ID ${tvId}:`, error.message);
+        throw new Error(`Failed to fetch season ${seasonNumber} for TV ID ${tvId}`);
+    }
+};
+
+// Function to get the basic outline of a TV show (name, poster, seasons, last/next episode)
+// Much lighter than getTVDetails - used for watch progress where we only need the structure
+// Returns null if TMDB doesn't know the show
+const getTVShowOutline = async (tvId, locale = DEFAULT_LOCALE) => {
+    try {
+        const response = await tmdbApi.get(`/tv/${tvId}`, { params: localeParams(locale) });
+        const show = response.data;
+
+        return {
+            id: show.id,
+            name: show.name,
+            poster_path: show.poster_path,
+            backdrop_path: show.backdrop_path,
+            status: show.status, // 'Returning Series', 'Ended', 'Canceled', ...
+            first_air_date: show.first_air_date,
+            vote_average: show.vote_average,
+            number_of_episodes: show.number_of_episodes,
+            last_episode_to_air: show.last_episode_to_air || null,
+            next_episode_to_air: show.next_episode_to_air || null,
+            seasons: (show.seasons || []).map(season => ({
+                season_number: season.season_number,
+                episode_count: season.episode_count,
+                air_date: season.air_date
+            }))
+        };
+    } catch (error) {
+        if (error.response?.status === 404) return null;
+        console.error(`Error fetching TV outline for ID ${tvId}:`, error.message);
+        throw new Error(`Failed to fetch TV outline for ID ${tvId}`);
+    }
+};
+
+// Function to get full details for a single episode (crew, guest stars, stills)
+// Returns null if the show, season or episode doesn't exist
+const getTVEpisode = async (tvId, seasonNumber, episodeNumber, locale = DEFAULT_LOCALE) => {
+    try {
+        console.log(`📺 Fetching S${seasonNumber}E${episodeNumber} for TV show ID: ${tvId}`);
+
+        const response = await tmdbApi.get(`/tv/${tvId}/season/${seasonNumber}/episode/${episodeNumber}`, {
+            params: {
+                ...localeParams(locale),
+                'append_to_response': 'credits,images'
+            }
+        });
+        const episode = response.data;
+
+        // Directors and writers are the crew worth showing for an episode
+        const crew = (episode.crew || [])
+            .filter(person => person.department === 'Directing' || person.department === 'Writing')
+            .map(person => ({
+                id: person.id,
+                name: person.name,
+                job: person.job,
+                department: person.department,
+                profile_path: person.profile_path
+            }));
+
+        return {
+            ...formatEpisode(episode),
+            // credits.guest_stars is more complete than the one on the episode itself
+            guest_stars: formatGuestStars(episode.credits?.guest_stars || episode.guest_stars),
+            crew: crew,
+            production_code: episode.production_code || null,
+            stills: (episode.images?.stills || []).map(image => image.file_path)
+        };
+    } catch (error) {
+        if (error.response?.status === 404) return null;
+        console.error(`Error fetching S${seasonNumber}E${episodeNumber} for TV ID ${tvId}:`, error.message);
+        throw new Error(`Failed to fetch episode S${seasonNumber}E${episodeNumber} for TV ID ${tvId}`);
+    }
+};
+
+// ===============================================
+// PEOPLE - Person details + filmography
+// ===============================================
+
+// Characters that mean the person just appeared as themselves (talk shows, award shows, docs)
+const SELF_CHARACTER_PATTERN = /^(self|himself|herself|themselves)\b/i;
+
+// Turn a TMDB combined_credits entry into the shape the frontend uses
+const formatCredit = (credit) => {
+    const date = credit.release_date || credit.first_air_date || null;
+    return {
+        id: credit.id,
+        media_type: credit.media_type,
+        title: credit.title || credit.name,
+        date: date,
+        year: date ? new Date(date).getFullYear() : null,
+        poster_path: credit.poster_path,
+        backdrop_path: credit.backdrop_path,
+        overview: credit.overview,
+        genre_ids: credit.genre_ids || [],
+        popularity: credit.popularity || 0,
+        vote_average: credit.vote_average || 0,
+        vote_count: credit.vote_count || 0
+    };
+};
+
+// Score used for "Known For" - a big role in a popular, well-rated title scores highest
+// Similar idea to calculateSmartScore in search, but for someone's credits
+const calculateKnownForScore = (credit) => {
+    // Popularity + vote count show how well-known the title is (log so blockbusters don't dominate completely)
+    let score = Math.log10(1 + credit.popularity) * 20 + Math.log10(1 + credit.vote_count) * 15;
+
+    // Billing order - leads count more than background roles
+    if (typeof credit.order === 'number') {
+        score += Math.max(0, 30 - credit.order * 3);
+    }
+
+    // TV shows - regulars have lots of episodes, guest spots only a few
+    if (credit.episode_count) {
+        score += Math.min(credit.episode_count, 50) * 0.6;
+        if (credit.episode_count <= 2) score -= 25;
+    }
+
+    // Playing yourself (talk shows, award shows) isn't what someone is known for
+    if (credit.character && SELF_CHARACTER_PATTERN.test(credit.character)) {
+        score -= 60;
+    }
+
+    // Same genres we hide everywhere else (Talk, News, Reality)
+    if (credit.genre_ids?.some(genreId => EXCLUDED_GENRE_IDS.includes(genreId))) {
+        score -= 60;
+    }
+
+    // Only small boost for quality - popular titles should still win
+    score += (credit.vote_average || 0) * 1.5;
+
+    return Math.round(score * 10) / 10;
+};
+
+// Function to get a person's details and full filmography (movies + TV)
+// Returns biography, images, acting credits, crew credits (jobs merged per title) and "known for" titles
+// (null if TMDB doesn't know the person)
+const getPersonDetails = async (personId, locale = DEFAULT_LOCALE) => {
+    try {
+        console.log(`🎭 Fetching details for person ID: ${personId}`);
+
+        const response = await tmdbApi.get(`/person/${personId}`, {
+            params: {
+                ...localeParams(locale),
+                'append_to_response': 'combined_credits,images,external_ids'
+            }
+        });
+
+        const person = response.data;
+        const credits = person.combined_credits || { cast: [], crew: [] };
+
+        // Acting credits - one entry per title (TMDB can list a TV role more than once)
+        const castMap = new Map();
+        for (const credit of credits.cast || []) {
+            const key = `${credit.media_type}-${credit.id}`;
+            const existing = castMap.get(key);
+
+            if (existing) {
+                // Same show, another character - keep both names
+                if (credit.character && !existing.characters.includes(credit.character)) {
+                    existing.characters.push(credit.character);
+                }
+                existing.episode_count = Math.max(existing.episode_count || 0, credit.episode_count || 0) || null;
+                continue;
+            }
+
+            castMap.set(key, {
+                ...formatCredit(credit),
+                department: 'Acting',
+                characters: credit.character ? [credit.character] : [],
+                character: credit.character || null,
+                episode_count: credit.episode_count || null,
+                order: typeof credit.order === 'number' ? credit.order : null
+            });
+        }
+
+        // Crew credits - one entry per title per department, with all jobs listed
+        // (e.g. someone who wrote AND directed a film shows up once under each department)
+        const crewMap = new Map();
+        for (const credit of credits.crew || []) {
+            const key = `${credit.department}-${credit.media_type}-${credit.id}`;
+            const existing = crewMap.get(key);
+
+            if (existing) {
+                if (credit.job && !existing.jobs.includes(credit.job)) {
+                    existing.jobs.push(credit.job);
+                }
+                continue;
+            }
+
+            crewMap.set(key, {
+                ...formatCredit(credit),
+                department: credit.department,
+                jobs: credit.job ? [credit.job] : [],
+                episode_count: credit.episode_count || null
+            });
+        }
+
+        const cast = [...castMap.values()];
+        const crew = [...crewMap.values()];
+
+        // "Known for" - rank credits from the person's main department, fall back to everything
+        const allCredits = [...cast, ...crew];
+        const mainDepartmentCredits = allCredits.filter(credit => credit.department === person.known_for_department);
+        const rankingPool = mainDepartmentCredits.length > 0 ? mainDepartmentCredits : allCredits;
+
+        const seenTitles = new Set();
+        const knownFor = rankingPool
+            .map(credit => ({ ...credit, known_for_score: calculateKnownForScore(credit) }))
+            .sort((a, b) => b.known_for_score - a.known_for_score)
+            .filter(credit => {
+                // Crew credits can list the same title under several departments
+                const key = `${credit.media_type}-${credit.id}`;
+                if (seenTitles.has(key)) return false;
+                seenTitles.add(key);
+                return true;
+            })
+            .slice(0, 10);
+
+        console.log(`✅ Successfully fetched ${person.name}: ${cast.length} acting credits, ${crew.length} crew credits`);
+
+        return {
+            id: person.id,
+            name: person.name,
+            biography: person.biography,
+            birthday: person.birthday,
+            deathday: person.deathday,
+            place_of_birth: person.place_of_birth,
+            gender: person.gender,
+            known_for_department: person.known_for_department,
+            also_known_as: person.also_known_as || [],
+            homepage: person.homepage,
+            imdb_id: person.imdb_id,
+            popularity: person.popularity,
+            profile_path: person.profile_path,
+            images: (person.images?.profiles || []).map(image => ({
+                file_path: image.file_path,
+                width: image.width,
+                height: image.height,
+                vote_average: image.vote_average
+            })),
+            external_ids: person.external_ids || {},
+            known_for: knownFor,
+            credits: {
+                cast,
+                crew
+            }
+        };
+    } catch (error) {
+        if (error.response?.status === 404) return null;
+        console.error(`Error fetching person details for ID ${personId}:`, error.message);
+        throw new Error(`Failed to fetch person details for ID ${personId}`);
+    }
+};
+
 // These functions will be imported in server.js to create API endpoints
 module.exports = {
     getTrendingMovies,
@@ -1435,16 +2177,28 @@ module.exports = {
     getUpcomingMovies,
     getUpcomingTVShows,
     getTrendingAnime,
-    getNetflixContent,
-    getPrimeVideoContent,
-    getDisneyPlusContent,
-    getMaxContent,
-    getAppleTVContent,
+    getStreamingPlatformContent,
+    getPlatformCatalogPage,
+    getStreamingPlatforms,
     getStreamingProviderLogos,
     getMovieDetails,
     getTVDetails,
+    titleExists,
+    getTitleCard,
+    getReleaseSchedule,
+    getStreamingProviders,
+    getStreamingServiceCatalog,
+    getWatchRegions,
+    getTitleTasteData,
+    getRelatedTitles,
+    getCollection,
+    findByImdbId,
     getMovieDetailsWithTrailer,
     getTVDetailsWithTrailer,
+    getPersonDetails,
+    getTVSeason,
+    getTVEpisode,
+    getTVShowOutline,
     getWatchAtHomeContent,
     searchMoviesAndTV,
     getFilteredContent
@@ -0,0 +1,308 @@
+/*
+=== WATCH PROGRESS (TV SHOWS + ANIME) ===
+
+Tracks which episodes a user has watched - one watch_progress row per episode:
+  (user_id, show_id, season_number, episode_number, watched_at)
+
+WHAT IT DOES:
+1. Mark / unmark single episodes, whole seasons, or everything "up to here"
+2. Works out progress per show (watched / aired episodes, percent, status)
+3. Finds the next unwatched episode for the "Continue Watching" row
+
+Episode lists come from TMDB (getTVSeason) so seasons with odd numbering
+(e.g. anime where season 2 starts at episode 13) still work.
+Specials (season 0) can be marked watched but don't count towards progress.
+*/
+
+const { supabaseAdmin } = require('./supabaseClient');
+const { getTVShowOutline, getTVSeason } = require('./tmdbAPI');
+const { mapWithConcurrency } = require('./asyncUtils');
+
+// TMDB calls in flight at once - long-running shows have dozens of seasons, users follow dozens of shows
+const TMDB_CONCURRENCY = 5;
+
+// ===============================================
+// EPISODE LISTS (from TMDB)
+// ===============================================
+
+// Every episode of a show in watch order: regular seasons first, specials (season 0) last
+// Returns null if the show doesn't exist on TMDB
+const getShowEpisodeList = async (showId) => {
+    const outline = await getTVShowOutline(showId);
+    if (!outline) return null;
+
+    const seasonNumbers = outline.seasons
+        .filter(season => season.episode_count > 0)
+        .map(season => season.season_number)
+        .sort((a, b) => (a === 0) - (b === 0) || a - b);
+
+    const seasons = await mapWithConcurrency(seasonNumbers, TMDB_CONCURRENCY, (number) => getTVSeason(showId, number));
+
+    // A season the outline lists but TMDB no longer has (null) just adds no episodes
+    const episodes = seasons.filter(Boolean).flatMap(season => season.episodes.map(episode => ({
+        season_number: episode.season_number,
+        episode_number: episode.episode_number,
+        name: episode.name,
+        air_date: episode.air_date,
+        runtime: episode.runtime,
+        still_path: episode.still_path,
+        is_upcoming: episode.is_upcoming
+    })));
+
+    return { outline, episodes };
+};
+
+// Key for one episode in a Set
+const episodeKey = (seasonNumber, episodeNumber) => `${seasonNumber}:${episodeNumber}`;
+
+// ===============================================
+// PROGRESS SUMMARY
+// ===============================================
+
+// Work out progress for one show from its episode list + the user's watched rows
+const summarizeProgress = (outline, episodes, watchedRows) => {
+    const watchedSet = new Set(watchedRows.map(row => episodeKey(row.season_number, row.episode_number)));
+    const isWatched = (episode) => watchedSet.has(episodeKey(episode.season_number, episode.episode_number));
+
+    // Only aired, non-special episodes count towards progress
+    const countable = episodes.filter(episode => episode.season_number > 0 && !episode.is_upcoming);
+    const watchedCount = countable.filter(isWatched).length;
+    const totalCount = countable.length;
+
+    // Next episode = first unwatched aired episode after the furthest one watched
+    // (if the user skipped around, fall back to the first unwatched one)
+    let lastWatchedIndex = -1;
+    countable.forEach((episode, index) => {
+        if (isWatched(episode)) lastWatchedIndex = index;
+    });
+    const nextEpisode = countable.slice(lastWatchedIndex + 1).find(episode => !isWatched(episode)) ||
+        countable.find(episode => !isWatched(episode)) ||
+        null;
+
+    const hasUpcoming = episodes.some(episode => episode.season_number > 0 && episode.is_upcoming) ||
+        !!outline.next_episode_to_air;
+
+    // not_started → in_progress → caught_up (waiting for new episodes) / completed (show is over)
+    let status = 'in_progress';
+    if (watchedCount === 0) {
+        status = 'not_started';
+    } else if (!nextEpisode) {
+        status = hasUpcoming || outline.status === 'Returning Series' ? 'caught_up' : 'completed';
+    }
+
+    const lastWatchedAt = watchedRows.reduce(
+        (latest, row) => (!latest || row.watched_at > latest ? row.watched_at : latest),
+        null
+    );
+
+    return {
+        show_id: String(outline.id),
+        name: outline.name,
+        poster_path: outline.poster_path,
+        backdrop_path: outline.backdrop_path,
+        vote_average: outline.vote_average,
+        watched_count: watchedCount,
+        total_count: totalCount,
+        percent: totalCount > 0 ? Math.round((watchedCount / totalCount) * 100) : 0,
+        status: status,
+        next_episode: nextEpisode,
+        next_episode_to_air: outline.next_episode_to_air
+            ? {
+                season_number: outline.next_episode_to_air.season_number,
+                episode_number: outline.next_episode_to_air.episode_number,
+                name: outline.next_episode_to_air.name,
+                air_date: outline.next_episode_to_air.air_date
+            }
+            : null,
+        last_watched_at: lastWatchedAt
+    };
+};
+
+// ===============================================
+// DATABASE
+// ===============================================
+
+// Watched rows for a user - one show, or every show if showId is left out
+const getWatchedRows = async (userId, showId = null) => {
+    let query = supabaseAdmin
+        .from('watch_progress')
+        .select('show_id, season_number, episode_number, watched_at')
+        .eq('user_id', userId);
+
+    if (showId) {
+        query = query.eq('show_id', String(showId));
+    }
+
+    const { data, error } = await query;
+    if (error) throw error;
+
+    return data || [];
+};
+
+// Mark a batch of episodes watched (already-watched ones keep their original watched_at)
+const saveWatched = async (userId, showId, episodes) => {
+    if (episodes.length === 0) return;
+
+    const watchedAt = new Date().toISOString();
+    const { error } = await supabaseAdmin
+        .from('watch_progress')
+        .upsert(episodes.map(episode => ({
+            user_id: userId,
+            show_id: String(showId),
+            season_number: episode.season_number,
+            episode_number: episode.episode_number,
+            watched_at: watchedAt
+        })), {
+            onConflict: 'user_id,show_id,season_number,episode_number',
+            ignoreDuplicates: true
+        });
+
+    if (error) throw error;
+};
+
+// ===============================================
+// PUBLIC FUNCTIONS (used by the /api/progress routes)
+// ===============================================
+
+// Full progress for one show: summary + every watched episode
+// Returns null if the show doesn't exist
+const getShowProgress = async (userId, showId) => {
+    const [showEpisodes, watchedRows] = await Promise.all([
+        getShowEpisodeList(showId),
+        getWatchedRows(userId, showId)
+    ]);
+
+    if (!showEpisodes) return null;
+    const { outline, episodes } = showEpisodes;
+
+    return {
+        ...summarizeProgress(outline, episodes, watchedRows),
+        watched: watchedRows.map(row => ({
+            season_number: row.season_number,
+            episode_number: row.episode_number,
+            watched_at: row.watched_at
+        }))
+    };
+};
+
+// Progress summaries for every show the user has started (used for card progress bars)
+const getAllProgress = async (userId) => {
+    const watchedRows = await getWatchedRows(userId);
+
+    // Group rows by show
+    const rowsByShow = new Map();
+    for (const row of watchedRows) {
+        if (!rowsByShow.has(row.show_id)) rowsByShow.set(row.show_id, []);
+        rowsByShow.get(row.show_id).push(row);
+    }
+
+    const summaries = await mapWithConcurrency([...rowsByShow.entries()], TMDB_CONCURRENCY, async ([showId, rows]) => {
+        try {
+            const showEpisodes = await getShowEpisodeList(showId);
+            return showEpisodes && summarizeProgress(showEpisodes.outline, showEpisodes.episodes, rows);
+        } catch (error) {
+            // One show missing on TMDB shouldn't break everyone's progress
+            console.error(`Skipping progress for show ${showId}:`, error.message);
+            return null;
+        }
+    });
+
+    return summaries.filter(Boolean);
+};
+
+// Shows with a next episode ready to watch, most recently watched first
+const getContinueWatching = async (userId) => {
+    const summaries = await getAllProgress(userId);
+
+    return summaries
+        .filter(summary => summary.status === 'in_progress' && summary.next_episode)
+        .sort((a, b) => new Date(b.last_watched_at) - new Date(a.last_watched_at));
+};
+
+// Mark one episode watched / unwatched
+// Returns null if the show or episode doesn't exist, 'upcoming' if it hasn't aired yet
+const setEpisodeWatched = async (userId, showId, seasonNumber, episodeNumber, watched) => {
+    if (!watched) {
+        const { error } = await supabaseAdmin
+            .from('watch_progress')
+            .delete()
+            .eq('user_id', userId)
+            .eq('show_id', String(showId))
+            .eq('season_number', seasonNumber)
+            .eq('episode_number', episodeNumber);
+
+        if (error) throw error;
+        return getShowProgress(userId, showId);
+    }
+
+    const showEpisodes = await getShowEpisodeList(showId);
+    if (!showEpisodes) return null;
+    const { episodes } = showEpisodes;
+    const episode = episodes.find(item =>
+        item.season_number === seasonNumber && item.episode_number === episodeNumber
+    );
+
+    if (!episode) return null;
+    if (episode.is_upcoming) return 'upcoming';
+
+    await saveWatched(userId, showId, [episode]);
+    return getShowProgress(userId, showId);
+};
+
+// Mark every aired episode of a season watched / unwatched
+// Returns null if the show or season doesn't exist
+const setSeasonWatched = async (userId, showId, seasonNumber, watched) => {
+    const showEpisodes = await getShowEpisodeList(showId);
+    if (!showEpisodes) return null;
+    const { episodes } = showEpisodes;
+    const seasonEpisodes = episodes.filter(episode => episode.season_number === seasonNumber);
+
+    if (seasonEpisodes.length === 0) return null;
+
+    if (watched) {
+        await saveWatched(userId, showId, seasonEpisodes.filter(episode => !episode.is_upcoming));
+    } else {
+        const { error } = await supabaseAdmin
+            .from('watch_progress')
+            .delete()
+            .eq('user_id', userId)
+            .eq('show_id', String(showId))
+            .eq('season_number', seasonNumber);
+
+        if (error) throw error;
+    }
+
+    return getShowProgress(userId, showId);
+};
+
+// Mark everything from S1E1 up to (and including) this episode watched
+// Specials are skipped unless the target episode is itself a special
+// Returns null if the show or episode doesn't exist, 'upcoming' if it hasn't aired yet
+const setWatchedUpTo = async (userId, showId, seasonNumber, episodeNumber) => {
+    const showEpisodes = await getShowEpisodeList(showId);
+    if (!showEpisodes) return null;
+    const { episodes } = showEpisodes;
+    const targetIndex = episodes.findIndex(episode =>
+        episode.season_number === seasonNumber && episode.episode_number === episodeNumber
+    );
+
+    if (targetIndex === -1) return null;
+    if (episodes[targetIndex].is_upcoming) return 'upcoming';
+
+    const toMark = episodes
+        .slice(0, targetIndex + 1)
+        .filter(episode => !episode.is_upcoming)
+        .filter(episode => seasonNumber === 0 ? episode.season_number === 0 : episode.season_number > 0);
+
+    await saveWatched(userId, showId, toMark);
+    return getShowProgress(userId, showId);
+};
+
+module.exports = {
+    getShowProgress,
+    getAllProgress,
+    getContinueWatching,
+    setEpisodeWatched,
+    setSeasonWatched,
+    setWatchedUpTo
+};
@@ -0,0 +1,198 @@
+/*
+=== WATCHLIST DETAILS ===
+
+Besides "is it saved?", every watchlist entry carries:
+  status         - plan_to_watch, watching, on_hold, dropped, completed
+  priority       - 1 (low), 2 (medium), 3 (high)
+  note           - free text
+  recommended_by - who told the user about it
+
+WHAT IT DOES:
+1. Validates those fields for the watchlist routes
+2. Reads / adds / edits / removes watchlist entries for the /api/watchlist routes -
+   new titles must exist on TMDB, duplicates are rejected and every user has a cap
+*/
+
+const { supabaseAdmin } = require('./supabaseClient');
+const { getTitleCard } = require('./tmdbAPI');
+
+// Keep in sync with the CHECK constraints in migrations/006_watchlist_details.sql
+// and AryFlix/src/watchlistOptions.js
+const WATCHLIST_STATUSES = ['plan_to_watch', 'watching', 'on_hold', 'dropped', 'completed'];
+const MIN_PRIORITY = 1;
+const MAX_PRIORITY = 3;
+const MAX_NOTE_LENGTH = 500;
+const MAX_RECOMMENDED_BY_LENGTH = 100;
+
+// Most titles one user can keep on their watchlist - enforced by the watchlist_cap trigger
+// (migrations/011_watchlist_cap.sql), which fails the insert with this message once it's full
+const MAX_WATCHLIST_ITEMS = 1000;
+const WATCHLIST_FULL_ERROR = 'watchlist_full';
+
+// Did an insert fail because the watchlist is full?
+const isWatchlistFullError = (error) => error?.code === '23514' && error.message === WATCHLIST_FULL_ERROR;
+
+// Optional text field - empty text / null clears it
+// Returns { value } or { error }
+const validateOptionalText = (text, field, maxLength) => {
+    if (text === null) return { value: null };
+    if (typeof text !== 'string') return { error: `${field} must be text` };
+
+    const trimmed = text.trim();
+    if (trimmed.length > maxLength) {
+        return { error: `${field} must be ${maxLength} characters or less` };
+    }
+
+    return { value: trimmed || null };
+};
+
+// Check watchlist fields from the client - only the fields sent are checked
+// Returns { value } with the cleaned fields or { error } with a message for the client
+const validateWatchlistFields = (input = {}) => {
+    const value = {};
+
+    if (input.status !== undefined) {
+        if (!WATCHLIST_STATUSES.includes(input.status)) {
+            return { error: `status must be one of: ${WATCHLIST_STATUSES.join(', ')}` };
+        }
+        value.status = input.status;
+    }
+
+    if (input.priority !== undefined) {
+        if (!Number.isInteger(input.priority) || input.priority < MIN_PRIORITY || input.priority > MAX_PRIORITY) {
+            return { error: `priority must be a whole number from ${MIN_PRIORITY} to ${MAX_PRIORITY}` };
+        }
+        value.priority = input.priority;
+    }
+
+    if (input.note !== undefined) {
+        const { value: note, error } = validateOptionalText(input.note, 'note', MAX_NOTE_LENGTH);
+        if (error) return { error };
+        value.note = note;
+    }
+
+    if (input.recommended_by !== undefined) {
+        const { value: recommendedBy, error } =
+            validateOptionalText(input.recommended_by, 'recommended_by', MAX_RECOMMENDED_BY_LENGTH);
+        if (error) return { error };
+        value.recommended_by = recommendedBy;
+    }
+
+    return { value };
+};
+
+// ===============================================
+// WATCHLIST ENTRIES
+// ===============================================
+
+// The user's watchlist, oldest first
+const getWatchlist = async (userId) => {
+    const { data, error } = await supabaseAdmin
+        .from('watchlist')
+        .select('*')
+        .eq('user_id', userId)
+        .order('created_at', { ascending: true });
+
+    if (error) throw error;
+
+    return data || [];
+};
+
+// Add a title with optional details (status, priority, note, recommended_by)
+// Returns 'missing' if the title isn't on TMDB, 'duplicate' if it's already saved,
+// 'full' if the user hit MAX_WATCHLIST_ITEMS, otherwise the new row
+const addWatchlistItem = async (userId, identity, details = {}) => {
+    const title = await getTitleCard(identity.media_type, identity.media_id);
+    if (!title) return 'missing';
+
+    const { data, error } = await supabaseAdmin
+        .from('watchlist')
+        .insert([{
+            user_id: userId,
+            media_type: identity.media_type,
+            media_id: identity.media_id,
+            ...details
+        }])
+        .select('*')
+        .single();
+
+    // 23505 = unique violation - the title is already on the watchlist
+    if (error?.code === '23505') return 'duplicate';
+    if (isWatchlistFullError(error)) return 'full';
+    if (error) throw error;
+
+    return data;
+};
+
+// Add imported titles, skipping ones already saved and stopping at the cap
+// Returns { added, skipped } - skipped = new titles that didn't fit under MAX_WATCHLIST_ITEMS
+const addImportedWatchlistItems = async (userId, identities) => {
+    const existing = await getWatchlist(userId);
+    const saved = new Set(existing.map(row => `${row.media_type}:${row.media_id}`));
+    const room = Math.max(0, MAX_WATCHLIST_ITEMS - existing.length);
+
+    const unsaved = identities.filter(identity => !saved.has(`${identity.media_type}:${identity.media_id}`));
+    const newItems = unsaved.slice(0, room);
+    const overCap = unsaved.length - newItems.length;
+
+    if (newItems.length === 0) return { added: 0, skipped: overCap };
+
+    const { error } = await supabaseAdmin
+        .from('watchlist')
+        .upsert(newItems.map(identity => ({
+            user_id: userId,
+            media_type: identity.media_type,
+            media_id: identity.media_id
+        })), {
+            onConflict: 'user_id,media_type,media_id',
+            ignoreDuplicates: true
+        });
+
+    // Filled up by another request meanwhile - the whole batch was rolled back
+    if (isWatchlistFullError(error)) return { added: 0, skipped: unsaved.length };
+    if (error) throw error;
+
+    return { added: newItems.length, skipped: overCap };
+};
+
+// Change an entry's details - returns null if the title isn't on the user's watchlist
+const updateWatchlistItem = async (userId, identity, fields) => {
+    const { data, error } = await supabaseAdmin
+        .from('watchlist')
+        .update({ ...fields, updated_at: new Date().toISOString() })
+        .eq('user_id', userId)
+        .eq('media_type', identity.media_type)
+        .eq('media_id', identity.media_id)
+        .select('*')
+        .maybeSingle();
+
+    if (error) throw error;
+
+    return data;
+};
+
+// Remove a title - returns false if it wasn't on the user's watchlist
+const removeWatchlistItem = async (userId, identity) => {
+    const { data, error } = await supabaseAdmin
+        .from('watchlist')
+        .delete()
+        .eq('user_id', userId)
+        .eq('media_type', identity.media_type)
+        .eq('media_id', identity.media_id)
+        .select('media_id');
+
+    if (error) throw error;
+
+    return !!(data && data.length > 0);
+};
+
+module.exports = {
+    WATCHLIST_STATUSES,
+    MAX_WATCHLIST_ITEMS,
+    validateWatchlistFields,
+    getWatchlist,
+    addWatchlistItem,
+    addImportedWatchlistItems,
+    updateWatchlistItem,
+    removeWatchlistItem
+};